@@ -0,0 +1,68 @@
+// /api/_lib/airlines.js
+// Companhias aéreas: código IATA (2 caracteres) → nome, embutido para não depender de rede.
+// O cache do Travelpayouts só traz o código; aqui ele vira nome para a tabela de voos e o e-mail de alerta.
+
+import { normalizeKey } from './iata.js';
+
+export const AIRLINES = {
+  // ===== BRASIL / AMÉRICA DO SUL =====
+  LA: 'LATAM Airlines', JJ: 'LATAM Brasil', G3: 'GOL', AD: 'Azul', '2Z': 'Voepass',
+  AR: 'Aerolíneas Argentinas', FO: 'Flybondi', WJ: 'JetSMART Argentina', JA: 'JetSMART',
+  H2: 'Sky Airline', AV: 'Avianca', VH: 'Viva', P5: 'Wingo', CM: 'Copa Airlines',
+  OB: 'Boliviana de Aviación', PZ: 'Paranair', H8: 'Sky Airline Peru', XL: 'LATAM Ecuador', '4C': 'LATAM Colombia',
+  // ===== AMÉRICA DO NORTE / CENTRAL =====
+  AA: 'American Airlines', DL: 'Delta Air Lines', UA: 'United Airlines', B6: 'JetBlue', WN: 'Southwest',
+  AS: 'Alaska Airlines', NK: 'Spirit', F9: 'Frontier', HA: 'Hawaiian Airlines', AC: 'Air Canada',
+  WS: 'WestJet', TS: 'Air Transat', AM: 'Aeroméxico', Y4: 'Volaris', VB: 'Viva Aerobus', '4O': 'Interjet',
+  // ===== EUROPA =====
+  TP: 'TAP Air Portugal', IB: 'Iberia', UX: 'Air Europa', VY: 'Vueling', I2: 'Iberia Express',
+  AF: 'Air France', KL: 'KLM', LH: 'Lufthansa', LX: 'SWISS', OS: 'Austrian Airlines', SN: 'Brussels Airlines',
+  BA: 'British Airways', VS: 'Virgin Atlantic', EI: 'Aer Lingus', AZ: 'ITA Airways',
+  SK: 'SAS', AY: 'Finnair', DY: 'Norwegian', D8: 'Norwegian', LO: 'LOT Polish Airlines', A3: 'Aegean Airlines',
+  TK: 'Turkish Airlines', PC: 'Pegasus', FR: 'Ryanair', U2: 'easyJet', EC: 'easyJet Europe', W6: 'Wizz Air',
+  EW: 'Eurowings', DE: 'Condor', HV: 'Transavia', TO: 'Transavia France', LS: 'Jet2', BY: 'TUI Airways',
+  SU: 'Aeroflot', S7: 'S7 Airlines', PS: 'Ukraine International', OU: 'Croatia Airlines', JU: 'Air Serbia',
+  RO: 'TAROM', FB: 'Bulgaria Air', BT: 'airBaltic', FI: 'Icelandair', OG: 'PLAY', V7: 'Volotea',
+  // ===== ORIENTE MÉDIO / ÁFRICA =====
+  EK: 'Emirates', QR: 'Qatar Airways', EY: 'Etihad Airways', SV: 'Saudia', GF: 'Gulf Air', WY: 'Oman Air',
+  FZ: 'flydubai', G9: 'Air Arabia', RJ: 'Royal Jordanian', LY: 'El Al', MS: 'EgyptAir', ME: 'Middle East Airlines',
+  ET: 'Ethiopian Airlines', KQ: 'Kenya Airways', SA: 'South African Airways', AT: 'Royal Air Maroc',
+  TU: 'Tunisair', AH: 'Air Algérie', DT: 'TAAG Angola', TM: 'LAM Moçambique', WB: 'RwandAir', HF: 'Air Côte d\'Ivoire',
+  // ===== ÁSIA / OCEANIA =====
+  NH: 'ANA', JL: 'Japan Airlines', KE: 'Korean Air', OZ: 'Asiana Airlines', CA: 'Air China',
+  MU: 'China Eastern', CZ: 'China Southern', HU: 'Hainan Airlines', CX: 'Cathay Pacific', BR: 'EVA Air',
+  CI: 'China Airlines', SQ: 'Singapore Airlines', TR: 'Scoot', MH: 'Malaysia Airlines', AK: 'AirAsia',
+  TG: 'Thai Airways', FD: 'Thai AirAsia', VN: 'Vietnam Airlines', VJ: 'VietJet Air', PR: 'Philippine Airlines',
+  '5J': 'Cebu Pacific', GA: 'Garuda Indonesia', AI: 'Air India', '6E': 'IndiGo', UK: 'Vistara', UL: 'SriLankan Airlines',
+  QF: 'Qantas', JQ: 'Jetstar', VA: 'Virgin Australia', NZ: 'Air New Zealand', FJ: 'Fiji Airways'
+};
+
+// nomes curtos que as pessoas digitam → código (além dos nomes da tabela)
+const AIRLINE_ALIASES = {
+  latam: 'LA', tam: 'JJ', gol: 'G3', azul: 'AD', tap: 'TP', aerolineas: 'AR', copa: 'CM', avianca: 'AV',
+  american: 'AA', delta: 'DL', united: 'UA', jetblue: 'B6', 'air canada': 'AC', aeromexico: 'AM',
+  iberia: 'IB', 'air europa': 'UX', 'air france': 'AF', klm: 'KL', lufthansa: 'LH', swiss: 'LX', british: 'BA',
+  ita: 'AZ', alitalia: 'AZ', turkish: 'TK', ryanair: 'FR', easyjet: 'U2', wizz: 'W6', norwegian: 'DY',
+  emirates: 'EK', qatar: 'QR', etihad: 'EY', ethiopian: 'ET', 'royal air maroc': 'AT', taag: 'DT',
+  ana: 'NH', jal: 'JL', 'korean air': 'KE', 'cathay': 'CX', singapore: 'SQ', qantas: 'QF'
+};
+
+const BY_NAME = new Map([
+  ...Object.entries(AIRLINES).map(([code, name]) => [normalizeKey(name), code]),
+  ...Object.entries(AIRLINE_ALIASES)
+]);
+
+export const isAirlineCode = (s) => /^[A-Z0-9]{2}$/.test(String(s || '')) && /[A-Z]/.test(String(s));
+
+// código → nome; código fora da tabela volta null (a tela mostra o código)
+export const airlineName = (code) => (code ? AIRLINES[String(code).toUpperCase()] || null : null);
+
+/**
+ * Código IATA de uma companhia a partir do código ou do nome ("LA", "latam", "Air France").
+ * @returns {string|null}
+ */
+export function airlineCode(term) {
+  const raw = String(term || '').trim();
+  if (isAirlineCode(raw.toUpperCase())) return raw.toUpperCase();
+  return BY_NAME.get(normalizeKey(raw)) || null;
+}
@@ -0,0 +1,148 @@
+// /api/_lib/budget.js
+// Conferência do orçamento: soma os custos do roteiro estruturado e compara com o orçamento declarado.
+// Tudo na moeda base do viajante (itinerary.currency.base; as ofertas de voo vêm na mesma moeda).
+
+import { env, fmtMoney } from './util.js';
+import { dayCostRows } from './itinerary.js';
+import { t, DEFAULT_IDIOMA } from './i18n.js';
+
+// diferença aceita como "dentro do orçamento" (10%) e a partir de quando vale regenerar mais barato (25%)
+export const BUDGET_TOLERANCE = Number(env('BUDGET_TOLERANCE', '0.10')) || 0.10;
+export const BUDGET_REGEN_THRESHOLD = Number(env('BUDGET_REGEN_THRESHOLD', '0.25')) || 0.25;
+
+// itens da tabela "per_day" (pt-BR, en, es)
+const LODGING_RE = /hosped|hotel|pousada|di[aá]ria|acomoda|lodging|accommodation|alojamiento/i;
+const TRANSPORT_RE = /transport|locomo|metr[oô]|[oô]nibus|t[aá]xi|uber|subway/i;
+
+const round = (n) => Math.round(n * 100) / 100;
+const lo = (p) => (p ? (p.free ? 0 : (p.base ?? 0)) : 0);
+const hi = (p) => (p ? (p.free ? 0 : (p.base_max ?? p.base ?? 0)) : 0);
+const median = (arr) => {
+  const a = arr.filter(Number.isFinite).sort((x, y) => x - y);
+  if (!a.length) return null;
+  const m = Math.floor(a.length / 2);
+  return a.length % 2 ? a[m] : (a[m - 1] + a[m]) / 2;
+};
+
+// menor tarifa (por pessoa) entre as ofertas de voo devolvidas; em várias cidades, soma o mais barato de cada trecho
+export function cheapestFlight(flights) {
+  if (!flights || flights.error) return null;
+  if (Array.isArray(flights.legs)) {
+    const mins = flights.legs.map(l => cheapestFlight({ items: l.items || [] }));
+    return mins.some(v => v !== null) ? mins.reduce((a, v) => a + (v || 0), 0) : null;
+  }
+  const prices = [...(flights.items || []), ...(flights.items_combined || [])]
+    .map(f => f.price_number).filter(v => Number.isFinite(v) && v > 0);
+  return prices.length ? Math.min(...prices) : null;
+}
+
+/**
+ * Estima o custo por pessoa do roteiro: dias (atrações + refeições) + hospedagem e transporte local por noite/dia.
+ * Os nomes das linhas seguem o idioma do roteiro (itinerary.language).
+ * @returns {{ per_day: object[], lines: object[], per_person: {min,max,mid}, total: {min,max,mid} }}
+ */
+export function estimateItineraryCost(itinerary, { pessoas = 1, flightPerPerson = null } = {}) {
+  const L = (key, arg) => t(itinerary?.language || DEFAULT_IDIOMA, key, arg);
+  const n = Math.max(1, Number(pessoas) || 1);
+  const days = itinerary?.days || [];
+  const nights = Math.max(1, days.length - 1);
+
+  const per_day = days.map(d => {
+    const rows = dayCostRows(d, n);
+    const min = rows.reduce((acc, r) => acc + lo(r.per_person), 0);
+    const max = rows.reduce((acc, r) => acc + hi(r.per_person), 0);
+    return { day: d.day, date: d.date || null, per_person: { min: round(min), max: round(max) } };
+  });
+
+  // hospedagem/transporte: linha da tabela "per_day" do modelo; sem ela, mediana das opções listadas
+  const perDayRows = itinerary?.budget?.per_day || [];
+  const fromRows = (re) => perDayRows.filter(r => re.test(r.item) && r.subtotal);
+  const lodgingRows = fromRows(LODGING_RE);
+  const transportRows = fromRows(TRANSPORT_RE);
+  const lodging = lodgingRows.length
+    ? { min: lodgingRows.reduce((a, r) => a + lo(r.subtotal), 0), max: lodgingRows.reduce((a, r) => a + hi(r.subtotal), 0) }
+    : (() => { const m = median((itinerary?.lodging || []).map(p => p.price?.base)); return m === null ? null : { min: m, max: m }; })();
+  const transport = transportRows.length
+    ? { min: transportRows.reduce((a, r) => a + lo(r.subtotal), 0), max: transportRows.reduce((a, r) => a + hi(r.subtotal), 0) }
+    : null;
+
+  const lines = [
+    { item: L('est.days'), min: per_day.reduce((a, d) => a + d.per_person.min, 0), max: per_day.reduce((a, d) => a + d.per_person.max, 0) }
+  ];
+  const transfers = days.map(d => d.transfer?.price).filter(Boolean);
+  if (transfers.length) lines.push({ item: L('est.transfers', transfers.length), min: transfers.reduce((a, p) => a + lo(p), 0), max: transfers.reduce((a, p) => a + hi(p), 0) });
+  if (lodging) lines.push({ item: L('est.lodging', nights), min: lodging.min * nights, max: lodging.max * nights });
+  if (transport) lines.push({ item: L('est.transport', days.length), min: transport.min * days.length, max: transport.max * days.length });
+  if (Number.isFinite(flightPerPerson) && flightPerPerson > 0) lines.push({ item: L('est.flights'), min: flightPerPerson, max: flightPerPerson });
+
+  const min = lines.reduce((a, l) => a + l.min, 0);
+  const max = lines.reduce((a, l) => a + l.max, 0);
+  const mid = (min + max) / 2;
+  return {
+    per_day,
+    lines: lines.map(l => ({ item: l.item, min: round(l.min), max: round(l.max) })),
+    per_person: { min: round(min), max: round(max), mid: round(mid) },
+    total: { min: round(min * n), max: round(max * n), mid: round(mid * n) }
+  };
+}
+
+/**
+ * Compara a estimativa com o orçamento declarado.
+ * status: within | over | under | unknown (sem orçamento declarado ou sem preços no roteiro)
+ */
+export function reconcileBudget(itinerary, { orcTotal, orcPerPerson, pessoas = 1, flights = null } = {}) {
+  const n = Math.max(1, Number(pessoas) || 1);
+  const flightPerPerson = cheapestFlight(flights);
+  const currency = itinerary?.currency?.base || 'BRL';
+  const idioma = itinerary?.language || DEFAULT_IDIOMA;
+  const money = (v) => fmtMoney(v, currency, idioma);
+  const estimated = estimateItineraryCost(itinerary, { pessoas: n, flightPerPerson });
+  const declaredPP = orcPerPerson > 0 ? orcPerPerson : (orcTotal > 0 ? orcTotal / n : null);
+  const declared = declaredPP ? { per_person: round(declaredPP), total: round(orcTotal > 0 ? orcTotal : declaredPP * n) } : null;
+
+  const out = {
+    status: 'unknown',
+    label: t(idioma, 'budget.no_declared'),
+    tolerance: BUDGET_TOLERANCE,
+    currency,
+    declared,
+    estimated,
+    includes_flights: flightPerPerson !== null,
+    difference: null
+  };
+  if (!declared) return out;
+  if (!(estimated.per_person.mid > 0)) {
+    out.label = t(idioma, 'budget.no_prices');
+    return out;
+  }
+
+  const diffPP = estimated.per_person.mid - declared.per_person;
+  const pct = diffPP / declared.per_person;
+  out.difference = { per_person: round(diffPP), total: round(diffPP * n), pct: round(pct) };
+  if (Math.abs(pct) <= BUDGET_TOLERANCE) {
+    out.status = 'within';
+    out.label = t(idioma, 'budget.within', { total: money(estimated.total.mid) });
+  } else if (pct > 0) {
+    out.status = 'over';
+    out.label = t(idioma, 'budget.over', { amount: money(diffPP * n), pct: Math.round(pct * 100) });
+  } else {
+    out.status = 'under';
+    out.label = t(idioma, 'budget.under', { amount: money(-diffPP * n), pct: Math.round(-pct * 100) });
+  }
+  return out;
+}
+
+export const shouldRegenerateCheaper = (check) =>
+  check?.status === 'over' && (check.difference?.pct ?? 0) > BUDGET_REGEN_THRESHOLD;
+
+// instrução extra para a regeneração mais econômica
+export function cheaperPromptAddendum(check) {
+  const { estimated, declared, difference } = check;
+  const money = (v) => fmtMoney(v, check.currency);
+  return `
+ATENÇÃO — AJUSTE DE ORÇAMENTO:
+A versão anterior deste roteiro ficou ${Math.round(difference.pct * 100)}% acima do orçamento
+(estimativa ${money(estimated.per_person.mid)} por pessoa vs. ${money(declared.per_person)} declarados).
+Gere uma versão mais econômica que caiba no orçamento: priorize atrações gratuitas ou baratas, restaurantes
+com ticket médio menor, hospedagem econômica/média e transporte público. Mantenha o mesmo formato JSON.`;
+}
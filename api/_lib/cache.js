@@ -0,0 +1,76 @@
+// /api/_lib/cache.js
+// Cache de /api/roteiro para pedidos idênticos (mesma impressão digital: destino, dias, pessoas, perfil, estilo,
+// orçamento, datas, moeda base e idioma). Guarda a parte cara — classificação do destino + texto da IA —
+// e, à parte, as passagens; o câmbio já tem o próprio cache em fx.js (FX_TTL_MS).
+//   ROTEIRO_CACHE             memory (padrão) | none
+//   ROTEIRO_CACHE_TTL_MS      validade da classificação + texto da IA (padrão 24h)
+//   FLIGHTS_CACHE_TTL_MS      validade das passagens (padrão 30min)
+// Um adaptador é { name, get(key) → { value, stored_at, expires_at } | null, set(key, value, ttlMs) }.
+// Para ignorar o cache: { "usar_cache": false } no corpo ou o cabeçalho "Cache-Control: no-cache" (o resultado novo é regravado).
+
+import { createHash } from 'node:crypto';
+import { env, log, logError } from './util.js';
+
+export const ROTEIRO_CACHE_TTL_MS = Number(env('ROTEIRO_CACHE_TTL_MS', String(24 * 3600e3))) || 24 * 3600e3;
+export const FLIGHTS_CACHE_TTL_MS = Number(env('FLIGHTS_CACHE_TTL_MS', String(30 * 60e3))) || 30 * 60e3;
+
+const MAX_ENTRIES = 500;
+
+function createMemoryCache() {
+  const entries = new Map();
+  return {
+    name: 'memory',
+    async get(key) {
+      const e = entries.get(key);
+      if (!e) return null;
+      if (e.expires_at <= Date.now()) { entries.delete(key); return null; }
+      return { value: JSON.parse(e.json), stored_at: e.stored_at, expires_at: e.expires_at };
+    },
+    async set(key, value, ttlMs) {
+      const now = Date.now();
+      entries.delete(key);
+      entries.set(key, { json: JSON.stringify(value), stored_at: now, expires_at: now + ttlMs });
+      // Map mantém a ordem de inserção: o primeiro é o mais antigo
+      while (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+    }
+  };
+}
+
+const CACHES = {
+  memory: createMemoryCache,
+  none: () => null
+};
+
+let cached = null;
+/**
+ * Adaptador configurado (instância única por processo). null = cache desligado.
+ */
+export function getCache() {
+  if (cached) return cached.cache;
+  const kind = env('ROTEIRO_CACHE', 'memory').toLowerCase();
+  const factory = CACHES[kind];
+  if (!factory) logError('cache', `ROTEIRO_CACHE desconhecido: ${kind} (use ${Object.keys(CACHES).join(' | ')}) — cache desligado.`);
+  cached = { cache: factory ? factory() : null };
+  log('cache', kind, { roteiro_ttl_ms: ROTEIRO_CACHE_TTL_MS, flights_ttl_ms: FLIGHTS_CACHE_TTL_MS });
+  return cached.cache;
+}
+
+// "  São  Paulo " e "sao paulo" viram a mesma chave; números com no máximo 2 casas
+const normPart = (v) => {
+  if (v == null || v === '') return null;
+  if (typeof v === 'number') return Number.isFinite(v) ? Math.round(v * 100) / 100 : null;
+  if (Array.isArray(v)) return v.map(normPart);
+  if (typeof v === 'object') return Object.fromEntries(Object.keys(v).sort().map(k => [k, normPart(v[k])]));
+  return String(v).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Impressão digital estável de um pedido: mesmo conteúdo (ignorando acentos, caixa, espaços e ordem das chaves) → mesma chave.
+ */
+export function requestFingerprint(fields) {
+  return createHash('sha256').update(JSON.stringify(normPart(fields))).digest('hex').slice(0, 24);
+}
+
+export function cacheBypass(req, body = {}) {
+  return body.usar_cache === false || /no-cache|no-store/i.test(String(req.headers?.['cache-control'] || ''));
+}
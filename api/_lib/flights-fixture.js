@@ -0,0 +1,80 @@
+// /api/_lib/flights-fixture.js
+// Provedor de passagens "fixture": tarifas determinísticas, sem rede e sem token, para testes e demonstrações.
+// Mesma consulta → mesmas ofertas (companhia, horário, escalas e preço derivam de um hash da rota e das datas).
+
+import { hashStr } from './llm-fixture.js';
+import { makeOffer } from './offers.js';
+import { t } from './i18n.js';
+import { preferCityCode, airportsFor } from './iata.js';
+
+const AIRLINES = ['LA', 'G3', 'AD', 'TP', 'IB', 'AF', 'KL', 'CM', 'AR', 'UX'];
+const HUBS = ['GRU', 'LIS', 'MAD', 'CDG', 'AMS', 'PTY', 'EZE', 'BOG'];
+// preço de referência de uma ida e volta por moeda; só ida sai por ~60%
+const BASE_PRICE = { BRL: 3200, USD: 640, EUR: 590, GBP: 510, ARS: 600000, CLP: 600000, MXN: 11000, CAD: 870, AUD: 980 };
+const OFFERS_PER_DAY = 4;
+
+// "YYYY-MM" vira todos os dias do mês; dia avulso fica como está
+function daysOf(x) {
+  if (!/^\d{4}-\d{2}$/.test(x)) return [x];
+  const [y, m] = x.split('-').map(Number);
+  const n = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  return Array.from({ length: n }, (_, i) => `${x}-${String(i + 1).padStart(2, '0')}`);
+}
+
+// código, a cidade dele e os aeroportos da cidade (SAO → SAO, GRU, CGH, VCP…): nenhum vira escala da própria rota
+const metro = (code) => { const city = preferCityCode(code); return [code, city, ...airportsFor(city)]; };
+
+const clock = (h) => `${String(6 + (h % 17)).padStart(2, '0')}:${String(((h >>> 5) % 4) * 15).padStart(2, '0')}`;
+
+function fakeOffer({ o, d, day, back, currency, idioma, i }) {
+  const h = hashStr(`${o}|${d}|${day}|${back || ''}|${i}`);
+  const stops = (h >>> 4) % 3;
+  const returnStops = back ? (h >>> 24) % 3 : null;
+  const away = new Set([...metro(o), ...metro(d)]);
+  const candidates = HUBS.filter(x => !away.has(x) && !away.has(preferCityCode(x)));
+  // sem repetir a mesma escala no trecho
+  const hubs = (n, shift) => {
+    const pool = [...candidates];
+    return Array.from({ length: n }, (_, k) => pool.splice((h >>> (shift + k * 3)) % pool.length, 1)[0]);
+  };
+  const factor = (0.75 + ((h >>> 8) % 50) / 100) * (1 + (2 - stops) * 0.1) * (back ? 1 : 0.6);
+  return makeOffer({
+    provider: 'fixture',
+    from: o,
+    to: d,
+    depart: `${day}T${clock(h >>> 12)}:00`,
+    ret: back ? `${back}T${clock(h >>> 18)}:00` : null,
+    airline: AIRLINES[h % AIRLINES.length],
+    stops,
+    layovers: hubs(stops, 10),
+    returnStops,
+    returnLayovers: back ? hubs(returnStops, 20) : null,
+    durationOut: 120 + stops * 150 + ((h >>> 20) % 300),
+    durationBack: back ? 120 + returnStops * 150 + ((h >>> 14) % 300) : null,
+    price: Math.round((BASE_PRICE[currency] || BASE_PRICE.USD) * factor),
+    currency,
+    idioma
+  });
+}
+
+export function createFlightFixtureProvider() {
+  return {
+    name: 'fixture',
+    label: 'Fixture',
+    note: (currency, idioma) => t(idioma, 'flights.note_fixture'),
+
+    async search({ o, d, dep, retAt, limit, currency, idioma }) {
+      const monthly = /^\d{4}-\d{2}$/.test(dep);
+      const offers = [];
+      for (const day of daysOf(dep)) {
+        const backs = retAt ? daysOf(retAt).filter(b => b > day) : [null];
+        // mês inteiro (calendário de tarifas): uma oferta por par de datas basta
+        for (const back of backs) {
+          for (let i = 0; i < (monthly ? 1 : OFFERS_PER_DAY); i++) offers.push(fakeOffer({ o, d, day, back, currency, idioma, i }));
+        }
+      }
+      offers.sort((a, b) => a.price_number - b.price_number);
+      return { offers: offers.slice(0, limit) };
+    }
+  };
+}
@@ -0,0 +1,85 @@
+// /api/_lib/flights-travelpayouts.js
+// Provedor de passagens "travelpayouts": cache de preços do Aviasales (prices_for_dates v3).
+//   TRAVELPAYOUTS_TOKEN   obrigatório (cadastro gratuito no Travelpayouts)
+
+import { env, log, logError, safeTruncate, fetchWithTimeout, safeJson } from './util.js';
+import { makeOffer } from './offers.js';
+import { t } from './i18n.js';
+
+// mercado do cache Travelpayouts conforme a moeda base do viajante (preços já vêm nessa moeda)
+const MARKET_BY_CURRENCY = { BRL: 'br', EUR: 'pt', USD: 'us', GBP: 'uk', ARS: 'ar', CLP: 'cl', MXN: 'mx', CAD: 'ca', AUD: 'au' };
+const marketFor = (currency) => MARKET_BY_CURRENCY[currency] || 'br';
+
+export const NO_TOKEN_ERROR = 'TRAVELPAYOUTS_TOKEN não configurado. Cadastre-se no Travelpayouts (gratuito) e defina a variável no projeto.';
+
+// aeroportos de conexão quando a tarifa traz os trechos; sem o dado → null
+function layoversOf(x, key) {
+  const segs = Array.isArray(x[key]) ? x[key] : null;
+  return segs && segs.length ? segs.slice(0, -1).map(sg => sg.destination || sg.arrival || sg.to).filter(Boolean) : null;
+}
+
+const toOffer = (x, { o, d, dep, retAt, currency, idioma }) => makeOffer({
+  provider: 'travelpayouts',
+  from: x.origin || o,
+  to: x.destination || d,
+  depart: x.depart_date || x.departure_at || dep,
+  ret: retAt ? (x.return_date || x.return_at || retAt) : null,
+  airline: x.airline,
+  stops: typeof x.transfers === 'number' ? x.transfers : x.stops,
+  layovers: layoversOf(x, 'segments'),
+  returnStops: x.return_transfers,
+  returnLayovers: layoversOf(x, 'return_segments'),
+  durationOut: x.duration_to ?? (retAt ? null : x.duration),
+  durationBack: x.duration_back,
+  price: x.price,
+  currency,
+  deepLink: x.link,
+  idioma
+});
+
+export function createTravelpayoutsProvider() {
+  const token = env('TRAVELPAYOUTS_TOKEN');
+  if (!token) return { name: 'travelpayouts', label: 'Travelpayouts', configError: NO_TOKEN_ERROR };
+
+  return {
+    name: 'travelpayouts',
+    label: 'Travelpayouts',
+    note: (currency, idioma) => t(idioma, 'flights.note_market', marketFor(currency).toUpperCase()),
+
+    // uma consulta a prices_for_dates; "dep"/"retAt" aceitam dia (YYYY-MM-DD) ou mês inteiro (YYYY-MM)
+    async search({ o, d, dep, retAt, limit, currency, idioma, reqId }) {
+      const qs = new URLSearchParams({
+        origin: o,
+        destination: d,
+        departure_at: dep,
+        ...(retAt ? { return_at: retAt } : {}),
+        market: marketFor(currency),
+        currency: currency.toLowerCase(),
+        sorting: 'price',
+        limit: String(limit),
+        unique: 'false',
+        one_way: retAt ? 'false' : 'true'
+      });
+      const url = `https://api.travelpayouts.com/aviasales/v3/prices_for_dates?${qs.toString()}`;
+      log(`[${reqId}] Flights request`, { origin: o, destination: d, depart: dep, return_at: retAt || null, url });
+
+      console.time(`[${reqId}] flights_api ${o}->${d} ${dep}${retAt ? ' + ' + retAt : ''}`);
+      const r = await fetchWithTimeout(url, { headers: { 'X-Access-Token': token } }, 20000);
+      const j = await safeJson(r);
+      console.timeEnd(`[${reqId}] flights_api ${o}->${d} ${dep}${retAt ? ' + ' + retAt : ''}`);
+
+      if (!r.ok) {
+        logError(`[${reqId}] Flights error status`, r.status, safeTruncate(j?._raw || JSON.stringify(j)));
+        const msg = (j?._raw || j?.error || '').toString().toLowerCase();
+        return {
+          offers: [],
+          error: j?.message || j?._raw || 'Erro na API Travelpayouts',
+          status: r.status,
+          too_long: msg.includes('exceeds supported maximum of 30')
+        };
+      }
+      const arr = Array.isArray(j?.data) ? j.data : [];
+      return { offers: arr.map(x => toOffer(x, { o, d, dep, retAt, currency, idioma })) };
+    }
+  };
+}
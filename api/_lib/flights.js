@@ -0,0 +1,389 @@
+// /api/_lib/flights.js
+// Passagens aéreas: os provedores configurados são consultados em paralelo e as ofertas (modelo de offers.js)
+// se juntam sem repetir voo. Ida e volta (com rota expandida e ±1 dia quando vem vazio), datas flexíveis e várias cidades.
+// Filtros opcionais (parseFlightFilters) valem dentro de cada busca, antes do corte em "limit".
+//   FLIGHT_PROVIDERS   provedores separados por vírgula: travelpayouts (padrão) | fixture (determinístico, offline)
+// Um provedor é { name, label, note?(currency, idioma), search({ o, d, dep, retAt, limit, currency, idioma, reqId }) → { offers, error?, status?, too_long? } };
+// "dep"/"retAt" aceitam dia (YYYY-MM-DD) ou mês inteiro (YYYY-MM); retAt ausente = só ida. "idioma" vale para as notas
+// e para a duração/preço formatados das ofertas.
+
+import { env, log, logError, addDaysISO } from './util.js';
+import { resolveIataTerm, preferCityCode, airportsFor } from './iata.js';
+import { airlineCode } from './airlines.js';
+import { mergeOffers, combineOneWays, offerKey } from './offers.js';
+import { t, DEFAULT_IDIOMA } from './i18n.js';
+import { createTravelpayoutsProvider } from './flights-travelpayouts.js';
+import { createFlightFixtureProvider } from './flights-fixture.js';
+
+function daysBetween(a, b) {
+  try {
+    const d1 = new Date(a + 'T00:00:00Z');
+    const d2 = new Date(b + 'T00:00:00Z');
+    return Math.round((d2 - d1) / 86400000);
+  } catch { return 0; }
+}
+
+/* ----------------------- provedores ----------------------- */
+
+const PROVIDERS = {
+  travelpayouts: createTravelpayoutsProvider,
+  fixture: createFlightFixtureProvider
+};
+
+/**
+ * Provedores de FLIGHT_PROVIDERS prontos para uso (sem token etc. ficam de fora, com log).
+ * @returns {{ providers: object[] } | { error: string }}
+ */
+export function getFlightProviders() {
+  const names = env('FLIGHT_PROVIDERS', 'travelpayouts').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const all = names.map(n => (PROVIDERS[n]
+    ? PROVIDERS[n]()
+    : { name: n, configError: `FLIGHT_PROVIDERS desconhecido: ${n} (use ${Object.keys(PROVIDERS).join(' | ')}).` }));
+  for (const p of all.filter(p => p.configError)) log(`provedor de passagens ${p.name} indisponível — ${p.configError}`);
+  const providers = all.filter(p => !p.configError);
+  return providers.length ? { providers } : { error: all[0]?.configError || 'Nenhum provedor de passagens configurado.' };
+}
+
+// mesma consulta em todos os provedores ao mesmo tempo; ok = pelo menos um respondeu
+async function queryProviders(providers, q) {
+  const results = await Promise.all(providers.map(p => p.search(q)
+    .catch(e => ({ offers: [], error: String(e?.message || e) }))
+    .then(r => ({ ...r, provider: p.name }))));
+  const errors = results.filter(r => r.error);
+  if (errors.length && errors.length < results.length) log(`[${q.reqId}] provedores com erro`, errors.map(r => `${r.provider}: ${r.error}`));
+  return {
+    ok: errors.length < results.length,
+    offers: mergeOffers(results.map(r => r.offers || [])),
+    errors,
+    too_long: errors.some(r => r.too_long)
+  };
+}
+
+const providersMeta = (providers) => ({ provider: providers.map(p => p.label).join(' + '), providers: providers.map(p => p.name) });
+
+/* ----------------------- filtros ----------------------- */
+
+// faixas de horário de partida (hora local do aeroporto); também aceita "HH:MM-HH:MM"
+const HORARIOS = { madrugada: [0, 360], manha: [360, 720], tarde: [720, 1080], noite: [1080, 1440] };
+export const MAX_ESCALAS = 3;
+// com filtro, pede mais tarifas ao cache para sobrar o suficiente depois de filtrar
+const FILTERED_FETCH_LIMIT = 200;
+
+function parseWindow(v, field) {
+  if (v == null || v === '' || v === 'qualquer') return { window: null };
+  const key = String(v).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+  if (HORARIOS[key]) return { window: { label: key, from: HORARIOS[key][0], to: HORARIOS[key][1] } };
+  const m = key.match(/^(\d{1,2}):?(\d{2})?\s*-\s*(\d{1,2}):?(\d{2})?$/);
+  const from = m ? Number(m[1]) * 60 + Number(m[2] || 0) : NaN;
+  const to = m ? Number(m[3]) * 60 + Number(m[4] || 0) : NaN;
+  if (!(from >= 0 && from <= 1440 && to >= 0 && to <= 1440) || from === to) {
+    return { error: `O campo "${field}" deve ser madrugada, manha, tarde, noite ou uma faixa "HH:MM-HH:MM".` };
+  }
+  return { window: { label: key, from, to } };
+}
+
+function parseAirlines(v, field) {
+  const list = Array.isArray(v) ? v : String(v ?? '').split(/[,;]/);
+  const terms = list.map(x => String(x).trim()).filter(Boolean);
+  const codes = terms.map(airlineCode);
+  const bad = terms.filter((_, i) => !codes[i]);
+  if (bad.length) return { error: `Companhia desconhecida em "${field}": ${bad.join(', ')} (use o código IATA, ex.: LA, G3, TP).` };
+  return { codes: [...new Set(codes)] };
+}
+
+/**
+ * Valida body.filtros_voo: { max_escalas, duracao_max_h, companhias, excluir_companhias, horario_ida, horario_volta }.
+ * @returns {null | { filters: object } | { error: string }} null = sem filtro
+ */
+export function parseFlightFilters(raw) {
+  if (raw == null || raw === '') return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'O campo "filtros_voo" deve ser um objeto.' };
+
+  const filters = {};
+  if (raw.max_escalas != null && raw.max_escalas !== '') {
+    const n = Number(raw.max_escalas);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_ESCALAS) return { error: `"max_escalas" deve ser um inteiro de 0 a ${MAX_ESCALAS}.` };
+    filters.max_stops = n;
+  }
+  if (raw.duracao_max_h != null && raw.duracao_max_h !== '') {
+    const h = Number(raw.duracao_max_h);
+    if (!(h >= 1 && h <= 72)) return { error: '"duracao_max_h" deve estar entre 1 e 72 (horas por trecho).' };
+    filters.max_duration_min = Math.round(h * 60);
+  }
+  for (const [field, key] of [['companhias', 'airlines'], ['excluir_companhias', 'exclude_airlines']]) {
+    if (raw[field] == null || raw[field] === '') continue;
+    const r = parseAirlines(raw[field], field);
+    if (r.error) return { error: r.error };
+    if (r.codes.length) filters[key] = r.codes;
+  }
+  for (const [field, key] of [['horario_ida', 'depart_window'], ['horario_volta', 'return_window']]) {
+    const r = parseWindow(raw[field], field);
+    if (r.error) return { error: r.error };
+    if (r.window) filters[key] = r.window;
+  }
+  return Object.keys(filters).length ? { filters } : null;
+}
+
+// minutos do dia a partir de "2026-12-01T10:35:00-03:00" (hora local do aeroporto); sem hora → null
+const minuteOfDay = (iso) => {
+  const m = String(iso || '').match(/T(\d{2}):(\d{2})/);
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+};
+// faixa que vira a meia-noite ("22:00-02:00") também vale
+const inWindow = (min, w) => (w.from < w.to ? min >= w.from && min < w.to : min >= w.from || min < w.to);
+
+/**
+ * A oferta passa nos filtros? Dado ausente (sem hora, sem duração) não elimina a oferta.
+ * leg: 'rt' (ida e volta numa tarifa), 'out' (só ida) ou 'back' (só volta, usa horario_volta).
+ */
+function passesFilters(o, filters, leg) {
+  if (!filters) return true;
+  const airline = String(o.airline || '').toUpperCase();
+  if (filters.airlines && airline && !filters.airlines.includes(airline)) return false;
+  if (filters.exclude_airlines && filters.exclude_airlines.includes(airline)) return false;
+
+  const stops = [o.stops, leg === 'rt' ? o.return_stops : null].filter(Number.isFinite);
+  if (filters.max_stops != null && stops.some(n => n > filters.max_stops)) return false;
+
+  const durations = [o.duration_min?.out, leg === 'rt' ? o.duration_min?.back : null].filter(Number.isFinite);
+  if (filters.max_duration_min && durations.some(m => m > filters.max_duration_min)) return false;
+
+  const checks = leg === 'rt'
+    ? [[o.depart, filters.depart_window], [o.return, filters.return_window]]
+    : [[o.depart, leg === 'back' ? filters.return_window : filters.depart_window]];
+  for (const [at, w] of checks) {
+    const min = minuteOfDay(at);
+    if (w && min != null && !inWindow(min, w)) return false;
+  }
+  return true;
+}
+
+const filtersNote = (filters, n, idioma) => (filters && n ? ` ${t(idioma, 'flights.note_filtered', n)}` : '');
+
+/* ----------------------- buscas ----------------------- */
+
+export async function searchFlights({ origin, destination, depart, ret, limit = 6, currency = 'BRL', filters = null, idioma = DEFAULT_IDIOMA, reqId, _forceFallback = false }) {
+  const setup = getFlightProviders();
+  if (setup.error) {
+    log('sem provedor de passagens — pulando busca');
+    return { error: setup.error };
+  }
+  const { providers } = setup;
+  // com filtro, pede mais tarifas para sobrar o suficiente depois de filtrar
+  const query = (args) => queryProviders(providers, { ...args, limit: filters ? Math.max(limit, FILTERED_FETCH_LIMIT) : limit, currency, idioma, reqId });
+
+  // descarta o que não passa nos filtros antes de cortar em "limit"; a nota conta voos distintos (as variantes
+  // cidade/aeroporto da mesma busca devolvem as mesmas tarifas)
+  const discarded = new Set();
+  const applyFilters = (offers, leg) => {
+    if (!filters) return offers;
+    const kept = [];
+    for (const o of offers) {
+      if (passesFilters(o, filters, leg)) kept.push(o);
+      else discarded.add(offerKey(o));
+    }
+    return kept;
+  };
+  const filtersMeta = () => (filters ? { filters, filtered_out: discarded.size } : {});
+
+  const tryOneWayVariants = async (oCity, dCity, date, leg) => {
+    const oAps = airportsFor(oCity);
+    const dAps = airportsFor(dCity);
+    const attempts = [];
+
+    // 1) city -> city
+    attempts.push({ o: oCity, d: dCity, dep: date });
+
+    // 2) city -> each dest airport
+    dAps.forEach(d => attempts.push({ o: oCity, d, dep: date }));
+
+    // 3) each origin airport -> city
+    oAps.forEach(o => attempts.push({ o, d: dCity, dep: date }));
+
+    // 4) airport -> airport
+    for (const o of oAps) for (const d of dAps) attempts.push({ o, d, dep: date });
+
+    const collect = [];
+    for (const a of attempts.slice(0, 12)) { // limite de chamadas
+      const r = await query({ o: a.o, d: a.d, dep: a.dep, retAt: null });
+      if (r.offers.length) {
+        collect.push(...applyFilters(r.offers, leg));
+        if (collect.length >= limit) break;
+      }
+    }
+
+    // flex de data se ainda vazio
+    if (!collect.length) {
+      for (const flex of [-1, +1]) {
+        const dep2 = addDaysISO(date, flex);
+        const kept = applyFilters((await query({ o: oCity, d: dCity, dep: dep2, retAt: null })).offers, leg);
+        if (kept.length) {
+          collect.push(...kept);
+          break;
+        }
+      }
+    }
+    return mergeOffers([collect]).slice(0, limit);
+  };
+
+  const tooLong = (ret && depart) ? daysBetween(depart, ret) > 30 : false;
+
+  // One-way (fallback) se >30d, sem datas completas ou RT vazio/forçado
+  if (_forceFallback || !ret || !depart || tooLong) {
+    log(`[${reqId}] usando fallback one-way (ret=${ret}, depart=${depart}, tooLong=${tooLong}, force=${_forceFallback})`);
+
+    // IDA
+    const items_outbound = await tryOneWayVariants(origin, destination, depart, 'out');
+
+    // VOLTA
+    const items_return = ret ? await tryOneWayVariants(destination, origin, ret, 'back') : [];
+
+    return {
+      ...providersMeta(providers),
+      note: t(idioma, 'flights.note_fallback') + filtersNote(filters, discarded.size, idioma),
+      ...filtersMeta(),
+      // top 3 x 3 como sugestão de ida+volta
+      items_combined: combineOneWays(items_outbound, items_return, currency, { idioma }).slice(0, limit),
+      items_outbound,
+      items_return
+    };
+  }
+
+  // Round-trip normal
+  const rt = await query({ o: origin, d: destination, dep: depart, retAt: ret });
+
+  if (!rt.ok) {
+    if (rt.too_long) {
+      log(`[${reqId}] round-trip 400 >30d detectado — fallback`);
+      return await searchFlights({ origin, destination, depart, ret, limit, currency, filters, idioma, reqId, _forceFallback: true });
+    }
+    const e = rt.errors[0];
+    return { error: e.error, status: e.status };
+  }
+
+  // com filtro e nada sobrando, as combinações só de ida ainda podem ter o que foi pedido (ex.: voos diretos)
+  const arr = applyFilters(rt.offers, 'rt');
+  if (arr.length === 0) {
+    log(`[${reqId}] round-trip vazio — fallback one-way`, { filtered_out: discarded.size });
+    return await searchFlights({ origin, destination, depart, ret, limit, currency, filters, idioma, reqId, _forceFallback: true });
+  }
+
+  const items = arr.slice(0, limit);
+  log(`[${reqId}] Flights RT OK`, { count: items.length, filtered_out: discarded.size, providers: providers.map(p => p.name) });
+
+  return {
+    items,
+    ...providersMeta(providers),
+    note: providers.map(p => p.note?.(currency, idioma)).filter(Boolean).join(' ') + filtersNote(filters, discarded.size, idioma),
+    ...filtersMeta()
+  };
+}
+
+// datas flexíveis: matriz ida × volta (±window dias em cada data) com a tarifa mais barata de cada par.
+// Usa as tarifas do mês inteiro (1 consulta por par de meses) em vez de uma consulta por célula.
+export const MAX_FLEX_DIAS = 7;
+export async function searchFlexDates({ origin, destination, depart, ret, window = 3, currency = 'BRL', filters = null, idioma = DEFAULT_IDIOMA, reqId }) {
+  const setup = getFlightProviders();
+  if (setup.error) return { error: setup.error };
+
+  const range = (iso) => Array.from({ length: window * 2 + 1 }, (_, i) => addDaysISO(iso, i - window));
+  const months = (dates) => [...new Set(dates.map(x => x.slice(0, 7)))];
+  const departures = range(depart);
+  const returns = range(ret);
+
+  const best = new Map(); // "ida|volta" → tarifa mais barata
+  let failures = 0, calls = 0;
+  for (const dm of months(departures)) {
+    for (const rm of months(returns)) {
+      if (rm < dm) continue;
+      calls++;
+      const r = await queryProviders(setup.providers, { o: origin, d: destination, dep: dm, retAt: rm, limit: 1000, currency, idioma, reqId });
+      if (!r.ok) {
+        failures++;
+        logError(`[${reqId}] flex dates erro`, r.errors.map(e => `${e.provider}: ${e.error}`));
+        continue;
+      }
+      for (const o of r.offers) {
+        const dep = String(o.depart || '').slice(0, 10);
+        const back = String(o.return || '').slice(0, 10);
+        if (!departures.includes(dep) || !returns.includes(back) || !Number.isFinite(o.price_number)) continue;
+        if (!passesFilters(o, filters, 'rt')) continue;
+        const key = `${dep}|${back}`;
+        if (best.has(key) && best.get(key).price_number <= o.price_number) continue;
+        best.set(key, {
+          price_number: o.price_number,
+          price: o.price,
+          airline: o.airline,
+          airline_name: o.airline_name,
+          stops: o.stops,
+          deep_link: o.deep_link,
+          provider: o.provider
+        });
+      }
+    }
+  }
+  if (calls && failures === calls) return { error: t(idioma, 'flights.flex_failed') };
+
+  // volta antes (ou no dia) da ida não é célula válida
+  const cells = departures.map(dep => returns.map(back => (back > dep ? best.get(`${dep}|${back}`) || null : null)));
+  let cheapest = null;
+  departures.forEach((dep, i) => returns.forEach((back, j) => {
+    const c = cells[i][j];
+    if (c && (!cheapest || c.price_number < cheapest.price_number)) cheapest = { depart: dep, return: back, price_number: c.price_number, price: c.price };
+  }));
+  const requested = best.get(`${depart}|${ret}`) || null;
+  log(`[${reqId}] flex dates`, { window, calls, cells: best.size, cheapest });
+
+  return {
+    window,
+    currency,
+    departures,
+    returns,
+    cells,
+    cheapest,
+    requested: { depart, return: ret, price_number: requested?.price_number ?? null, price: requested?.price ?? null },
+    savings: cheapest && requested ? Math.round((requested.price_number - cheapest.price_number) * 100) / 100 : null,
+    note: best.size
+      ? t(idioma, 'flights.note_flex', { window, provider: providersMeta(setup.providers).provider })
+      : t(idioma, 'flights.note_flex_empty', window)
+  };
+}
+
+// viagem com várias cidades: uma busca só de ida por trecho (open-jaw: a volta sai da última cidade)
+export async function searchMultiLegFlights({ legs, currency = 'BRL', filters = null, idioma = DEFAULT_IDIOMA, reqId }) {
+  const resolveFirst = async (terms) => {
+    for (const t of terms.filter(Boolean)) {
+      const r = await resolveIataTerm(t);
+      if (r) return preferCityCode(r);
+    }
+    return null;
+  };
+  const stopTerms = (s) => (typeof s === 'string' ? [s] : [s.destino, s.name, s.country_name ? `${s.name}, ${s.country_name}` : null]);
+  const stopLabel = (s) => (typeof s === 'string' ? s : s.name);
+
+  const out = [];
+  for (const leg of legs) {
+    const base = { kind: leg.kind, from_label: stopLabel(leg.from), to_label: stopLabel(leg.to), depart: leg.depart, items: [] };
+    const from = await resolveFirst(stopTerms(leg.from));
+    const to = await resolveFirst(stopTerms(leg.to));
+    log(`[${reqId}] IATA leg`, { ...base, from, to });
+    if (!from || !to) { out.push({ ...base, error: t(idioma, 'flights.no_iata_leg') }); continue; }
+    // trecho de volta usa a faixa de horário da volta
+    const legFilters = filters && leg.kind === 'return' ? { ...filters, depart_window: filters.return_window } : filters;
+    const f = await searchFlights({ origin: from, destination: to, depart: leg.depart, ret: null, limit: 6, currency, filters: legFilters, idioma, reqId });
+    out.push({ ...base, from, to, items: f.items_outbound || [], ...(f.error ? { error: f.error } : { provider: f.provider }) });
+  }
+  if (out.length && out.every(l => l.error)) return { error: out[0].error, legs: out };
+
+  const first = out[0], last = out[out.length - 1];
+
+  return {
+    provider: out.find(l => l.provider)?.provider || null,
+    mode: 'multi',
+    note: t(idioma, 'flights.note_open_jaw', { to: first.to_label, from: last.from_label }),
+    legs: out,
+    items_combined: combineOneWays(first.items, last.items, currency, { idioma }),
+    items_outbound: first.items,
+    items_return: last.items
+  };
+}
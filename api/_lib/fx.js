@@ -0,0 +1,117 @@
+// /api/_lib/fx.js
+// Câmbio com cache em memória por par de moedas (vale enquanto a instância serverless estiver quente):
+//   FX_TTL_MS        validade de uma cotação no cache antes de consultar de novo (padrão 6h)
+//   FX_STALE_MAX_MS  até quando a última cotação boa ainda serve se todos os provedores falharem (padrão 7 dias)
+// Sem nenhuma cotação conhecida devolve rate null (available: false) — nunca 0.
+
+import { env, log, fmtDate, fetchWithTimeout, safeJson } from './util.js';
+import { t, DEFAULT_IDIOMA } from './i18n.js';
+
+const FX_TTL_MS = Number(env('FX_TTL_MS', String(6 * 3600e3))) || 6 * 3600e3;
+const FX_STALE_MAX_MS = Number(env('FX_STALE_MAX_MS', String(7 * 86400e3))) || 7 * 86400e3;
+
+// 'BRL>EUR' → { rate, date, provider, fetchedAt }
+const cache = new Map();
+
+const toDate = (s) => (s ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(s) ? s + 'T00:00:00Z' : s) : new Date());
+const isoToBR = (s) => fmtDate(toDate(s));
+const isoDay = (s) => { const d = toDate(s); return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10); };
+
+// tentados em ordem; cada um devolve { rate, date } ou lança erro
+const PROVIDERS = [
+  {
+    name: 'exchangerate.host',
+    url: (base, quote) => `https://api.exchangerate.host/latest?base=${encodeURIComponent(base)}&symbols=${encodeURIComponent(quote)}`,
+    read: (j, quote) => ({ rate: j?.rates?.[quote], date: j?.date })
+  },
+  {
+    name: 'frankfurter.app',
+    url: (base, quote) => `https://api.frankfurter.app/latest?from=${encodeURIComponent(base)}&to=${encodeURIComponent(quote)}`,
+    read: (j, quote) => ({ rate: j?.rates?.[quote], date: j?.date })
+  },
+  {
+    name: 'open.er-api.com',
+    url: (base) => `https://open.er-api.com/v6/latest/${encodeURIComponent(base)}`,
+    read: (j, quote) => ({ rate: j?.rates?.[quote], date: j?.time_last_update_utc })
+  }
+];
+
+async function fetchLive(base, quote, reqId) {
+  for (const p of PROVIDERS) {
+    const label = `[${reqId}] fx_${p.name}`;
+    try {
+      console.time(label);
+      const r = await fetchWithTimeout(p.url(base, quote), {}, 15000);
+      const j = await safeJson(r);
+      console.timeEnd(label);
+      const { rate, date } = p.read(j, quote);
+      if (Number.isFinite(rate) && rate > 0) return { rate, date: isoToBR(date), date_iso: isoDay(date), provider: p.name };
+    } catch (e) {
+      console.timeEnd(label);
+      log(`[${reqId}] fx ${p.name} err`, String(e));
+    }
+  }
+  return null;
+}
+
+const shape = (base, quote, entry, { cached, stale }) => {
+  const age = Math.max(0, Math.round((Date.now() - entry.fetchedAt) / 1000));
+  return {
+    base, quote,
+    rate: entry.rate,
+    inverse: 1 / entry.rate,
+    date: entry.date,
+    date_iso: entry.date_iso || null,
+    provider: entry.provider,
+    available: true,
+    cached,
+    stale,
+    fetched_at: new Date(entry.fetchedAt).toISOString(),
+    age_seconds: age
+  };
+};
+
+/**
+ * Cotação base→quote: cache dentro do TTL → provedores ao vivo → última cotação boa (stale) → indisponível.
+ * @returns {{ base, quote, rate: number|null, inverse: number|null, date, provider, available, cached, stale, fetched_at, age_seconds }}
+ */
+export async function getFxRate(base = 'BRL', quote = 'USD', reqId = '-') {
+  const b = String(base || 'BRL').toUpperCase();
+  const q = String(quote || '').toUpperCase();
+  if (!q || q === b) {
+    return { base: b, quote: q || b, rate: 1, inverse: 1, date: fmtDate(new Date()), date_iso: isoDay(), provider: 'none', available: true, cached: false, stale: false, fetched_at: null, age_seconds: 0 };
+  }
+
+  const key = `${b}>${q}`;
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.fetchedAt < FX_TTL_MS) return shape(b, q, hit, { cached: true, stale: false });
+
+  const live = await fetchLive(b, q, reqId);
+  if (live) {
+    const entry = { ...live, fetchedAt: Date.now() };
+    cache.set(key, entry);
+    return shape(b, q, entry, { cached: false, stale: false });
+  }
+
+  if (hit && Date.now() - hit.fetchedAt < FX_STALE_MAX_MS) {
+    log(`[${reqId}] fx ${key}: provedores falharam — usando última cotação (${hit.provider})`);
+    return shape(b, q, hit, { cached: true, stale: true });
+  }
+
+  return { base: b, quote: q, rate: null, inverse: null, date: null, date_iso: null, provider: 'unavailable', available: false, cached: false, stale: false, fetched_at: null, age_seconds: null };
+}
+
+// "há 3 h" / "há 2 dias" — para a linha "Taxa utilizada" e o e-mail
+export function fxAgeLabel(fx, idioma = DEFAULT_IDIOMA) {
+  if (!fx?.available || !Number.isFinite(fx.age_seconds) || fx.provider === 'none') return '';
+  const s = fx.age_seconds;
+  const txt = s < 90 ? t(idioma, 'fx.now')
+    : s < 5400 ? t(idioma, 'fx.ago_min', Math.round(s / 60))
+      : s < 172800 ? t(idioma, 'fx.ago_h', Math.round(s / 3600))
+        : t(idioma, 'fx.ago_days', Math.round(s / 86400));
+  return fx.stale ? `${t(idioma, 'fx.checked', txt)} — ${t(idioma, 'fx.stale')}` : t(idioma, 'fx.checked', txt);
+}
+
+// data da cotação no idioma do roteiro (fx.date já vem em pt-BR)
+export const fxDateLabel = (fx, idioma = DEFAULT_IDIOMA) =>
+  (fx?.date_iso && idioma !== DEFAULT_IDIOMA ? fmtDate(toDate(fx.date_iso), idioma) : fx?.date || '');
@@ -0,0 +1,422 @@
+// /api/_lib/gazetteer.js
+// Geocodificador "gazetteer": base local embutida (cidades turísticas com centro, bairros e pontos conhecidos), sem rede
+// e sem chave. Serve de substituto enquanto não há um serviço de geocodificação de verdade — as posições de bairro e de
+// cidade são aproximadas (um deslocamento determinístico pelo nome evita pontos empilhados no mapa).
+// Ordem da busca: ponto conhecido no nome → bairro (campo "neighborhood" ou no nome) → zona genérica → centro da cidade.
+
+import { normalizeKey } from './iata.js';
+import { hashStr } from './llm-fixture.js';
+
+// chaves com apelidos separados por "|" (normalizadas ao carregar; acentos e caixa não importam); [lat, lon]
+const CITIES = [
+  // ===== BRASIL =====
+  {
+    names: 'Rio de Janeiro|Rio', at: [-22.9068, -43.1729],
+    areas: {
+      'Copacabana': [-22.9711, -43.1822], 'Ipanema': [-22.9838, -43.2096], 'Leblon': [-22.9840, -43.2236],
+      'Botafogo': [-22.9519, -43.1845], 'Santa Teresa': [-22.9219, -43.1887], 'Lapa': [-22.9133, -43.1800],
+      'Centro': [-22.9035, -43.1780], 'Barra da Tijuca|Barra': [-23.0004, -43.3659], 'Urca': [-22.9500, -43.1660],
+      'Jardim Botânico': [-22.9660, -43.2180], 'Flamengo': [-22.9330, -43.1760]
+    },
+    places: {
+      'Cristo Redentor|Corcovado|Christ the Redeemer': [-22.9519, -43.2105], 'Pão de Açúcar|Sugarloaf': [-22.9486, -43.1566],
+      'Escadaria Selarón|Selaron': [-22.9153, -43.1794], 'Arcos da Lapa': [-22.9130, -43.1801],
+      'Parque Lage': [-22.9603, -43.2118], 'Maracanã': [-22.9122, -43.2302], 'Museu do Amanhã': [-22.8945, -43.1797],
+      'Theatro Municipal|Teatro Municipal': [-22.9090, -43.1765], 'Pedra do Arpoador|Arpoador': [-22.9889, -43.1913]
+    }
+  },
+  {
+    names: 'São Paulo|Sao Paulo|Sampa', at: [-23.5505, -46.6333],
+    areas: {
+      'Centro': [-23.5475, -46.6361], 'Avenida Paulista|Paulista|Bela Vista': [-23.5614, -46.6559],
+      'Jardins': [-23.5670, -46.6660], 'Vila Madalena': [-23.5530, -46.6910], 'Pinheiros': [-23.5670, -46.6940],
+      'Liberdade': [-23.5580, -46.6350], 'Moema': [-23.6010, -46.6650], 'Itaim Bibi|Itaim': [-23.5840, -46.6760],
+      'Consolação': [-23.5530, -46.6600], 'Barra Funda': [-23.5260, -46.6670]
+    },
+    places: {
+      'MASP|Museu de Arte de São Paulo': [-23.5614, -46.6559], 'Parque Ibirapuera|Ibirapuera': [-23.5874, -46.6576],
+      'Mercado Municipal|Mercadão': [-23.5418, -46.6298], 'Pinacoteca': [-23.5342, -46.6339],
+      'Beco do Batman': [-23.5560, -46.6860], 'Catedral da Sé|Praça da Sé': [-23.5507, -46.6343],
+      'Theatro Municipal|Teatro Municipal': [-23.5452, -46.6384], 'Museu do Futebol|Pacaembu': [-23.5475, -46.6653]
+    }
+  },
+  {
+    names: 'Salvador', at: [-12.9777, -38.5016],
+    areas: {
+      'Pelourinho|Centro Histórico': [-12.9714, -38.5100], 'Barra': [-13.0105, -38.5320],
+      'Rio Vermelho': [-13.0120, -38.4890], 'Comércio': [-12.9710, -38.5130]
+    },
+    places: {
+      'Elevador Lacerda': [-12.9741, -38.5133], 'Farol da Barra': [-13.0104, -38.5327], 'Mercado Modelo': [-12.9736, -38.5136],
+      'Igreja do Bonfim|Senhor do Bonfim': [-12.9236, -38.5078]
+    }
+  },
+  {
+    names: 'Florianópolis|Floripa', at: [-27.5954, -48.5480],
+    areas: {
+      'Centro': [-27.5969, -48.5495], 'Lagoa da Conceição|Lagoa': [-27.6030, -48.4680], 'Jurerê': [-27.4390, -48.4960],
+      'Santo Antônio de Lisboa': [-27.5070, -48.5190], 'Campeche': [-27.6780, -48.4820], 'Canasvieiras': [-27.4280, -48.4620]
+    },
+    places: { 'Ponte Hercílio Luz': [-27.5935, -48.5656], 'Mercado Público': [-27.5983, -48.5520] }
+  },
+  {
+    names: 'Foz do Iguaçu|Foz', at: [-25.5478, -54.5882],
+    areas: { 'Centro': [-25.5470, -54.5870] },
+    places: {
+      'Cataratas do Iguaçu|Cataratas|Iguazu Falls': [-25.6953, -54.4367], 'Itaipu': [-25.4080, -54.5890],
+      'Parque das Aves': [-25.6172, -54.4830], 'Marco das Três Fronteiras': [-25.5920, -54.5910]
+    }
+  },
+  { names: 'Gramado', at: [-29.3789, -50.8744], places: { 'Lago Negro': [-29.3950, -50.8720], 'Rua Coberta': [-29.3780, -50.8750] } },
+
+  // ===== AMÉRICA DO SUL =====
+  {
+    names: 'Buenos Aires', at: [-34.6037, -58.3816],
+    areas: {
+      'San Telmo': [-34.6210, -58.3731], 'La Boca': [-34.6345, -58.3631], 'Palermo': [-34.5889, -58.4306],
+      'Recoleta': [-34.5875, -58.3974], 'Puerto Madero': [-34.6118, -58.3636], 'Microcentro|Centro': [-34.6037, -58.3750]
+    },
+    places: {
+      'Caminito': [-34.6390, -58.3627], 'Obelisco': [-34.6037, -58.3816], 'Casa Rosada': [-34.6081, -58.3703],
+      'Cemitério da Recoleta|Cementerio de la Recoleta': [-34.5875, -58.3934], 'Teatro Colón': [-34.6011, -58.3833],
+      'Plaza de Mayo|Praça de Maio': [-34.6083, -58.3722], 'El Ateneo': [-34.5960, -58.3942]
+    }
+  },
+  {
+    names: 'Santiago|Santiago do Chile|Santiago de Chile', at: [-33.4489, -70.6693],
+    areas: {
+      'Bellavista': [-33.4330, -70.6340], 'Lastarria': [-33.4380, -70.6400], 'Providencia': [-33.4250, -70.6110],
+      'Las Condes': [-33.4110, -70.5700], 'Centro': [-33.4400, -70.6500]
+    },
+    places: {
+      'Cerro San Cristóbal': [-33.4253, -70.6335], 'Plaza de Armas': [-33.4378, -70.6504],
+      'La Moneda': [-33.4429, -70.6539], 'Sky Costanera|Costanera Center': [-33.4175, -70.6064],
+      'Cerro Santa Lucía': [-33.4400, -70.6440]
+    }
+  },
+  {
+    names: 'Bariloche|San Carlos de Bariloche', at: [-41.1335, -71.3103],
+    places: { 'Cerro Catedral': [-41.1700, -71.4400], 'Cerro Campanario': [-41.0850, -71.4740], 'Centro Cívico': [-41.1335, -71.3103] }
+  },
+
+  // ===== AMÉRICA DO NORTE =====
+  {
+    names: 'Nova York|New York|Nueva York|NYC|NY', at: [40.7128, -74.0060],
+    areas: {
+      'Midtown': [40.7549, -73.9840], 'Lower Manhattan|Financial District': [40.7075, -74.0113], 'SoHo': [40.7233, -74.0030],
+      'Greenwich Village|West Village': [40.7336, -74.0027], 'Harlem': [40.8116, -73.9465], 'Brooklyn': [40.6782, -73.9442],
+      'Williamsburg': [40.7081, -73.9571], 'Upper West Side': [40.7870, -73.9754], 'Upper East Side': [40.7736, -73.9566],
+      'Chelsea': [40.7465, -74.0014], 'Chinatown': [40.7158, -73.9970], 'DUMBO': [40.7033, -73.9881]
+    },
+    places: {
+      'Central Park': [40.7829, -73.9654], 'Times Square': [40.7580, -73.9855],
+      'Estátua da Liberdade|Statue of Liberty|Estatua de la Libertad': [40.6892, -74.0445],
+      'Empire State': [40.7484, -73.9857], 'Metropolitan Museum|The Met|Museu Metropolitano': [40.7794, -73.9632],
+      'Ponte do Brooklyn|Brooklyn Bridge|Puente de Brooklyn': [40.7061, -73.9969], 'High Line': [40.7480, -74.0048],
+      'MoMA|Museum of Modern Art': [40.7614, -73.9776], 'Top of the Rock|Rockefeller Center': [40.7593, -73.9794],
+      'Memorial 11 de Setembro|9/11 Memorial|One World': [40.7115, -74.0134], 'Grand Central': [40.7527, -73.9772]
+    }
+  },
+  {
+    names: 'Orlando', at: [28.5384, -81.3789],
+    areas: { 'International Drive|I-Drive': [28.4500, -81.4700], 'Lake Buena Vista': [28.3930, -81.5380], 'Downtown': [28.5413, -81.3790] },
+    places: {
+      'Magic Kingdom': [28.4177, -81.5812], 'Epcot': [28.3747, -81.5494], 'Hollywood Studios': [28.3575, -81.5583],
+      'Animal Kingdom': [28.3553, -81.5901], 'Disney Springs': [28.3706, -81.5190],
+      'Universal Studios|Islands of Adventure|Universal Orlando': [28.4743, -81.4678], 'SeaWorld': [28.4114, -81.4612],
+      'Kennedy Space Center': [28.5729, -80.6490]
+    }
+  },
+  {
+    names: 'Miami', at: [25.7617, -80.1918],
+    areas: {
+      'South Beach|Miami Beach': [25.7826, -80.1341], 'Wynwood': [25.8005, -80.1994], 'Little Havana|Pequena Havana': [25.7655, -80.2197],
+      'Brickell': [25.7600, -80.1930], 'Coconut Grove': [25.7280, -80.2430], 'Downtown': [25.7743, -80.1937]
+    },
+    places: {
+      'Wynwood Walls': [25.8010, -80.1994], 'Ocean Drive': [25.7810, -80.1300], 'Vizcaya': [25.7444, -80.2106],
+      'Bayside Marketplace|Bayside': [25.7785, -80.1868], 'Pérez Art Museum|PAMM': [25.7859, -80.1862]
+    }
+  },
+  {
+    names: 'Cidade do México|Ciudad de México|Mexico City|CDMX', at: [19.4326, -99.1332],
+    areas: {
+      'Centro Histórico': [19.4340, -99.1370], 'Roma': [19.4150, -99.1620], 'Condesa': [19.4120, -99.1730],
+      'Polanco': [19.4330, -99.1950], 'Coyoacán': [19.3500, -99.1620]
+    },
+    places: {
+      'Zócalo': [19.4326, -99.1332], 'Templo Mayor': [19.4350, -99.1313], 'Palacio de Bellas Artes|Bellas Artes': [19.4352, -99.1412],
+      'Museo Nacional de Antropología|Museu de Antropologia': [19.4260, -99.1863], 'Castillo de Chapultepec|Chapultepec': [19.4204, -99.1819],
+      'Casa Azul|Museo Frida Kahlo': [19.3551, -99.1625], 'Teotihuacán': [19.6925, -98.8438]
+    }
+  },
+  {
+    names: 'Cancún|Cancun', at: [21.1619, -86.8515],
+    areas: { 'Zona Hotelera|Zona Hoteleira|Hotel Zone': [21.1050, -86.7630], 'Centro': [21.1619, -86.8515] },
+    places: { 'Playa Delfines': [21.0600, -86.7810], 'Museo Subacuático|MUSA': [21.2030, -86.7140], 'Isla Mujeres': [21.2320, -86.7310] }
+  },
+
+  // ===== EUROPA =====
+  {
+    names: 'Lisboa|Lisbon|Lisbonne', at: [38.7223, -9.1393],
+    areas: {
+      'Baixa|Baixa Pombalina': [38.7114, -9.1366], 'Alfama': [38.7118, -9.1300], 'Chiado': [38.7108, -9.1425],
+      'Bairro Alto': [38.7130, -9.1460], 'Belém': [38.6970, -9.2060], 'Príncipe Real': [38.7165, -9.1490],
+      'Parque das Nações': [38.7680, -9.0940], 'Mouraria': [38.7155, -9.1355], 'Cais do Sodré': [38.7060, -9.1440],
+      'Avenida da Liberdade|Liberdade': [38.7190, -9.1450], 'Alcântara': [38.7040, -9.1770]
+    },
+    places: {
+      'Torre de Belém|Belem Tower': [38.6916, -9.2160], 'Mosteiro dos Jerónimos|Jeronimos|Jerónimos': [38.6979, -9.2068],
+      'Castelo de São Jorge|São Jorge': [38.7139, -9.1334], 'Praça do Comércio|Terreiro do Paço': [38.7075, -9.1364],
+      'Oceanário|Oceanarium': [38.7636, -9.0938], 'LX Factory': [38.7033, -9.1785], 'Elevador de Santa Justa|Santa Justa': [38.7122, -9.1394],
+      'Padrão dos Descobrimentos': [38.6936, -9.2057], 'Time Out Market|Mercado da Ribeira': [38.7068, -9.1459],
+      'MAAT': [38.6957, -9.1940], 'Museu Calouste Gulbenkian|Gulbenkian': [38.7373, -9.1545],
+      'Miradouro da Senhora do Monte': [38.7190, -9.1327], 'Sé de Lisboa': [38.7098, -9.1334]
+    }
+  },
+  {
+    names: 'Porto|Oporto', at: [41.1579, -8.6291],
+    areas: {
+      'Ribeira': [41.1408, -8.6133], 'Baixa': [41.1466, -8.6110], 'Foz do Douro|Foz': [41.1500, -8.6750],
+      'Vila Nova de Gaia|Gaia': [41.1370, -8.6140], 'Boavista': [41.1580, -8.6290], 'Cedofeita': [41.1530, -8.6200]
+    },
+    places: {
+      'Livraria Lello|Lello': [41.1469, -8.6149], 'Torre dos Clérigos|Clérigos': [41.1458, -8.6140],
+      'Ponte Dom Luís|Ponte Luís I': [41.1399, -8.6094], 'Palácio da Bolsa': [41.1413, -8.6156],
+      'Estação de São Bento|São Bento': [41.1456, -8.6104], 'Casa da Música': [41.1589, -8.6307],
+      'Serralves': [41.1596, -8.6597], 'Mercado do Bolhão|Bolhão': [41.1494, -8.6071]
+    }
+  },
+  {
+    names: 'Madri|Madrid', at: [40.4168, -3.7038],
+    areas: {
+      'Sol|Puerta del Sol': [40.4169, -3.7035], 'La Latina': [40.4110, -3.7090], 'Malasaña': [40.4260, -3.7050],
+      'Chueca': [40.4225, -3.6970], 'Salamanca': [40.4300, -3.6800], 'Lavapiés': [40.4088, -3.7010], 'Huertas|Barrio de las Letras': [40.4140, -3.6990]
+    },
+    places: {
+      'Museo del Prado|Museu do Prado|Prado': [40.4138, -3.6921], 'Palacio Real|Palácio Real': [40.4180, -3.7143],
+      'Parque del Retiro|Retiro': [40.4153, -3.6845], 'Plaza Mayor': [40.4155, -3.7074], 'Reina Sofía': [40.4086, -3.6943],
+      'Mercado de San Miguel': [40.4154, -3.7090], 'Templo de Debod': [40.4240, -3.7177], 'Santiago Bernabéu|Bernabéu': [40.4531, -3.6883],
+      'Gran Vía': [40.4200, -3.7050], 'Thyssen': [40.4160, -3.6949]
+    }
+  },
+  {
+    names: 'Barcelona', at: [41.3874, 2.1686],
+    areas: {
+      'Barri Gòtic|Bairro Gótico|Gótico': [41.3833, 2.1777], 'El Born|Born': [41.3851, 2.1825], 'Eixample': [41.3930, 2.1620],
+      'Gràcia': [41.4036, 2.1567], 'Barceloneta': [41.3809, 2.1897], 'El Raval|Raval': [41.3797, 2.1682], 'Poblenou': [41.4010, 2.2000]
+    },
+    places: {
+      'Sagrada Família|Sagrada Familia': [41.4036, 2.1744], 'Park Güell|Parque Güell': [41.4145, 2.1527],
+      'Casa Batlló': [41.3916, 2.1649], 'Casa Milà|La Pedrera': [41.3954, 2.1619], 'La Rambla|Las Ramblas': [41.3818, 2.1730],
+      'Boqueria': [41.3817, 2.1716], 'Montjuïc|Montjuic': [41.3636, 2.1580], 'Camp Nou|Spotify Camp Nou': [41.3809, 2.1228],
+      'Museu Picasso|Museo Picasso': [41.3852, 2.1809], 'Catedral de Barcelona': [41.3839, 2.1762], 'Bunkers del Carmel|Bunkers': [41.4194, 2.1617]
+    }
+  },
+  {
+    names: 'Paris', at: [48.8566, 2.3522],
+    areas: {
+      'Le Marais|Marais': [48.8590, 2.3620], 'Montmartre': [48.8867, 2.3431], 'Quartier Latin|Bairro Latino|Barrio Latino': [48.8493, 2.3470],
+      'Saint-Germain|Saint Germain des Prés': [48.8540, 2.3330], 'Champs-Élysées|Champs Elysees': [48.8698, 2.3075],
+      'Île de la Cité|Ile de la Cite': [48.8546, 2.3477], 'Trocadéro': [48.8616, 2.2893], 'Opéra|Opera': [48.8720, 2.3316],
+      'Canal Saint-Martin': [48.8710, 2.3650], 'La Défense': [48.8924, 2.2360]
+    },
+    places: {
+      'Torre Eiffel|Tour Eiffel|Eiffel Tower': [48.8584, 2.2945], 'Louvre': [48.8606, 2.3376],
+      'Notre-Dame|Notre Dame': [48.8530, 2.3499], 'Arco do Triunfo|Arc de Triomphe|Arco del Triunfo': [48.8738, 2.2950],
+      'Sacré-Cœur|Sacre Coeur|Sagrado Coração': [48.8867, 2.3431], "Musée d'Orsay|Orsay": [48.8600, 2.3266],
+      'Centre Pompidou|Pompidou': [48.8607, 2.3522], 'Jardin du Luxembourg|Jardim de Luxemburgo|Luxembourg': [48.8462, 2.3372],
+      'Sainte-Chapelle': [48.8554, 2.3450], 'Panthéon': [48.8462, 2.3464], 'Versailles|Versalhes': [48.8049, 2.1204],
+      'Galeries Lafayette': [48.8737, 2.3320], 'Jardin des Tuileries|Tuileries': [48.8635, 2.3275], 'Disneyland Paris': [48.8722, 2.7758]
+    }
+  },
+  {
+    names: 'Roma|Rome', at: [41.9028, 12.4964],
+    areas: {
+      'Trastevere': [41.8897, 12.4695], 'Centro Storico|Centro Histórico': [41.8986, 12.4769], 'Monti': [41.8950, 12.4930],
+      'Testaccio': [41.8765, 12.4757], 'Prati': [41.9070, 12.4620], 'Vaticano|Vatican': [41.9029, 12.4534]
+    },
+    places: {
+      'Coliseu|Colosseo|Colosseum|Coliseo': [41.8902, 12.4922], 'Fórum Romano|Foro Romano|Roman Forum': [41.8925, 12.4853],
+      'Panteão|Pantheon|Panteón': [41.8986, 12.4769], 'Fontana di Trevi|Fonte de Trevi|Trevi': [41.9009, 12.4833],
+      'Basílica de São Pedro|San Pietro|St Peter': [41.9022, 12.4539], 'Museus Vaticanos|Musei Vaticani|Vatican Museums|Capela Sistina|Sistine': [41.9065, 12.4536],
+      'Piazza Navona|Praça Navona': [41.8992, 12.4731], 'Piazza di Spagna|Escadaria da Praça de Espanha|Spanish Steps': [41.9060, 12.4828],
+      'Villa Borghese|Galleria Borghese': [41.9142, 12.4923], 'Castel Sant Angelo|Castelo de Santo Ângelo': [41.9031, 12.4663],
+      'Palatino|Palatine': [41.8894, 12.4875], 'Campo de Fiori': [41.8956, 12.4722]
+    }
+  },
+  {
+    names: 'Florença|Florence|Firenze|Florencia', at: [43.7696, 11.2558],
+    areas: { 'Oltrarno': [43.7650, 11.2490], 'Santa Croce': [43.7686, 11.2620], 'San Lorenzo': [43.7750, 11.2540] },
+    places: {
+      'Duomo|Santa Maria del Fiore': [43.7731, 11.2560], 'Uffizi': [43.7687, 11.2553], 'Ponte Vecchio': [43.7680, 11.2531],
+      'Galleria dell Accademia|Galeria da Academia|Davi': [43.7768, 11.2586], 'Piazzale Michelangelo': [43.7629, 11.2650],
+      'Palazzo Pitti|Jardim de Boboli|Boboli': [43.7651, 11.2500], 'Piazza della Signoria|Palazzo Vecchio': [43.7696, 11.2558]
+    }
+  },
+  {
+    names: 'Londres|London', at: [51.5074, -0.1278],
+    areas: {
+      'Westminster': [51.4975, -0.1357], 'Soho': [51.5136, -0.1365], 'Covent Garden': [51.5117, -0.1240],
+      'Camden': [51.5390, -0.1426], 'Shoreditch': [51.5260, -0.0780], 'South Bank': [51.5055, -0.1160],
+      'Notting Hill': [51.5090, -0.1960], 'Kensington': [51.4990, -0.1930], 'Greenwich': [51.4826, -0.0077], 'The City|City of London': [51.5155, -0.0922]
+    },
+    places: {
+      'Big Ben|Parlamento|Houses of Parliament': [51.5007, -0.1246], 'London Eye': [51.5033, -0.1196],
+      'Torre de Londres|Tower of London': [51.5081, -0.0759], 'Tower Bridge': [51.5055, -0.0754],
+      'British Museum|Museu Britânico': [51.5194, -0.1270], 'Palácio de Buckingham|Buckingham': [51.5014, -0.1419],
+      'Tate Modern': [51.5076, -0.0994], 'Hyde Park': [51.5073, -0.1657], 'Abadia de Westminster|Westminster Abbey': [51.4993, -0.1273],
+      'National Gallery|Trafalgar': [51.5089, -0.1283], 'Borough Market': [51.5055, -0.0910],
+      'Natural History Museum|Museu de História Natural': [51.4967, -0.1764], 'St Paul|Catedral de São Paulo': [51.5138, -0.0984],
+      'Camden Market': [51.5415, -0.1466], 'Piccadilly Circus|Piccadilly': [51.5100, -0.1347]
+    }
+  },
+  {
+    names: 'Amsterdã|Amsterdam|Ámsterdam', at: [52.3676, 4.9041],
+    areas: {
+      'Jordaan': [52.3740, 4.8830], 'De Pijp': [52.3540, 4.8940], 'Centrum|Centro': [52.3730, 4.8930],
+      'Museumkwartier|Museumplein': [52.3580, 4.8810], 'Red Light District|De Wallen': [52.3729, 4.8990]
+    },
+    places: {
+      'Rijksmuseum': [52.3600, 4.8852], 'Museu Van Gogh|Van Gogh Museum|Van Gogh': [52.3584, 4.8811],
+      'Casa de Anne Frank|Anne Frank': [52.3752, 4.8840], 'Praça Dam|Dam Square|Dam': [52.3731, 4.8926],
+      'Vondelpark': [52.3580, 4.8686], 'Heineken Experience': [52.3578, 4.8918], 'A Dam Lookout|A Dam': [52.3842, 4.9020]
+    }
+  },
+  {
+    names: 'Berlim|Berlin|Berlín', at: [52.5200, 13.4050],
+    areas: {
+      'Mitte': [52.5200, 13.4050], 'Kreuzberg': [52.4986, 13.4030], 'Prenzlauer Berg': [52.5380, 13.4240],
+      'Friedrichshain': [52.5150, 13.4540], 'Charlottenburg': [52.5160, 13.3040], 'Neukölln': [52.4810, 13.4350]
+    },
+    places: {
+      'Portão de Brandemburgo|Brandenburger Tor|Brandenburg Gate|Puerta de Brandeburgo': [52.5163, 13.3777],
+      'Reichstag': [52.5186, 13.3762], 'East Side Gallery': [52.5050, 13.4397], 'Ilha dos Museus|Museumsinsel|Museum Island': [52.5169, 13.4019],
+      'Checkpoint Charlie': [52.5075, 13.3904], 'Memorial do Holocausto|Holocaust Memorial': [52.5139, 13.3787],
+      'Alexanderplatz|Fernsehturm|Torre de TV': [52.5208, 13.4094], 'Muro de Berlim|Berliner Mauer|Bernauer': [52.5352, 13.3903],
+      'Tiergarten': [52.5145, 13.3501]
+    }
+  },
+  {
+    names: 'Praga|Prague|Praha', at: [50.0755, 14.4378],
+    areas: { 'Cidade Velha|Staré Město|Old Town': [50.0870, 14.4210], 'Malá Strana': [50.0880, 14.4040], 'Vinohrady': [50.0750, 14.4480] },
+    places: {
+      'Ponte Carlos|Charles Bridge|Karlův most': [50.0865, 14.4114], 'Castelo de Praga|Prague Castle|Pražský hrad': [50.0911, 14.4016],
+      'Relógio Astronômico|Astronomical Clock|Orloj': [50.0870, 14.4207], 'Praça Venceslau|Wenceslas': [50.0810, 14.4280]
+    }
+  },
+  {
+    names: 'Tóquio|Tokyo|Tokio', at: [35.6762, 139.6503],
+    areas: {
+      'Shinjuku': [35.6938, 139.7034], 'Shibuya': [35.6580, 139.7016], 'Asakusa': [35.7148, 139.7967], 'Ginza': [35.6717, 139.7650],
+      'Harajuku': [35.6702, 139.7027], 'Akihabara': [35.7023, 139.7745], 'Ueno': [35.7138, 139.7773], 'Roppongi': [35.6628, 139.7314],
+      'Odaiba': [35.6270, 139.7760]
+    },
+    places: {
+      'Senso-ji|Sensoji': [35.7148, 139.7967], 'Tokyo Skytree|Skytree': [35.7101, 139.8107], 'Meiji Jingu|Santuário Meiji|Meiji': [35.6764, 139.6993],
+      'Cruzamento de Shibuya|Shibuya Crossing|Shibuya Scramble': [35.6595, 139.7005], 'Tokyo Tower|Torre de Tóquio': [35.6586, 139.7454],
+      'Tsukiji': [35.6655, 139.7707], 'Palácio Imperial|Imperial Palace': [35.6852, 139.7528], 'teamLab': [35.6491, 139.7898]
+    }
+  },
+  {
+    names: 'Dubai|Dubái', at: [25.2048, 55.2708],
+    areas: { 'Downtown Dubai|Downtown': [25.1972, 55.2744], 'Dubai Marina|Marina': [25.0800, 55.1400], 'Deira': [25.2700, 55.3100], 'Jumeirah': [25.2100, 55.2500] },
+    places: {
+      'Burj Khalifa': [25.1972, 55.2744], 'Dubai Mall': [25.1985, 55.2796], 'Burj Al Arab': [25.1412, 55.1852],
+      'Palm Jumeirah|Palmeira': [25.1124, 55.1390], 'Gold Souk|Souk do Ouro': [25.2700, 55.2970], 'Dubai Frame': [25.2355, 55.3003]
+    }
+  }
+];
+
+// zonas genéricas (a IA às vezes só diz "Centro" ou "Zona Sul"): deslocamento a partir do centro da cidade, em km [norte, leste]
+const ZONES = {
+  'centro|center|centre|downtown|city center|city centre|centro da cidade|centro ciudad|microcentro': [0, 0],
+  'centro historico|bairro antigo|cidade velha|old town|historic center|historic centre|casco antiguo|casco historico|ciudad vieja': [0.6, -0.6],
+  'zona norte|north|norte|northside': [4, 0],
+  'zona sul|south|sur|sul|southside': [-4, 0],
+  'zona leste|east|leste|este|eastside': [0, 4.5],
+  'zona oeste|west|oeste|westside': [0, -4.5],
+  'orla|beira mar|waterfront|seafront|costanera|malecon|praia|beach|playa': [-2, 2.5],
+  'distrito das artes|arts district|distrito de las artes|bairro boemio': [1.8, 1.5],
+  'zona hoteleira|zona hotelera|hotel zone|hotel district': [-1.2, 2.2]
+};
+
+// raio do deslocamento determinístico (km) por precisão: pontos conhecidos ficam onde estão
+const JITTER_KM = { place: 0, neighborhood: 0.35, zone: 1, city: 1.5 };
+
+const splitKeys = (s) => s.split('|').map(normalizeKey).filter(Boolean);
+const entriesOf = (obj = {}) => Object.entries(obj).flatMap(([keys, at]) => splitKeys(keys).map(key => ({ key, at })));
+// mais longo primeiro: "barra da tijuca" ganha de "barra"
+const byLength = (a, b) => b.key.length - a.key.length;
+
+const INDEX = CITIES.map(c => ({
+  keys: splitKeys(c.names),
+  label: c.names.split('|')[0],
+  at: c.at,
+  areas: entriesOf(c.areas).sort(byLength),
+  places: entriesOf(c.places).sort(byLength)
+}));
+const ZONE_INDEX = entriesOf(ZONES).sort(byLength);
+
+const hasWords = (text, key) => ` ${text} `.includes(` ${key} `);
+
+// "Lisboa, Portugal" / "Paris (França)" / "Roma → Florença" → primeira cidade conhecida
+function findCity(city) {
+  const full = normalizeKey(city);
+  if (!full) return null;
+  const head = normalizeKey(String(city).split(/[,(→/]/)[0]);
+  return INDEX.find(c => c.keys.includes(full))
+    || INDEX.find(c => c.keys.includes(head))
+    || INDEX.find(c => c.keys.some(k => k.length > 3 && hasWords(full, k)))
+    || null;
+}
+
+const KM_PER_DEG = 111.32;
+const round5 = (n) => Math.round(n * 1e5) / 1e5;
+function offset([lat, lon], northKm, eastKm) {
+  return [lat + northKm / KM_PER_DEG, lon + eastKm / (KM_PER_DEG * Math.cos((lat * Math.PI) / 180))];
+}
+// ponto dentro de um círculo de raio maxKm, sempre o mesmo para o mesmo nome
+function jitter(at, seed, maxKm) {
+  if (!maxKm) return at;
+  const h = hashStr(seed);
+  const angle = ((h % 360) * Math.PI) / 180;
+  const r = maxKm * Math.sqrt(((h >>> 9) % 1000) / 1000);
+  return offset(at, r * Math.cos(angle), r * Math.sin(angle));
+}
+
+/**
+ * Uma consulta { name, neighborhood?, city } → { lat, lon, precision, matched } ou null (cidade fora da base).
+ */
+export function lookupGazetteer({ name = '', neighborhood = '', city = '' } = {}) {
+  const c = findCity(city);
+  if (!c) return null;
+  const n = normalizeKey(name);
+  const hood = normalizeKey(neighborhood);
+  const match = (list, ...texts) => list.find(e => texts.some(t => t && (hasWords(t, e.key) || t === e.key)));
+
+  let hit = null;
+  let precision = 'city';
+  const place = match(c.places, n);
+  const area = place ? null : match(c.areas, hood, n);
+  const zone = place || area ? null : match(ZONE_INDEX, hood);
+  if (place) { hit = { at: place.at, key: place.key }; precision = 'place'; }
+  else if (area) { hit = { at: area.at, key: area.key }; precision = 'neighborhood'; }
+  else if (zone) { hit = { at: offset(c.at, ...zone.at), key: zone.key }; precision = 'zone'; }
+
+  const at = jitter(hit?.at || c.at, `${c.label}|${n}|${hood}`, JITTER_KM[precision]);
+  return { lat: round5(at[0]), lon: round5(at[1]), precision, matched: hit ? hit.key : c.keys[0] };
+}
+
+export function createGazetteerGeocoder() {
+  return {
+    name: 'gazetteer',
+    label: 'Base local (aproximada)',
+    async geocode(queries) {
+      return queries.map(q => {
+        const r = lookupGazetteer(q);
+        return r && { lat: r.lat, lon: r.lon, precision: r.precision };
+      });
+    }
+  };
+}
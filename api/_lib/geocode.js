@@ -0,0 +1,147 @@
+// /api/_lib/geocode.js
+// Coordenadas das atrações, refeições e hospedagens do roteiro, atrás de um geocodificador trocável:
+//   GEOCODER   gazetteer (padrão; base local embutida, sem rede — gazetteer.js) | none
+// Um geocodificador é { name, label, geocode(queries, { reqId }) → [{ lat, lon, precision } | null] }, uma resposta por
+// consulta, na mesma ordem; query = { name, neighborhood, city }; precision = place | neighborhood | zone | city.
+// dayGeoJson() monta um FeatureCollection por dia (RFC 7946: coordenadas em [lon, lat]) para o mapa do front.
+
+import { env, log, logError } from './util.js';
+import { createGazetteerGeocoder } from './gazetteer.js';
+
+const GEOCODERS = {
+  gazetteer: createGazetteerGeocoder,
+  none: () => null
+};
+
+let cached = null;
+
+/** Geocodificador de GEOCODER (null = desativado). */
+export function getGeocoder() {
+  if (cached) return cached.geocoder;
+  const kind = env('GEOCODER', 'gazetteer').toLowerCase();
+  const factory = GEOCODERS[kind];
+  const geocoder = factory
+    ? factory()
+    : { name: kind, configError: `GEOCODER desconhecido: ${kind} (use ${Object.keys(GEOCODERS).join(' | ')}).` };
+  if (geocoder?.configError) logError('geocoder', geocoder.configError);
+  cached = { geocoder };
+  return geocoder;
+}
+
+/* ----------------------- roteiro ----------------------- */
+
+// cada item geocodificável com a cidade em que está (dia → cidade do dia; lista → cidade do item)
+function itemsOf(it) {
+  const dest = it.destination || '';
+  const out = [];
+  for (const key of ['attractions', 'food', 'lodging']) {
+    for (const p of it[key] || []) out.push({ item: p, city: p.city || dest });
+  }
+  for (const d of it.days || []) {
+    for (const s of [...d.attractions, ...d.meals]) out.push({ item: s, city: d.city || dest });
+  }
+  return out;
+}
+
+const queryKey = (q) => `${q.city}|${q.name}|${q.neighborhood}`.toLowerCase();
+
+/**
+ * Acrescenta geo = { lat, lon, precision, source } em cada atração, refeição e hospedagem do roteiro (no próprio objeto).
+ * Itens sem resultado ficam sem "geo". Nunca lança: falha do geocodificador só deixa o roteiro sem coordenadas.
+ * @returns {Promise<{ provider: string|null, located: number, total: number, error?: string }>}
+ */
+export async function geocodeItinerary(it, { reqId = '-', geocoder = getGeocoder() } = {}) {
+  const items = it ? itemsOf(it) : [];
+  if (!geocoder || geocoder.configError || !items.length) {
+    return { provider: geocoder?.name || null, located: 0, total: items.length, ...(geocoder?.configError ? { error: geocoder.configError } : {}) };
+  }
+  // o mesmo lugar aparece na lista de atrações e num dia: uma consulta só
+  const unique = new Map();
+  for (const { item, city } of items) {
+    const q = { name: item.name, neighborhood: item.neighborhood || '', city };
+    if (!unique.has(queryKey(q))) unique.set(queryKey(q), q);
+  }
+  const queries = [...unique.values()];
+  let results;
+  try {
+    results = await geocoder.geocode(queries, { reqId });
+  } catch (e) {
+    logError(`[${reqId}] geocode ${geocoder.name} erro`, String(e?.message || e));
+    return { provider: geocoder.name, located: 0, total: items.length, error: String(e?.message || e) };
+  }
+  const byKey = new Map(queries.map((q, i) => [queryKey(q), results?.[i]]));
+  let located = 0;
+  for (const { item, city } of items) {
+    const r = byKey.get(queryKey({ name: item.name, neighborhood: item.neighborhood || '', city }));
+    delete item.geo;
+    if (r && Number.isFinite(r.lat) && Number.isFinite(r.lon)) {
+      item.geo = { lat: r.lat, lon: r.lon, precision: r.precision || 'city', source: geocoder.name };
+      located++;
+    }
+  }
+  log(`[${reqId}] geocode`, { provider: geocoder.name, consultas: queries.length, localizados: located, total: items.length });
+  return { provider: geocoder.name, located, total: items.length };
+}
+
+// replacer de JSON.stringify: o roteiro que volta para a IA (refinar/regenerar) vai sem as coordenadas e os
+// deslocamentos de route.js — são recalculados a cada versão
+const DERIVED_KEYS = new Set(['geo', 'travel', 'route']);
+export const omitGeo = (key, value) => (DERIVED_KEYS.has(key) ? undefined : value);
+
+/* ----------------------- GeoJSON ----------------------- */
+
+const point = (geo, properties) => ({ type: 'Feature', geometry: { type: 'Point', coordinates: [geo.lon, geo.lat] }, properties });
+
+function bboxOf(coords) {
+  if (!coords.length) return undefined;
+  const lons = coords.map(c => c[0]), lats = coords.map(c => c[1]);
+  return [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)];
+}
+
+// hospedagem do dia: a primeira com coordenadas na cidade do dia (ou a primeira da lista, sem várias cidades)
+export function lodgingFor(it, day) {
+  const list = (it.lodging || []).filter(p => p.geo);
+  return (day.city ? list.find(p => p.city === day.city) : null) || (it.stops?.length ? null : list[0]) || null;
+}
+
+/**
+ * Um FeatureCollection por dia: hospedagem, atrações e refeições (Point, em ordem de horário, com "order" e os minutos
+ * de deslocamento desde a parada anterior) e o trajeto do dia a partir da hospedagem (LineString). Itens sem coordenadas
+ * ficam de fora; "properties" do FeatureCollection traz o dia (membro estrangeiro permitido pela RFC 7946).
+ */
+export function dayGeoJson(it) {
+  return (it?.days || []).map(d => {
+    const slots = [...d.attractions, ...d.meals]
+      .filter(s => s.geo)
+      .sort((a, b) => (a.start || '99:99').localeCompare(b.start || '99:99'));
+    const features = [];
+    const hotel = lodgingFor(it, d);
+    if (hotel) {
+      features.push(point(hotel.geo, {
+        day: d.day, type: 'lodging', name: hotel.name, neighborhood: hotel.neighborhood || null,
+        category: hotel.category || null, precision: hotel.geo.precision
+      }));
+    }
+    slots.forEach((s, i) => features.push(point(s.geo, {
+      day: d.day, type: s.type, meal: s.meal || null, order: i + 1, name: s.name, neighborhood: s.neighborhood || null,
+      start: s.start || null, end: s.end || null, precision: s.geo.precision,
+      travel_min: s.travel?.minutes ?? null, travel_mode: s.travel?.mode || null
+    })));
+    const route = [...(hotel ? [hotel] : []), ...slots].map(s => [s.geo.lon, s.geo.lat]);
+    if (route.length > 1) {
+      features.push({ type: 'Feature', geometry: { type: 'LineString', coordinates: route }, properties: { day: d.day, type: 'route' } });
+    }
+    return {
+      type: 'FeatureCollection',
+      bbox: bboxOf(features.filter(f => f.geometry.type === 'Point').map(f => f.geometry.coordinates)),
+      properties: { day: d.day, date: d.date || null, title: d.title || null, city: d.city || null, travel_min: d.route?.travel_min ?? null },
+      features
+    };
+  });
+}
+
+/** Bloco "geo" da resposta: provedor, quantos itens ganharam coordenadas e o mapa de cada dia. */
+export function itineraryGeo(it, stats = {}) {
+  if (!it) return undefined;
+  return { provider: stats.provider || null, located: stats.located ?? 0, total: stats.total ?? 0, days: dayGeoJson(it) };
+}
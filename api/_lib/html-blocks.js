@@ -0,0 +1,119 @@
+// /api/_lib/html-blocks.js
+// Fragmento HTML do roteiro (saída do sanitizeHtml) → lista de blocos com texto rico, base das exportações
+// em PDF (pdf-roteiro.js) e Markdown (markdown.js). Runs de texto: { text, bold?, italic?, small?, url? } ou { br: true }.
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+const decodeEntities = (s) => s.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (m, e) => {
+  if (e[0] === '#') return String.fromCodePoint(e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+  return ENTITIES[e.toLowerCase()] ?? m;
+});
+
+const TOKEN = /<(\/?)([a-z][a-z0-9]*)\b([^>]*)>|([^<]+)/gi;
+const attr = (attrs, name) => new RegExp(`\\b${name}="([^"]*)"`, 'i').exec(attrs)?.[1] ?? null;
+
+const INLINE = { strong: { bold: true }, b: { bold: true }, em: { italic: true }, i: { italic: true }, small: { small: true }, span: {}, code: {} };
+
+/**
+ * Fragmento HTML → blocos:
+ *   { type: 'heading', level, runs, day? } · { type: 'para', runs, quote? } · { type: 'li', runs, depth, marker }
+ *   { type: 'table', rows: [{ cells: [runs], header }] } · { type: 'hr' } · { type: 'break' }
+ * "break" marca o início da seção de dias e de cada <div class="day"> depois do primeiro (página nova no PDF).
+ */
+export function htmlToBlocks(html = '') {
+  const blocks = [];
+  const inline = [];
+  const lists = [];
+  let cur = null, table = null, row = null, cell = null, inHead = false;
+  let dayOpen = false, daysSeen = 0;
+
+  const style = () => Object.assign({}, ...inline.map(x => x.style));
+  const flush = () => {
+    if (cur && cur.runs.some(r => r.br || r.text.trim())) blocks.push(cur);
+    cur = null;
+  };
+  const open = (b) => { flush(); cur = b; };
+  const runs = () => cell || (table ? null : (cur ||= { type: 'para', runs: [] }).runs);
+
+  for (const m of String(html).matchAll(TOKEN)) {
+    const [, closing, rawTag, attrs = '', text] = m;
+    if (text !== undefined) {
+      const target = runs();
+      const s = decodeEntities(text.replace(/\s+/g, ' '));
+      if (target && s) target.push({ text: s, ...style() });
+      continue;
+    }
+    const tag = rawTag.toLowerCase();
+
+    if (INLINE[tag] || tag === 'a') {
+      if (closing) {
+        const i = inline.map(x => x.tag).lastIndexOf(tag);
+        if (i >= 0) inline.splice(i, 1);
+      } else {
+        inline.push({ tag, style: tag === 'a' ? { url: decodeEntities(attr(attrs, 'href') || '') } : INLINE[tag] });
+      }
+      continue;
+    }
+    if (tag === 'br') { runs()?.push({ br: true }); continue; }
+
+    if (closing) {
+      switch (tag) {
+        case 'ul': case 'ol': flush(); lists.pop(); break;
+        case 'th': case 'td': cell = null; break;
+        case 'tr':
+          if (row?.cells.length) table?.rows.push({ cells: row.cells, header: row.header || row.th === row.cells.length });
+          row = null;
+          break;
+        case 'thead': inHead = false; break;
+        case 'table':
+          if (table?.rows.length) blocks.push({ type: 'table', rows: table.rows });
+          table = null;
+          break;
+        default: flush();
+      }
+      continue;
+    }
+
+    switch (tag) {
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+        open({ type: 'heading', level: Number(tag[1]), runs: [], day: dayOpen && tag === 'h3' });
+        if (tag === 'h3') dayOpen = false;
+        break;
+      case 'p': case 'blockquote':
+        open({ type: 'para', runs: [], quote: tag === 'blockquote' });
+        break;
+      case 'ul': case 'ol':
+        flush();
+        lists.push({ ordered: tag === 'ol', n: Number(attr(attrs, 'start')) || 1 });
+        break;
+      case 'li': {
+        const list = lists[lists.length - 1];
+        open({ type: 'li', runs: [], depth: Math.max(0, lists.length - 1), marker: list?.ordered ? `${list.n++}.` : '•' });
+        break;
+      }
+      case 'table': flush(); table = { rows: [] }; break;
+      case 'thead': inHead = true; break;
+      case 'tr': row = { cells: [], header: inHead, th: 0 }; break;
+      case 'th': case 'td':
+        row ||= { cells: [], header: inHead, th: 0 };
+        if (tag === 'th') row.th++;
+        cell = [];
+        row.cells.push(cell);
+        break;
+      case 'hr': flush(); blocks.push({ type: 'hr' }); break;
+      case 'section':
+        flush();
+        if (attr(attrs, 'data-section') === 'days') blocks.push({ type: 'break' });
+        break;
+      case 'div':
+        flush();
+        if (/\bday\b/.test(attr(attrs, 'class') || '')) {
+          if (daysSeen++) blocks.push({ type: 'break' });
+          dayOpen = true;
+        }
+        break;
+      default: flush();
+    }
+  }
+  flush();
+  return blocks;
+}
@@ -0,0 +1,570 @@
+// /api/_lib/i18n.js
+// Idioma do roteiro (campo "idioma"): textos gerados no servidor (resumo, seções, e-mail, agenda) e formatação
+// de números/datas. O código também serve de locale do Intl ('pt-BR', 'en', 'es').
+
+export const DEFAULT_IDIOMA = 'pt-BR';
+
+// prompt: como pedir o idioma à IA (o prompt continua em português)
+export const IDIOMAS = {
+  'pt-BR': { name: 'Português (Brasil)', prompt: 'PT-BR' },
+  en: { name: 'English', prompt: 'inglês (English)' },
+  es: { name: 'Español', prompt: 'espanhol (español)' }
+};
+
+/**
+ * "pt", "pt_br", "EN-us", "es-AR"… → código suportado; vazio → DEFAULT_IDIOMA; desconhecido → null.
+ */
+export function parseIdioma(v) {
+  const s = String(v ?? '').trim().toLowerCase().replace('_', '-');
+  if (!s) return DEFAULT_IDIOMA;
+  const lang = s.split('-')[0];
+  if (lang === 'pt') return 'pt-BR';
+  return IDIOMAS[lang] ? lang : null;
+}
+
+const plural = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+
+const MESSAGES = {
+  'pt-BR': {
+    'section.summary': '0. Resumo do Planejamento',
+    'section.overview': '1. Visão Geral',
+    'section.attractions': '2. Atrações Imperdíveis',
+    'section.food': '3. Onde comer & beber',
+    'section.lodging': '4. Hospedagem Recomendada',
+    'section.transport': '5. Transporte Local',
+    'section.days': '6. Roteiro Dia a Dia',
+    'section.budget': '7. Orçamento Resumido',
+    'section.sources': 'Fontes consultadas',
+
+    'place.duration': 'Tempo médio',
+    'place.best_time': 'Melhor horário',
+    'place.source': 'Fonte',
+    'price.free': 'Grátis',
+    'meal.ticket': 'ticket médio',
+    'meal.cafe': 'Café da manhã',
+    'meal.almoco': 'Almoço',
+    'meal.lanche': 'Lanche',
+    'meal.jantar': 'Jantar',
+    'meal.any': 'Refeição',
+    'day': 'Dia',
+    'day.transfer': 'Deslocamento',
+    'day.attractions': 'Atrações do dia (refeições NÃO contam)',
+    'day.meals': 'Pausas para refeições (não contam como atração)',
+    'day.costs': 'Resumo de custos do dia',
+    'route.walk': (m) => `chegada: ~${m} min a pé`,
+    'route.transit': (m) => `chegada: ~${m} min de transporte`,
+    'route.summary': ({ total, saved }) => `Deslocamentos do dia: ~${total} min${saved > 0 ? ` (ordem otimizada, ${saved} min a menos)` : ''}.`,
+    'cost.attractions': 'Atrações',
+    'cost.meals': 'Refeições',
+    'col.category': 'Categoria',
+    'col.per_person': 'Por pessoa',
+    'col.group': (n) => `Grupo ${n}`,
+    'col.city': 'Cidade',
+    'col.nights': 'Noites',
+    'col.days': 'Dias',
+    'col.local_currency': 'Moeda local',
+    'col.item': 'Item',
+    'col.subtotal_day': 'Subtotal/Dia',
+    'col.metric': 'Métrica',
+    'col.value': 'Valor',
+    'col.field': 'Campo',
+    'budget.table1': 'Tabela 1 — Custos por dia (faixas)',
+    'budget.table2': 'Tabela 2 — Quadro-resumo do grupo',
+
+    'sum.route': 'Trajeto',
+    'sum.country': 'País',
+    'sum.countries': 'Países',
+    'sum.destination': 'Destino',
+    'sum.region_type': 'Tipo de região',
+    'sum.days': 'Dias',
+    'sum.people': 'Pessoas',
+    'sum.profile': 'Perfil',
+    'sum.style': 'Estilo',
+    'sum.budget_total': 'Orçamento total',
+    'sum.budget_pp': 'Orçamento por pessoa',
+    'sum.base_currency': 'Moeda base',
+    'sum.local_currency': 'Moeda local',
+    'sum.local_currencies': 'Moedas locais',
+    'sum.rate': 'Taxa utilizada',
+    'sum.rate_short': 'Taxa usada',
+    'sum.rate_code': (code) => `Taxa ${code}`,
+    'sum.web_search': 'Pesquisa na web',
+    'sum.web_search_on': 'Ativada (Responses API)',
+    'sum.budget_check': 'Conferência do orçamento',
+    'sum.depart': 'Ida',
+    'sum.return': 'Volta',
+    'sum.origin': 'Origem',
+    'nights': (n) => plural(n, 'noite', 'noites'),
+    'region.city': 'Cidade',
+    'region.state': 'Estado',
+    'region.country': 'País',
+    'region.region': 'Região',
+    'currency.symbol': 'símbolo',
+
+    'fx.no_conversion': 'sem conversão',
+    'fx.unavailable': ({ base, quote }) => `Cotação ${base}→${quote} indisponível — valores apenas em ${base}`,
+    'fx.unavailable_short': ({ base, quote }) => `Cotação ${base}→${quote} indisponível`,
+    'fx.now': 'agora',
+    'fx.ago_min': (n) => `há ${n} min`,
+    'fx.ago_h': (n) => `há ${n} h`,
+    'fx.ago_days': (n) => `há ${n} dias`,
+    'fx.checked': (txt) => `consultada ${txt}`,
+    'fx.stale': 'desatualizada',
+
+    'budget.no_declared': 'Sem orçamento declarado para comparar.',
+    'budget.no_prices': 'O roteiro não trouxe preços suficientes para conferir o orçamento.',
+    'budget.within': ({ total }) => `Dentro do orçamento (estimativa ${total} para o grupo).`,
+    'budget.over': ({ amount, pct }) => `Acima do orçamento em ${amount} (${pct}%).`,
+    'budget.under': ({ amount, pct }) => `Abaixo do orçamento em ${amount} (${pct}%).`,
+    'est.days': 'Atrações e refeições (dias)',
+    'est.transfers': (n) => `Deslocamentos entre cidades (${n})`,
+    'est.lodging': (n) => `Hospedagem (${n} noite(s))`,
+    'est.transport': (n) => `Transporte local (${n} dia(s))`,
+    'est.flights': 'Passagens (menor tarifa encontrada)',
+
+    'mail.subject': ({ destino, brand }) => `Roteiro • ${destino} • ${brand}`,
+    'mail.summary': 'Resumo do planejamento',
+    'mail.itinerary': 'Roteiro',
+    'mail.open': 'Abrir este roteiro no navegador',
+    'mail.footer': (brand) => `Gerado automaticamente por ${brand}. Valores são estimativas e podem variar conforme data e disponibilidade.`,
+    'mail.ics': 'O arquivo .ics em anexo coloca os horários da viagem no seu calendário.',
+    'mail.pdf': 'O PDF em anexo traz o roteiro completo para imprimir ou ler sem internet.',
+
+    'flights.out': (hm) => `ida ${hm}`,
+    'flights.back': (hm) => `volta ${hm}`,
+    'flights.note_market': (market) => `Resultados a partir do cache do mercado ${market}.`,
+    'flights.note_fixture': 'Tarifas fictícias do provedor fixture (sem rede).',
+    'flights.note_fallback': 'Round-trip vazio ou >30d: usando rota expandida (city/airports) e flex de data ±1 para ida/volta.',
+    'flights.note_filtered': (n) => `${n} oferta(s) fora dos filtros foram descartadas.`,
+    'flights.note_flex': ({ window, provider }) => `Menor tarifa ida+volta por combinação de datas (±${window} dias), de ${provider}.`,
+    'flights.note_flex_empty': (window) => `Sem tarifas para ±${window} dias dessas datas.`,
+    'flights.note_open_jaw': ({ to, from }) => `Open-jaw: ida para ${to}, volta saindo de ${from} (tarifas só de ida somadas).`,
+    'flights.no_iata': 'Não foi possível resolver IATA de origem ou destino.',
+    'flights.no_iata_leg': 'Não foi possível resolver IATA do trecho.',
+    'flights.failed': 'Falha ao buscar passagens.',
+    'flights.flex_failed': 'Falha ao consultar o calendário de tarifas.',
+
+    'alert.subject': ({ route, price, brand }) => `✈️ ${route}: passagem por ${price} — ${brand}`,
+    'alert.dates': ({ from, to }) => `${from} a ${to}`,
+    'alert.target': (price) => `chegou ao seu preço alvo de ${price}`,
+    'alert.drop': ({ pct, before }) => `caiu ${pct}% (antes ${before})`,
+    'alert.lead': (why) => `A tarifa mais barata ${why}:`,
+    'alert.lead_text': ({ route, dates, why }) => `A tarifa mais barata de ${route} (${dates}) ${why}:`,
+    'alert.offer': 'Ver oferta',
+    'alert.disclaimer': 'Preços em cache dos provedores de passagens; confirme no site da companhia antes de comprar.',
+    'alert.cancel': 'Cancelar este alerta',
+    'alert.cancel_text': 'Parar de receber este alerta',
+    'alert.confirm_subject': ({ route, brand }) => `Confirme seu alerta de preço ${route} — ${brand}`,
+    'alert.confirm_intro': ({ route, dates }) => `Recebemos um pedido para avisar este endereço quando a passagem ${route} (${dates}) baixar.`,
+    'alert.confirm_button': 'Confirmar alerta',
+    'alert.confirm_ignore': 'Se não foi você, ignore este e-mail: sem a confirmação nenhum aviso é enviado.',
+    'alert.page_back': 'Voltar ao site',
+    'alert.page_not_found': 'Alerta não encontrado',
+    'alert.page_not_found_msg': 'O link pode estar incompleto ou o alerta já foi removido.',
+    'alert.page_confirm_msg': (route) => `Confirme para receber por e-mail os avisos de preço de ${route}.`,
+    'alert.page_confirmed': 'Alerta confirmado',
+    'alert.page_confirmed_msg': (route) => `Vamos avisar quando a passagem ${route} baixar. Cada e-mail traz o link para cancelar.`,
+    'alert.page_gone': 'Este alerta não pode mais ser confirmado',
+    'alert.page_gone_msg': 'Ele foi cancelado ou a data da viagem já passou.',
+    'alert.page_cancel_msg': (route) => `Você deixará de receber os avisos de preço de ${route}.`,
+    'alert.page_canceled': 'Alerta cancelado',
+    'alert.page_canceled_msg': (route) => `Você não vai mais receber avisos de preço de ${route}.`,
+
+    'pdf.title': 'Roteiro de viagem',
+    'pdf.days': (n) => plural(n, 'dia', 'dias'),
+    'pdf.people': (n) => plural(n, 'pessoa', 'pessoas'),
+    'pdf.generated': ({ date, brand }) => `Gerado em ${date} por ${brand}`,
+    'pdf.online': 'Abrir a versão on-line deste roteiro',
+    'pdf.page': ({ page, total }) => `Página ${page} de ${total}`,
+    'export.filename': 'roteiro',
+
+    'ics.price_pp': 'Preço por pessoa',
+    'ics.free': 'Gratuito',
+    'ics.cuisine': 'Cozinha',
+    'ics.cheapest': 'Menor tarifa encontrada',
+    'ics.flight': 'Voo',
+    'ics.flight_check': 'Voo — confira horários e tarifas antes de comprar.',
+    'ics.attraction': 'Atração',
+
+    'diff.none': 'Nada mudou no roteiro com este pedido.',
+    'diff.added': 'entrou',
+    'diff.removed': 'saiu',
+    'diff.retimed': (n) => `${n} horário(s) ajustado(s)`,
+    'diff.new_theme': 'novo tema',
+    'diff.overview': 'visão geral revista',
+    'diff.cost': 'custo estimado',
+    'diff.attractions': 'atrações',
+    'diff.food': 'onde comer',
+    'diff.lodging': 'hospedagem',
+    'diff.transport': 'transporte',
+    'diff.section': ({ label, added, removed }) => `${label}: ${added} nova(s), ${removed} removida(s)`
+  },
+
+  en: {
+    'section.summary': '0. Planning Summary',
+    'section.overview': '1. Overview',
+    'section.attractions': '2. Must-See Attractions',
+    'section.food': '3. Where to Eat & Drink',
+    'section.lodging': '4. Recommended Lodging',
+    'section.transport': '5. Local Transportation',
+    'section.days': '6. Day-by-Day Itinerary',
+    'section.budget': '7. Budget Summary',
+    'section.sources': 'Sources',
+
+    'place.duration': 'Average time',
+    'place.best_time': 'Best time',
+    'place.source': 'Source',
+    'price.free': 'Free',
+    'meal.ticket': 'average per person',
+    'meal.cafe': 'Breakfast',
+    'meal.almoco': 'Lunch',
+    'meal.lanche': 'Snack',
+    'meal.jantar': 'Dinner',
+    'meal.any': 'Meal',
+    'day': 'Day',
+    'day.transfer': 'Transfer',
+    'day.attractions': 'Attractions of the day (meals do NOT count)',
+    'day.meals': 'Meal breaks (not counted as attractions)',
+    'day.costs': 'Daily cost summary',
+    'route.walk': (m) => `getting there: ~${m} min on foot`,
+    'route.transit': (m) => `getting there: ~${m} min by transit`,
+    'route.summary': ({ total, saved }) => `Travel time today: ~${total} min${saved > 0 ? ` (optimized order, ${saved} min less)` : ''}.`,
+    'cost.attractions': 'Attractions',
+    'cost.meals': 'Meals',
+    'col.category': 'Category',
+    'col.per_person': 'Per person',
+    'col.group': (n) => `Group of ${n}`,
+    'col.city': 'City',
+    'col.nights': 'Nights',
+    'col.days': 'Days',
+    'col.local_currency': 'Local currency',
+    'col.item': 'Item',
+    'col.subtotal_day': 'Subtotal/day',
+    'col.metric': 'Metric',
+    'col.value': 'Value',
+    'col.field': 'Field',
+    'budget.table1': 'Table 1 — Daily costs (ranges)',
+    'budget.table2': 'Table 2 — Group summary',
+
+    'sum.route': 'Route',
+    'sum.country': 'Country',
+    'sum.countries': 'Countries',
+    'sum.destination': 'Destination',
+    'sum.region_type': 'Region type',
+    'sum.days': 'Days',
+    'sum.people': 'Travelers',
+    'sum.profile': 'Profile',
+    'sum.style': 'Style',
+    'sum.budget_total': 'Total budget',
+    'sum.budget_pp': 'Budget per person',
+    'sum.base_currency': 'Home currency',
+    'sum.local_currency': 'Local currency',
+    'sum.local_currencies': 'Local currencies',
+    'sum.rate': 'Exchange rate used',
+    'sum.rate_short': 'Rate used',
+    'sum.rate_code': (code) => `${code} rate`,
+    'sum.web_search': 'Web search',
+    'sum.web_search_on': 'Enabled (Responses API)',
+    'sum.budget_check': 'Budget check',
+    'sum.depart': 'Departure',
+    'sum.return': 'Return',
+    'sum.origin': 'Origin',
+    'nights': (n) => plural(n, 'night', 'nights'),
+    'region.city': 'City',
+    'region.state': 'State',
+    'region.country': 'Country',
+    'region.region': 'Region',
+    'currency.symbol': 'symbol',
+
+    'fx.no_conversion': 'no conversion',
+    'fx.unavailable': ({ base, quote }) => `${base}→${quote} rate unavailable — amounts in ${base} only`,
+    'fx.unavailable_short': ({ base, quote }) => `${base}→${quote} rate unavailable`,
+    'fx.now': 'just now',
+    'fx.ago_min': (n) => `${n} min ago`,
+    'fx.ago_h': (n) => `${n} h ago`,
+    'fx.ago_days': (n) => `${n} days ago`,
+    'fx.checked': (txt) => `checked ${txt}`,
+    'fx.stale': 'outdated',
+
+    'budget.no_declared': 'No budget declared to compare against.',
+    'budget.no_prices': 'The itinerary does not have enough prices to check the budget.',
+    'budget.within': ({ total }) => `Within budget (estimated ${total} for the group).`,
+    'budget.over': ({ amount, pct }) => `Over budget by ${amount} (${pct}%).`,
+    'budget.under': ({ amount, pct }) => `Under budget by ${amount} (${pct}%).`,
+    'est.days': 'Attractions and meals (days)',
+    'est.transfers': (n) => `Transfers between cities (${n})`,
+    'est.lodging': (n) => `Lodging (${n} night(s))`,
+    'est.transport': (n) => `Local transportation (${n} day(s))`,
+    'est.flights': 'Flights (lowest fare found)',
+
+    'mail.subject': ({ destino, brand }) => `Itinerary • ${destino} • ${brand}`,
+    'mail.summary': 'Planning summary',
+    'mail.itinerary': 'Itinerary',
+    'mail.open': 'Open this itinerary in your browser',
+    'mail.footer': (brand) => `Automatically generated by ${brand}. Prices are estimates and may vary with dates and availability.`,
+    'mail.ics': 'The attached .ics file adds the trip schedule to your calendar.',
+    'mail.pdf': 'The attached PDF has the full itinerary to print or read offline.',
+
+    'flights.out': (hm) => `out ${hm}`,
+    'flights.back': (hm) => `return ${hm}`,
+    'flights.note_market': (market) => `Results from the ${market} market cache.`,
+    'flights.note_fixture': 'Made-up fares from the fixture provider (offline).',
+    'flights.note_fallback': 'No round-trip fares or trip over 30 days: using expanded routes (city/airports) and ±1 day flexibility for each way.',
+    'flights.note_filtered': (n) => `${n} offer(s) outside the filters were discarded.`,
+    'flights.note_flex': ({ window, provider }) => `Cheapest round-trip fare for each pair of dates (±${window} days), from ${provider}.`,
+    'flights.note_flex_empty': (window) => `No fares within ±${window} days of these dates.`,
+    'flights.note_open_jaw': ({ to, from }) => `Open-jaw: outbound to ${to}, return from ${from} (one-way fares added up).`,
+    'flights.no_iata': 'Could not resolve the IATA code of the origin or destination.',
+    'flights.no_iata_leg': 'Could not resolve the IATA codes of this leg.',
+    'flights.failed': 'Flight search failed.',
+    'flights.flex_failed': 'Could not load the fare calendar.',
+
+    'alert.subject': ({ route, price, brand }) => `✈️ ${route}: flight for ${price} — ${brand}`,
+    'alert.dates': ({ from, to }) => `${from} to ${to}`,
+    'alert.target': (price) => `reached your target price of ${price}`,
+    'alert.drop': ({ pct, before }) => `dropped ${pct}% (was ${before})`,
+    'alert.lead': (why) => `The cheapest fare ${why}:`,
+    'alert.lead_text': ({ route, dates, why }) => `The cheapest fare for ${route} (${dates}) ${why}:`,
+    'alert.offer': 'See the offer',
+    'alert.disclaimer': 'Prices cached by the flight providers; check on the airline website before buying.',
+    'alert.cancel': 'Cancel this alert',
+    'alert.cancel_text': 'Stop receiving this alert',
+    'alert.confirm_subject': ({ route, brand }) => `Confirm your price alert ${route} — ${brand}`,
+    'alert.confirm_intro': ({ route, dates }) => `We received a request to e-mail this address when the ${route} fare (${dates}) drops.`,
+    'alert.confirm_button': 'Confirm alert',
+    'alert.confirm_ignore': 'If it was not you, ignore this e-mail: without confirmation no alert is sent.',
+    'alert.page_back': 'Back to the site',
+    'alert.page_not_found': 'Alert not found',
+    'alert.page_not_found_msg': 'The link may be incomplete or the alert was already removed.',
+    'alert.page_confirm_msg': (route) => `Confirm to receive price alerts for ${route} by e-mail.`,
+    'alert.page_confirmed': 'Alert confirmed',
+    'alert.page_confirmed_msg': (route) => `We will let you know when the ${route} fare drops. Every e-mail has a link to cancel.`,
+    'alert.page_gone': 'This alert can no longer be confirmed',
+    'alert.page_gone_msg': 'It was canceled or the travel date has passed.',
+    'alert.page_cancel_msg': (route) => `You will stop receiving price alerts for ${route}.`,
+    'alert.page_canceled': 'Alert canceled',
+    'alert.page_canceled_msg': (route) => `You will no longer receive price alerts for ${route}.`,
+
+    'pdf.title': 'Travel itinerary',
+    'pdf.days': (n) => plural(n, 'day', 'days'),
+    'pdf.people': (n) => plural(n, 'person', 'people'),
+    'pdf.generated': ({ date, brand }) => `Generated on ${date} by ${brand}`,
+    'pdf.online': 'Open the online version of this itinerary',
+    'pdf.page': ({ page, total }) => `Page ${page} of ${total}`,
+    'export.filename': 'itinerary',
+
+    'ics.price_pp': 'Price per person',
+    'ics.free': 'Free',
+    'ics.cuisine': 'Cuisine',
+    'ics.cheapest': 'Lowest fare found',
+    'ics.flight': 'Flight',
+    'ics.flight_check': 'Flight — check times and fares before booking.',
+    'ics.attraction': 'Attraction',
+
+    'diff.none': 'Nothing changed in the itinerary with this request.',
+    'diff.added': 'added',
+    'diff.removed': 'removed',
+    'diff.retimed': (n) => `${n} time(s) adjusted`,
+    'diff.new_theme': 'new theme',
+    'diff.overview': 'overview revised',
+    'diff.cost': 'estimated cost',
+    'diff.attractions': 'attractions',
+    'diff.food': 'where to eat',
+    'diff.lodging': 'lodging',
+    'diff.transport': 'transportation',
+    'diff.section': ({ label, added, removed }) => `${label}: ${added} new, ${removed} removed`
+  },
+
+  es: {
+    'section.summary': '0. Resumen de la planificación',
+    'section.overview': '1. Visión general',
+    'section.attractions': '2. Atracciones imperdibles',
+    'section.food': '3. Dónde comer y beber',
+    'section.lodging': '4. Alojamiento recomendado',
+    'section.transport': '5. Transporte local',
+    'section.days': '6. Itinerario día a día',
+    'section.budget': '7. Presupuesto resumido',
+    'section.sources': 'Fuentes consultadas',
+
+    'place.duration': 'Tiempo medio',
+    'place.best_time': 'Mejor horario',
+    'place.source': 'Fuente',
+    'price.free': 'Gratis',
+    'meal.ticket': 'precio medio',
+    'meal.cafe': 'Desayuno',
+    'meal.almoco': 'Almuerzo',
+    'meal.lanche': 'Merienda',
+    'meal.jantar': 'Cena',
+    'meal.any': 'Comida',
+    'day': 'Día',
+    'day.transfer': 'Traslado',
+    'day.attractions': 'Atracciones del día (las comidas NO cuentan)',
+    'day.meals': 'Pausas para comer (no cuentan como atracción)',
+    'day.costs': 'Resumen de costos del día',
+    'route.walk': (m) => `llegada: ~${m} min a pie`,
+    'route.transit': (m) => `llegada: ~${m} min en transporte`,
+    'route.summary': ({ total, saved }) => `Traslados del día: ~${total} min${saved > 0 ? ` (orden optimizado, ${saved} min menos)` : ''}.`,
+    'cost.attractions': 'Atracciones',
+    'cost.meals': 'Comidas',
+    'col.category': 'Categoría',
+    'col.per_person': 'Por persona',
+    'col.group': (n) => `Grupo de ${n}`,
+    'col.city': 'Ciudad',
+    'col.nights': 'Noches',
+    'col.days': 'Días',
+    'col.local_currency': 'Moneda local',
+    'col.item': 'Ítem',
+    'col.subtotal_day': 'Subtotal/día',
+    'col.metric': 'Métrica',
+    'col.value': 'Valor',
+    'col.field': 'Campo',
+    'budget.table1': 'Tabla 1 — Costos por día (rangos)',
+    'budget.table2': 'Tabla 2 — Resumen del grupo',
+
+    'sum.route': 'Ruta',
+    'sum.country': 'País',
+    'sum.countries': 'Países',
+    'sum.destination': 'Destino',
+    'sum.region_type': 'Tipo de región',
+    'sum.days': 'Días',
+    'sum.people': 'Personas',
+    'sum.profile': 'Perfil',
+    'sum.style': 'Estilo',
+    'sum.budget_total': 'Presupuesto total',
+    'sum.budget_pp': 'Presupuesto por persona',
+    'sum.base_currency': 'Moneda base',
+    'sum.local_currency': 'Moneda local',
+    'sum.local_currencies': 'Monedas locales',
+    'sum.rate': 'Tipo de cambio utilizado',
+    'sum.rate_short': 'Cambio usado',
+    'sum.rate_code': (code) => `Cambio ${code}`,
+    'sum.web_search': 'Búsqueda web',
+    'sum.web_search_on': 'Activada (Responses API)',
+    'sum.budget_check': 'Verificación del presupuesto',
+    'sum.depart': 'Ida',
+    'sum.return': 'Vuelta',
+    'sum.origin': 'Origen',
+    'nights': (n) => plural(n, 'noche', 'noches'),
+    'region.city': 'Ciudad',
+    'region.state': 'Estado',
+    'region.country': 'País',
+    'region.region': 'Región',
+    'currency.symbol': 'símbolo',
+
+    'fx.no_conversion': 'sin conversión',
+    'fx.unavailable': ({ base, quote }) => `Cotización ${base}→${quote} no disponible — valores solo en ${base}`,
+    'fx.unavailable_short': ({ base, quote }) => `Cotización ${base}→${quote} no disponible`,
+    'fx.now': 'ahora',
+    'fx.ago_min': (n) => `hace ${n} min`,
+    'fx.ago_h': (n) => `hace ${n} h`,
+    'fx.ago_days': (n) => `hace ${n} días`,
+    'fx.checked': (txt) => `consultada ${txt}`,
+    'fx.stale': 'desactualizada',
+
+    'budget.no_declared': 'Sin presupuesto declarado para comparar.',
+    'budget.no_prices': 'El itinerario no trae precios suficientes para verificar el presupuesto.',
+    'budget.within': ({ total }) => `Dentro del presupuesto (estimación de ${total} para el grupo).`,
+    'budget.over': ({ amount, pct }) => `Por encima del presupuesto en ${amount} (${pct}%).`,
+    'budget.under': ({ amount, pct }) => `Por debajo del presupuesto en ${amount} (${pct}%).`,
+    'est.days': 'Atracciones y comidas (días)',
+    'est.transfers': (n) => `Traslados entre ciudades (${n})`,
+    'est.lodging': (n) => `Alojamiento (${n} noche(s))`,
+    'est.transport': (n) => `Transporte local (${n} día(s))`,
+    'est.flights': 'Vuelos (tarifa más baja encontrada)',
+
+    'mail.subject': ({ destino, brand }) => `Itinerario • ${destino} • ${brand}`,
+    'mail.summary': 'Resumen de la planificación',
+    'mail.itinerary': 'Itinerario',
+    'mail.open': 'Abrir este itinerario en el navegador',
+    'mail.footer': (brand) => `Generado automáticamente por ${brand}. Los valores son estimaciones y pueden variar según la fecha y la disponibilidad.`,
+    'mail.ics': 'El archivo .ics adjunto agrega los horarios del viaje a tu calendario.',
+    'mail.pdf': 'El PDF adjunto trae el itinerario completo para imprimir o leer sin conexión.',
+
+    'flights.out': (hm) => `ida ${hm}`,
+    'flights.back': (hm) => `vuelta ${hm}`,
+    'flights.note_market': (market) => `Resultados a partir de la caché del mercado ${market}.`,
+    'flights.note_fixture': 'Tarifas ficticias del proveedor fixture (sin red).',
+    'flights.note_fallback': 'Sin tarifas de ida y vuelta o viaje de más de 30 días: rutas ampliadas (ciudad/aeropuertos) y ±1 día de flexibilidad en cada tramo.',
+    'flights.note_filtered': (n) => `${n} oferta(s) fuera de los filtros fueron descartadas.`,
+    'flights.note_flex': ({ window, provider }) => `Tarifa de ida y vuelta más baja por combinación de fechas (±${window} días), de ${provider}.`,
+    'flights.note_flex_empty': (window) => `Sin tarifas para ±${window} días de estas fechas.`,
+    'flights.note_open_jaw': ({ to, from }) => `Open-jaw: ida a ${to}, vuelta desde ${from} (tarifas solo de ida sumadas).`,
+    'flights.no_iata': 'No fue posible resolver el código IATA de origen o destino.',
+    'flights.no_iata_leg': 'No fue posible resolver el código IATA del tramo.',
+    'flights.failed': 'Falló la búsqueda de pasajes.',
+    'flights.flex_failed': 'No fue posible consultar el calendario de tarifas.',
+
+    'alert.subject': ({ route, price, brand }) => `✈️ ${route}: pasaje por ${price} — ${brand}`,
+    'alert.dates': ({ from, to }) => `${from} al ${to}`,
+    'alert.target': (price) => `alcanzó tu precio objetivo de ${price}`,
+    'alert.drop': ({ pct, before }) => `bajó ${pct}% (antes ${before})`,
+    'alert.lead': (why) => `La tarifa más baja ${why}:`,
+    'alert.lead_text': ({ route, dates, why }) => `La tarifa más baja de ${route} (${dates}) ${why}:`,
+    'alert.offer': 'Ver oferta',
+    'alert.disclaimer': 'Precios en caché de los proveedores de pasajes; confirma en el sitio de la aerolínea antes de comprar.',
+    'alert.cancel': 'Cancelar esta alerta',
+    'alert.cancel_text': 'Dejar de recibir esta alerta',
+    'alert.confirm_subject': ({ route, brand }) => `Confirma tu alerta de precio ${route} — ${brand}`,
+    'alert.confirm_intro': ({ route, dates }) => `Recibimos un pedido para avisar a esta dirección cuando el pasaje ${route} (${dates}) baje.`,
+    'alert.confirm_button': 'Confirmar alerta',
+    'alert.confirm_ignore': 'Si no fuiste tú, ignora este correo: sin la confirmación no se envía ningún aviso.',
+    'alert.page_back': 'Volver al sitio',
+    'alert.page_not_found': 'Alerta no encontrada',
+    'alert.page_not_found_msg': 'El enlace puede estar incompleto o la alerta ya fue eliminada.',
+    'alert.page_confirm_msg': (route) => `Confirma para recibir por correo los avisos de precio de ${route}.`,
+    'alert.page_confirmed': 'Alerta confirmada',
+    'alert.page_confirmed_msg': (route) => `Te avisaremos cuando el pasaje ${route} baje. Cada correo trae el enlace para cancelar.`,
+    'alert.page_gone': 'Esta alerta ya no se puede confirmar',
+    'alert.page_gone_msg': 'Fue cancelada o la fecha del viaje ya pasó.',
+    'alert.page_cancel_msg': (route) => `Dejarás de recibir los avisos de precio de ${route}.`,
+    'alert.page_canceled': 'Alerta cancelada',
+    'alert.page_canceled_msg': (route) => `Ya no recibirás avisos de precio de ${route}.`,
+
+    'pdf.title': 'Itinerario de viaje',
+    'pdf.days': (n) => plural(n, 'día', 'días'),
+    'pdf.people': (n) => plural(n, 'persona', 'personas'),
+    'pdf.generated': ({ date, brand }) => `Generado el ${date} por ${brand}`,
+    'pdf.online': 'Abrir la versión en línea de este itinerario',
+    'pdf.page': ({ page, total }) => `Página ${page} de ${total}`,
+    'export.filename': 'itinerario',
+
+    'ics.price_pp': 'Precio por persona',
+    'ics.free': 'Gratis',
+    'ics.cuisine': 'Cocina',
+    'ics.cheapest': 'Tarifa más baja encontrada',
+    'ics.flight': 'Vuelo',
+    'ics.flight_check': 'Vuelo — revisa horarios y tarifas antes de comprar.',
+    'ics.attraction': 'Atracción',
+
+    'diff.none': 'Nada cambió en el itinerario con este pedido.',
+    'diff.added': 'entró',
+    'diff.removed': 'salió',
+    'diff.retimed': (n) => `${n} horario(s) ajustado(s)`,
+    'diff.new_theme': 'nuevo tema',
+    'diff.overview': 'visión general revisada',
+    'diff.cost': 'costo estimado',
+    'diff.attractions': 'atracciones',
+    'diff.food': 'dónde comer',
+    'diff.lodging': 'alojamiento',
+    'diff.transport': 'transporte',
+    'diff.section': ({ label, added, removed }) => `${label}: ${added} nueva(s), ${removed} eliminada(s)`
+  }
+};
+
+/**
+ * Texto no idioma pedido (com volta ao pt-BR). Mensagens-função recebem `arg` (número, texto ou objeto).
+ */
+export function t(idioma, key, arg) {
+  const msg = MESSAGES[idioma]?.[key] ?? MESSAGES[DEFAULT_IDIOMA][key];
+  if (msg === undefined) return key;
+  return typeof msg === 'function' ? msg(arg) : msg;
+}
+
+// rótulo do tipo de região devolvido pela classificação (city/state/country/region)
+export const regionLabel = (type, idioma = DEFAULT_IDIOMA) => {
+  const k = String(type || '').toLowerCase();
+  return MESSAGES[DEFAULT_IDIOMA][`region.${k}`] ? t(idioma, `region.${k}`) : (type || t(idioma, 'region.region'));
+};
+
+// como o prompt pede o idioma dos textos ("Textos em …")
+export const promptLanguage = (idioma = DEFAULT_IDIOMA) => (IDIOMAS[idioma] || IDIOMAS[DEFAULT_IDIOMA]).prompt;
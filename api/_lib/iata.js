@@ -0,0 +1,378 @@
+// /api/_lib/iata.js
+// Resolução de cidade/aeroporto → código IATA sem depender de rede: busca aproximada (erros de digitação, prefixos,
+// apelidos) sobre a base embutida AIRPORT_TO_CITY/IATA_HINTS, com pontuação de confiança e aviso de ambiguidade.
+// O autocomplete ao vivo do Travelpayouts só entra quando a base local não tem um resultado confiável.
+
+import { log, fetchWithTimeout, safeJson } from './util.js';
+
+// Normalizador: remove acentos e pontuações leves
+export function normalizeKey(s = '') {
+  return String(s)
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g,'') // acentos
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')               // pontuação → espaço
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// aeroportos → código de CIDADE (agrupador) quando existir
+const AIRPORT_TO_CITY = {
+  // ===== BRASIL =====
+  GRU:'SAO', CGH:'SAO', VCP:'SAO',
+  GIG:'RIO', SDU:'RIO',
+  CNF:'BHZ', PLU:'BHZ',
+  BSB:'BSB',
+  SSA:'SSA',
+  REC:'REC',
+  FOR:'FOR',
+  NAT:'NAT', JPA:'JPA', MCZ:'MCZ', AJU:'AJU',
+  BEL:'BEL', MAO:'MAO', MCP:'MCP', BVB:'BVB',
+  PMW:'PMW', CGB:'CGB', CGR:'CGR', GYN:'GYN',
+  POA:'POA', CWB:'CWB', FLN:'FLN', NVT:'NVT', IGU:'IGU',
+  IOS:'IOS', BPS:'BPS', PHB:'PHB', STM:'STM', FEN:'FEN', SLZ:'SLZ', THE:'THE', VIX:'VIX', CXJ:'CXJ',
+
+  // ===== EUA =====
+  JFK:'NYC', LGA:'NYC', EWR:'NYC',
+  MCO:'ORL', SFB:'ORL', ORL:'ORL',
+  FLL:'MIA', MIA:'MIA', PBI:'MIA',
+  IAD:'WAS', DCA:'WAS', BWI:'WAS',
+  ORD:'CHI', MDW:'CHI',
+  LAX:'LAX', BUR:'LAX', LGB:'LAX', SNA:'LAX', ONT:'LAX',
+  SFO:'SFO', OAK:'SFO', SJC:'SFO',
+  SEA:'SEA', PDX:'PDX', SAN:'SAN', LAS:'LAS',
+  ATL:'ATL', DFW:'DFW', DAL:'DFW', IAH:'HOU', HOU:'HOU',
+  BOS:'BOS', HNL:'HNL',
+
+  // ===== CANADÁ =====
+  YYZ:'YTO', YTZ:'YTO', YHM:'YTO',
+  YUL:'YMQ', YHU:'YMQ',
+  YVR:'YVR', YQB:'YQB', YYC:'YYC', YEG:'YEG',
+
+  // ===== MÉXICO / CARIBE =====
+  MEX:'MEX', NLU:'MEX', TLC:'MEX',
+  CUN:'CUN', SJD:'SJD', PVR:'PVR', GDL:'GDL',
+  PUJ:'PUJ', SDQ:'SDQ', POP:'POP', STI:'STI',
+  HAV:'HAV',
+
+  // ===== AMÉRICA DO SUL / CENTRAL =====
+  EZE:'BUE', AEP:'BUE', BOG:'BOG', PTY:'PTY',
+
+  // ===== EUROPA =====
+  LHR:'LON', LGW:'LON', LCY:'LON', LTN:'LON', STN:'LON', SEN:'LON',
+  CDG:'PAR', ORY:'PAR', BVA:'PAR',
+  FCO:'ROM', CIA:'ROM',
+  MXP:'MIL', LIN:'MIL', BGY:'MIL',
+  MAD:'MAD', BCN:'BCN', VLC:'VLC', SVQ:'SVQ', AGP:'AGP',
+  PMI:'PMI', IBZ:'IBZ', TFS:'TCI', TFN:'TCI', LPA:'LPA',
+  LIS:'LIS', OPO:'OPO', FAO:'FAO', FNC:'FNC', PDL:'PDL', TER:'TER',
+  AMS:'AMS', BRU:'BRU', CRL:'BRU',
+  FRA:'FRA', MUC:'MUC', BER:'BER', TXL:'BER', SXF:'BER',
+  HAM:'HAM', DUS:'DUS', CGN:'CGN',
+  CPH:'CPH',
+  ARN:'STO', BMA:'STO', NYO:'STO', VST:'STO',
+  OSL:'OSL', HEL:'HEL',
+  PRG:'PRG', BUD:'BUD', WAW:'WAW', KRK:'KRK', VIE:'VIE',
+  ZRH:'ZRH', GVA:'GVA', BSL:'BSL',
+  ATH:'ATH', JTR:'JTR', JMK:'JMK',
+  DUB:'DUB', SNN:'SNN', ORK:'ORK',
+
+  // ===== ÁFRICA / ME =====
+  CMN:'CMN', RAK:'RAK', AGA:'AGA',
+  CAI:'CAI', HRG:'HRG', SSH:'SSH',
+  JNB:'JNB', CPT:'CPT', NBO:'NBO',
+  IST:'IST', SAW:'IST',
+  DXB:'DXB', DWC:'DXB', AUH:'AUH', DOH:'DOH', TLV:'TLV',
+
+  // ===== ÁSIA-PACÍFICO =====
+  HND:'TYO', NRT:'TYO',
+  KIX:'OSA', ITM:'OSA', UKB:'OSA',
+  ICN:'SEL', GMP:'SEL',
+  PEK:'BJS', PKX:'BJS',
+  PVG:'SHA', SHA:'SHA',
+  HKG:'HKG', MFM:'MFM', SZX:'SZX',
+  BKK:'BKK', DMK:'BKK',
+  HKT:'HKT', CNX:'CNX',
+  HAN:'HAN', SGN:'SGN',
+  KUL:'KUL', SIN:'SIN',
+  CGK:'JKT', HLP:'JKT', DPS:'DPS',
+  MNL:'MNL', CEB:'CEB',
+  DEL:'DEL', BOM:'BOM', BLR:'BLR', MAA:'MAA', HYD:'HYD', GOI:'GOI',
+  SYD:'SYD', MEL:'MEL', BNE:'BNE', PER:'PER', ADL:'ADL',
+  AKL:'AKL', WLG:'WLG', CHC:'CHC', ZQN:'ZQN'
+};
+
+// city -> airports (inverso)
+const CITY_TO_AIRPORTS = (() => {
+  const m = {};
+  for (const [ap, city] of Object.entries(AIRPORT_TO_CITY)) {
+    if (!m[city]) m[city] = [];
+    m[city].push(ap);
+  }
+  return m;
+})();
+export function airportsFor(code) {
+  const up = String(code || '').toUpperCase();
+  return CITY_TO_AIRPORTS[up] || [];
+}
+
+// aliases e destinos → código da cidade (ou aeroporto mais próximo)
+const IATA_HINTS = {
+  // variações acentuadas repetidas de propósito: a primeira com acento vira o nome exibido no autocomplete
+  'sao paulo':'SAO','são paulo':'SAO','sampa':'SAO','sp':'SAO',
+  'rio de janeiro':'RIO','rio':'RIO',
+  'brasilia':'BSB','brasília':'BSB',
+  'belo horizonte':'BHZ',
+  'salvador':'SSA','recife':'REC','fortaleza':'FOR','maceio':'MCZ','maceió':'MCZ','natal':'NAT','joao pessoa':'JPA','joão pessoa':'JPA','aracaju':'AJU',
+  'vitoria':'VIX','vitória':'VIX','belem':'BEL','belém':'BEL','manaus':'MAO','boa vista':'BVB','macapa':'MCP','macapá':'MCP',
+  'palmas':'PMW','cuiaba':'CGB','cuiabá':'CGB','campo grande':'CGR','goiania':'GYN','goiânia':'GYN',
+  'sao luis':'SLZ','são luís':'SLZ','teresina':'THE','navegantes':'NVT','ilheus':'IOS','ilhéus':'IOS','porto seguro':'BPS',
+  'parnaiba':'PHB','parnaíba':'PHB','santarem':'STM','santarém':'STM',
+  'porto alegre':'POA','curitiba':'CWB','florianopolis':'FLN','florianópolis':'FLN','floripa':'FLN','campinas':'VCP','viracopos':'VCP','caxias do sul':'CXJ',
+  'foz do iguacu':'IGU','foz do iguaçu':'IGU',
+  'maragogi':'MCZ','maragoji':'MCZ','maragogi al':'MCZ','maragogi brasil':'MCZ',
+  'porto de galinhas':'REC',
+  'morro de sao paulo':'SSA','morro de são paulo':'SSA','boipeba':'SSA',
+  'chapada diamantina':'SSA','lencois bahia':'SSA','lençóis bahia':'SSA',
+  'barreirinhas':'SLZ','lencois maranhenses':'SLZ','lençóis maranhenses':'SLZ',
+  'jalapao':'PMW',
+  'gramado':'POA','canela':'POA','serra gaucha':'POA','bento goncalves':'POA','bento gonçalves':'POA',
+  'arraial do cabo':'RIO','buzios':'RIO','armacao dos buzios':'RIO','armação dos búzios':'RIO','angra dos reis':'RIO','ilha grande':'RIO','paraty':'RIO',
+  'balneario camboriu':'NVT','balneário camboriú':'NVT','bombinhas':'NVT','penha':'NVT','beto carreiro':'NVT','beto carrero':'NVT','beto carreiro world':'NVT',
+  'garopaba':'FLN','praia do rosa':'FLN','imbituba':'FLN',
+  'ilha do mel':'CWB','ilhabela':'SAO','ubatuba':'SAO','maresias':'SAO',
+  'itacare':'IOS','itacaré':'IOS','marau':'IOS','peninsula de marau':'IOS','península de maraú':'IOS','barra grande bahia':'IOS',
+  'trancoso':'BPS','caraiva':'BPS','caraíva':'BPS','arraial d ajuda':'BPS','arraial d\'ajuda':'BPS','arraial dajuda':'BPS',
+  'praia do forte':'SSA','pipa':'NAT','jericoacoara':'FOR','jeri':'FOR','jijoca':'FOR',
+  'alter do chao':'STM','alter do chão':'STM',
+  'chapada dos veadeiros':'BSB','alto paraiso de goias':'BSB','alto paraíso de goiás':'BSB',
+  'chapada dos guimaraes':'CGB','chapada dos guimarães':'CGB',
+  'pantanal':'CGR','bonito ms':'CGR','fernando de noronha':'FEN',
+  'barra grande piaui':'PHB','barra grande pi':'PHB',
+  'nova york':'NYC','new york':'NYC',
+  'orlando':'ORL','miami':'MIA','fort lauderdale':'MIA',
+  'boston':'BOS','chicago':'CHI','washington':'WAS','washington dc':'WAS','dc':'WAS',
+  'los angeles':'LAX','san francisco':'SFO','las vegas':'LAS',
+  'seattle':'SEA','san diego':'SAN','atlanta':'ATL','houston':'HOU','dallas':'DFW','honolulu':'HNL',
+  'cidade do mexico':'MEX','cidade do méxico':'MEX','cdmx':'MEX','mexico city':'MEX',
+  'cancun':'CUN','cancún':'CUN','riviera maya':'CUN','playa del carmen':'CUN','tulum':'CUN',
+  'los cabos':'SJD','puerto vallarta':'PVR','guadalajara':'GDL',
+  'toronto':'YTO','montreal':'YMQ','vancouver':'YVR','quebec':'YQB',
+  'lima':'LIM','cusco':'CUZ','arequipa':'AQP','machu picchu':'CUZ',
+  'bogota':'BOG','bogotá':'BOG','medellin':'MDE','medellín':'MDE','cartagena':'CTG','san andres':'ADZ','san andrés':'ADZ',
+  'quito':'UIO','guayaquil':'GYE',
+  'la paz bolivia':'LPB','santa cruz bolivia':'VVI','uyuni':'UYU',
+  'buenos aires':'BUE','bariloche':'BRC','mendoza':'MDZ','ushuaia':'USH','el calafate':'FTE',
+  'santiago':'SCL','montevideo':'MVD','punta del este':'PDP',
+  'havana':'HAV','punta cana':'PUJ','republica dominicana':'PUJ',
+  'lisboa':'LIS','porto':'OPO','faro':'FAO','funchal':'FNC','madeira':'FNC',
+  'madrid':'MAD','barcelona':'BCN','valencia':'VLC','sevilla':'SVQ','sevilha':'SVQ','malaga':'AGP','mallorca':'PMI','palma de mallorca':'PMI','ibiza':'IBZ','tenerife':'TCI','gran canaria':'LPA',
+  'londres':'LON','manchester':'MAN','edimburgo':'EDI','dublin':'DUB',
+  'paris':'PAR','lyon':'LYS','nice':'NCE','cote d azur':'NCE','côte d azur':'NCE',
+  'amsterdam':'AMS','bruxelas':'BRU',
+  'berlim':'BER','frankfurt':'FRA','munique':'MUC','munich':'MUC','hamburgo':'HAM','dusseldorf':'DUS','düsseldorf':'DUS','colonia':'CGN','colônia':'CGN',
+  'zurique':'ZRH','genebra':'GVA','basel':'BSL',
+  'viena':'VIE','praga':'PRG','budapeste':'BUD','varsovia':'WAW','varsóvia':'WAW','krakow':'KRK','cracovia':'KRK',
+  'copenhague':'CPH','estocolmo':'STO','oslo':'OSL','helsinki':'HEL',
+  'roma':'ROM','veneza':'VCE','milao':'MIL','milão':'MIL','florenca':'FLR','florença':'FLR','napoles':'NAP','nápoles':'NAP',
+  'atenas':'ATH','santorini':'JTR','mykonos':'JMK',
+  'casablanca':'CMN','marrakesh':'RAK','marraquesh':'RAK','agadir':'AGA',
+  'cairo':'CAI','hurghada':'HRG','sharm el sheikh':'SSH',
+  'johanesburgo':'JNB','cidade do cabo':'CPT','cape town':'CPT','nairobi':'NBO',
+  'istambul':'IST','istanbul':'IST','dubai':'DXB','abu dhabi':'AUH','doha':'DOH','tel aviv':'TLV',
+  'toquio':'TYO','tóquio':'TYO','tokyo':'TYO',
+  'osaka':'OSA','kyoto':'OSA','nara':'OSA',
+  'seul':'SEL',
+  'pequim':'BJS','beijing':'BJS',
+  'xangai':'SHA','shanghai':'SHA',
+  'hong kong':'HKG','macau':'MFM','shenzhen':'SZX',
+  'bangkok':'BKK','phuket':'HKT','chiang mai':'CNX',
+  'hanoi':'HAN','ho chi minh':'SGN',
+  'kuala lumpur':'KUL','singapura':'SIN',
+  'bali':'DPS','denpasar':'DPS','jacarta':'JKT',
+  'manila':'MNL','cebu':'CEB',
+  'delhi':'DEL','mumbai':'BOM','bangalore':'BLR','chennai':'MAA','hyderabad':'HYD','goa':'GOI',
+  'sydney':'SYD','melbourne':'MEL','brisbane':'BNE','perth':'PER','adelaide':'ADL',
+  'auckland':'AKL','queenstown':'ZQN','wellington':'WLG','christchurch':'CHC',
+  'portugal':'LIS','espanha':'MAD','franca':'PAR','france':'PAR',
+  'italia':'ROM','italy':'ROM','alemanha':'BER','germany':'BER',
+  'reino unido':'LON','uk':'LON','united kingdom':'LON','irlanda':'DUB',
+  'holanda':'AMS','paises baixos':'AMS','netherlands':'AMS',
+  'suica':'ZRH','switzerland':'ZRH','austria':'VIE','hungria':'BUD','polonia':'WAW',
+  'dinamarca':'CPH','suecia':'STO','noruega':'OSL','grecia':'ATH','turquia':'IST',
+  'marrocos':'CMN','egito':'CAI','emirados arabes':'DXB','emirados':'DXB','uae':'DXB','qatar':'DOH','israel':'TLV',
+  'japao':'TYO','coreia do sul':'SEL','china':'BJS','singapura pais':'SIN','tailandia':'BKK','indonesia':'CGK',
+  'filipinas':'MNL','australia':'SYD','nova zelandia':'AKL',
+  'canada':'YTO','mexico pais':'MEX','estados unidos':'NYC','eua':'NYC','usa':'NYC',
+  'argentina':'BUE','chile':'SCL','uruguai':'MVD','peru':'LIM','colombia':'BOG','bolivia':'LPB','equador':'UIO',
+};
+
+// todos os códigos conhecidos (aeroportos, cidades e destinos dos apelidos)
+const KNOWN_CODES = new Set([...Object.keys(AIRPORT_TO_CITY), ...Object.values(AIRPORT_TO_CITY), ...Object.values(IATA_HINTS)]);
+
+// chaves normalizadas (sem duplicatas acentuadas) e nome de exibição por código
+const HINT_ENTRIES = [...new Map(Object.entries(IATA_HINTS).map(([k, code]) => [normalizeKey(k), code])).entries()]
+  .map(([key, code]) => ({ key, code }));
+const MINOR_WORDS = new Set(['de', 'do', 'da', 'dos', 'das', 'del', 'd']);
+const titleCase = (s) => s.split(' ').map((w, i) => (i && MINOR_WORDS.has(w) ? w : w.charAt(0).toUpperCase() + w.slice(1))).join(' ');
+// chave normalizada → como exibir (a variação acentuada, quando existe)
+const LABEL_BY_KEY = new Map();
+for (const k of Object.keys(IATA_HINTS)) {
+  const key = normalizeKey(k);
+  if (!LABEL_BY_KEY.has(key) || k !== key) LABEL_BY_KEY.set(key, titleCase(k));
+}
+// nome da cidade de cada código: o primeiro apelido com 3+ letras ("sao paulo" antes de "sampa")
+const NAME_BY_CODE = {};
+for (const { key, code } of HINT_ENTRIES) if (!NAME_BY_CODE[code] && key.length >= 3) NAME_BY_CODE[code] = LABEL_BY_KEY.get(key);
+
+// código IATA digitado como tal, em maiúsculas: o termo inteiro ("LIS") ou uma sigla no meio do texto ("São Paulo, GRU").
+// Palavras de 3 letras em texto comum ("Rio", "sao") ou todo em maiúsculas ("SAO PAULO") e apelidos ("EUA") não contam.
+const isCodeToken = (c) => KNOWN_CODES.has(c) || !IATA_HINTS[c.toLowerCase()];
+export function looksLikeIata(s = '') {
+  const raw = String(s).trim();
+  if (/^[A-Z]{3}$/.test(raw)) return isCodeToken(raw) ? raw : null;
+  if (raw === raw.toUpperCase()) return null;
+  const tokens = raw.match(/(?<![\p{L}\p{N}])[A-Z]{3}(?![\p{L}\p{N}])/gu) || [];
+  return tokens.find(isCodeToken) || null;
+}
+
+// prefere código de cidade/área metropolitana quando existir
+export function preferCityCode(code='') {
+  const up = String(code || '').toUpperCase();
+  return AIRPORT_TO_CITY[up] || up;
+}
+
+/* ----------------------- busca aproximada ----------------------- */
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+const similarity = (a, b) => 1 - levenshtein(a, b) / Math.max(a.length, b.length, 1);
+
+// 1 = igual; prefixo 0.7–0.95; erro de digitação até 0.85
+function scoreKey(q, key) {
+  if (q === key) return { score: 1, match: 'exact' };
+  if (q.length >= 3 && key.startsWith(q)) return { score: 0.8 + 0.15 * q.length / key.length, match: 'prefix' };
+  if (q.length >= 3 && key.split(' ').some(w => w.startsWith(q))) return { score: 0.7 + 0.15 * q.length / key.length, match: 'prefix' };
+  if (q.length < 4) return null;
+  // compara com a chave inteira ("barilloche") e com o começo dela ("jericoaco…" digitado pela metade)
+  const whole = similarity(q, key);
+  const head = key.length > q.length + 1 ? similarity(q, key.slice(0, q.length)) * 0.9 : 0;
+  const s = Math.max(whole, head);
+  return s >= 0.75 ? { score: s * 0.85, match: 'fuzzy' } : null;
+}
+
+export const IATA_CONFIDENT = 0.75;
+const AMBIGUITY_MARGIN = 0.08;
+
+// variações do termo: inteiro, antes da vírgula e sem o nome do país
+function queryVariants(term) {
+  const byComma = String(term).split(',')[0];
+  return [...new Set([
+    normalizeKey(term),
+    normalizeKey(byComma),
+    normalizeKey(byComma).replace(/\b(brasil|brazil|portugal|espanha|italia|italy|franca|france)\b/g, '').replace(/\s+/g, ' ').trim()
+  ].filter(Boolean))];
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Busca na base local, do mais para o menos provável (um resultado por código).
+ * ambiguous = o melhor não é exato e outro código ficou a menos de AMBIGUITY_MARGIN dele.
+ * @returns {{ query: string, best: object|null, results: Array<{ code, city_code, name, airports, score, match, matched }>, ambiguous: boolean }}
+ */
+export function searchIata(term, { limit = 8 } = {}) {
+  const query = String(term || '').trim();
+  const byCode = new Map();
+  const add = (code, score, match, matched) => {
+    const cur = byCode.get(code);
+    if (!cur || score > cur.score) byCode.set(code, { code, score, match, matched });
+  };
+
+  const direct = looksLikeIata(query);
+  if (direct) add(direct, 1, 'code', direct);
+  for (const q of queryVariants(query)) {
+    // "gru" em minúsculas pode ser código ou começo de nome: pontua abaixo do exato para a ambiguidade aparecer
+    if (q.length === 3 && KNOWN_CODES.has(q.toUpperCase())) add(q.toUpperCase(), 0.9, 'code', q.toUpperCase());
+    for (const { key, code } of HINT_ENTRIES) {
+      const s = scoreKey(q, key);
+      if (s) add(code, s.score, s.match, key);
+    }
+  }
+
+  const results = [...byCode.values()]
+    .sort((a, b) => b.score - a.score || a.matched.length - b.matched.length)
+    .slice(0, Math.max(1, limit))
+    .map(r => {
+      const city = preferCityCode(r.code);
+      return {
+        code: r.code,
+        city_code: city,
+        name: NAME_BY_CODE[r.code] || NAME_BY_CODE[city] || r.code,
+        label: r.match === 'code' ? r.code : LABEL_BY_KEY.get(r.matched) || titleCase(r.matched),
+        airports: airportsFor(city),
+        score: round2(r.score),
+        match: r.match,
+        matched: r.matched
+      };
+    });
+  const [best = null, second] = results;
+  const ambiguous = Boolean(best && best.score < 1 && second && best.score - second.score < AMBIGUITY_MARGIN);
+  return { query, best, results, ambiguous };
+}
+
+/* ----------------------- resolução (passagens) ----------------------- */
+
+// autocomplete ao vivo (Travelpayouts) — colapsa para cidade quando houver
+async function liveAutocomplete(term) {
+  try {
+    const url = `https://autocomplete.travelpayouts.com/places2?term=${encodeURIComponent(term)}&locale=pt&types[]=city&types[]=airport`;
+    log('IATA autocomplete →', { term, url: url.replace(/term=[^&]+/, 'term=***') });
+    const r = await fetchWithTimeout(url, {}, 12000);
+    const data = await safeJson(r);
+    log('IATA autocomplete status', r.status, 'hits:', Array.isArray(data) ? data.length : 0);
+
+    if (Array.isArray(data) && data.length) {
+      const city = data.find(x => x.type === 'city' && x.code);
+      if (city?.code) return String(city.code).toUpperCase();
+
+      const ap = data.find(x => x.type === 'airport' && (x.city_code || x.code));
+      if (ap?.city_code) return String(ap.city_code).toUpperCase();
+      if (ap?.code) return preferCityCode(ap.code);
+    }
+  } catch (e) { log('IATA autocomplete erro', String(e)); }
+  return null;
+}
+
+/**
+ * Termo → código IATA: código digitado → base local (confiável e sem ambiguidade) → autocomplete ao vivo
+ * → melhor palpite local. null quando nada serve.
+ */
+export async function resolveIataTerm(term) {
+  if (!term) return null;
+
+  const direct = looksLikeIata(term);
+  if (direct) return preferCityCode(direct);
+
+  const local = searchIata(term, { limit: 3 });
+  if (local.best && local.best.score >= IATA_CONFIDENT && !local.ambiguous) return local.best.code;
+
+  const live = await liveAutocomplete(String(term).split(',')[0].trim());
+  if (live) return live;
+
+  // sem rede/sem resposta: um palpite local fraco ainda é melhor que pular a busca de passagens
+  if (local.best && local.best.score >= 0.6) {
+    log('IATA palpite local', term, local.best.code, { score: local.best.score, ambiguous: local.ambiguous });
+    return local.best.code;
+  }
+  log('IATA fallback/unknown para', term);
+  return null;
+}
@@ -0,0 +1,155 @@
+// /api/_lib/ics.js
+// Exporta o roteiro estruturado como iCalendar (RFC 5545): um evento por atração/refeição na data do dia
+// e eventos de dia inteiro para os voos. Horários "flutuantes" (sem fuso) = hora local do destino.
+
+import { fmtMoney } from './util.js';
+import { mealLabel } from './itinerary.js';
+import { t, DEFAULT_IDIOMA } from './i18n.js';
+
+const CRLF = '\r\n';
+
+// TEXT do RFC 5545: escapa \ ; , e quebras de linha
+const esc = (s = '') => String(s).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// dobra linhas com mais de 75 octetos (continuação começa com espaço), sem partir caracteres UTF-8
+function foldLine(line) {
+  const out = [];
+  let cur = '', bytes = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (bytes + n > (out.length ? 74 : 75)) { out.push(cur); cur = ''; bytes = 0; }
+    cur += ch; bytes += n;
+  }
+  out.push(cur);
+  return out.join(CRLF + ' ');
+}
+
+const ymd = (iso) => String(iso).slice(0, 10).replace(/-/g, '');
+const utcStamp = (d) => d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const addDays = (iso, n) => {
+  const d = new Date(String(iso).slice(0, 10) + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+};
+const toMin = (hhmm) => {
+  const m = /^(\d{2}):(\d{2})$/.exec(hhmm || '');
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+};
+// data ISO + minutos desde 00:00 (pode passar da meia-noite) → 20261201T083000
+const localStamp = (iso, min) => {
+  const day = addDays(iso, Math.floor(min / 1440));
+  const m = min % 1440;
+  return `${ymd(day)}T${String(Math.floor(m / 60)).padStart(2, '0')}${String(m % 60).padStart(2, '0')}00`;
+};
+
+function priceText(price, currency, idioma) {
+  if (!price) return '';
+  if (price.free) return t(idioma, 'ics.free');
+  if (price.base == null) return '';
+  const base = fmtMoney(price.base, currency.base, idioma) + (price.base_max ? `–${fmtMoney(price.base_max, currency.base, idioma)}` : '');
+  return `${t(idioma, 'ics.price_pp')}: ${base}`;
+}
+
+function slotEvent(day, slot, i, { uid, currency, stamp, place, idioma }) {
+  const start = toMin(slot.start);
+  if (start === null) return null;
+  let end = toMin(slot.end);
+  if (end === null) end = start + 60;
+  if (end <= start) end += 1440; // termina depois da meia-noite
+  const title = slot.type === 'meal' ? `${mealLabel(slot.meal, idioma)}: ${slot.name}` : slot.name;
+  const description = [
+    slot.description,
+    slot.cuisine ? `${t(idioma, 'ics.cuisine')}: ${slot.cuisine}` : '',
+    priceText(slot.price, currency, idioma),
+    slot.source?.url ? `${t(idioma, 'place.source')}: ${slot.source.title ? slot.source.title + ' — ' : ''}${slot.source.url}` : ''
+  ].filter(Boolean).join('\n');
+  return [
+    'BEGIN:VEVENT',
+    `UID:${uid}-d${day.day}-${slot.type}${i}@touristando`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${localStamp(day.date, start)}`,
+    `DTEND:${localStamp(day.date, end)}`,
+    `SUMMARY:${esc(title)}`,
+    `LOCATION:${esc([slot.neighborhood, day.city || place].filter(Boolean).join(', '))}`,
+    ...(description ? [`DESCRIPTION:${esc(description)}`] : []),
+    ...(slot.source?.url ? [`URL:${slot.source.url}`] : []),
+    `CATEGORIES:${esc(t(idioma, slot.type === 'meal' ? 'meal.any' : 'ics.attraction'))}`,
+    'END:VEVENT'
+  ];
+}
+
+function flightEvent(leg, i, { uid, stamp, currency, idioma }) {
+  const best = (leg.items || [])
+    .filter(it => Number.isFinite(it.price_number))
+    .sort((a, b) => a.price_number - b.price_number)[0];
+  const description = best
+    ? `${t(idioma, 'ics.cheapest')}: ${fmtMoney(best.price_number, best.currency || currency.base, idioma)}${best.airline ? ` (${best.airline})` : ''}${best.deep_link ? `\n${best.deep_link}` : ''}`
+    : t(idioma, 'ics.flight_check');
+  return [
+    'BEGIN:VEVENT',
+    `UID:${uid}-voo${i}@touristando`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${ymd(leg.date)}`,
+    `DTEND;VALUE=DATE:${ymd(addDays(leg.date, 1))}`,
+    `SUMMARY:${esc(`✈ ${t(idioma, 'ics.flight')} ${leg.from} → ${leg.to}`)}`,
+    `DESCRIPTION:${esc(description)}`,
+    ...(best?.deep_link ? [`URL:${best.deep_link}`] : []),
+    `CATEGORIES:${esc(t(idioma, 'ics.flight'))}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+}
+
+// trechos de voo: os da busca multi-cidade ou ida/volta a partir das datas da viagem
+function flightLegsFor({ flights, origem, destino, dataIda, dataVolta }) {
+  if (Array.isArray(flights?.legs)) {
+    return flights.legs.map(l => ({ date: l.depart, from: l.from || l.from_label, to: l.to || l.to_label, items: l.items }));
+  }
+  if (!origem || !dataIda) return [];
+  const out = flights?.items_outbound?.length ? flights.items_outbound : (flights?.items || []);
+  const back = flights?.items_return || [];
+  const to = out[0]?.to || destino;
+  const legs = [{ date: dataIda, from: out[0]?.from || origem, to, items: out }];
+  if (dataVolta) legs.push({ date: dataVolta, from: back[0]?.from || to, to: back[0]?.to || origem, items: back });
+  return legs;
+}
+
+/**
+ * Gera o .ics do roteiro, com textos no idioma do roteiro. Dias sem data (viagem sem data_ida) não viram eventos.
+ * @returns {{ filename: string, content: string, events: number } | null} null = nada datado para exportar
+ */
+export function buildItineraryIcs(itinerary, { flights = null, origem = null, dataIda = null, dataVolta = null, reqId = '-', prodName = 'Roteiro', now = new Date() } = {}) {
+  const days = (itinerary?.days || []).filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d.date || ''));
+  const destino = itinerary?.destination || 'Destino';
+  const currency = itinerary?.currency || { base: 'BRL' };
+  const idioma = itinerary?.language || DEFAULT_IDIOMA;
+  const ctx = { uid: `${reqId}-${ymd(days[0]?.date || dataIda || now.toISOString())}`, currency, stamp: utcStamp(now), place: destino, idioma };
+
+  const events = [];
+  for (const day of days) {
+    [...(day.attractions || []), ...(day.meals || [])].forEach((s, i) => {
+      const ev = slotEvent(day, s, i, ctx);
+      if (ev) events.push(ev);
+    });
+  }
+  const legs = /^\d{4}-\d{2}-\d{2}$/.test(dataIda || '') ? flightLegsFor({ flights, origem, destino, dataIda, dataVolta }) : [];
+  legs.filter(l => l.date).forEach((l, i) => events.push(flightEvent(l, i, ctx)));
+  if (!events.length) return null;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${esc(prodName)}//Roteiro//${idioma.split('-')[0].toUpperCase()}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${esc(`${t(idioma, 'mail.itinerary')} • ${destino}`)}`,
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+  const slug = destino.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'destino';
+  return {
+    filename: `roteiro_${slug}.ics`,
+    content: lines.map(foldLine).join(CRLF) + CRLF,
+    events: events.length
+  };
+}
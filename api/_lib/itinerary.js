@@ -0,0 +1,533 @@
+// /api/_lib/itinerary.js
+// Roteiro estruturado: schema publicado, validação, normalização da saída da IA e renderização em HTML.
+
+import { readFileSync } from 'node:fs';
+import {
+  escapeHtml, escapeAttr, addDaysISO,
+  fmtMoney, fmtMoneyGeneric, parseDecimal
+} from './util.js';
+import { dayStop, findStop } from './trip.js';
+import { t, DEFAULT_IDIOMA } from './i18n.js';
+
+/* ----------------------- schema ----------------------- */
+
+// publicado como arquivo estático (mesmo caminho do $id)
+export const ITINERARY_SCHEMA_URL = '/schema/itinerary.schema.json';
+export const ITINERARY_SCHEMA = JSON.parse(
+  readFileSync(new URL('../../schema/itinerary.schema.json', import.meta.url), 'utf8')
+);
+
+const typeOf = (v) => {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (Number.isInteger(v)) return 'integer';
+  return typeof v;
+};
+const typeMatches = (v, t) => {
+  const actual = typeOf(v);
+  if (t === 'number') return actual === 'number' || actual === 'integer';
+  return actual === t;
+};
+
+// validador mínimo de JSON Schema (subconjunto usado em itinerary.schema.json)
+export function validateSchema(value, schema = ITINERARY_SCHEMA, root = schema, path = '$') {
+  const errors = [];
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((o, k) => o?.[k], root);
+    if (!target) return [`${path}: $ref inválido ${schema.$ref}`];
+    return validateSchema(value, target, root, path);
+  }
+  if (schema.oneOf) {
+    const ok = schema.oneOf.filter(s => validateSchema(value, s, root, path).length === 0).length;
+    if (ok !== 1) errors.push(`${path}: deve satisfazer exatamente um dos formatos`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.some(e => e === value)) {
+    errors.push(`${path}: valor fora de ${JSON.stringify(schema.enum)}`);
+    return errors;
+  }
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => typeMatches(value, t))) {
+      errors.push(`${path}: esperado ${types.join('|')}, recebido ${typeOf(value)}`);
+      return errors;
+    }
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength && value.length < schema.minLength) errors.push(`${path}: texto vazio`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: não segue ${schema.pattern}`);
+  }
+  if (typeof value === 'number' && Number.isFinite(schema.minimum) && value < schema.minimum) {
+    errors.push(`${path}: menor que ${schema.minimum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) errors.push(`${path}: mínimo de ${schema.minItems} item(ns)`);
+    if (schema.maxItems && value.length > schema.maxItems) errors.push(`${path}: máximo de ${schema.maxItems} item(ns)`);
+    if (schema.items) value.forEach((v, i) => errors.push(...validateSchema(v, schema.items, root, `${path}[${i}]`)));
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const k of schema.required || []) {
+      if (value[k] === undefined) errors.push(`${path}.${k}: obrigatório`);
+    }
+    for (const [k, sub] of Object.entries(schema.properties || {})) {
+      if (value[k] !== undefined) errors.push(...validateSchema(value[k], sub, root, `${path}.${k}`));
+    }
+  }
+  return errors;
+}
+
+/* ----------------------- parsing/normalização ----------------------- */
+
+// aceita JSON puro, cercas ```json e texto antes/depois do objeto
+export function parseItineraryJson(text = '') {
+  const s = String(text).trim().replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, '');
+  const a = s.indexOf('{'), b = s.lastIndexOf('}');
+  if (a < 0 || b <= a) return null;
+  try { return JSON.parse(s.slice(a, b + 1)); } catch { return null; }
+}
+
+// "R$ 1.200,50", "21.60", 35 -> Number
+function toNum(v) {
+  if (v === undefined || v === null || v === '') return null;
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  const s = String(v).replace(/[^\d.,-]/g, '');
+  if (!s) return null;
+  // "1.200,50" (pt-BR/es) e "1,200.50" (en): mesma regra de separador do orçamento
+  const n = parseDecimal(s);
+  return Number.isFinite(n) ? n : null;
+}
+const round2 = (n) => (Number.isFinite(n) ? Math.round(n * 100) / 100 : null);
+const str = (v) => (typeof v === 'string' && v.trim() ? v.trim() : null);
+
+function normPrice(p, fx) {
+  if (p === undefined || p === null || p === '') return undefined;
+  if (typeof p !== 'object') p = { base: p };
+  const free = p.free === true || /^(gr[aá]tis|free|gratuito)$/i.test(String(p.base ?? ''));
+  const out = {
+    base: free ? 0 : toNum(p.base),
+    base_max: free ? null : toNum(p.base_max),
+    local: free ? 0 : toNum(p.local),
+    local_max: free ? null : toNum(p.local_max),
+    free
+  };
+  // sem cotação conhecida o "local" da IA não é confiável (e não dá para conferir): fica só a moeda base
+  if (fx?.available === false) { out.local = null; out.local_max = null; }
+  const rate = fx?.base_to_quote, inv = fx?.quote_to_base;
+  if (out.local === null && out.base !== null && rate > 0) out.local = round2(out.base * rate);
+  if (out.local_max === null && out.base_max !== null && rate > 0) out.local_max = round2(out.base_max * rate);
+  if (out.base === null && out.local !== null && inv > 0) out.base = round2(out.local * inv);
+  if (out.base_max === null && out.local_max !== null && inv > 0) out.base_max = round2(out.local_max * inv);
+  if (out.base_max !== null && out.base !== null && out.base_max <= out.base) out.base_max = null;
+  if (out.local_max !== null && out.local !== null && out.local_max <= out.local) out.local_max = null;
+  if (out.base === null && out.local === null && !free) return undefined;
+  return out;
+}
+
+function normSource(s) {
+  const url = typeof s === 'string' ? s : s?.url;
+  if (typeof url !== 'string' || !/^https?:\/\//i.test(url.trim())) return null;
+  let host = '';
+  try { host = new URL(url.trim()).hostname.replace(/^www\./, ''); } catch { return null; }
+  return { title: str(s?.title) || host, url: url.trim() };
+}
+
+function normPlace(p, fx) {
+  if (typeof p === 'string') p = { name: p };
+  if (!p || typeof p !== 'object') return null;
+  const name = str(p.name);
+  if (!name) return null;
+  const out = {
+    name,
+    neighborhood: str(p.neighborhood),
+    description: str(p.description),
+    category: str(p.category),
+    duration: str(p.duration),
+    best_time: str(p.best_time)
+  };
+  if (str(p.city)) out.city = str(p.city);
+  const price = normPrice(p.price, fx);
+  if (price) out.price = price;
+  out.source = normSource(p.source);
+  return out;
+}
+
+const HHMM = (s) => {
+  const m = String(s || '').match(/(\d{1,2})[:h](\d{2})/);
+  return m ? `${m[1].padStart(2, '0')}:${m[2]}` : null;
+};
+
+const MEAL_KINDS = ['cafe', 'almoco', 'lanche', 'jantar'];
+export const mealLabel = (meal, idioma = DEFAULT_IDIOMA) => (MEAL_KINDS.includes(meal) ? t(idioma, `meal.${meal}`) : t(idioma, 'meal.any'));
+export const MEAL_LABELS = Object.fromEntries(MEAL_KINDS.map(k => [k, mealLabel(k)]));
+
+function mealKind(v) {
+  const k = String(v || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  if (/cafe|breakfast/.test(k)) return 'cafe';
+  if (/almoco|lunch/.test(k)) return 'almoco';
+  if (/jantar|dinner/.test(k)) return 'jantar';
+  if (/lanche|snack/.test(k)) return 'lanche';
+  return null;
+}
+
+function normSlot(s, type, fx) {
+  const base = normPlace(s, fx);
+  if (!base) return null;
+  // aceita "time": "08:30–10:00" além de start/end
+  const [t1, t2] = String(s.time || '').split(/[–—-]/);
+  const out = {
+    type,
+    start: HHMM(s.start) || HHMM(t1) || '',
+    end: HHMM(s.end) || HHMM(t2) || '',
+    name: base.name,
+    neighborhood: base.neighborhood,
+    description: base.description,
+    price: base.price,
+    source: base.source
+  };
+  if (type === 'meal') {
+    out.meal = mealKind(s.meal) || mealKind(s.category);
+    out.cuisine = str(s.cuisine) || base.category;
+  }
+  if (!out.price) delete out.price;
+  return out;
+}
+
+const byStart = (a, b) => (a.start || '99:99').localeCompare(b.start || '99:99');
+
+function normCostRow(r, fx, pessoas) {
+  const category = str(r?.category);
+  if (!category) return null;
+  const per_person = normPrice(r.per_person, fx);
+  let group = normPrice(r.group, fx);
+  if (!group && per_person) {
+    const mul = (v) => (v === null ? null : round2(v * pessoas));
+    group = { base: mul(per_person.base), base_max: mul(per_person.base_max), local: mul(per_person.local), local_max: mul(per_person.local_max), free: per_person.free };
+  }
+  const out = { category };
+  if (per_person) out.per_person = per_person;
+  if (group) out.group = group;
+  return out;
+}
+
+function normTransfer(t, fallback, fx) {
+  const src = t && typeof t === 'object' ? t : {};
+  const out = {
+    from: str(src.from) || fallback.from,
+    to: str(src.to) || fallback.to,
+    mode: str(src.mode),
+    duration: str(src.duration)
+  };
+  const price = normPrice(src.price, fx);
+  if (price) out.price = price;
+  return out;
+}
+
+/**
+ * Coage a saída da IA para o formato do schema (números, horários, datas, fontes).
+ * ctx: { destination, currency_code, fx: { base, base_to_quote, quote_to_base, available }, dataIda, pessoas, idioma,
+ *        stops?: layoutStops() enriquecido com { name, country_name, currency_code, fx } (viagem com várias cidades) }
+ */
+export function normalizeItinerary(raw, ctx = {}) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const fx = ctx.fx || {};
+  const pessoas = Math.max(1, Number(ctx.pessoas) || 1);
+  const list = (v, fn) => (Array.isArray(v) ? v.map(fn).filter(Boolean) : []);
+  // várias cidades: cada item/dia converte com a cotação da própria cidade
+  const layout = Array.isArray(ctx.stops) && ctx.stops.length ? ctx.stops : null;
+  const placeIn = (p) => {
+    if (!layout) return normPlace(p, fx);
+    const stop = findStop(layout, p?.city);
+    const out = normPlace(p, stop?.fx || fx);
+    if (out && stop) out.city = stop.name;
+    return out;
+  };
+
+  const days = (Array.isArray(src.days) ? src.days : [])
+    .filter(d => d && typeof d === 'object')
+    .sort((a, b) => (toNum(a.day) ?? 0) - (toNum(b.day) ?? 0))
+    .map((d, i) => {
+      const dayN = i + 1;
+      const date = /^\d{4}-\d{2}-\d{2}$/.test(ctx.dataIda || '') ? addDaysISO(ctx.dataIda, i) : (str(d.date) || null);
+      const where = layout ? dayStop(layout, dayN) : null;
+      const dfx = where?.stop.fx || fx;
+      const out = {
+        day: dayN,
+        date,
+        title: str(d.title),
+        attractions: list(d.attractions, s => normSlot(s, 'attraction', dfx)).sort(byStart),
+        meals: list(d.meals, s => normSlot(s, 'meal', dfx)).sort(byStart),
+        costs: list(d.costs, r => normCostRow(r, dfx, pessoas))
+      };
+      if (where) {
+        out.city = where.stop.name;
+        out.transfer = where.transfer ? normTransfer(d.transfer, where.transfer, dfx) : null;
+      }
+      return out;
+    });
+
+  const overview = Array.isArray(src.overview)
+    ? src.overview.map(str).filter(Boolean)
+    : (str(src.overview) ? [str(src.overview)] : []);
+
+  // fontes explícitas + fontes citadas nos itens (sem repetir URL)
+  const places = [src.attractions, src.food, src.lodging, src.transport].map(v => list(v, placeIn));
+  const seen = new Set();
+  const sources = [];
+  const pushSource = (s) => { if (s && !seen.has(s.url) && sources.length < 12) { seen.add(s.url); sources.push(s); } };
+  list(src.sources, normSource).forEach(pushSource);
+  places.flat().forEach(p => pushSource(p.source));
+  days.forEach(d => [...d.attractions, ...d.meals].forEach(s => pushSource(s.source)));
+
+  return {
+    schema_version: 2,
+    language: ctx.idioma || DEFAULT_IDIOMA,
+    destination: str(src.destination) || ctx.destination || '',
+    currency: {
+      base: String(fx.base || 'BRL').toUpperCase(),
+      local: String(ctx.currency_code || src.currency?.local || 'BRL').toUpperCase(),
+      base_to_local: fx.base_to_quote > 0 ? fx.base_to_quote : null
+    },
+    ...(layout ? {
+      stops: layout.map(s => ({
+        name: s.name,
+        country: s.country_name || null,
+        nights: s.noites,
+        from_day: s.from_day,
+        to_day: s.to_day,
+        currency: s.currency_code,
+        base_to_local: s.fx?.base_to_quote > 0 ? s.fx.base_to_quote : null
+      }))
+    } : {}),
+    overview,
+    attractions: places[0],
+    food: places[1],
+    lodging: places[2],
+    transport: places[3],
+    days,
+    budget: {
+      per_day: list(src.budget?.per_day, r => (str(r?.item) ? { item: str(r.item), subtotal: normPrice(r.subtotal, fx) } : null))
+        .map(r => (r.subtotal ? r : { item: r.item })),
+      summary: list(src.budget?.summary, r => (str(r?.metric) ? { metric: str(r.metric), value: String(r.value ?? '') } : null))
+    },
+    sources
+  };
+}
+
+/* ----------------------- instruções de formato (prompt) ----------------------- */
+
+export function itineraryFormatSpec({ dias, currency_code, base_code = 'BRL' }) {
+  const q = currency_code || 'USD';
+  return `Responda APENAS com um objeto JSON válido (sem Markdown, sem HTML, sem texto fora do JSON), no formato:
+{
+  "destination": "Cidade, País",
+  "overview": ["parágrafos: cidade-base e 1–2 alternativas, época/clima, segurança, deslocamento"],
+  "attractions": [ /* 10–18 itens, SOMENTE atrações (nada de restaurantes/bares) */
+    { "name": "...", "neighborhood": "bairro/zona", "description": "breve descrição", "duration": "tempo médio", "best_time": "melhor horário",
+      "price": { "base": 80, "base_max": 120, "local": 14.4, "local_max": 21.6, "free": false }, "source": { "title": "domínio", "url": "https://..." } }
+  ],
+  "food": [ /* 8–14 lugares; "category" = estilo/cozinha; price = ticket médio por pessoa */ ],
+  "lodging": [ /* 6–10 hotéis/pousadas ou bairros; "category" = econômico|médio|superior; price = diária média */ ],
+  "transport": [ /* metrô/ônibus/app/táxi/passe/trem; trajetos aeroporto↔centro; price por trecho/diária */ ],
+  "days": [ /* exatamente ${dias} dias, "day" de 1 a ${dias} */
+    { "day": 1, "title": "tema do dia",
+      "attractions": [ /* no mínimo 5, preferencialmente 6–7, cobrindo ~12h úteis */
+        { "start": "08:30", "end": "10:00", "name": "...", "neighborhood": "...", "description": "dica prática / por que vale", "price": { "base": 120, "local": 21.6 }, "source": { "title": "...", "url": "https://..." } }
+      ],
+      "meals": [ /* 2–3: almoço, jantar (opcional café/lanche); NÃO contam como atração */
+        { "meal": "almoco", "start": "12:30", "end": "13:30", "name": "restaurante/bar", "neighborhood": "...", "cuisine": "estilo/cozinha", "price": { "base": 90, "local": 16.2 } }
+      ],
+      "costs": [ { "category": "Atrações", "per_person": { "base": 200, "local": 36 } } ]
+    }
+  ],
+  "budget": {
+    "per_day": [ { "item": "Hospedagem", "subtotal": { "base": 300, "base_max": 450 } } ],
+    "summary": [ { "metric": "Total estimado do grupo", "value": "R$ 9.000 – R$ 11.000" } ]
+  },
+  "sources": [ { "title": "domínio", "url": "https://..." } ]
+}
+Preços são SEMPRE por pessoa, números puros (sem símbolo): "base" em ${base_code} e "local" em ${q}. Atração grátis: "price": { "free": true }.
+"meal" ∈ cafe|almoco|lanche|jantar. Horários no formato HH:MM. Máximo de 12 fontes, domínios confiáveis.`;
+}
+
+/* ----------------------- renderização HTML ----------------------- */
+
+// estilos inline (o mesmo HTML vai para o e-mail, sem CSS externo)
+export const TABLE_STYLES = {
+  table: 'style="width:100%;border-collapse:collapse;margin:8px 0;font-size:.98rem"',
+  th: 'style="text-align:left;padding:8px 10px;border:1px solid #2a3358;background:#0e1429;color:#fff"',
+  td: 'style="padding:8px 10px;border:1px solid #2a3358;color:#fff"'
+};
+
+// currency: { base, local } como em itinerary.currency
+export function fmtPrice(price, currency = {}, idioma = DEFAULT_IDIOMA) {
+  if (!price) return '';
+  if (price.free) return t(idioma, 'price.free');
+  const baseCode = currency.base || 'BRL';
+  const code = currency.local || baseCode;
+  const range = (a, b, f) => (a === null ? null : (b !== null && b !== undefined ? `${f(a)}–${f(b)}` : f(a)));
+  const base = range(price.base, price.base_max, v => fmtMoney(v, baseCode, idioma));
+  const hasLocal = code !== baseCode && price.local !== null && price.local !== undefined;
+  const local = hasLocal ? range(price.local, price.local_max, v => fmtMoneyGeneric(v, code, idioma)) : null;
+  if (base && local) return `${base} (~${local})`;
+  return base || local || '';
+}
+
+const fmtDayDate = (iso, idioma) => {
+  if (!iso) return '';
+  try {
+    return new Intl.DateTimeFormat(idioma, { weekday: 'short', day: '2-digit', month: 'short', timeZone: 'UTC' })
+      .format(new Date(iso + 'T00:00:00Z'));
+  } catch { return iso; }
+};
+
+const sourceLink = (s, idioma) => (s
+  ? ` <small>${escapeHtml(t(idioma, 'place.source'))}: <a href="${escapeAttr(s.url)}" target="_blank" rel="noopener">${escapeHtml(s.title)}</a></small>`
+  : '');
+
+const timeRange = (s) => (s.start && s.end ? `${s.start}–${s.end}` : (s.start || ''));
+
+function placeItem(p, dataType, cur, idioma) {
+  const bits = [`<strong>${escapeHtml(p.name)}</strong>`];
+  if (p.neighborhood) bits.push(` — ${escapeHtml(p.neighborhood)}`);
+  if (p.category) bits.push(` <em>(${escapeHtml(p.category)})</em>`);
+  if (p.description) bits.push(`. ${escapeHtml(p.description)}`);
+  const extra = [];
+  if (p.duration) extra.push(`${escapeHtml(t(idioma, 'place.duration'))}: ${escapeHtml(p.duration)}`);
+  if (p.best_time) extra.push(`${escapeHtml(t(idioma, 'place.best_time'))}: ${escapeHtml(p.best_time)}`);
+  if (p.price) extra.push(escapeHtml(fmtPrice(p.price, cur, idioma)));
+  if (extra.length) bits.push(` · ${extra.join(' · ')}`);
+  return `<li data-type="${dataType}"${p.city ? ` data-city="${escapeAttr(p.city)}"` : ''}>${bits.join('')}${sourceLink(p.source, idioma)}</li>`;
+}
+
+function slotItem(s, cur, idioma) {
+  const label = s.type === 'meal' && s.meal ? `${mealLabel(s.meal, idioma)}: ` : '';
+  const bits = [`<strong>${escapeHtml(timeRange(s))}</strong> · ${escapeHtml(label)}${escapeHtml(s.name)}`];
+  if (s.neighborhood) bits.push(` (${escapeHtml(s.neighborhood)})`);
+  if (s.cuisine) bits.push(` — ${escapeHtml(s.cuisine)}`);
+  if (s.description) bits.push(` — ${escapeHtml(s.description)}`);
+  if (s.price) bits.push(` · ${s.type === 'meal' ? `${escapeHtml(t(idioma, 'meal.ticket'))} ` : ''}${escapeHtml(fmtPrice(s.price, cur, idioma))}`);
+  const attrs = [`data-type="${s.type}"`];
+  if (s.start) attrs.push(`data-start="${s.start}"`);
+  if (s.end) attrs.push(`data-end="${s.end}"`);
+  if (s.meal) attrs.push(`data-meal="${s.meal}"`);
+  if (s.travel) attrs.push(`data-travel-min="${s.travel.minutes}"`);
+  const travel = s.travel ? ` <small class="travel">(${escapeHtml(t(idioma, `route.${s.travel.mode}`, s.travel.minutes))})</small>` : '';
+  return `<li ${attrs.join(' ')}>${bits.join('')}${travel}${sourceLink(s.source, idioma)}</li>`;
+}
+
+// soma preços por pessoa (para dias sem "costs")
+function sumPrices(items) {
+  const priced = items.map(i => i.price).filter(Boolean);
+  if (!priced.length) return undefined;
+  const add = (k) => round2(priced.reduce((acc, p) => acc + (p[k] ?? p[k.replace('_max', '')] ?? 0), 0));
+  const out = { base: add('base'), base_max: add('base_max'), local: add('local'), local_max: add('local_max'), free: false };
+  if (out.base_max <= out.base) out.base_max = null;
+  if (out.local_max <= out.local) out.local_max = null;
+  if (!priced.some(p => p.local !== null && p.local !== undefined)) { out.local = null; out.local_max = null; }
+  return out;
+}
+
+export function dayCostRows(day, pessoas = 1, idioma = DEFAULT_IDIOMA) {
+  if (day.costs?.length) return day.costs;
+  const mk = (category, items) => {
+    const per_person = sumPrices(items);
+    return per_person ? normCostRow({ category, per_person }, {}, pessoas) : null;
+  };
+  return [mk(t(idioma, 'cost.attractions'), day.attractions), mk(t(idioma, 'cost.meals'), day.meals)].filter(Boolean);
+}
+
+const S = TABLE_STYLES;
+const table = (head, rows) => `<table ${S.table}>
+  <thead><tr>${head.map(h => `<th ${S.th}>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+  <tbody>${rows.length ? rows.map(r => `<tr>${r.map(c => `<td ${S.td}>${escapeHtml(c)}</td>`).join('')}</tr>`).join('') : `<tr><td ${S.td} colspan="${head.length}">—</td></tr>`}</tbody>
+</table>`;
+
+export function renderDayHtml(day, { pessoas = 1, currency = { base: 'BRL', local: 'BRL' }, idioma = DEFAULT_IDIOMA } = {}) {
+  const cur = currency;
+  const L = (key, arg) => t(idioma, key, arg);
+  const where = day.transfer ? `${day.transfer.from} → ${day.transfer.to}` : day.city;
+  const head = [`${L('day')} ${day.day}`, fmtDayDate(day.date, idioma), where, day.title !== where && day.title].filter(Boolean).map(escapeHtml).join(' — ');
+  const codes = cur.local && cur.local !== cur.base ? `${cur.base} / ${cur.local}` : cur.base;
+  const costs = dayCostRows(day, pessoas, idioma).map(r => [r.category, fmtPrice(r.per_person, cur, idioma) || '—', fmtPrice(r.group, cur, idioma) || '—']);
+  const tr = day.transfer;
+  const transfer = tr
+    ? `<p class="transfer" data-type="transfer"><strong>${escapeHtml(L('day.transfer'))}:</strong> ${escapeHtml(`${tr.from} → ${tr.to}`)}${[tr.mode, tr.duration, fmtPrice(tr.price, cur, idioma)].filter(Boolean).map(v => ` · ${escapeHtml(v)}`).join('')}</p>\n`
+    : '';
+  return `<div class="day" data-day="${day.day}"${day.date ? ` data-date="${day.date}"` : ''}${day.city ? ` data-city="${escapeAttr(day.city)}"` : ''}>
+<h3>${head}</h3>
+${transfer}<h4>${escapeHtml(L('day.attractions'))}</h4>
+<ul class="day-plan">${day.attractions.map(s => slotItem(s, cur, idioma)).join('')}</ul>
+${day.route?.travel_min > 0 ? `<p class="route" data-type="route" data-travel-min="${day.route.travel_min}"${day.route.optimized ? ' data-optimized="1"' : ''}><small>${escapeHtml(L('route.summary', { total: day.route.travel_min, saved: day.route.saved_min }))}</small></p>\n` : ''}<h4>${escapeHtml(L('day.meals'))}</h4>
+<ul class="meals">${day.meals.map(s => slotItem(s, cur, idioma)).join('')}</ul>
+<h5>${escapeHtml(L('day.costs'))}</h5>
+${table([L('col.category'), `${L('col.per_person')} (${codes})`, `${L('col.group', pessoas)} (${codes})`], costs)}
+</div>`;
+}
+
+// seções na ordem do documento; "key" vira data-section ("title" em pt-BR; o HTML usa o idioma do roteiro)
+export const ITINERARY_SECTIONS = ['overview', 'attractions', 'food', 'lodging', 'transport', 'days', 'budget', 'sources']
+  .map(key => ({ key, title: t(DEFAULT_IDIOMA, `section.${key}`) }));
+
+export function renderSectionHtml(key, it, { pessoas = 1, idioma = it.language || DEFAULT_IDIOMA } = {}) {
+  const L = (k, arg) => t(idioma, k, arg);
+  const cur = { base: it.currency?.base || 'BRL', local: it.currency?.local || it.currency?.base || 'BRL' };
+  const stops = it.stops || [];
+  // várias cidades: o "local" de cada item/dia está na moeda da própria cidade
+  const curFor = (city) => {
+    const stop = city && stops.find(s => s.name === city);
+    return stop ? { base: cur.base, local: stop.currency } : cur;
+  };
+  const placeList = (items, type) => {
+    if (!stops.length) return `<ul>${items.map(p => placeItem(p, type, cur, idioma)).join('')}</ul>`;
+    const groups = [...stops.map(s => s.name), null].map(city => {
+      const inCity = items.filter(p => (city ? p.city === city : !stops.some(s => s.name === p.city)));
+      if (!inCity.length) return '';
+      return `${city ? `<h3>${escapeHtml(city)}</h3>` : ''}<ul>${inCity.map(p => placeItem(p, type, curFor(p.city), idioma)).join('')}</ul>`;
+    });
+    return groups.join('');
+  };
+  const sec = ITINERARY_SECTIONS.find(s => s.key === key);
+  if (!sec) return '';
+  let body = '';
+  switch (key) {
+    case 'overview':
+      body = (stops.length
+        ? table([L('col.city'), L('col.nights'), L('col.days'), L('col.local_currency')], stops.map(s => [
+          [s.name, s.country].filter(Boolean).join(', '), String(s.nights), `${s.from_day}–${s.to_day}`, s.currency
+        ]))
+        : '') + it.overview.map(p => `<p>${escapeHtml(p)}</p>`).join('');
+      break;
+    case 'attractions':
+      body = placeList(it.attractions, 'attraction');
+      break;
+    case 'food':
+      body = placeList(it.food, 'food');
+      break;
+    case 'lodging':
+      body = placeList(it.lodging, 'lodging');
+      break;
+    case 'transport':
+      body = placeList(it.transport, 'transport');
+      break;
+    case 'days':
+      body = it.days.map(d => renderDayHtml(d, { pessoas, currency: curFor(d.city), idioma })).join('\n');
+      break;
+    case 'budget':
+      body = `<h3>${escapeHtml(L('budget.table1'))}</h3>
+${table([L('col.item'), L('col.subtotal_day')], it.budget.per_day.map(r => [r.item, fmtPrice(r.subtotal, cur, idioma) || '—']))}
+<h3>${escapeHtml(L('budget.table2'))}</h3>
+${table([L('col.metric'), L('col.value')], it.budget.summary.map(r => [r.metric, r.value]))}`;
+      break;
+    case 'sources':
+      body = `<ul>${it.sources.map(s => `<li><a href="${escapeAttr(s.url)}" target="_blank" rel="noopener">${escapeHtml(s.title)}</a></li>`).join('')}</ul>`;
+      break;
+  }
+  return `<section data-section="${key}">
+<h2>${escapeHtml(L(`section.${key}`))}</h2>
+${body}
+</section>`;
+}
+
+export function renderItineraryHtml(it, opts = {}) {
+  return ITINERARY_SECTIONS.map(s => renderSectionHtml(s.key, it, opts)).join('\n');
+}
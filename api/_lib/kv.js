@@ -0,0 +1,37 @@
+// /api/_lib/kv.js
+// Redis pela API REST (Vercel KV / Upstash), sem cliente nativo: armazenamento compartilhado entre as instâncias
+// serverless — o /tmp de cada instância da Vercel é só dela (o que uma grava a outra não vê).
+//   KV_REST_API_URL, KV_REST_API_TOKEN   (ou UPSTASH_REDIS_REST_URL, UPSTASH_REDIS_REST_TOKEN)
+//   KV_PREFIX                            prefixo das chaves (padrão "touristando:")
+
+import { env, fetchWithTimeout, safeJson } from './util.js';
+
+export const kvUrl = () => env('KV_REST_API_URL', env('UPSTASH_REDIS_REST_URL')).replace(/\/+$/, '');
+const kvToken = () => env('KV_REST_API_TOKEN', env('UPSTASH_REDIS_REST_TOKEN'));
+
+// na Vercel (e em outras plataformas serverless) o disco local não é compartilhado nem dura entre execuções
+export const isServerless = () => Boolean(env('VERCEL') || env('AWS_LAMBDA_FUNCTION_NAME'));
+
+/**
+ * Cliente { name, key(...parts), command([...args]) → result }; null sem KV_REST_API_URL; { configError } sem o token.
+ */
+export function createKv() {
+  const url = kvUrl(), token = kvToken();
+  if (!url) return null;
+  if (!token) return { configError: 'KV_REST_API_URL exige KV_REST_API_TOKEN.' };
+  const prefix = env('KV_PREFIX', 'touristando:');
+  return {
+    name: 'kv',
+    key: (...parts) => prefix + parts.join(':'),
+    async command(args) {
+      const res = await fetchWithTimeout(url, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(args.map(String))
+      }, 8000);
+      const data = await safeJson(res);
+      if (!res.ok || data.error) throw new Error(`KV ${args[0]}: ${res.status} ${data.error || data._raw || ''}`.trim());
+      return data.result;
+    }
+  };
+}
@@ -0,0 +1,195 @@
+// /api/_lib/llm-fixture.js
+// Provedor "fixture": respostas determinísticas, sem rede e sem chave, para testes e demonstrações.
+// Mesma entrada → mesma saída (preços e escolhas derivam de um hash do destino).
+
+import { dayStop } from './trip.js';
+
+// FNV-1a 32 bits
+export function hashStr(s = '') {
+  let h = 0x811c9dc5;
+  for (const ch of String(s)) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+const pick = (arr, seed) => arr[seed % arr.length];
+const rotate = (arr, n) => arr.map((_, i) => arr[(i + n) % arr.length]);
+
+const fold = (s = '') => String(s).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+
+// destinos conhecidos pelo fixture; o resto cai em "região" com USD
+const GAZETTEER = {
+  'lisboa': ['Lisboa', 'city', 'Portugal', 'PT', 'EUR', 'Euro'],
+  'porto': ['Porto', 'city', 'Portugal', 'PT', 'EUR', 'Euro'],
+  'portugal': ['Portugal', 'country', 'Portugal', 'PT', 'EUR', 'Euro'],
+  'madrid': ['Madri', 'city', 'Espanha', 'ES', 'EUR', 'Euro'],
+  'barcelona': ['Barcelona', 'city', 'Espanha', 'ES', 'EUR', 'Euro'],
+  'paris': ['Paris', 'city', 'França', 'FR', 'EUR', 'Euro'],
+  'roma': ['Roma', 'city', 'Itália', 'IT', 'EUR', 'Euro'],
+  'londres': ['Londres', 'city', 'Reino Unido', 'GB', 'GBP', 'Libra esterlina'],
+  'nova york': ['Nova York', 'city', 'Estados Unidos', 'US', 'USD', 'Dólar americano'],
+  'orlando': ['Orlando', 'city', 'Estados Unidos', 'US', 'USD', 'Dólar americano'],
+  'buenos aires': ['Buenos Aires', 'city', 'Argentina', 'AR', 'ARS', 'Peso argentino'],
+  'bariloche': ['Bariloche', 'city', 'Argentina', 'AR', 'ARS', 'Peso argentino'],
+  'santiago': ['Santiago', 'city', 'Chile', 'CL', 'CLP', 'Peso chileno'],
+  'cancun': ['Cancún', 'city', 'México', 'MX', 'MXN', 'Peso mexicano'],
+  'toquio': ['Tóquio', 'city', 'Japão', 'JP', 'JPY', 'Iene'],
+  'rio de janeiro': ['Rio de Janeiro', 'city', 'Brasil', 'BR', 'BRL', 'Real'],
+  'sao paulo': ['São Paulo', 'city', 'Brasil', 'BR', 'BRL', 'Real'],
+  'salvador': ['Salvador', 'city', 'Brasil', 'BR', 'BRL', 'Real'],
+  'gramado': ['Gramado', 'city', 'Brasil', 'BR', 'BRL', 'Real'],
+  'bahia': ['Bahia', 'state', 'Brasil', 'BR', 'BRL', 'Real']
+};
+
+export function fixtureClassify(destino = '') {
+  const key = fold(String(destino).split(',')[0]);
+  const hit = GAZETTEER[key];
+  if (hit) {
+    const [normalized_name, region_type, country_name, country_code, currency_code, currency_name] = hit;
+    return { normalized_name, region_type, country_name, country_code, currency_code, currency_name };
+  }
+  const name = String(destino).split(',')[0].trim();
+  return {
+    normalized_name: name.replace(/\b\p{L}/gu, c => c.toUpperCase()),
+    region_type: 'region', country_name: '', country_code: '', currency_code: 'USD', currency_name: 'Dólar americano'
+  };
+}
+
+const ATTRACTIONS = [
+  'Centro Histórico', 'Museu de Arte', 'Mercado Municipal', 'Mirante Principal', 'Parque Central',
+  'Catedral', 'Bairro Boêmio', 'Passeio de Barco', 'Jardim Botânico', 'Feira de Artesanato',
+  'Museu de História', 'Castelo', 'Orla', 'Teatro Municipal', 'Galeria de Arte Contemporânea', 'Trilha Panorâmica'
+];
+const NEIGHBORHOODS = ['Centro', 'Bairro Antigo', 'Orla', 'Zona Norte', 'Zona Sul', 'Distrito das Artes'];
+const RESTAURANTS = [
+  ['Cantina da Praça', 'cozinha local'], ['Bistrô do Porto', 'frutos do mar'], ['Café Central', 'café e padaria'],
+  ['Taberna Velha', 'petiscos'], ['Mercado Gourmet', 'mercado gastronômico'], ['Casa do Chef', 'contemporânea'],
+  ['Pizzaria da Esquina', 'pizza'], ['Bar do Mirante', 'drinks e vista'], ['Sabores da Terra', 'regional']
+];
+const LODGING = [
+  ['Hostel Centro', 'econômico', 120], ['Pousada do Largo', 'econômico', 180], ['Hotel Praça', 'médio', 350],
+  ['Hotel Avenida', 'médio', 420], ['Grand Hotel', 'superior', 900], ['Boutique Hotel das Artes', 'superior', 750]
+];
+const TRANSPORT = [
+  ['Metrô / VLT', 'bilhete unitário', 12], ['Passe diário de transporte', 'uso ilimitado por 24h', 35],
+  ['Aplicativo de transporte', 'trecho médio no centro', 40], ['Ônibus aeroporto ↔ centro', 'cerca de 40 min', 25]
+];
+const SLOTS = [['08:30', '10:00'], ['10:15', '12:00'], ['14:00', '15:30'], ['15:45', '17:00'], ['17:15', '18:30'], ['20:30', '22:00']];
+const PERFIL_MULT = { 'econômico': 0.7, economico: 0.7, normal: 1, conforto: 1.5 };
+
+// atrações, restaurantes, hospedagem e transporte de uma cidade
+function cityPlaces(city, mult, tagCity, shift = 0) {
+  const seed = hashStr(city);
+  const price = (base, salt) => Math.round((base + (hashStr(city + salt) % base)) * mult);
+  const source = (slug) => ({ title: 'wikivoyage.org', url: `https://pt.wikivoyage.org/wiki/${encodeURIComponent(city)}${slug ? '#' + encodeURIComponent(slug) : ''}` });
+  const tag = tagCity ? { city } : {};
+
+  const attractions = rotate(ATTRACTIONS, shift).slice(0, 12).map((a, i) => {
+    const free = (seed + i) % 4 === 0;
+    return {
+      name: `${a} de ${city}`,
+      ...tag,
+      neighborhood: pick(NEIGHBORHOODS, seed + i),
+      description: `Ponto clássico de ${city}, bom para conhecer a história e o dia a dia local.`,
+      duration: `${1 + ((seed + i) % 3)}h`,
+      best_time: i % 2 ? 'fim de tarde' : 'manhã',
+      price: free ? { free: true } : { base: price(40, a) },
+      source: source(a)
+    };
+  });
+  const food = rotate(RESTAURANTS, shift).map(([name, cuisine], i) => ({
+    name: tagCity ? `${name} (${city})` : name, ...tag, neighborhood: pick(NEIGHBORHOODS, seed + i * 3), category: cuisine,
+    description: `Boa opção de ${cuisine}.`, price: { base: price(60, name), base_max: price(60, name) + 40 }
+  }));
+  const lodging = LODGING.map(([name, category, base]) => ({
+    name: tagCity ? `${name} ${city}` : name, ...tag, neighborhood: pick(NEIGHBORHOODS, seed + base), category, price: { base: Math.round(base * mult) }
+  }));
+  const transport = TRANSPORT.map(([name, description, base]) => ({ name, ...tag, description, price: { base: Math.round(base * mult) } }));
+  return { city, seed, price, source, attractions, food, lodging, transport };
+}
+
+/**
+ * Monta o roteiro determinístico no formato pedido por itineraryFormatSpec().
+ * context: { destino, dias, pessoas, perfil, economizar, stops, variante }  (economizar = regeneração "mais barata";
+ * stops = layout de várias cidades, ver trip.js; variante = outra combinação de lugares, para regenerar uma parte)
+ */
+export function fixturePlan(context = {}) {
+  const stops = Array.isArray(context.stops) && context.stops.length ? context.stops : null;
+  const dias = Math.max(1, Math.min(stops ? 61 : 30, Number(context.dias) || 1));
+  const mult = (PERFIL_MULT[String(context.perfil || 'normal').toLowerCase()] || 1) * (context.economizar ? 0.6 : 1);
+  const shift = context.variante ? hashStr(String(context.variante)) % 97 : 0;
+  const cities = (stops ? stops.map(st => st.name) : [String(context.destino || 'Destino').split(',')[0].trim()])
+    .map(c => cityPlaces(c, mult, Boolean(stops), shift));
+  const main = cities[0];
+  const byName = new Map(cities.map(c => [c.city, c]));
+
+  const days = Array.from({ length: dias }, (_, d) => {
+    const where = stops ? dayStop(stops, d + 1) : { stop: null, transfer: null };
+    const c = where.stop ? byName.get(where.stop.name) : main;
+    // dia de deslocamento: só a metade final do dia na nova cidade
+    const slots = where.transfer ? SLOTS.slice(3) : SLOTS;
+    const dayAttractions = slots.map(([start, end], j) => {
+      const a = c.attractions[(d * SLOTS.length + j + shift) % c.attractions.length];
+      return { start, end, name: a.name, neighborhood: a.neighborhood, description: a.description, price: a.price, source: a.source };
+    });
+    const lunch = c.food[(c.seed + d + shift) % c.food.length];
+    const dinner = c.food[(c.seed + d + shift + 4) % c.food.length];
+    return {
+      day: d + 1,
+      ...(stops ? { city: c.city } : {}),
+      title: where.transfer
+        ? `Deslocamento e primeira tarde em ${c.city}`
+        : `${c.city}: ${pick(['centro e história', 'arte e mercados', 'natureza e mirantes', 'bairros e gastronomia'], c.seed + d + shift)}`,
+      ...(where.transfer ? {
+        transfer: { ...where.transfer, mode: 'trem', duration: `${2 + (hashStr(where.transfer.from + where.transfer.to) % 4)}h`, price: { base: c.price(150, 'transfer') } }
+      } : {}),
+      attractions: dayAttractions,
+      meals: [
+        { meal: 'almoco', start: '12:15', end: '13:45', name: lunch.name, neighborhood: lunch.neighborhood, cuisine: lunch.category, price: { base: lunch.price.base } },
+        { meal: 'jantar', start: '19:00', end: '20:15', name: dinner.name, neighborhood: dinner.neighborhood, cuisine: dinner.category, price: { base: dinner.price.base } }
+      ]
+    };
+  });
+
+  const hotel = main.lodging[2];
+  const transport = main.transport;
+  return {
+    destination: context.destino || main.city,
+    overview: [
+      stops
+        ? `Roteiro em ${cities.length} cidades: ${stops.map(st => `${st.name} (${st.noites} noite${st.noites > 1 ? 's' : ''})`).join(', ')}; os deslocamentos são feitos de trem.`
+        : `${main.city} funciona bem como cidade-base; os bairros ${NEIGHBORHOODS[0]} e ${pick(NEIGHBORHOODS, main.seed)} concentram a maior parte das atrações.`,
+      'Roteiro gerado pelo provedor fixture (determinístico, sem pesquisa na web) — use apenas para testes e demonstrações.'
+    ],
+    attractions: cities.flatMap(c => c.attractions),
+    food: cities.flatMap(c => c.food),
+    lodging: cities.flatMap(c => c.lodging),
+    transport: cities.flatMap(c => c.transport),
+    days,
+    budget: {
+      per_day: [
+        { item: 'Hospedagem (por pessoa)', subtotal: { base: Math.round(hotel.price.base / Math.max(1, Number(context.pessoas) || 1)) } },
+        { item: 'Alimentação', subtotal: { base: main.price(120, 'food'), base_max: main.price(120, 'food') + 80 } },
+        { item: 'Transporte local', subtotal: { base: transport[1].price.base } }
+      ],
+      summary: [{ metric: 'Observação', value: 'Valores fictícios (fixture)' }]
+    },
+    sources: cities.map(c => c.source(''))
+  };
+}
+
+export function createFixtureProvider() {
+  return {
+    name: 'fixture',
+    model: 'fixture',
+    configError: null,
+    async classify({ destino }) {
+      return { ok: true, data: fixtureClassify(destino) };
+    },
+    async generate({ context = {} }) {
+      const plan = fixturePlan(context);
+      return { text: JSON.stringify(plan), usedSearch: false, strategy: 'fixture', model: 'fixture', raw: null };
+    }
+  };
+}
@@ -0,0 +1,162 @@
+// /api/_lib/llm.js
+// Camada de provedores de LLM. O provedor, os modelos e a ordem de fallback vêm de variáveis de ambiente:
+//   LLM_PROVIDER        openai (padrão) | fixture (determinístico, offline, sem chave)
+//   LLM_MODEL           modelo da geração do roteiro (padrão gpt-4o-mini)
+//   LLM_CLASSIFY_MODEL  modelo da classificação do destino (padrão = LLM_MODEL)
+//   LLM_FALLBACK        ordem das estratégias OpenAI (padrão responses_search,responses,chat)
+//   LLM_TIMEOUT_MS      timeout por tentativa de geração (padrão 90000)
+
+import { env, log, logError, safeTruncate, fetchWithTimeout, safeJson } from './util.js';
+import { createFixtureProvider } from './llm-fixture.js';
+import { promptLanguage, DEFAULT_IDIOMA } from './i18n.js';
+
+export const CLASSIFY_SYSTEM =
+`Você extrai metadados geográficos e de moeda. Responda SOMENTE com JSON válido.
+Campos:
+- normalized_name (string)
+- region_type ("country"|"state"|"city"|"region")
+- country_name (string)
+- country_code (string)
+- currency_code (string)
+- currency_name (string)`;
+
+// system da geração (estratégia chat) no idioma do roteiro
+export const generationSystem = (idioma) =>
+  `Você é um travel planner sênior. Responda APENAS com um objeto JSON válido, textos em ${promptLanguage(idioma)}, sem Markdown.`;
+const DEFAULT_SYSTEM = generationSystem();
+
+// extrai texto do retorno da Responses API
+export function extractResponsesText(obj) {
+  try {
+    if (Array.isArray(obj?.output)) {
+      const pieces = [];
+      for (const item of obj.output) {
+        if (item?.type === 'message' && Array.isArray(item.content)) {
+          for (const c of item.content) {
+            if (c?.type === 'output_text' && typeof c.text === 'string') {
+              pieces.push(c.text);
+            }
+          }
+        } else if (item?.type === 'output_text' && typeof item.text === 'string') {
+          pieces.push(item.text);
+        }
+      }
+      return pieces.join('\n');
+    }
+  } catch { /* ignore */ }
+  return obj?.choices?.[0]?.message?.content || '';
+}
+
+export function llmConfig() {
+  const model = env('LLM_MODEL', 'gpt-4o-mini');
+  return {
+    provider: env('LLM_PROVIDER', 'openai').toLowerCase(),
+    model,
+    classifyModel: env('LLM_CLASSIFY_MODEL', model),
+    fallback: env('LLM_FALLBACK', 'responses_search,responses,chat')
+      .split(',').map(s => s.trim()).filter(Boolean),
+    timeoutMs: Number(env('LLM_TIMEOUT_MS', '90000')) || 90000,
+    apiBase: env('OPENAI_API_BASE', 'https://api.openai.com/v1'),
+    apiKey: env('OPENAI_API_KEY')
+  };
+}
+
+/* ----------------------- OpenAI ----------------------- */
+
+function createOpenAIProvider(cfg) {
+  const headers = { 'Authorization': `Bearer ${cfg.apiKey}`, 'Content-Type': 'application/json' };
+  const post = (path, body, ms) => fetchWithTimeout(`${cfg.apiBase}${path}`, {
+    method: 'POST', headers, body: JSON.stringify(body)
+  }, ms);
+
+  // cada estratégia devolve { text, usedSearch, raw } ou lança erro
+  const strategies = {
+    async responses_search({ prompt }) {
+      const resp = await post('/responses', {
+        model: cfg.model, input: prompt, tools: [{ type: 'web_search' }], tool_choice: 'auto'
+      }, cfg.timeoutMs);
+      if (!resp.ok) throw Object.assign(new Error(await resp.text()), { status: resp.status });
+      const data = await safeJson(resp);
+      return { text: extractResponsesText(data).trim(), usedSearch: true, raw: data };
+    },
+    async responses({ prompt }) {
+      const resp = await post('/responses', { model: cfg.model, input: prompt }, cfg.timeoutMs);
+      if (!resp.ok) throw Object.assign(new Error(await resp.text()), { status: resp.status });
+      const data = await safeJson(resp);
+      return { text: extractResponsesText(data).trim(), usedSearch: false, raw: data };
+    },
+    async chat({ prompt, system }) {
+      const resp = await post('/chat/completions', {
+        model: cfg.model, temperature: 0.7, response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: system || DEFAULT_SYSTEM },
+          { role: 'user', content: prompt }
+        ]
+      }, cfg.timeoutMs);
+      const data = await safeJson(resp);
+      if (!resp.ok) throw Object.assign(new Error(data?.error?.message || data?._raw || 'Falha na OpenAI'), { status: resp.status });
+      return { text: (data?.choices?.[0]?.message?.content || '').trim(), usedSearch: false, raw: data };
+    }
+  };
+
+  return {
+    name: 'openai',
+    model: cfg.model,
+    configError: cfg.apiKey ? null : 'OPENAI_API_KEY não configurada no projeto (Vercel).',
+
+    async classify({ destino, reqId, idioma }) {
+      console.time(`[${reqId}] openai_classify`);
+      const resp = await post('/chat/completions', {
+        model: cfg.classifyModel, temperature: 0.0, response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: CLASSIFY_SYSTEM },
+          { role: 'user', content: `Destino: ${destino}${idioma && idioma !== DEFAULT_IDIOMA ? `\nNomes (normalized_name, country_name, currency_name) em ${promptLanguage(idioma)}.` : ''}` }
+        ]
+      }, 25000);
+      console.timeEnd(`[${reqId}] openai_classify`);
+      if (!resp.ok) {
+        const errTxt = await resp.text();
+        return { ok: false, status: resp.status, raw: errTxt };
+      }
+      const data = await safeJson(resp);
+      try { return { ok: true, data: JSON.parse(data?.choices?.[0]?.message?.content || '{}') }; }
+      catch { return { ok: true, data: {} }; }
+    },
+
+    async generate({ prompt, system, reqId }) {
+      let lastErr = null;
+      for (const name of cfg.fallback) {
+        const run = strategies[name];
+        if (!run) { logError(`[${reqId}] estratégia LLM desconhecida: ${name}`); continue; }
+        try {
+          console.time(`[${reqId}] openai_${name}`);
+          const out = await run({ prompt, system });
+          console.timeEnd(`[${reqId}] openai_${name}`);
+          log(`[${reqId}] ${name} ok text_len=${out.text.length}`);
+          return { ...out, strategy: name, model: cfg.model };
+        } catch (e) {
+          console.timeEnd(`[${reqId}] openai_${name}`);
+          logError(`[${reqId}] ${name} error`, e.status || '', safeTruncate(String(e.message || e)));
+          lastErr = e;
+        }
+      }
+      throw lastErr || new Error('Nenhuma estratégia de LLM configurada (LLM_FALLBACK).');
+    }
+  };
+}
+
+/* ----------------------- seleção ----------------------- */
+
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  fixture: createFixtureProvider
+};
+
+export function getLlmProvider(overrides = {}) {
+  const cfg = { ...llmConfig(), ...overrides };
+  const factory = PROVIDERS[cfg.provider];
+  if (!factory) {
+    return { name: cfg.provider, configError: `LLM_PROVIDER desconhecido: ${cfg.provider} (use ${Object.keys(PROVIDERS).join(' | ')}).` };
+  }
+  return factory(cfg);
+}
@@ -0,0 +1,169 @@
+// /api/_lib/mail-templates.js
+// Modelos de e-mail (tema claro): moldura comum, roteiro, confirmação e alerta de preço.
+// Cada modelo devolve { subject, html, text }; o texto puro sai do mesmo conteúdo (htmlToText), não de uma frase fixa.
+
+import { escapeHtml, escapeAttr, fmtMoney, fmtDate } from './util.js';
+import { TABLE_STYLES } from './itinerary.js';
+import { t, DEFAULT_IDIOMA } from './i18n.js';
+
+// as tabelas do roteiro vêm com o estilo escuro da página; no e-mail (fundo branco) trocamos pelo claro
+const LIGHT_TABLE_STYLES = {
+  table: 'style="width:100%;border-collapse:collapse;margin:8px 0;font-size:14px"',
+  th: 'style="text-align:left;padding:8px 10px;border:1px solid #e4e7ec;background:#f2f4f7;color:#101828"',
+  td: 'style="padding:8px 10px;border:1px solid #e4e7ec;color:#101828"'
+};
+
+export function lightTables(html = '') {
+  let out = String(html);
+  for (const k of Object.keys(TABLE_STYLES)) out = out.split(TABLE_STYLES[k]).join(LIGHT_TABLE_STYLES[k]);
+  return out;
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+const decodeEntities = (s) => s.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (m, e) => {
+  if (e[0] === '#') return String.fromCodePoint(e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+  return ENTITIES[e.toLowerCase()] ?? m;
+});
+const stripTags = (s) => s.replace(/<[^>]*>/g, '');
+
+/**
+ * Versão texto de um fragmento HTML: títulos sublinhados, tabelas em "a | b", listas com "- " e links como "texto (url)".
+ */
+export function htmlToText(html = '') {
+  let s = String(html).replace(/<(script|style)[\s\S]*?<\/\1>/gi, '').replace(/\s+/g, ' ');
+  s = s.replace(/<a\b[^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/gi, (m, href, inner) => {
+    const label = stripTags(inner).trim();
+    return /^https?:/i.test(href) && label !== href ? `${label} (${href})` : label || href;
+  });
+  s = s.replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (m, n, inner) => {
+    const title = decodeEntities(stripTags(inner)).trim();
+    return `\n\n${title}\n${(Number(n) <= 2 ? '=' : '-').repeat(Math.min(title.length, 60))}\n`;
+  });
+  s = s.replace(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi, (m, inner) =>
+    `\n${[...inner.matchAll(/<t[hd]\b[^>]*>([\s\S]*?)<\/t[hd]>/gi)].map(c => stripTags(c[1]).trim()).join(' | ')}`);
+  s = s.replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|ul|ol|table|section|tr)>/gi, '\n\n');
+  return decodeEntities(stripTags(s))
+    .split('\n').map(l => l.replace(/[ \t]+/g, ' ').trim()).join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// moldura: faixa da marca, conteúdo e rodapé
+export function mailLayout({ brand, logoUrl = '', lang = 'pt-BR', width = 760, body, footer = '' }) {
+  return `
+<div lang="${escapeAttr(lang)}" style="font-family:Arial,Helvetica,sans-serif;padding:24px;background:#f6f9fc;color:#101828">
+  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="max-width:${width}px;margin:0 auto;background:#fff;border:1px solid #eaeaea;border-radius:12px;overflow:hidden">
+    <tr>
+      <td style="background:#0d6efd;color:#fff;padding:16px 20px">
+        ${logoUrl ? `<img src="${escapeAttr(logoUrl)}" alt="${escapeAttr(brand)}" height="28" style="vertical-align:middle;border-radius:6px;background:#fff;padding:3px;margin-right:8px">` : ''}
+        <strong style="font-size:16px;vertical-align:middle">${escapeHtml(brand)}</strong>
+      </td>
+    </tr>
+    <tr><td style="padding:18px 20px;color:#101828;font-size:14px;line-height:1.5">
+      ${body}
+      ${footer ? `<p style="color:#667085;font-size:12px;margin-top:14px">${footer}</p>` : ''}
+    </td></tr>
+  </table>
+</div>`.trim();
+}
+
+/* ----------------------- roteiro ----------------------- */
+
+/**
+ * E-mail do roteiro gerado. rows = [[campo, valor], …] do resumo; fragment = HTML do roteiro (já sanitizado).
+ * hasPdf/hasIcs só acrescentam a frase sobre o anexo; os anexos vão no sendMail.
+ */
+export function roteiroEmail({ L, idioma, brand, logoUrl, destino, rows, fragment, shareUrl, hasIcs, hasPdf }) {
+  const subject = L('mail.subject', { destino, brand });
+  const table = `
+    <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="border-collapse:collapse;border:1px solid #eaeaea">
+      ${rows.map(([k, v]) => `
+      <tr>
+        <td style="padding:8px 10px;border:1px solid #eceff4;background:#f8fafc;color:#101828;font-weight:600;width:40%">${escapeHtml(k)}</td>
+        <td style="padding:8px 10px;border:1px solid #eceff4;color:#101828">${escapeHtml(v)}</td>
+      </tr>`).join('')}
+    </table>`;
+  const link = shareUrl && /^https?:/.test(shareUrl) ? shareUrl : null;
+  const body = `
+      <h2 style="margin:0 0 10px 0;font-size:18px;color:#101828">${escapeHtml(L('mail.summary'))}</h2>
+      ${table}
+      <div style="height:14px"></div>
+      <h2 style="margin:0 0 6px 0;font-size:18px;color:#101828">${escapeHtml(L('mail.itinerary'))}: ${escapeHtml(destino)}</h2>
+      <div style="color:#101828">
+        ${lightTables(fragment)}
+      </div>
+      ${link ? `<p style="margin-top:14px"><a href="${escapeAttr(link)}" style="color:#0d6efd">${escapeHtml(L('mail.open'))}</a></p>` : ''}
+      ${hasPdf ? `<p style="color:#475467;font-size:13px">${escapeHtml(L('mail.pdf'))}</p>` : ''}
+      ${hasIcs ? `<p style="color:#475467;font-size:13px">${escapeHtml(L('mail.ics'))}</p>` : ''}`;
+  const html = mailLayout({ brand, logoUrl, lang: idioma, body, footer: escapeHtml(L('mail.footer', brand)) });
+
+  const text = [
+    `${L('mail.summary')}\n${rows.map(([k, v]) => `${k}: ${v}`).join('\n')}`,
+    `${L('mail.itinerary')}: ${destino}\n\n${htmlToText(fragment)}`,
+    link ? `${L('mail.open')}: ${link}` : '',
+    hasPdf ? L('mail.pdf') : '',
+    hasIcs ? L('mail.ics') : '',
+    L('mail.footer', brand)
+  ].filter(Boolean).join('\n\n');
+  return { subject, html, text };
+}
+
+/* ----------------------- alerta de preço ----------------------- */
+
+const day = (iso, idioma) => (iso ? fmtDate(new Date(`${String(iso).slice(0, 10)}T00:00:00Z`), idioma) : '');
+
+export function alertEmail({ watch: w, alert, brand, cancelUrl }) {
+  const idioma = w.idioma || DEFAULT_IDIOMA;
+  const L = (key, arg) => t(idioma, key, arg);
+  const money = (v) => fmtMoney(v, w.currency, idioma);
+  const route = `${w.origem} → ${w.destino}`;
+  const dates = w.return ? L('alert.dates', { from: day(w.depart, idioma), to: day(w.return, idioma) }) : day(w.depart, idioma);
+  const why = alert.reason === 'alvo'
+    ? L('alert.target', money(w.preco_alvo))
+    : L('alert.drop', { pct: alert.drop_pct, before: money(alert.reference) });
+  const raw = alert.fare?.deep_link || '';
+  // o Travelpayouts devolve o caminho da busca no Aviasales ("/search/…")
+  const link = !raw ? '' : /^https?:/.test(raw) ? raw : `https://www.aviasales.com${raw.startsWith('/') ? '' : '/'}${raw}`;
+  const airline = alert.fare?.airline ? ` (${alert.fare.airline})` : '';
+  const subject = L('alert.subject', { route, price: money(alert.price), brand });
+  const body = `
+      <h2 style="margin:0 0 8px 0;font-size:18px">${escapeHtml(route)}</h2>
+      <p style="margin:0 0 6px 0;color:#475467">${escapeHtml(dates)}</p>
+      <p style="margin:12px 0;font-size:15px">${escapeHtml(L('alert.lead', why))}
+        <strong style="font-size:20px;color:#067647">${escapeHtml(money(alert.price))}</strong>${airline ? ` <span style="color:#475467">${escapeHtml(airline)}</span>` : ''}</p>
+      ${link ? `<p><a href="${escapeAttr(link)}" style="color:#0d6efd">${escapeHtml(L('alert.offer'))}</a></p>` : ''}
+      <p style="color:#667085;font-size:12px;margin-top:14px">${escapeHtml(L('alert.disclaimer'))}</p>`;
+  const html = mailLayout({
+    brand, lang: idioma, width: 560, body,
+    footer: `<a href="${escapeAttr(cancelUrl)}" style="color:#667085">${escapeHtml(L('alert.cancel'))}</a>`
+  });
+  const text = [
+    `${L('alert.lead_text', { route, dates, why })} ${money(alert.price)}${airline}.`,
+    link ? `${L('alert.offer')}: ${link}` : '',
+    L('alert.disclaimer'),
+    `${L('alert.cancel_text')}: ${cancelUrl}`
+  ].filter(Boolean).join('\n\n');
+  return { subject, text, html };
+}
+
+// pedido de confirmação (confirmação dupla): nenhum aviso sai antes do clique do dono do endereço
+export function confirmAlertEmail({ watch: w, brand, confirmUrl }) {
+  const idioma = w.idioma || DEFAULT_IDIOMA;
+  const L = (key, arg) => t(idioma, key, arg);
+  const route = `${w.origem} → ${w.destino}`;
+  const dates = w.return ? L('alert.dates', { from: day(w.depart, idioma), to: day(w.return, idioma) }) : day(w.depart, idioma);
+  const body = `
+      <h2 style="margin:0 0 8px 0;font-size:18px">${escapeHtml(route)}</h2>
+      <p style="margin:12px 0">${escapeHtml(L('alert.confirm_intro', { route, dates }))}</p>
+      <p style="margin:18px 0"><a href="${escapeAttr(confirmUrl)}" style="background:#0d6efd;color:#fff;text-decoration:none;padding:10px 16px;border-radius:8px;display:inline-block">${escapeHtml(L('alert.confirm_button'))}</a></p>
+      <p style="color:#667085;font-size:12px;margin-top:14px">${escapeHtml(L('alert.confirm_ignore'))}</p>`;
+  const html = mailLayout({ brand, lang: idioma, width: 560, body });
+  const text = [
+    L('alert.confirm_intro', { route, dates }),
+    `${L('alert.confirm_button')}: ${confirmUrl}`,
+    L('alert.confirm_ignore')
+  ].join('\n\n');
+  return { subject: L('alert.confirm_subject', { route, brand }), text, html };
+}
@@ -0,0 +1,373 @@
+// /api/_lib/mail.js
+// Envio de e-mail atrás de um transporte trocável. Configuração por variáveis de ambiente:
+//   MAIL_TRANSPORT    sendgrid (padrão com SENDGRID_API_KEY) | smtp | outbox (grava .eml em disco, para desenvolvimento) | none
+//   MAIL_FROM         remetente ("Touristando IA <roteiros@dominio>"); no outbox, opcional
+//   SENDGRID_API_KEY  chave do transporte sendgrid
+//   SMTP_HOST, SMTP_PORT (587), SMTP_USER, SMTP_PASS, SMTP_SECURE (1 = TLS direto, porta 465; senão STARTTLS quando oferecido)
+//   SMTP_INSECURE_AUTH  1 = aceita mandar SMTP_USER/SMTP_PASS sem TLS (só para um relay local); sem isso o servidor que não
+//                       oferece STARTTLS vira configError do transporte e nada é enviado
+//   MAIL_OUTBOX_DIR   pasta do outbox (padrão <tmp>/touristando-outbox)
+//   MAIL_RETRIES      novas tentativas em falha temporária (padrão 2; espera 0,5 s, 1 s…)
+// Um transporte é { name, from, send(msg) → { id } }; msg = { to, from, subject, text, html, attachments?, headers? },
+// attachments = [{ filename, content: Buffer|string, type }]. Falha temporária (rede, 4xx SMTP, 429/5xx) leva err.transient = true.
+
+import sgMail from '@sendgrid/mail';
+import { promises as fs } from 'node:fs';
+import { randomBytes } from 'node:crypto';
+import net from 'node:net';
+import tls from 'node:tls';
+import os from 'node:os';
+import path from 'node:path';
+import { env, log, logError, maskEmail } from './util.js';
+
+const CRLF = '\r\n';
+
+/* ----------------------- MIME ----------------------- */
+
+const isAscii = (s) => /^[\x20-\x7e]*$/.test(s);
+
+// "=?UTF-8?B?…?=" em pedaços curtos (cada palavra codificada fica abaixo de 75 caracteres)
+function encodeWord(s) {
+  if (isAscii(s)) return s;
+  const words = [];
+  let cur = '';
+  for (const ch of s) {
+    if (Buffer.byteLength(cur + ch) > 42) { words.push(cur); cur = ''; }
+    cur += ch;
+  }
+  if (cur) words.push(cur);
+  return words.map(w => `=?UTF-8?B?${Buffer.from(w).toString('base64')}?=`).join(`${CRLF} `);
+}
+
+// "Nome <a@b>" → { name, address }
+export function parseAddress(s = '') {
+  const m = String(s).trim().match(/^(.*?)\s*<([^>]+)>$/);
+  return m ? { name: m[1].replace(/^"|"$/g, '').trim(), address: m[2].trim() } : { name: '', address: String(s).trim() };
+}
+
+// endereço de e-mail simples (sem espaço, CR/LF, "<>" nem vírgula: nada que feche o RCPT TO ou o cabeçalho To:)
+export const EMAIL_RE = /^[^\s@<>,;"]+@[^\s@<>,;"]+\.[^\s@<>,;"]+$/;
+const hasLineBreak = (v) => /[\r\n]/.test(String(v ?? ''));
+
+/**
+ * Problema da mensagem que permitiria injetar destinatário ou cabeçalho (CR/LF, endereço inválido); null se está ok.
+ * @returns {string|null}
+ */
+export function mimeError(msg) {
+  // o remetente vem da configuração e pode ser local (roteiros@localhost no outbox): basta não ter o que quebre a linha
+  if (hasLineBreak(msg.from) || !/^[^\s@<>,;"]+@[^\s@<>,;"]+$/.test(parseAddress(msg.from).address)) return 'Endereço inválido em "from".';
+  for (const v of [].concat(msg.to || [])) {
+    if (hasLineBreak(v) || !EMAIL_RE.test(parseAddress(v).address)) return 'Endereço inválido em "to".';
+  }
+  if (![].concat(msg.to || []).length) return 'Mensagem sem destinatário.';
+  if (hasLineBreak(msg.subject)) return 'Quebra de linha no assunto.';
+  for (const [k, v] of Object.entries(msg.headers || {})) {
+    if (!/^[\x21-\x39\x3b-\x7e]+$/.test(k) || hasLineBreak(v)) return `Cabeçalho inválido: ${JSON.stringify(k)}.`;
+  }
+  return null;
+}
+
+const formatAddress = (s) => {
+  const { name, address } = parseAddress(s);
+  return name ? `${isAscii(name) ? `"${name.replace(/"/g, '')}"` : encodeWord(name)} <${address}>` : address;
+};
+
+const base64Lines = (buf) => Buffer.from(buf).toString('base64').replace(/.{76}/g, `$&${CRLF}`);
+const boundary = () => `=_tia_${randomBytes(12).toString('hex')}`;
+
+/**
+ * Mensagem RFC 5322 completa (multipart/alternative texto + HTML, dentro de multipart/mixed quando há anexos).
+ * @returns {string}
+ */
+export function buildMime(msg, { messageId, date = new Date() } = {}) {
+  const invalid = mimeError(msg);
+  if (invalid) throw Object.assign(new Error(invalid), { transient: false });
+  const alt = boundary();
+  const altPart = [
+    `Content-Type: multipart/alternative; boundary="${alt}"`,
+    '',
+    `--${alt}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(msg.text || ''),
+    `--${alt}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(msg.html || ''),
+    `--${alt}--`
+  ].join(CRLF);
+
+  const attachments = msg.attachments || [];
+  let body = altPart;
+  if (attachments.length) {
+    const mixed = boundary();
+    body = [
+      `Content-Type: multipart/mixed; boundary="${mixed}"`,
+      '',
+      `--${mixed}`,
+      altPart,
+      ...attachments.flatMap(a => {
+        const name = isAscii(a.filename) ? `filename="${a.filename.replace(/"/g, '')}"` : `filename*=UTF-8''${encodeURIComponent(a.filename)}`;
+        return [
+          `--${mixed}`,
+          `Content-Type: ${a.type || 'application/octet-stream'}`,
+          'Content-Transfer-Encoding: base64',
+          `Content-Disposition: attachment; ${name}`,
+          '',
+          base64Lines(a.content)
+        ];
+      }),
+      `--${mixed}--`
+    ].join(CRLF);
+  }
+
+  const headers = [
+    `From: ${formatAddress(msg.from)}`,
+    `To: ${[].concat(msg.to).map(formatAddress).join(', ')}`,
+    `Subject: ${encodeWord(msg.subject || '')}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${messageId}>`,
+    'MIME-Version: 1.0',
+    ...Object.entries(msg.headers || {}).map(([k, v]) => `${k}: ${v}`)
+  ];
+  return `${headers.join(CRLF)}${CRLF}${body}${CRLF}`;
+}
+
+const newMessageId = (from) => `${Date.now().toString(36)}.${randomBytes(6).toString('hex')}@${parseAddress(from).address.split('@')[1] || 'localhost'}`;
+
+/* ----------------------- SendGrid ----------------------- */
+
+function createSendgridTransport({ apiKey, from }) {
+  sgMail.setApiKey(apiKey);
+  return {
+    name: 'sendgrid',
+    from,
+    async send(msg) {
+      try {
+        const [resp] = await sgMail.send({
+          to: msg.to, from: msg.from, subject: msg.subject, text: msg.text, html: msg.html, headers: msg.headers,
+          attachments: msg.attachments?.length
+            ? msg.attachments.map(a => ({ content: Buffer.from(a.content).toString('base64'), filename: a.filename, type: a.type, disposition: 'attachment' }))
+            : undefined
+        });
+        return { id: resp?.headers?.['x-message-id'] || null };
+      } catch (e) {
+        const err = new Error(JSON.stringify(e?.response?.body?.errors || e?.response?.body || String(e?.message || e)));
+        err.transient = !e?.code || e.code === 429 || e.code >= 500;
+        throw err;
+      }
+    }
+  };
+}
+
+/* ----------------------- SMTP ----------------------- */
+
+// leitor de respostas SMTP (multilinha "250-…" até "250 …"); troca de socket no STARTTLS
+function smtpReader() {
+  let buf = '', lines = [], waiting = null, failure = null, socket = null;
+  const replies = [];
+  const settle = (fn) => { const w = waiting; waiting = null; fn(w); };
+  const onData = (chunk) => {
+    buf += chunk.toString('utf8');
+    let i;
+    while ((i = buf.indexOf(CRLF)) >= 0) {
+      const line = buf.slice(0, i);
+      buf = buf.slice(i + 2);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), text: lines.map(l => l.slice(4)).join('\n') };
+        lines = [];
+        if (waiting) settle(w => w.resolve(reply)); else replies.push(reply);
+      }
+    }
+  };
+  const onError = (e) => { failure = e; if (waiting) settle(w => w.reject(e)); };
+  const onClose = () => onError(Object.assign(new Error('SMTP: conexão encerrada'), { transient: true }));
+  return {
+    attach(s) {
+      if (socket) { socket.off('data', onData); socket.off('error', onError); socket.off('close', onClose); }
+      socket = s;
+      s.on('data', onData); s.on('error', onError); s.on('close', onClose);
+    },
+    next() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => { waiting = { resolve, reject }; });
+    }
+  };
+}
+
+async function smtpSession({ host, port, secure, user, pass, insecureAuth, timeoutMs }, { from, to, raw }) {
+  const reader = smtpReader();
+  let socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+  const arm = (s) => { s.setTimeout(timeoutMs, () => s.destroy(Object.assign(new Error('SMTP: tempo esgotado'), { transient: true }))); reader.attach(s); };
+  arm(socket);
+
+  const expect = async (codes, what) => {
+    const r = await reader.next();
+    if (!codes.includes(r.code)) {
+      throw Object.assign(new Error(`SMTP ${what}: ${r.code} ${r.text}`), { transient: r.code >= 400 && r.code < 500, smtpCode: r.code });
+    }
+    return r;
+  };
+  const cmd = (line, codes, what = line.split(' ')[0]) => { socket.write(line + CRLF); return expect(codes, what); };
+
+  try {
+    await expect([220], 'saudação');
+    const helo = os.hostname() || 'localhost';
+    let caps = (await cmd(`EHLO ${helo}`, [250])).text;
+    let encrypted = secure;
+    if (!secure && /^STARTTLS$/im.test(caps)) {
+      await cmd('STARTTLS', [220]);
+      socket.setTimeout(0);
+      socket = tls.connect({ socket, servername: host });
+      arm(socket);
+      await new Promise((resolve, reject) => { socket.once('secureConnect', resolve); socket.once('error', reject); });
+      caps = (await cmd(`EHLO ${helo}`, [250])).text;
+      encrypted = true;
+    }
+    // sem TLS a senha iria em texto claro (servidor antigo ou STARTTLS removido no caminho)
+    if (user && !encrypted && !insecureAuth) {
+      throw Object.assign(new Error(`SMTP: ${host} não oferece STARTTLS — credenciais não enviadas sem TLS (use SMTP_SECURE=1 ou, só em rede local, SMTP_INSECURE_AUTH=1).`), { transient: false, insecure: true });
+    }
+    if (user) {
+      const auth = (caps.match(/^AUTH[ =](.*)$/im)?.[1] || 'PLAIN').toUpperCase().split(/\s+/);
+      if (auth.includes('PLAIN') || !auth.includes('LOGIN')) {
+        await cmd(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass}`).toString('base64')}`, [235], 'AUTH');
+      } else {
+        await cmd('AUTH LOGIN', [334], 'AUTH');
+        await cmd(Buffer.from(user).toString('base64'), [334], 'AUTH');
+        await cmd(Buffer.from(pass).toString('base64'), [235], 'AUTH');
+      }
+    }
+    await cmd(`MAIL FROM:<${parseAddress(from).address}>`, [250], 'MAIL FROM');
+    for (const rcpt of [].concat(to)) await cmd(`RCPT TO:<${parseAddress(rcpt).address}>`, [250, 251], 'RCPT TO');
+    await cmd('DATA', [354]);
+    // linhas que começam com "." ganham outro "." (RFC 5321 §4.5.2)
+    socket.write(raw.replace(/\r?\n/g, CRLF).replace(/^\./gm, '..') + `.${CRLF}`);
+    const done = await expect([250], 'DATA');
+    socket.write(`QUIT${CRLF}`);
+    return done.text;
+  } finally {
+    socket.end();
+  }
+}
+
+function createSmtpTransport({ host, port, secure, user, pass, insecureAuth, from }) {
+  return {
+    name: 'smtp',
+    from,
+    async send(msg) {
+      const messageId = newMessageId(msg.from);
+      const raw = buildMime(msg, { messageId });
+      try {
+        await smtpSession({ host, port, secure, user, pass, insecureAuth, timeoutMs: 20000 }, { from: msg.from, to: msg.to, raw });
+      } catch (e) {
+        // servidor sem TLS é problema de configuração: o transporte passa a responder configError (sendMail não tenta mais)
+        if (e.insecure) this.configError = e.message;
+        // erro de rede (sem código SMTP) também é temporário
+        if (e.transient === undefined && !e.smtpCode) e.transient = true;
+        throw e;
+      }
+      return { id: messageId };
+    }
+  };
+}
+
+/* ----------------------- outbox (desenvolvimento) ----------------------- */
+
+function createOutboxTransport({ dir, from }) {
+  return {
+    name: 'outbox',
+    from,
+    async send(msg) {
+      const messageId = newMessageId(msg.from);
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${messageId.split('@')[0]}.eml`);
+      await fs.writeFile(file, buildMime(msg, { messageId }), 'utf8');
+      log('outbox', file);
+      return { id: messageId, path: file };
+    }
+  };
+}
+
+/* ----------------------- seleção ----------------------- */
+
+const TRANSPORTS = {
+  sendgrid: ({ from }) => (env('SENDGRID_API_KEY')
+    ? createSendgridTransport({ apiKey: env('SENDGRID_API_KEY'), from })
+    : { configError: 'MAIL_TRANSPORT=sendgrid exige SENDGRID_API_KEY.' }),
+  smtp: ({ from }) => (env('SMTP_HOST')
+    ? createSmtpTransport({
+      host: env('SMTP_HOST'),
+      secure: env('SMTP_SECURE') === '1',
+      port: Number(env('SMTP_PORT', env('SMTP_SECURE') === '1' ? '465' : '587')),
+      user: env('SMTP_USER'),
+      pass: env('SMTP_PASS'),
+      insecureAuth: env('SMTP_INSECURE_AUTH') === '1',
+      from
+    })
+    : { configError: 'MAIL_TRANSPORT=smtp exige SMTP_HOST.' }),
+  outbox: ({ from }) => createOutboxTransport({ dir: env('MAIL_OUTBOX_DIR', path.join(os.tmpdir(), 'touristando-outbox')), from: from || 'Touristando IA <roteiros@localhost>' }),
+  none: () => null
+};
+
+let cached = null;
+/**
+ * Transporte configurado (instância única por processo). null = e-mail desligado.
+ * @returns {{ name, from, send } | null | { name, configError: string }}
+ */
+export function getMailTransport() {
+  if (cached) return cached.transport;
+  const kind = env('MAIL_TRANSPORT', env('SENDGRID_API_KEY') ? 'sendgrid' : 'none').toLowerCase();
+  const from = env('MAIL_FROM');
+  const factory = TRANSPORTS[kind];
+  let transport;
+  if (!factory) transport = { configError: `MAIL_TRANSPORT desconhecido: ${kind} (use ${Object.keys(TRANSPORTS).join(' | ')}).` };
+  else if (!from && kind !== 'outbox' && kind !== 'none') transport = { configError: 'MAIL_FROM não configurado.' };
+  else transport = factory({ from });
+  if (transport?.configError) transport.name = kind;
+  log('mail transport', kind, transport?.configError || '');
+  cached = { transport };
+  return transport;
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Envia uma mensagem com novas tentativas em falha temporária. Nunca lança: devolve o status da entrega.
+ * @returns {Promise<{ enviado: boolean, para: string, transport: string, id?: string, tentativas: number, erro?: string }>}
+ */
+export async function sendMail(msg, { reqId, transport = getMailTransport(), retries = Number(env('MAIL_RETRIES', '2')) } = {}) {
+  const para = [].concat(msg.to).join(', ');
+  if (!transport || transport.configError) {
+    return { enviado: false, para, transport: transport?.name || 'none', tentativas: 0, erro: transport?.configError || 'E-mail desativado.' };
+  }
+  const full = { ...msg, from: msg.from || transport.from };
+  // checado antes de qualquer transporte (o SendGrid não passa por buildMime)
+  const invalid = mimeError(full);
+  if (invalid) {
+    logError(`[${reqId}] email recusado`, invalid);
+    return { enviado: false, para, transport: transport.name, tentativas: 0, erro: invalid };
+  }
+  let tentativas = 0;
+  for (;;) {
+    tentativas++;
+    try {
+      console.time(`[${reqId}] mail ${transport.name} #${tentativas}`);
+      const r = await transport.send(full);
+      console.timeEnd(`[${reqId}] mail ${transport.name} #${tentativas}`);
+      log(`[${reqId}] email enviado`, maskEmail(para), { transport: transport.name, id: r.id, tentativas });
+      return { enviado: true, para, transport: transport.name, id: r.id || null, tentativas };
+    } catch (e) {
+      console.timeEnd(`[${reqId}] mail ${transport.name} #${tentativas}`);
+      logError(`[${reqId}] email erro (${transport.name}, tentativa ${tentativas})`, String(e?.message || e));
+      if (!e?.transient || tentativas > retries) {
+        return { enviado: false, para, transport: transport.name, tentativas, erro: String(e?.message || e) };
+      }
+      await sleep(500 * 2 ** (tentativas - 1));
+    }
+  }
+}
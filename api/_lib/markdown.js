@@ -0,0 +1,67 @@
+// /api/_lib/markdown.js
+// Roteiro em Markdown (GFM) para colar no Notion/Obsidian: títulos, listas dos dias, tabelas de custos
+// como tabelas GFM e links das fontes. Parte dos mesmos blocos do PDF (html-blocks.js);
+// o index.html tem a versão equivalente sobre o DOM (htmlToMarkdown) — mudou a regra aqui, mude lá também.
+
+import { htmlToBlocks } from './html-blocks.js';
+
+const SAFE_LINK = /^(https?:|mailto:)/i;
+const esc = (s) => s.replace(/([\\`*_[\]])/g, '\\$1');
+// espaços repetidos viram um (menos a quebra de linha "  \n" do Markdown) e cada linha sem sobras nas pontas
+const tidy = (s) => s.replace(/ {2,}(?=\S)/g, ' ').split('\n').map(l => l.replace(/^ +| +(?= {2}$)/g, '')).join('\n').trim();
+
+// runs vizinhos com o mesmo estilo viram um só trecho (evita "**a****b**")
+function inlineMd(runs, { cell = false } = {}) {
+  const groups = [];
+  for (const r of runs) {
+    if (r.br) { groups.push({ br: true }); continue; }
+    const url = r.url && SAFE_LINK.test(r.url) ? r.url : null;
+    const key = `${!!r.bold}|${!!r.italic}|${url || ''}`;
+    const last = groups[groups.length - 1];
+    if (last && last.key === key) last.text += r.text;
+    else groups.push({ key, text: r.text, bold: r.bold, italic: r.italic, url });
+  }
+  const out = groups.map(g => {
+    if (g.br) return cell ? ' ' : '  \n';
+    const [, lead, core, trail] = /^(\s*)([\s\S]*?)(\s*)$/.exec(g.text);
+    if (!core) return g.text;
+    let md = esc(core);
+    if (g.url) md = `[${md}](${g.url.replace(/[ ()]/g, encodeURIComponent)})`;
+    if (g.italic) md = `*${md}*`;
+    if (g.bold) md = `**${md}**`;
+    return `${lead}${md}${trail}`;
+  }).join('');
+  return cell ? tidy(out).replace(/\|/g, '\\|') : tidy(out);
+}
+
+// tabela GFM; a primeira linha vira o cabeçalho (o GFM exige um)
+function gfmTable(rows) {
+  const cols = Math.max(...rows.map(r => r.cells.length));
+  const line = (cells) => `| ${Array.from({ length: cols }, (_, i) => inlineMd(cells[i] || [], { cell: true })).join(' | ')} |`;
+  const [head, ...body] = rows;
+  return [line(head.cells), `|${' --- |'.repeat(cols)}`, ...body.map(r => line(r.cells))].join('\n');
+}
+
+/**
+ * Fragmento HTML sanitizado → Markdown. "title" (ex.: o destino) entra como "# title" no topo.
+ */
+export function htmlToMarkdown(html = '', { title = '' } = {}) {
+  const parts = title ? [`# ${esc(title)}`] : [];
+  let prev = null;
+  for (const b of htmlToBlocks(html)) {
+    let md;
+    switch (b.type) {
+      case 'heading': md = `${'#'.repeat(b.level)} ${inlineMd(b.runs)}`; break;
+      case 'para': md = b.quote ? inlineMd(b.runs).split('\n').map(l => `> ${l}`).join('\n') : inlineMd(b.runs); break;
+      case 'li': md = `${'    '.repeat(b.depth)}${b.marker === '•' ? '-' : b.marker} ${inlineMd(b.runs)}`; break;
+      case 'table': md = gfmTable(b.rows); break;
+      case 'hr': md = '---'; break;
+      default: continue;
+    }
+    if (!md.trim()) continue;
+    // itens de lista seguidos ficam colados; o resto separado por linha em branco
+    parts.push(parts.length ? (prev === 'li' && b.type === 'li' ? '\n' : '\n\n') : '', md);
+    prev = b.type;
+  }
+  return `${parts.join('').trim()}\n`;
+}
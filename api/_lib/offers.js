@@ -0,0 +1,106 @@
+// /api/_lib/offers.js
+// Modelo normalizado de oferta de passagem, o mesmo para todos os provedores (flights-*.js):
+//   { provider, from, to, depart, return, airline, airline_name, stops, layovers, return_stops, return_layovers,
+//     duration, duration_min: { out, back }, price_number, price, currency, deep_link }
+// depart/return trazem data e hora locais quando o provedor informa ("2026-12-01T10:35:00-03:00");
+// "duration" e "price" saem no idioma da busca (idioma, padrão pt-BR).
+// Ofertas combinadas (ida + volta só de ida somadas) têm também _combo: { outbound, back }.
+
+import { fmtMoney } from './util.js';
+import { airlineName } from './airlines.js';
+import { t, DEFAULT_IDIOMA } from './i18n.js';
+
+export function minToHM(m) {
+  if (!Number.isFinite(m)) return null;
+  const h = Math.floor(m / 60), mm = Math.round(m % 60);
+  return `${h}h${mm ? ` ${mm}m` : ''}`;
+}
+
+export function joinDuration(d1, d2, idioma = DEFAULT_IDIOMA) {
+  const a = Number.isFinite(d1) ? t(idioma, 'flights.out', minToHM(d1)) : '';
+  const b = Number.isFinite(d2) ? t(idioma, 'flights.back', minToHM(d2)) : '';
+  return [a, b].filter(Boolean).join(' / ') || null;
+}
+
+const num = (v) => (v != null && v !== '' && Number.isFinite(+v) ? +v : null);
+
+/**
+ * Oferta normalizada. "ret" ausente = só ida (return_stops/return_layovers não aparecem).
+ * layovers: aeroportos de conexão; [] = voo direto; null = o provedor não informa.
+ */
+export function makeOffer({
+  provider, from, to, depart, ret = null, airline = null, stops = null, layovers = null,
+  returnStops = null, returnLayovers = null, durationOut = null, durationBack = null, price, currency, deepLink = null, idioma = DEFAULT_IDIOMA
+}) {
+  const priceNumber = num(price);
+  const out = num(durationOut), back = num(durationBack);
+  return {
+    provider,
+    from,
+    to,
+    depart: depart || null,
+    return: ret || null,
+    airline: airline || null,
+    airline_name: airlineName(airline),
+    stops: num(stops),
+    layovers: Array.isArray(layovers) ? layovers : (num(stops) === 0 ? [] : null),
+    ...(ret ? { return_stops: num(returnStops), return_layovers: Array.isArray(returnLayovers) ? returnLayovers : (num(returnStops) === 0 ? [] : null) } : {}),
+    duration: joinDuration(out, back, idioma),
+    duration_min: { out, back },
+    price_number: priceNumber,
+    price: priceNumber ? fmtMoney(priceNumber, currency, idioma) : null,
+    currency,
+    deep_link: deepLink || null
+  };
+}
+
+// ida + volta compradas separadamente, somadas numa sugestão
+export function comboOffer(a, b, currency, idioma = DEFAULT_IDIOMA) {
+  const tot = (a.price_number || 0) + (b.price_number || 0);
+  return {
+    provider: a.provider === b.provider ? a.provider : `${a.provider}+${b.provider}`,
+    from: a.from, to: a.to,
+    depart: a.depart, return: b.depart,
+    airline: a.airline || b.airline || null,
+    airline_name: a.airline_name || b.airline_name || null,
+    stops: (a.stops ?? 0) + (b.stops ?? 0),
+    duration: joinDuration(a.duration_min?.out, b.duration_min?.out, idioma),
+    duration_min: { out: a.duration_min?.out ?? null, back: b.duration_min?.out ?? null },
+    price_number: tot,
+    price: fmtMoney(tot, currency, idioma),
+    currency,
+    deep_link: null,
+    _combo: { outbound: a, back: b }
+  };
+}
+
+// top N × N das listas de ida e de volta, da mais barata para a mais cara
+export function combineOneWays(outbound, back, currency, { n = 3, idioma = DEFAULT_IDIOMA } = {}) {
+  const combined = [];
+  for (const a of outbound.slice(0, n)) for (const b of back.slice(0, n)) combined.push(comboOffer(a, b, currency, idioma));
+  return combined.sort(byPrice);
+}
+
+export const byPrice = (x, y) => (x.price_number ?? 1e12) - (y.price_number ?? 1e12);
+
+// mesmo voo em provedores diferentes: trecho, horário (até o minuto), companhia e escalas
+export const offerKey = (o) => [
+  o.from, o.to, String(o.depart || '').slice(0, 16), String(o.return || '').slice(0, 16), o.airline || '', o.stops ?? ''
+].join('|');
+
+/**
+ * Junta as listas dos provedores sem repetir voo: fica a oferta mais barata e os outros
+ * provedores que também a tinham vão em "also_in". Saída ordenada por preço.
+ */
+export function mergeOffers(lists) {
+  const byKey = new Map();
+  for (const o of lists.flat()) {
+    const k = offerKey(o);
+    const prev = byKey.get(k);
+    if (!prev) { byKey.set(k, o); continue; }
+    const [keep, drop] = (o.price_number ?? 1e12) < (prev.price_number ?? 1e12) ? [o, prev] : [prev, o];
+    const also = new Set([...(keep.also_in || []), ...(drop.also_in || []), drop.provider].filter(p => p !== keep.provider));
+    byKey.set(k, { ...keep, also_in: [...also] });
+  }
+  return [...byKey.values()].sort(byPrice);
+}
@@ -0,0 +1,62 @@
+// /api/_lib/pdf-roteiro.js
+// Roteiro → PDF para impressão: capa (destino, datas, grupo), o fragmento HTML já sanitizado em texto
+// (tabela "0. Resumo", seções, tabelas de custos) com cada dia começando numa página nova,
+// links das fontes clicáveis e marcadores por seção/dia.
+
+import { fmtDate, exportFilename } from './util.js';
+import { t, DEFAULT_IDIOMA } from './i18n.js';
+import { htmlToBlocks } from './html-blocks.js';
+import { createPdf, PAGE, COLORS } from './pdf.js';
+
+const isoDay = (iso, idioma) => (/^\d{4}-\d{2}-\d{2}$/.test(iso || '') ? fmtDate(new Date(`${iso}T00:00:00Z`), idioma) : iso || '');
+
+function drawCover(doc, { meta, brand, shareUrl, L, idioma, createdAt }) {
+  doc.newPage({ footer: false });
+  doc.fillRect(0, 0, PAGE.w, 10, COLORS.brand);
+  doc.space(150);
+  doc.paragraph([{ text: brand, bold: true }], { size: 12, color: COLORS.brand, align: 'center' });
+  doc.space(30);
+  doc.paragraph(L('pdf.title'), { size: 14, color: COLORS.muted, align: 'center' });
+  doc.paragraph([{ text: meta.destino || '', bold: true }], { size: 28, align: 'center' });
+  doc.space(14);
+
+  const lines = [];
+  if (Array.isArray(meta.stops) && meta.stops.length) lines.push(meta.stops.map(s => `${s.destino} (${L('nights', s.noites)})`).join(' → '));
+  if (meta.data_ida) lines.push([isoDay(meta.data_ida, idioma), isoDay(meta.data_volta, idioma)].filter(Boolean).join(' – '));
+  lines.push([meta.dias && L('pdf.days', meta.dias), meta.pessoas && L('pdf.people', meta.pessoas)].filter(Boolean).join(' · '));
+  lines.push([meta.perfil, meta.estilo].filter(Boolean).map(s => s.charAt(0).toUpperCase() + s.slice(1)).join(' · '));
+  if (meta.origem) lines.push(`${L('sum.origin')}: ${meta.origem}`);
+  for (const l of lines.filter(Boolean)) doc.paragraph(l, { size: 12, align: 'center' });
+
+  doc.space(40);
+  doc.paragraph(L('pdf.generated', { date: fmtDate(createdAt, idioma), brand }), { size: 9, color: COLORS.muted, align: 'center' });
+  if (shareUrl && /^https?:/.test(shareUrl)) doc.paragraph([{ text: L('pdf.online'), url: shareUrl }], { size: 9, align: 'center' });
+}
+
+/**
+ * PDF do roteiro. texto = fragmento HTML sanitizado (como /api/roteiro devolve e o storage guarda); meta = meta do roteiro.
+ * Devolve { buffer, filename, pages }.
+ */
+export function renderRoteiroPdf({ texto, meta = {}, brand = 'Touristando IA', shareUrl = null, createdAt = new Date() }) {
+  const idioma = meta.idioma || DEFAULT_IDIOMA;
+  const L = (key, arg) => t(idioma, key, arg);
+  const title = `${L('pdf.title')} — ${meta.destino || ''}`.replace(/ — $/, '');
+  const doc = createPdf({
+    title, author: brand, lang: idioma,
+    footer: ({ page, total }) => ({ left: [brand, meta.destino].filter(Boolean).join(' · '), right: L('pdf.page', { page, total }) })
+  });
+
+  drawCover(doc, { meta, brand, shareUrl, L, idioma, createdAt });
+  doc.newPage();
+  for (const b of htmlToBlocks(texto)) {
+    switch (b.type) {
+      case 'break': doc.pageBreak(); break;
+      case 'heading': doc.heading(b.runs, { level: b.level, outline: b.level <= 2 ? 1 : b.day ? 2 : 0 }); break;
+      case 'para': doc.paragraph(b.runs, b.quote ? { indent: 14, color: COLORS.muted } : {}); break;
+      case 'li': doc.listItem(b.runs, { depth: b.depth, marker: b.marker }); break;
+      case 'table': doc.table(b.rows); break;
+      case 'hr': doc.rule(); break;
+    }
+  }
+  return { buffer: doc.toBuffer(), filename: exportFilename(meta, 'pdf'), pages: doc.pageCount };
+}
@@ -0,0 +1,476 @@
+// /api/_lib/pdf.js
+// Gerador de PDF em texto, sem dependências: fontes padrão Helvetica (WinAnsi) + Symbol para setas, página A4,
+// quebra de linha pela largura real das letras, tabelas com cabeçalho repetido, links clicáveis,
+// marcadores (sumário lateral do leitor) e rodapé com "página x de y".
+// Texto rico = lista de "runs": { text, bold?, italic?, small?, url?, br? }.
+//
+//   const doc = createPdf({ title, lang, footer: ({ page, total }) => ({ left, right }) });
+//   doc.heading(runs, { level, outline }); doc.paragraph(runs); doc.listItem(runs); doc.table(rows); …
+//   const buf = doc.toBuffer();
+
+import { deflateSync } from 'node:zlib';
+
+export const PAGE = { w: 595.28, h: 841.89 };
+export const MARGIN = { top: 56, right: 54, bottom: 62, left: 54 };
+
+export const COLORS = {
+  text: [0.063, 0.094, 0.157],   // #101828
+  muted: [0.278, 0.329, 0.404],  // #475467
+  link: [0.043, 0.369, 0.843],   // #0b5ed7
+  brand: [0.051, 0.431, 0.992],  // #0d6efd
+  rule: [0.816, 0.835, 0.867],   // #d0d5dd
+  head: [0.949, 0.957, 0.969]    // #f2f4f7
+};
+
+/* ----------------------- fontes e codificação ----------------------- */
+
+// larguras (milésimos do corpo) dos caracteres 32–126, das métricas AFM padrão
+const ASCII_WIDTHS = {
+  F1: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015,
+    667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611,
+    278, 278, 278, 469, 556, 333,
+    556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500,
+    334, 260, 334, 584
+  ],
+  F2: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611, 975,
+    722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611,
+    333, 278, 333, 584, 556, 333,
+    556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500,
+    389, 280, 389, 584
+  ]
+};
+
+// 0x80–0xBF e as letras de 0xC0–0xFF sem letra-base ASCII (as acentuadas medem o mesmo que a base)
+const HIGH_WIDTHS = {
+  0x80: 556, 0x82: 222, 0x83: 556, 0x84: 333, 0x85: 1000, 0x86: 556, 0x87: 556, 0x88: 333, 0x89: 1000, 0x8A: 667,
+  0x8B: 333, 0x8C: 1000, 0x8E: 611, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333, 0x95: 350, 0x96: 556, 0x97: 1000,
+  0x98: 333, 0x99: 1000, 0x9A: 500, 0x9B: 333, 0x9C: 944, 0x9E: 500, 0x9F: 667,
+  0xA0: 278, 0xA1: 333, 0xA2: 556, 0xA3: 556, 0xA4: 556, 0xA5: 556, 0xA6: 260, 0xA7: 556, 0xA8: 333, 0xA9: 737,
+  0xAA: 370, 0xAB: 556, 0xAC: 584, 0xAD: 333, 0xAE: 737, 0xAF: 333, 0xB0: 400, 0xB1: 584, 0xB2: 333, 0xB3: 333,
+  0xB4: 333, 0xB5: 556, 0xB6: 537, 0xB7: 278, 0xB8: 333, 0xB9: 333, 0xBA: 365, 0xBB: 556, 0xBC: 834, 0xBD: 834,
+  0xBE: 834, 0xBF: 611, 0xC6: 1000, 0xD0: 722, 0xD7: 584, 0xD8: 778, 0xDE: 667, 0xDF: 611, 0xE6: 889, 0xF0: 556,
+  0xF7: 584, 0xF8: 611, 0xFE: 556
+};
+
+function widthTable(ascii) {
+  const w = new Array(256).fill(556);
+  for (let c = 32; c <= 126; c++) w[c] = ascii[c - 32];
+  for (let c = 0x80; c <= 0xFF; c++) {
+    if (HIGH_WIDTHS[c]) { w[c] = HIGH_WIDTHS[c]; continue; }
+    const base = String.fromCharCode(c).normalize('NFD').charCodeAt(0);
+    if (base >= 32 && base <= 126) w[c] = ascii[base - 32];
+  }
+  return w;
+}
+
+// F1 regular, F2 negrito, F3 itálico (mesmas larguras da regular), F4 Symbol
+const FONTS = {
+  F1: { base: 'Helvetica', widths: widthTable(ASCII_WIDTHS.F1) },
+  F2: { base: 'Helvetica-Bold', widths: widthTable(ASCII_WIDTHS.F2) },
+  F3: { base: 'Helvetica-Oblique', widths: widthTable(ASCII_WIDTHS.F1) },
+  F4: { base: 'Symbol', widths: null }
+};
+
+// Unicode → WinAnsi (faixa 0x80–0x9F, que difere do Latin-1)
+const WIN_ANSI = {
+  0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85, 0x2020: 0x86, 0x2021: 0x87, 0x02C6: 0x88,
+  0x2030: 0x89, 0x0160: 0x8A, 0x2039: 0x8B, 0x0152: 0x8C, 0x017D: 0x8E, 0x2018: 0x91, 0x2019: 0x92, 0x201C: 0x93,
+  0x201D: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x02DC: 0x98, 0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B,
+  0x0153: 0x9C, 0x017E: 0x9E, 0x0178: 0x9F
+};
+// setas e comparações que o roteiro usa ("Lisboa → Porto") saem da fonte Symbol: [código, largura]
+const SYMBOL = {
+  0x2192: [0xAE, 987], 0x2190: [0xAC, 987], 0x2194: [0xAB, 1042],
+  0x2264: [0xA3, 549], 0x2265: [0xB3, 549], 0x2248: [0xBB, 549]
+};
+const SPACE_LIKE = /[\t\u2000-\u200A\u202F\u205F\u3000]/;
+const DASH_LIKE = /[\u2010\u2011\u2212]/;
+
+// um caractere → [fonte ou null (a do texto), código]; null = não tem como desenhar (emoji etc.)
+function encodeChar(ch) {
+  const c = ch.codePointAt(0);
+  if ((c >= 0x20 && c <= 0x7E) || (c >= 0xA0 && c <= 0xFF && c !== 0xAD)) return [null, c];
+  if (WIN_ANSI[c]) return [null, WIN_ANSI[c]];
+  if (SYMBOL[c]) return ['F4', SYMBOL[c][0]];
+  if (SPACE_LIKE.test(ch)) return [null, 0x20];
+  if (DASH_LIKE.test(ch)) return [null, 0x2D];
+  const base = ch.normalize('NFD').codePointAt(0);
+  if (base !== c && base <= 0xFF) return [null, base];
+  return /[\p{L}\p{N}]/u.test(ch) ? [null, 0x3F] : null;
+}
+
+const SYMBOL_WIDTH = Object.fromEntries(Object.values(SYMBOL));
+
+/**
+ * Texto → pedaços por fonte: [{ font, codes, w }] com a largura em pontos no corpo "size".
+ */
+function encodeText(text, font, size) {
+  const out = [];
+  for (const ch of String(text)) {
+    const enc = encodeChar(ch);
+    if (!enc) continue;
+    const f = enc[0] || font;
+    const w = ((f === 'F4' ? SYMBOL_WIDTH[enc[1]] : FONTS[f].widths[enc[1]]) * size) / 1000;
+    const last = out[out.length - 1];
+    if (last && last.font === f) { last.codes.push(enc[1]); last.w += w; } else out.push({ font: f, codes: [enc[1]], w });
+  }
+  return out;
+}
+
+// string literal do PDF só com ASCII (o resto em octal)
+const pdfString = (codes) => `(${codes.map(c => (c === 0x28 || c === 0x29 || c === 0x5C
+  ? `\\${String.fromCharCode(c)}`
+  : c < 0x20 || c > 0x7E ? `\\${c.toString(8).padStart(3, '0')}` : String.fromCharCode(c))).join('')})`;
+
+// texto fora do conteúdo da página (Info, marcadores): UTF-16BE com BOM
+const pdfText = (s) => `<FEFF${[...String(s)].map(ch => {
+  const c = ch.codePointAt(0);
+  if (c <= 0xFFFF) return c.toString(16).padStart(4, '0');
+  const v = c - 0x10000;
+  return ((0xD800 + (v >> 10)).toString(16) + (0xDC00 + (v & 0x3FF)).toString(16));
+}).join('').toUpperCase()}>`;
+
+const n2 = (v) => String(Math.round(v * 100) / 100);
+const rgb = (c) => c.map(n2).join(' ');
+const fontOf = (run) => (run.bold ? 'F2' : run.italic ? 'F3' : 'F1');
+const SAFE_LINK = /^(https?:|mailto:)/i;
+
+export const runsOf = (x) => (Array.isArray(x) ? x : [{ text: String(x ?? '') }]);
+export const plainText = (runs) => runsOf(runs).map(r => (r.br ? ' ' : r.text)).join('').replace(/\s+/g, ' ').trim();
+
+/* ----------------------- quebra de linhas ----------------------- */
+
+/**
+ * Distribui os runs em linhas de até "width" pontos. Cada linha: { segs: [{ run, pieces, w }], w }.
+ * Palavra maior que a linha é partida por caractere.
+ */
+function layoutLines(runs, { size, width }) {
+  const lines = [];
+  let line = { segs: [], w: 0 };
+  let pendingSpace = null;
+  const pushLine = () => { lines.push(line); line = { segs: [], w: 0 }; pendingSpace = null; };
+  const place = (run, text) => {
+    const pieces = encodeText(text, fontOf(run), size);
+    const w = pieces.reduce((a, p) => a + p.w, 0);
+    const last = line.segs[line.segs.length - 1];
+    if (last && last.run === run) {
+      for (const p of pieces) {
+        const tail = last.pieces[last.pieces.length - 1];
+        if (tail && tail.font === p.font) { tail.codes.push(...p.codes); tail.w += p.w; } else last.pieces.push(p);
+      }
+      last.w += w;
+    } else line.segs.push({ run, pieces, w });
+    line.w += w;
+  };
+
+  for (const run of runsOf(runs)) {
+    if (run.br) { pushLine(); continue; }
+    for (const tok of String(run.text || '').split(/(\s+)/)) {
+      if (!tok) continue;
+      if (/^\s+$/.test(tok)) {
+        if (line.segs.length) pendingSpace = run;
+        continue;
+      }
+      const encoded = encodeText(tok, fontOf(run), size);
+      if (!encoded.length) continue; // só emoji: nada a desenhar
+      const spaceW = pendingSpace ? encodeText(' ', fontOf(pendingSpace), size)[0].w : 0;
+      const wordW = encoded.reduce((a, p) => a + p.w, 0);
+      if (line.segs.length && line.w + spaceW + wordW > width) pushLine();
+      else if (pendingSpace) { place(pendingSpace, ' '); pendingSpace = null; }
+      if (wordW <= width) { place(run, tok); continue; }
+      // palavra (ou URL) maior que a linha inteira
+      let chunk = '';
+      for (const ch of tok) {
+        const w = encodeText(chunk + ch, fontOf(run), size).reduce((a, p) => a + p.w, 0);
+        if (chunk && line.w + w > width) { place(run, chunk); pushLine(); chunk = ''; }
+        chunk += ch;
+      }
+      if (chunk) place(run, chunk);
+    }
+  }
+  if (line.segs.length || !lines.length) lines.push(line);
+  return lines;
+}
+
+const naturalWidth = (runs, size) => layoutLines(runs, { size, width: 1e6 }).reduce((m, l) => Math.max(m, l.w), 0);
+const longestWord = (runs, size) => Math.max(0, ...runsOf(runs).flatMap(r => String(r.text || '').split(/\s+/)
+  .map(wd => encodeText(wd, fontOf(r), size).reduce((a, p) => a + p.w, 0))));
+
+/* ----------------------- documento ----------------------- */
+
+const HEADINGS = {
+  1: { size: 20, color: COLORS.text, before: 10, after: 8 },
+  2: { size: 15, color: COLORS.brand, before: 14, after: 8, rule: true },
+  3: { size: 12.5, color: COLORS.text, before: 12, after: 5 },
+  4: { size: 11, color: COLORS.text, before: 9, after: 4 },
+  5: { size: 10, color: COLORS.muted, before: 8, after: 3 },
+  6: { size: 10, color: COLORS.muted, before: 6, after: 3 }
+};
+const BODY_SIZE = 10;
+const LEADING = 1.38;
+
+export function createPdf({ title = '', author = '', lang = 'pt-BR', footer = null } = {}) {
+  const pages = [];
+  const outlines = [];
+  let page = null;
+  let y = 0; // distância do topo da página (a conversão para o sistema do PDF fica em "py")
+
+  const bottom = PAGE.h - MARGIN.bottom;
+  const contentW = PAGE.w - MARGIN.left - MARGIN.right;
+  const py = (top) => PAGE.h - top;
+
+  function newPage({ footer: withFooter = true } = {}) {
+    page = { ops: [], links: [], empty: true, footer: withFooter };
+    pages.push(page);
+    y = MARGIN.top;
+    return page;
+  }
+  const ensure = (h) => { if (!page || y + h > bottom) newPage(); };
+
+  function fillRect(x, top, w, h, color) {
+    page.ops.push(`${rgb(color)} rg ${n2(x)} ${n2(py(top + h))} ${n2(w)} ${n2(h)} re f`);
+  }
+  function strokeLine(x1, top1, x2, top2, color = COLORS.rule, width = 0.6) {
+    page.ops.push(`${rgb(color)} RG ${n2(width)} w ${n2(x1)} ${n2(py(top1))} m ${n2(x2)} ${n2(py(top2))} l S`);
+  }
+
+  // uma linha já quebrada, com a linha de base em "base" (distância do topo)
+  function drawLine(line, x, base, { size, color }) {
+    let cx = x;
+    for (const seg of line.segs) {
+      const url = seg.run.url && SAFE_LINK.test(seg.run.url) ? seg.run.url : null;
+      const c = url ? COLORS.link : seg.run.small ? COLORS.muted : seg.run.color || color;
+      const ops = [`BT ${rgb(c)} rg ${n2(cx)} ${n2(py(base))} Td`];
+      for (const p of seg.pieces) ops.push(`/${p.font} ${n2(size)} Tf ${pdfString(p.codes)} Tj`);
+      ops.push('ET');
+      page.ops.push(ops.join(' '));
+      if (url && seg.w > 0) {
+        strokeLine(cx, base + 1.2, cx + seg.w, base + 1.2, COLORS.link, 0.4);
+        page.links.push({ rect: [cx, py(base + 2.5), cx + seg.w, py(base - size * 0.85)], url });
+      }
+      cx += seg.w;
+    }
+    page.empty = false;
+  }
+
+  // bloco de texto corrido, com quebra de página entre linhas
+  function flow(runs, { size = BODY_SIZE, color = COLORS.text, indent = 0, align = 'left', marker = null } = {}) {
+    const x = MARGIN.left + indent;
+    const width = contentW - indent;
+    const lh = size * LEADING;
+    layoutLines(runs, { size, width }).forEach((line, i) => {
+      ensure(lh);
+      const base = y + size;
+      if (i === 0 && marker) drawLine(layoutLines([{ text: marker }], { size, width })[0], x - 12, base, { size, color: COLORS.muted });
+      const dx = align === 'center' ? (width - line.w) / 2 : align === 'right' ? width - line.w : 0;
+      drawLine(line, x + dx, base, { size, color });
+      y += lh;
+    });
+  }
+
+  return {
+    newPage,
+    get y() { return y; },
+    get pageCount() { return pages.length; },
+    contentWidth: contentW,
+
+    space(h) { if (page) y = Math.min(y + h, bottom); },
+    fillRect: (x, top, w, h, color) => { if (!page) newPage(); fillRect(x, top, w, h, color); },
+
+    // nova página só se a atual já tem conteúdo
+    pageBreak() { if (page && !page.empty) newPage(); },
+
+    /**
+     * Título; "outline" = nível no sumário do leitor (1 ou 2; 0 = fora dele).
+     * Nunca fica sozinho no pé da página: exige espaço para mais umas linhas depois.
+     */
+    heading(runs, { level = 2, outline = 0, color } = {}) {
+      const h = HEADINGS[level] || HEADINGS[3];
+      if (page && !page.empty) y += h.before;
+      ensure(h.size * LEADING * 2 + BODY_SIZE * LEADING * 3);
+      if (outline) outlines.push({ title: plainText(runs), level: outline, page: pages.length - 1, top: Math.max(MARGIN.top, y - h.before) });
+      flow(runsOf(runs).map(r => ({ ...r, bold: true })), { size: h.size, color: color || h.color });
+      if (h.rule) { strokeLine(MARGIN.left, y + 1, MARGIN.left + contentW, y + 1, COLORS.rule, 0.8); y += 3; }
+      y += h.after;
+    },
+
+    paragraph(runs, opts = {}) {
+      if (!page) newPage();
+      flow(runs, opts);
+      y += (opts.size || BODY_SIZE) * 0.5;
+    },
+
+    listItem(runs, { depth = 0, marker = '•' } = {}) {
+      if (!page) newPage();
+      flow(runs, { indent: 16 + depth * 16, marker });
+      y += 2.5;
+    },
+
+    rule() {
+      ensure(12);
+      strokeLine(MARGIN.left, y + 5, MARGIN.left + contentW, y + 5);
+      y += 12;
+    },
+
+    /**
+     * Tabela em largura total. rows: [{ cells: [runs, …], header? }]; as linhas de cabeçalho
+     * do início se repetem no topo de cada página nova.
+     */
+    table(rows, { size = 9, pad = 5 } = {}) {
+      if (!rows.length) return;
+      const cols = Math.max(...rows.map(r => r.cells.length));
+      const natural = new Array(cols).fill(0), min = new Array(cols).fill(0);
+      for (const r of rows) {
+        r.cells.forEach((c, i) => {
+          natural[i] = Math.max(natural[i], naturalWidth(c, size) + pad * 2);
+          min[i] = Math.max(min[i], Math.min(longestWord(c, size) + pad * 2, contentW / cols));
+        });
+      }
+      // como o "auto" do navegador: colunas estreitas ficam com a largura natural, as largas dividem o resto
+      const sumNat = natural.reduce((a, b) => a + b, 0) || 1;
+      let widths = natural;
+      if (sumNat > contentW) {
+        const narrow = natural.map(w => w <= contentW / cols);
+        const fixed = natural.reduce((a, w, i) => a + (narrow[i] ? w : 0), 0);
+        const wide = natural.reduce((a, w, i) => a + (narrow[i] ? 0 : w), 0) || 1;
+        widths = natural.map((w, i) => (narrow[i] ? w : Math.max(min[i], (w * (contentW - fixed)) / wide)));
+      }
+      const sum = widths.reduce((a, b) => a + b, 0);
+      widths = widths.map(w => (w * contentW) / sum);
+
+      const lh = size * LEADING;
+      const heads = [];
+      for (const r of rows) { if (r.header) heads.push(r); else break; }
+      const measure = (r) => {
+        const cells = widths.map((w, i) => layoutLines(runsOf(r.cells[i] || '').map(x => (r.header ? { ...x, bold: true } : x)), { size, width: w - pad * 2 }));
+        return { cells, h: Math.max(...cells.map(ls => ls.length)) * lh + pad * 2 };
+      };
+      const drawRow = (r, m) => {
+        let x = MARGIN.left;
+        if (r.header) fillRect(MARGIN.left, y, contentW, m.h, COLORS.head);
+        m.cells.forEach((lines, i) => {
+          page.ops.push(`${rgb(COLORS.rule)} RG 0.6 w ${n2(x)} ${n2(py(y + m.h))} ${n2(widths[i])} ${n2(m.h)} re S`);
+          lines.forEach((line, k) => {
+            drawLine(line, x + pad, y + pad + k * lh + size, { size, color: COLORS.text });
+          });
+          x += widths[i];
+        });
+        y += m.h;
+      };
+
+      // cabeçalho + primeira linha juntos
+      ensure(Math.min(rows.slice(0, heads.length + 1).reduce((a, r) => a + measure(r).h, 0), bottom - MARGIN.top));
+      rows.forEach((r) => {
+        const m = measure(r);
+        if (y + m.h > bottom && !r.header && !page.empty) {
+          newPage();
+          if (!r.header) for (const hr of heads) drawRow(hr, measure(hr));
+        }
+        drawRow(r, m);
+      });
+      y += 8;
+    },
+
+    toBuffer() {
+      if (!pages.length) newPage();
+      return serialize({ pages, outlines, title, author, lang, footer });
+    }
+  };
+}
+
+/* ----------------------- serialização ----------------------- */
+
+function footerOps(text, x, base, align, width) {
+  const pieces = encodeText(text, 'F1', 8);
+  const w = pieces.reduce((a, p) => a + p.w, 0);
+  const cx = align === 'right' ? x + width - w : x;
+  return `BT ${rgb(COLORS.muted)} rg ${n2(cx)} ${n2(PAGE.h - base)} Td ${pieces.map(p => `/${p.font} 8 Tf ${pdfString(p.codes)} Tj`).join(' ')} ET`;
+}
+
+function serialize({ pages, outlines, title, author, lang, footer }) {
+  const objs = [];
+  const alloc = () => objs.push(null);
+  const CATALOG = alloc(), PAGES = alloc(), INFO = alloc();
+  const fontIds = Object.fromEntries(Object.keys(FONTS).map(k => [k, alloc()]));
+  for (const [k, id] of Object.entries(fontIds)) {
+    objs[id - 1] = FONTS[k].widths
+      ? `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[k].base} /Encoding /WinAnsiEncoding >>`
+      : `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[k].base} >>`;
+  }
+  const fontRes = Object.entries(fontIds).map(([k, id]) => `/${k} ${id} 0 R`).join(' ');
+
+  const total = pages.length;
+  const pageIds = [];
+  pages.forEach((pg, i) => {
+    const ops = [...pg.ops];
+    const f = pg.footer && footer ? footer({ page: i + 1, total }) : null;
+    if (f) {
+      const width = PAGE.w - MARGIN.left - MARGIN.right, base = PAGE.h - MARGIN.bottom + 30;
+      ops.push(`${rgb(COLORS.rule)} RG 0.5 w ${n2(MARGIN.left)} ${n2(PAGE.h - base + 11)} m ${n2(MARGIN.left + width)} ${n2(PAGE.h - base + 11)} l S`);
+      if (f.left) ops.push(footerOps(f.left, MARGIN.left, base, 'left', width));
+      if (f.right) ops.push(footerOps(f.right, MARGIN.left, base, 'right', width));
+    }
+    const data = deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+    const contentId = alloc();
+    objs[contentId - 1] = [Buffer.from(`<< /Length ${data.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'), data, Buffer.from('\nendstream', 'latin1')];
+    const annotIds = pg.links.map(l => {
+      const id = alloc();
+      const uri = l.url.replace(/[^\x21-\x7E]/g, c => encodeURIComponent(c));
+      objs[id - 1] = `<< /Type /Annot /Subtype /Link /Rect [${l.rect.map(n2).join(' ')}] /Border [0 0 0] /A << /Type /Action /S /URI /URI ${pdfString([...uri].map(c => c.charCodeAt(0)))} >> >>`;
+      return id;
+    });
+    const pageId = alloc();
+    pageIds.push(pageId);
+    objs[pageId - 1] = `<< /Type /Page /Parent ${PAGES} 0 R /MediaBox [0 0 ${PAGE.w} ${PAGE.h}] /Resources << /Font << ${fontRes} >> >> /Contents ${contentId} 0 R${annotIds.length ? ` /Annots [${annotIds.map(id => `${id} 0 R`).join(' ')}]` : ''} >>`;
+  });
+  objs[PAGES - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${total} >>`;
+
+  // marcadores: nível 1 (seções) com os de nível 2 (dias) pendurados no último nível 1
+  let outlineRoot = null;
+  if (outlines.length) {
+    outlineRoot = alloc();
+    const tops = [];
+    for (const o of outlines) {
+      const item = { ...o, id: alloc(), kids: [] };
+      if (o.level === 2 && tops.length) tops[tops.length - 1].kids.push(item); else tops.push(item);
+    }
+    const write = (list, parent) => list.forEach((it, i) => {
+      const dest = `[${pageIds[it.page]} 0 R /XYZ 0 ${n2(PAGE.h - it.top)} null]`;
+      const links = [
+        `/Parent ${parent} 0 R`,
+        i > 0 ? `/Prev ${list[i - 1].id} 0 R` : '',
+        i < list.length - 1 ? `/Next ${list[i + 1].id} 0 R` : '',
+        it.kids.length ? `/First ${it.kids[0].id} 0 R /Last ${it.kids[it.kids.length - 1].id} 0 R /Count -${it.kids.length}` : ''
+      ].filter(Boolean).join(' ');
+      objs[it.id - 1] = `<< /Title ${pdfText(it.title)} ${links} /Dest ${dest} >>`;
+      write(it.kids, it.id);
+    });
+    write(tops, outlineRoot);
+    objs[outlineRoot - 1] = `<< /Type /Outlines /First ${tops[0].id} 0 R /Last ${tops[tops.length - 1].id} 0 R /Count ${tops.length} >>`;
+  }
+
+  objs[CATALOG - 1] = `<< /Type /Catalog /Pages ${PAGES} 0 R /Lang ${pdfText(lang)} /ViewerPreferences << /DisplayDocTitle true >>${outlineRoot ? ` /Outlines ${outlineRoot} 0 R /PageMode /UseOutlines` : ''} >>`;
+  const stamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  objs[INFO - 1] = `<< /Title ${pdfText(title)}${author ? ` /Author ${pdfText(author)} /Producer ${pdfText(author)}` : ''} /CreationDate (D:${stamp}Z) >>`;
+
+  const chunks = [Buffer.from([0x25, 0x50, 0x44, 0x46, 0x2D, 0x31, 0x2E, 0x34, 0x0A, 0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A])]; // %PDF-1.4 + linha binária
+  let offset = chunks[0].length;
+  const offsets = [];
+  objs.forEach((o, i) => {
+    offsets.push(offset);
+    const parts = [Buffer.from(`${i + 1} 0 obj\n`, 'latin1'), ...(Array.isArray(o) ? o : [Buffer.from(o, 'latin1')]), Buffer.from('\nendobj\n', 'latin1')];
+    for (const p of parts) { chunks.push(p); offset += p.length; }
+  });
+  const xref = [
+    'xref', `0 ${objs.length + 1}`, '0000000000 65535 f ',
+    ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+    'trailer', `<< /Size ${objs.length + 1} /Root ${CATALOG} 0 R /Info ${INFO} 0 R >>`,
+    'startxref', String(offset), '%%EOF', ''
+  ].join('\n');
+  chunks.push(Buffer.from(xref, 'latin1'));
+  return Buffer.concat(chunks);
+}
@@ -0,0 +1,125 @@
+// /api/_lib/ratelimit.js
+// Limites de uso por cliente (cada roteiro custa várias chamadas pagas de IA e de passagens):
+//   RATE_LIMIT_STORE        memory (padrão) | none (desliga os limites)
+//   RATE_LIMIT_IP           requisições por IP (padrão 10/1h)
+//   RATE_LIMIT_EMAIL        requisições com o mesmo "emailDestino" (padrão 5/1h)
+//   RATE_LIMIT_EMAIL_SENDS  e-mails enviados pelo SendGrid para o mesmo endereço (padrão 3/1d)
+// Formato "N/janela" com janela em s, min, h ou d ("20/30min"); "0" ou "off" desliga aquela regra.
+// Um contador é { name, hit(key, windowMs) → { count, resetAt }, peek(key) → { count, resetAt } | null };
+// o memory vale por instância serverless — para um limite global use um backend compartilhado (Redis, KV…) com a mesma forma.
+
+import { env, log, logError } from './util.js';
+
+const UNITS = { s: 1e3, min: 60e3, h: 3600e3, d: 86400e3 };
+
+/**
+ * "10/1h" → { max: 10, windowMs: 3600000 }; "off"/"0"/inválido → null (sem limite).
+ */
+export function parseLimit(spec) {
+  const m = /^\s*(\d+)\s*\/\s*(\d+)?\s*(s|min|h|d)\s*$/i.exec(String(spec || ''));
+  if (!m || Number(m[1]) <= 0) return null;
+  return { max: Number(m[1]), windowMs: Number(m[2] || 1) * UNITS[m[3].toLowerCase()] };
+}
+
+// janela fixa: a contagem zera em resetAt
+function createMemoryCounter() {
+  const counters = new Map();
+  let lastSweep = Date.now();
+  const sweep = (now) => {
+    if (now - lastSweep < 60e3) return;
+    lastSweep = now;
+    for (const [k, c] of counters) if (c.resetAt <= now) counters.delete(k);
+  };
+  return {
+    name: 'memory',
+    async hit(key, windowMs) {
+      const now = Date.now();
+      sweep(now);
+      let c = counters.get(key);
+      if (!c || c.resetAt <= now) { c = { count: 0, resetAt: now + windowMs }; counters.set(key, c); }
+      c.count += 1;
+      return { ...c };
+    },
+    async peek(key) {
+      const c = counters.get(key);
+      return c && c.resetAt > Date.now() ? { ...c } : null;
+    }
+  };
+}
+
+const COUNTERS = {
+  memory: createMemoryCounter,
+  none: () => null
+};
+
+let cached = null;
+function getLimiter() {
+  if (cached) return cached;
+  const kind = env('RATE_LIMIT_STORE', 'memory').toLowerCase();
+  const factory = COUNTERS[kind];
+  if (!factory) logError('rate limit', `RATE_LIMIT_STORE desconhecido: ${kind} (use ${Object.keys(COUNTERS).join(' | ')}) — limites desligados.`);
+  cached = {
+    store: factory ? factory() : null,
+    rules: {
+      ip: parseLimit(env('RATE_LIMIT_IP', '10/1h')),
+      email: parseLimit(env('RATE_LIMIT_EMAIL', '5/1h')),
+      email_sends: parseLimit(env('RATE_LIMIT_EMAIL_SENDS', '3/1d'))
+    }
+  };
+  log('rate limit', kind, cached.rules);
+  return cached;
+}
+
+// IP do cliente atrás do proxy da Vercel (primeiro endereço de x-forwarded-for)
+export function clientIp(req) {
+  const fwd = String(req.headers?.['x-forwarded-for'] || '').split(',')[0].trim();
+  return fwd || req.headers?.['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
+
+const emailKey = (email) => String(email || '').trim().toLowerCase();
+const retryAfter = (resetAt) => Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+/**
+ * Conta esta requisição nos limites por IP e por e-mail.
+ * @returns {{ ok: true } | { ok: false, rule: 'ip'|'email', limit: number, retry_after: number }}
+ */
+export async function consumeRequest(req, { email = null } = {}) {
+  const { store, rules } = getLimiter();
+  if (!store) return { ok: true };
+  const checks = [['ip', clientIp(req)], ['email', email ? emailKey(email) : null]]
+    .filter(([rule, id]) => rules[rule] && id);
+  for (const [rule, id] of checks) {
+    const { max, windowMs } = rules[rule];
+    const c = await store.hit(`${rule}:${id}`, windowMs);
+    if (c.count > max) return { ok: false, rule, limit: max, retry_after: retryAfter(c.resetAt) };
+  }
+  return { ok: true };
+}
+
+/**
+ * Reserva um envio de e-mail para o endereço (cota diária do SendGrid por destinatário).
+ * @returns {{ ok: true } | { ok: false, limit: number, retry_after: number }}
+ */
+export async function consumeEmailSend(email) {
+  const { store, rules } = getLimiter();
+  if (!store || !rules.email_sends) return { ok: true };
+  const { max, windowMs } = rules.email_sends;
+  const c = await store.hit(`send:${emailKey(email)}`, windowMs);
+  return c.count > max ? { ok: false, limit: max, retry_after: retryAfter(c.resetAt) } : { ok: true };
+}
+
+const MESSAGES = {
+  ip: 'Muitas solicitações a partir deste endereço. Aguarde um pouco antes de gerar outro roteiro.',
+  email: 'Muitas solicitações para este e-mail. Aguarde um pouco antes de gerar outro roteiro.'
+};
+
+// resposta 429 padrão (com Retry-After em segundos)
+export function sendRateLimited(res, limited, reqId) {
+  res.setHeader('Retry-After', String(limited.retry_after));
+  return res.status(429).json({
+    error: MESSAGES[limited.rule] || MESSAGES.ip,
+    limite: limited.rule,
+    retry_after: limited.retry_after,
+    reqId
+  });
+}
@@ -0,0 +1,144 @@
+// /api/_lib/refine.js
+// Refinamento conversacional: aplica uma mensagem do viajante ("menos museus, mais praias") ao roteiro atual,
+// guarda o histórico da conversa e descreve o que mudou entre a versão anterior e a nova.
+
+import { itineraryFormatSpec } from './itinerary.js';
+import { estimateItineraryCost } from './budget.js';
+import { fmtMoney } from './util.js';
+import { t, promptLanguage, DEFAULT_IDIOMA } from './i18n.js';
+import { omitGeo } from './geocode.js';
+
+export const MAX_MENSAGEM = 800;
+const MAX_HISTORICO = 20;      // mensagens guardadas no roteiro
+const HISTORICO_NO_PROMPT = 8; // últimas mensagens enviadas à IA
+
+/**
+ * Histórico normalizado: [{ role: 'user'|'assistant', content, at }], no máximo MAX_HISTORICO.
+ */
+export function normConversa(list) {
+  return (Array.isArray(list) ? list : [])
+    .filter(m => m && (m.role === 'user' || m.role === 'assistant') && typeof m.content === 'string' && m.content.trim())
+    .map(m => ({ role: m.role, content: m.content.trim().slice(0, MAX_MENSAGEM * 2), at: m.at || null }))
+    .slice(-MAX_HISTORICO);
+}
+
+export function refinePrompt({ itinerary, meta = {}, conversa = [], mensagem }) {
+  const cur = itinerary.currency || {};
+  const base = cur.base || 'BRL';
+  const hist = conversa.slice(-HISTORICO_NO_PROMPT)
+    .map(m => `${m.role === 'user' ? 'Viajante' : 'Você'}: ${m.content}`).join('\n');
+  const cities = (itinerary.stops || []).map(s => `${s.name} (dias ${s.from_day}–${s.to_day}, moeda ${s.currency})`);
+  return `Você está ajustando um roteiro de viagem JÁ PRONTO conforme o pedido do viajante.
+Destino: ${itinerary.destination}${cities.length ? ` | Cidades: ${cities.join('; ')}` : ''}
+Pessoas: ${Math.max(1, Number(meta.pessoas) || 1)} | Perfil: ${meta.perfil || 'normal'} | Estilo: ${meta.estilo || 'misto'}
+Moeda base: ${base}${cur.base_to_local > 0 && cur.local !== base ? ` | Câmbio: 1 ${base} = ${cur.base_to_local} ${cur.local} (mantenha)` : ''}
+${hist ? `\nConversa até aqui:\n${hist}\n` : ''}
+Roteiro atual (JSON):
+${JSON.stringify({ ...itinerary, sources: undefined }, omitGeo)}
+
+Pedido novo do viajante: ${mensagem}
+
+Regras:
+- Textos (inclusive "resumo") em ${promptLanguage(itinerary.language)}.
+- Mude SOMENTE o que o pedido exige; o resto fica igual (mesmos lugares, horários e preços).
+- Mantenha exatamente ${itinerary.days.length} dias${cities.length ? ' e a cidade de cada dia' : ''}.
+- Responda APENAS com JSON: { "resumo": "1–2 frases dizendo o que mudou", "itinerary": { ...roteiro completo atualizado } }
+- "itinerary" segue o formato abaixo:
+${itineraryFormatSpec({ dias: itinerary.days.length, currency_code: cur.local, base_code: base })}`;
+}
+
+/**
+ * Separa { resumo, itinerary } da resposta e completa com a versão anterior o que a IA omitiu
+ * (dias faltando, seções vazias). Dias além do total original são descartados.
+ * @returns {{ raw: object, resumo: string } | null}
+ */
+export function mergeRefined(parsed, prev) {
+  if (!parsed || typeof parsed !== 'object') return null;
+  const next = parsed.itinerary && typeof parsed.itinerary === 'object' ? parsed.itinerary : parsed;
+  if (!Array.isArray(next.days) && !Array.isArray(next.attractions)) return null;
+  const byDay = new Map((Array.isArray(next.days) ? next.days : []).map((d, i) => [Number(d?.day) || i + 1, d]));
+  const keep = (k) => (Array.isArray(next[k]) && next[k].length ? next[k] : prev[k]);
+  return {
+    resumo: typeof parsed.resumo === 'string' ? parsed.resumo.trim() : '',
+    raw: {
+      ...prev,
+      ...next,
+      overview: keep('overview'),
+      attractions: keep('attractions'),
+      food: keep('food'),
+      lodging: keep('lodging'),
+      transport: keep('transport'),
+      budget: next.budget && typeof next.budget === 'object' ? next.budget : prev.budget,
+      sources: keep('sources'),
+      days: prev.days.map(d => (byDay.has(d.day) ? { ...byDay.get(d.day), day: d.day } : d))
+    }
+  };
+}
+
+/* ----------------------- diff ----------------------- */
+
+const names = (list) => (list || []).map(p => p.name);
+const setDiff = (a, b) => {
+  const sb = new Set(b);
+  return [...new Set(a)].filter(x => !sb.has(x));
+};
+const slot = (s) => (s.start || s.end ? `${s.start || '?'}–${s.end || '?'}` : '');
+
+/**
+ * O que mudou de uma versão para a outra: itens por dia (entrou/saiu/horário), listas das seções e custo estimado.
+ */
+export function diffItineraries(prev, next, { pessoas = 1 } = {}) {
+  const days = [];
+  for (const nd of next.days) {
+    const pd = prev.days.find(d => d.day === nd.day);
+    if (!pd) continue;
+    const pSlots = [...pd.attractions, ...pd.meals];
+    const nSlots = [...nd.attractions, ...nd.meals];
+    const retimed = nSlots
+      .map(s => ({ s, p: pSlots.find(x => x.name === s.name) }))
+      .filter(({ s, p }) => p && slot(p) !== slot(s))
+      .map(({ s, p }) => ({ name: s.name, from: slot(p), to: slot(s) }));
+    const d = {
+      day: nd.day,
+      added: setDiff(names(nSlots), names(pSlots)),
+      removed: setDiff(names(pSlots), names(nSlots)),
+      retimed,
+      title: pd.title !== nd.title ? { from: pd.title, to: nd.title } : undefined
+    };
+    if (d.added.length || d.removed.length || d.retimed.length || d.title) days.push(d);
+  }
+
+  const sections = {};
+  for (const key of ['attractions', 'food', 'lodging', 'transport']) {
+    const added = setDiff(names(next[key]), names(prev[key]));
+    const removed = setDiff(names(prev[key]), names(next[key]));
+    if (added.length || removed.length) sections[key] = { added, removed };
+  }
+
+  const before = estimateItineraryCost(prev, { pessoas }).total.mid;
+  const after = estimateItineraryCost(next, { pessoas }).total.mid;
+  return {
+    changed: Boolean(days.length || Object.keys(sections).length || prev.overview.join('\n') !== next.overview.join('\n') || before !== after),
+    days,
+    sections,
+    overview_changed: prev.overview.join('\n') !== next.overview.join('\n'),
+    cost: { currency: next.currency?.base || 'BRL', before, after, delta: Math.round((after - before) * 100) / 100 }
+  };
+}
+
+// resumo em texto do diff (resposta do "assistente" quando a IA não manda "resumo")
+export function diffSummaryText(diff, idioma = DEFAULT_IDIOMA) {
+  const L = (key, arg) => t(idioma, key, arg);
+  if (!diff.changed) return L('diff.none');
+  const parts = diff.days.map(d => {
+    const bits = [];
+    if (d.added.length) bits.push(`${L('diff.added')} ${d.added.join(', ')}`);
+    if (d.removed.length) bits.push(`${L('diff.removed')} ${d.removed.join(', ')}`);
+    if (d.retimed.length) bits.push(L('diff.retimed', d.retimed.length));
+    return `${L('day')} ${d.day}: ${bits.length ? bits.join('; ') : L('diff.new_theme')}`;
+  });
+  if (diff.overview_changed) parts.push(L('diff.overview'));
+  for (const [k, v] of Object.entries(diff.sections)) parts.push(L('diff.section', { label: L(`diff.${k}`), added: v.added.length, removed: v.removed.length }));
+  if (diff.cost.delta) parts.push(`${L('diff.cost')} ${diff.cost.delta > 0 ? '+' : '−'}${fmtMoney(Math.abs(diff.cost.delta), diff.cost.currency, idioma)}`);
+  return parts.join(' · ') + '.';
+}
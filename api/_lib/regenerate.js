@@ -0,0 +1,155 @@
+// /api/_lib/regenerate.js
+// Regeneração parcial: refaz um dia ou uma seção de um roteiro já gerado, com o mesmo destino, orçamento
+// e câmbio, e encaixa o resultado de volta no roteiro estruturado e no fragmento HTML.
+
+import { ITINERARY_SECTIONS, itineraryFormatSpec } from './itinerary.js';
+import { fmtMoney } from './util.js';
+import { t, DEFAULT_IDIOMA, promptLanguage } from './i18n.js';
+import { omitGeo } from './geocode.js';
+
+const fold = (s = '') => String(s).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim();
+const untitled = (t) => fold(t).replace(/^\d+\.\s*/, '');
+
+// seções que fazem sentido refazer ("sources" é derivada dos itens)
+const REGEN_SECTIONS = ITINERARY_SECTIONS.filter(s => s.key !== 'sources');
+
+/**
+ * Alvo da regeneração: "Dia 3" | 3 | "3. Onde comer & beber" | "Onde comer & beber" | "food".
+ * @returns {{ kind: 'day', day: number, section: 'days' } | { kind: 'section', section: string } | { error: string }}
+ */
+export function parseTarget(input, { days = 0 } = {}) {
+  const raw = typeof input === 'number' ? `dia ${input}` : String(input || '').trim();
+  if (!raw) return { error: 'Informe o alvo: por exemplo "Dia 3" ou "3. Onde comer & beber".' };
+  const f = fold(raw);
+
+  const dm = /^(?:dia|day)\s*(\d{1,3})$/.exec(f);
+  if (dm) {
+    const day = Number(dm[1]);
+    if (day < 1 || day > days) return { error: `O roteiro tem ${days} dia(s); "${raw}" não existe.` };
+    return { kind: 'day', day, section: 'days' };
+  }
+
+  const num = /^(\d+)\.?(?:\s|$)/.exec(f)?.[1];
+  const sec = REGEN_SECTIONS.find(s => s.key === f)
+    || (num ? REGEN_SECTIONS.find(s => s.title.startsWith(`${num}.`)) : null)
+    || REGEN_SECTIONS.find(s => untitled(s.title) === untitled(raw));
+  if (!sec) {
+    return { error: `Alvo desconhecido: "${raw}". Use "Dia N" ou uma seção: ${REGEN_SECTIONS.map(s => `"${s.title}"`).join(', ')}.` };
+  }
+  return { kind: 'section', section: sec.key };
+}
+
+// rótulo no idioma do roteiro ("Dia 3", "Day 3", "3. Where to Eat & Drink"); o prompt usa o pt-BR
+export const targetLabel = (target, idioma = DEFAULT_IDIOMA) =>
+  (target.kind === 'day' ? `${t(idioma, 'day')} ${target.day}` : t(idioma, `section.${target.section}`));
+
+/**
+ * Recria o contexto de normalização (câmbio, cidades, datas) a partir do roteiro salvo — sem consultar o câmbio de novo.
+ * @returns {{ ctx: object, genContext: object }} ctx → normalizeItinerary(); genContext → llm.generate()
+ */
+export function contextFromSaved({ itinerary, meta = {} }) {
+  const cur = itinerary.currency || {};
+  const base = cur.base || 'BRL';
+  const fxOf = (quote, rate) => ({
+    base, quote,
+    base_to_quote: rate > 0 ? rate : null,
+    quote_to_base: rate > 0 ? 1 / rate : null,
+    available: rate > 0
+  });
+  const stops = Array.isArray(itinerary.stops) && itinerary.stops.length
+    ? itinerary.stops.map(s => ({
+      name: s.name, destino: s.name, country_name: s.country || '',
+      noites: s.nights, from_day: s.from_day, to_day: s.to_day,
+      currency_code: s.currency, fx: fxOf(s.currency, s.base_to_local)
+    }))
+    : null;
+  const pessoas = Math.max(1, Number(meta.pessoas) || 1);
+  return {
+    ctx: {
+      destination: itinerary.destination,
+      currency_code: cur.local,
+      fx: fxOf(cur.local, cur.base_to_local),
+      dataIda: meta.data_ida || null,
+      pessoas,
+      idioma: itinerary.language || meta.idioma,
+      stops
+    },
+    genContext: {
+      destino: itinerary.destination,
+      dias: itinerary.days.length,
+      pessoas,
+      perfil: meta.perfil,
+      estilo: meta.estilo,
+      currency_code: cur.local,
+      moeda_base: base,
+      stops: stops ? stops.map(s => ({ name: s.name, noites: s.noites, from_day: s.from_day, to_day: s.to_day })) : undefined
+    }
+  };
+}
+
+const currentPart = (it, t) => (t.kind === 'day' ? it.days.find(d => d.day === t.day) : it[t.section]);
+
+/** Prompt que pede só a parte-alvo, em JSON, no mesmo formato do roteiro completo. */
+export function partialPrompt({ target, itinerary, meta = {}, instrucoes = '' }) {
+  const cur = itinerary.currency || {};
+  const base = cur.base || 'BRL';
+  const pessoas = Math.max(1, Number(meta.pessoas) || 1);
+  const orc = meta.orcamento > 0
+    ? `${fmtMoney(meta.orcamento, base)} para o grupo`
+    : (meta.orcamento_por_pessoa > 0 ? `${fmtMoney(meta.orcamento_por_pessoa, base)} por pessoa` : 'não informado');
+  const conv = cur.base_to_local > 0 && cur.local !== base ? `1 ${base} = ${cur.base_to_local} ${cur.local} (use a mesma cotação)` : 'sem conversão (preencha só "base")';
+  const cities = (itinerary.stops || []).map(s => `${s.name} (dias ${s.from_day}–${s.to_day}, moeda ${s.currency}${s.base_to_local ? `, 1 ${base} = ${s.base_to_local} ${s.currency}` : ''})`);
+  const wrapper = target.kind === 'day' ? '"day"' : `"${target.section}"`;
+  const otherDays = target.kind === 'day'
+    ? itinerary.days.filter(d => d.day !== target.day).flatMap(d => d.attractions.map(a => a.name))
+    : [];
+
+  return `Você está revisando UMA parte de um roteiro já pronto. Refaça somente: ${targetLabel(target)}.
+
+Contexto (mantenha):
+- Destino: ${itinerary.destination}
+${cities.length ? `- Cidades: ${cities.join('; ')}\n` : ''}- Dias: ${itinerary.days.length} | Pessoas: ${pessoas} | Perfil: ${meta.perfil || 'normal'} | Estilo: ${meta.estilo || 'misto'}
+- Orçamento: ${orc}
+- Moeda base: ${base} | Câmbio: ${conv}
+- Textos em ${promptLanguage(itinerary.language)}
+${target.kind === 'day' && itinerary.days[target.day - 1]?.city ? `- Cidade do dia: ${itinerary.days[target.day - 1].city}\n` : ''}
+Versão atual desta parte (JSON) — proponha algo diferente e melhor:
+${JSON.stringify(currentPart(itinerary, target), omitGeo)}
+${otherDays.length ? `\nNão repita atrações dos outros dias: ${[...new Set(otherDays)].slice(0, 60).join('; ')}.\n` : ''}
+${instrucoes ? `Pedido do viajante: ${instrucoes}\n` : ''}
+Responda APENAS com um objeto JSON com a chave ${wrapper}${target.kind === 'day' ? ` (um item de "days", com "day": ${target.day})` : ''},
+no mesmo formato do campo correspondente abaixo:
+${itineraryFormatSpec({ dias: itinerary.days.length, currency_code: cur.local, base_code: base })}`;
+}
+
+/**
+ * Extrai a parte-alvo da resposta: { day: {...} } / { days: [...] } / { food: [...] }; aceita o roteiro inteiro.
+ * @returns {object|array|null}
+ */
+export function extractPart(parsed, target) {
+  if (!parsed || typeof parsed !== 'object') return null;
+  if (target.kind === 'day') {
+    if (parsed.day && typeof parsed.day === 'object') return parsed.day;
+    if (Array.isArray(parsed.days)) return parsed.days.find(d => Number(d?.day) === target.day) || (parsed.days.length === 1 ? parsed.days[0] : null);
+    return Array.isArray(parsed.attractions) && Array.isArray(parsed.meals) ? parsed : null;
+  }
+  const part = parsed[target.section];
+  if (target.section === 'overview') return Array.isArray(part) || typeof part === 'string' ? part : null;
+  if (target.section === 'budget') return part && typeof part === 'object' ? part : null;
+  return Array.isArray(part) && part.length ? part : null;
+}
+
+// roteiro com a parte trocada (ainda precisa passar por normalizeItinerary)
+export function spliceItinerary(itinerary, target, part) {
+  if (target.kind === 'day') {
+    return { ...itinerary, days: itinerary.days.map(d => (d.day === target.day ? { ...part, day: target.day } : d)) };
+  }
+  return { ...itinerary, [target.section]: part };
+}
+
+/** Troca <section data-section="key">…</section> no fragmento; sem a seção, devolve replaced: false. */
+export function spliceSectionHtml(texto, key, html) {
+  const re = new RegExp(`<section data-section="${key}"[^>]*>[\\s\\S]*?</section>`);
+  if (!re.test(texto)) return { html: texto, replaced: false };
+  return { html: texto.replace(re, () => html), replaced: true };
+}
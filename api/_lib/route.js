@@ -0,0 +1,250 @@
+// /api/_lib/route.js
+// Ordem das atrações de cada dia pelo menor deslocamento. Usa as coordenadas de geocode.js, o horário de funcionamento
+// provável de cada tipo de lugar, o "melhor horário" e a duração da visita. As refeições ficam perto do horário que a IA
+// propôs (±30 min), os horários do dia são recalculados e cada parada ganha travel = { minutes, km, mode } desde a
+// anterior (a primeira, desde a hospedagem). Um dia só muda de ordem quando a nova fica de fato melhor. Só entram
+// posições de ponto ou bairro (PRECISE): dia com parada no centro da cidade/zona genérica — ou sem coordenadas — fica como
+// veio, sem travel nem route (o deslocamento sairia do ruído do geocodificador).
+
+import { log } from './util.js';
+import { normalizeKey } from './iata.js';
+import { lodgingFor } from './geocode.js';
+
+/* ----------------------- deslocamento ----------------------- */
+
+// linha reta × fator de desvio das ruas; a pé até WALK_MAX_KM, depois transporte (espera + velocidade média urbana)
+const DETOUR = 1.3;
+const WALK_MAX_KM = 1.5;
+const WALK_KMH = 4.5;
+const TRANSIT_KMH = 18;
+const TRANSIT_WAIT_MIN = 8;
+
+const STEP = 5;
+const ceilStep = (m) => Math.ceil(m / STEP) * STEP;
+
+function haversineKm(a, b) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat), dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Trecho estimado entre dois pontos { lat, lon } → { minutes, km, mode: walk|transit }, ou null sem coordenadas.
+ */
+export function estimateTravel(from, to) {
+  if (!from || !to) return null;
+  const km = Math.round(haversineKm(from, to) * DETOUR * 10) / 10;
+  if (km <= WALK_MAX_KM) return { minutes: Math.max(STEP, ceilStep((km / WALK_KMH) * 60)), km, mode: 'walk' };
+  return { minutes: ceilStep(TRANSIT_WAIT_MIN + (km / TRANSIT_KMH) * 60), km, mode: 'transit' };
+}
+
+/* ----------------------- horários ----------------------- */
+
+const toMin = (hhmm) => {
+  const m = /^(\d{2}):(\d{2})$/.exec(hhmm || '');
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+};
+const toHHMM = (min) => {
+  const m = Math.min(Math.max(0, Math.round(min)), 23 * 60 + 59);
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+};
+
+// funcionamento provável pelo tipo de lugar (primeira regra que casar com nome/descrição/categoria); o resto, 08h–22h
+const HOURS = [
+  [/\b(bar|pub|balada|boate|show|tango|fado|jazz|vida noturna|nightlife)\b/, [18 * 60, 24 * 60]],
+  [/\b(museu|museo|museum|galeria|gallery|palacio|palace|castelo|castillo|castle|mosteiro|monasterio|monastery|igreja|iglesia|church|catedral|cathedral|basilica)\b/, [9 * 60 + 30, 18 * 60]],
+  [/\b(mercado|market|feira|feria)\b/, [8 * 60, 19 * 60]],
+  [/\b(parque|park|jardim|jardin|garden|praia|playa|beach|zoo|zoologico|trilha|sendero|trail)\b/, [6 * 60, 20 * 60]],
+  [/\b(mirante|miradouro|mirador|viewpoint|lookout|orla|passeio|calcadao)\b/, [0, 24 * 60]]
+];
+const DEFAULT_HOURS = [8 * 60, 22 * 60];
+
+// "melhor horário" vira uma janela preferida (penalidade leve fora dela)
+const BEST_TIME = [
+  [/por do sol|entardecer|fim de tarde|final da tarde|sunset|atardecer/, [16 * 60 + 30, 19 * 60 + 30]],
+  [/manha|cedo|morning|early|manana/, [7 * 60, 12 * 60]],
+  [/noite|night|noche/, [18 * 60, 24 * 60]],
+  [/tarde|afternoon/, [12 * 60, 18 * 60]]
+];
+
+const firstMatch = (rules, text) => rules.find(([re]) => re.test(text))?.[1] || null;
+
+// "2h", "1h30", "1 h 30 min", "45 min", "2–3 h", "1,5 hora" → minutos (o menor valor de uma faixa)
+function parseDuration(s) {
+  const k = String(s || '').toLowerCase().replace(',', '.');
+  const h = /(\d+(?:\.\d+)?)\s*(?:[–-]\s*\d+(?:\.\d+)?\s*)?(?:h\b|hs?\b|hora|hour)/.exec(k);
+  const m = /(\d+)\s*min/.exec(k);
+  const total = (h ? Number(h[1]) * 60 : 0) + (m && (!h || m.index > h.index) ? Number(m[1]) : 0);
+  return total > 0 ? total : null;
+}
+
+/* ----------------------- simulação do dia ----------------------- */
+
+// refeição pode começar até MEAL_SLACK antes/depois do horário proposto sem custo extra relevante
+const MEAL_SLACK = 30;
+// pesos do custo: minuto de deslocamento = 1
+const W_WAIT = 0.5, W_LATE = 4, W_BEST = 0.5, W_MEAL = 2;
+
+function stopOf(slot, place) {
+  const start = toMin(slot.start), end = toMin(slot.end);
+  const text = normalizeKey([slot.name, slot.description, slot.cuisine, place?.category].filter(Boolean).join(' '));
+  const duration = start !== null && end > start ? end - start : (parseDuration(place?.duration) || (slot.type === 'meal' ? 60 : 90));
+  return {
+    slot,
+    geo: slot.geo || null,
+    target: start,
+    duration,
+    hours: slot.type === 'meal' ? null : firstMatch(HOURS, text) || DEFAULT_HOURS,
+    best: slot.type === 'meal' ? null : firstMatch(BEST_TIME, normalizeKey(place?.best_time || ''))
+  };
+}
+
+/**
+ * Percorre o dia na ordem dada (atrações) encaixando as refeições perto do horário delas.
+ * @returns {{ cost: number, travel: number, visits: { stop, start, travel }[] }}
+ */
+function simulate(order, meals, { home, dayStart }) {
+  let t = dayStart, pos = home, cost = 0, travelTotal = 0;
+  const visits = [];
+  const go = (stop) => {
+    const tr = estimateTravel(pos, stop.geo);
+    const arrive = ceilStep(t + (tr?.minutes || 0));
+    return { tr, arrive };
+  };
+  const visit = (stop) => {
+    const { tr, arrive } = go(stop);
+    let start;
+    if (stop.hours) {
+      start = Math.max(arrive, stop.hours[0]);
+      const late = Math.max(0, start + stop.duration - stop.hours[1]);
+      const [b0, b1] = stop.best || [0, 24 * 60];
+      cost += (start - arrive) * W_WAIT + late * W_LATE + (start < b0 ? b0 - start : start > b1 ? start - b1 : 0) * W_BEST;
+    } else {
+      start = Math.max(arrive, stop.target - MEAL_SLACK);
+      cost += (start - arrive) * W_WAIT + Math.max(0, Math.abs(start - stop.target) - MEAL_SLACK / 2) * W_MEAL;
+    }
+    cost += tr?.minutes || 0;
+    travelTotal += tr?.minutes || 0;
+    visits.push({ stop, start, travel: tr });
+    t = start + stop.duration;
+    if (stop.geo) pos = stop.geo;
+  };
+  // refeição agora ou depois da próxima atração: o que deixar menos espera + atraso
+  const eatFirst = (meal, next) => {
+    const now = go(meal).arrive;
+    if (now >= meal.target - MEAL_SLACK) return true;
+    const { arrive } = go(next);
+    const endNext = Math.max(arrive, next.hours[0]) + next.duration;
+    const after = endNext + (estimateTravel(next.geo || pos, meal.geo)?.minutes || 0);
+    return after > meal.target + MEAL_SLACK && (meal.target - MEAL_SLACK - now) < (after - meal.target - MEAL_SLACK);
+  };
+  const queue = [...meals];
+  for (const stop of order) {
+    while (queue.length && eatFirst(queue[0], stop)) visit(queue.shift());
+    visit(stop);
+  }
+  queue.forEach(visit);
+  return { cost, travel: travelTotal, visits };
+}
+
+// vizinho mais próximo a partir da hospedagem e depois melhorias locais (2-opt e realocação) sobre o custo simulado
+function searchOrder(stops, meals, ctx) {
+  const remaining = [...stops];
+  const seed = [];
+  let pos = ctx.home;
+  while (remaining.length) {
+    const i = pos
+      ? remaining.reduce((bi, s, k) => (estimateTravel(pos, s.geo).km < estimateTravel(pos, remaining[bi].geo).km ? k : bi), 0)
+      : 0;
+    const [s] = remaining.splice(i, 1);
+    seed.push(s);
+    pos = s.geo;
+  }
+  let best = seed, bestCost = simulate(seed, meals, ctx).cost;
+  const tryOrder = (cand) => {
+    const c = simulate(cand, meals, ctx).cost;
+    if (c < bestCost - 0.01) { best = cand; bestCost = c; return true; }
+    return false;
+  };
+  for (let pass = 0, improved = true; improved && pass < 50; pass++) {
+    improved = false;
+    for (let i = 0; i < best.length - 1; i++) {
+      for (let j = i + 1; j < best.length; j++) {
+        if (tryOrder([...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)])) improved = true;
+        const moved = [...best];
+        const [s] = moved.splice(i, 1);
+        moved.splice(j, 0, s);
+        if (tryOrder(moved)) improved = true;
+      }
+    }
+  }
+  return best;
+}
+
+/* ----------------------- roteiro ----------------------- */
+
+const PRECISE = new Set(['place', 'neighborhood']);
+const isPrecise = (geo) => !!geo && PRECISE.has(geo.precision);
+
+function clearRoute(day) {
+  for (const s of [...day.attractions, ...day.meals]) delete s.travel;
+  delete day.route;
+}
+
+// trechos da linha do tempo como ficou (horários atuais), para dias que não mudam de ordem
+function annotateAsIs(day, home) {
+  const timeline = [...day.attractions, ...day.meals].sort((a, b) => (a.start || '99:99').localeCompare(b.start || '99:99'));
+  let pos = home, total = 0;
+  for (const s of timeline) {
+    const tr = estimateTravel(pos, s.geo);
+    if (tr) { s.travel = tr; total += tr.minutes; } else delete s.travel;
+    if (s.geo) pos = s.geo;
+  }
+  return total;
+}
+
+/**
+ * Reordena as atrações de cada dia (no próprio roteiro) e recalcula os horários; day.route = { optimized, travel_min,
+ * original_travel_min, saved_min }. Precisa das coordenadas de geocodeItinerary(); dia com posição imprecisa fica sem route.
+ * @returns {{ days: number, optimized: number, saved_min: number }}
+ */
+export function optimizeItineraryRoutes(it, { reqId = '-' } = {}) {
+  const catalog = new Map((it?.attractions || []).map(p => [normalizeKey(p.name), p]));
+  let optimized = 0, saved = 0;
+  for (const day of it?.days || []) {
+    clearRoute(day);
+    if (![...day.attractions, ...day.meals].every(s => isPrecise(s.geo))) continue;
+    // hospedagem aproximada: o primeiro trecho do dia fica sem estimativa
+    const hotel = lodgingFor(it, day)?.geo;
+    const home = isPrecise(hotel) ? hotel : null;
+    const original = annotateAsIs(day, home);
+    const stops = day.attractions.map(s => stopOf(s, catalog.get(normalizeKey(s.name))));
+    const meals = day.meals.map(s => stopOf(s, null)).filter(m => m.target !== null).sort((a, b) => a.target - b.target);
+    const starts = [...stops, ...meals].map(s => s.target).filter(v => v !== null);
+    day.route = { optimized: false, travel_min: original, original_travel_min: original, saved_min: 0 };
+    if (stops.length < 2 || stops.some(s => s.target === null) || !starts.length) continue;
+
+    const ctx = { home, dayStart: Math.min(...starts) };
+    const asIs = simulate([...stops].sort((a, b) => a.target - b.target), meals, ctx);
+    const order = searchOrder(stops, meals, ctx);
+    const plan = simulate(order, meals, ctx);
+    // só troca quando o ganho é real (evita mexer num dia já bom por 1–2 min de arredondamento) e o dia cabe antes da meia-noite
+    if (plan.cost >= asIs.cost - STEP || plan.visits.some(v => v.start + v.stop.duration >= 24 * 60)) continue;
+
+    for (const v of plan.visits) {
+      v.stop.slot.start = toHHMM(v.start);
+      v.stop.slot.end = toHHMM(v.start + v.stop.duration);
+    }
+    const byStart = (a, b) => a.start.localeCompare(b.start);
+    day.attractions = order.map(s => s.slot).sort(byStart);
+    day.meals.sort((a, b) => (a.start || '99:99').localeCompare(b.start || '99:99'));
+    const travel = annotateAsIs(day, home);
+    day.route = { optimized: true, travel_min: travel, original_travel_min: original, saved_min: Math.max(0, original - travel) };
+    optimized++;
+    saved += day.route.saved_min;
+  }
+  const days = it?.days?.length || 0;
+  log(`[${reqId}] rotas`, { dias: days, reordenados: optimized, economia_min: saved });
+  return { days, optimized, saved_min: saved };
+}
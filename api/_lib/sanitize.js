@@ -0,0 +1,162 @@
+// /api/_lib/sanitize.js
+// Sanitização server-side do fragmento HTML (vai para a resposta e para o e-mail, que não passa pelo DOMPurify).
+// Allowlist de tags/atributos, remoção de conteúdo perigoso, reparo de tags desbalanceadas e links com rel="noopener".
+
+import { escapeAttr } from './util.js';
+
+const ALLOWED_TAGS = new Set([
+  'section', 'article', 'div', 'span', 'p', 'br', 'hr',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'ul', 'ol', 'li', 'strong', 'b', 'em', 'i', 'small', 'code', 'blockquote',
+  'a', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption'
+]);
+const VOID_TAGS = new Set(['br', 'hr']);
+// abrir a chave fecha implicitamente as tags listadas no topo da pilha (como o parser HTML faz)
+const IMPLICIT_CLOSE = { li: ['li'], tr: ['tr', 'td', 'th'], td: ['td', 'th'], th: ['td', 'th'], p: ['p'] };
+const BLOCK_TAGS = new Set(['section', 'article', 'div', 'ul', 'ol', 'table', 'blockquote', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+// removidas junto com todo o conteúdo interno
+const DROP_WITH_CONTENT = new Set(['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'svg', 'math', 'head', 'title', 'textarea', 'select']);
+
+const GLOBAL_ATTRS = new Set(['class', 'style', 'title', 'id']);
+const TAG_ATTRS = {
+  a: new Set(['href', 'target', 'rel']),
+  th: new Set(['colspan', 'rowspan', 'scope']),
+  td: new Set(['colspan', 'rowspan']),
+  ol: new Set(['start'])
+};
+const UNSAFE_STYLE = /expression\s*\(|url\s*\(|javascript:|@import|behavior\s*:|-moz-binding/i;
+const SAFE_URL = /^(https?:|mailto:|#)/i;
+
+const decodeEntities = (s = '') => s
+  .replace(/&quot;/g, '"').replace(/&#39;|&apos;/g, "'")
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+const TOKEN = /<!--[\s\S]*?(?:-->|$)|<!doctype[^>]*>|<\/\s*([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/gi;
+const ATTR = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+export function emptySanitizeReport() {
+  return {
+    changed: false,
+    removed_tags: {},
+    removed_attrs: {},
+    unsafe_urls: 0,
+    images_removed: 0,
+    comments_removed: 0,
+    markdown_fences: 0,
+    closed_unbalanced: 0,
+    stray_closing_removed: 0,
+    links_rewritten: 0
+  };
+}
+const bump = (obj, k) => { obj[k] = (obj[k] || 0) + 1; };
+
+function cleanAttrs(tag, rawAttrs, report) {
+  const out = [];
+  const allowed = TAG_ATTRS[tag];
+  let m;
+  ATTR.lastIndex = 0;
+  while ((m = ATTR.exec(rawAttrs || ''))) {
+    const name = m[1].toLowerCase();
+    const value = decodeEntities(m[2] ?? m[3] ?? m[4] ?? '');
+    const ok = GLOBAL_ATTRS.has(name) || name.startsWith('data-') || allowed?.has(name);
+    if (!ok || name.startsWith('on')) { bump(report.removed_attrs, name); continue; }
+    if (name === 'style' && UNSAFE_STYLE.test(value)) { bump(report.removed_attrs, name); continue; }
+    if (name === 'href') {
+      if (!SAFE_URL.test(value.trim())) { report.unsafe_urls++; continue; }
+    }
+    if (tag === 'a' && (name === 'target' || name === 'rel')) continue; // reescritos abaixo
+    out.push([name, value]);
+  }
+  if (tag === 'a') {
+    const href = out.find(([n]) => n === 'href')?.[1] || '';
+    if (/^https?:/i.test(href)) {
+      out.push(['target', '_blank'], ['rel', 'noopener']);
+      report.links_rewritten++;
+    }
+  }
+  return out.map(([n, v]) => ` ${n}="${escapeAttr(v)}"`).join('');
+}
+
+/**
+ * Sanitiza um fragmento HTML.
+ * @returns {{ html: string, report: object }} report lista o que foi removido/reparado
+ */
+export function sanitizeHtml(input = '') {
+  const report = emptySanitizeReport();
+  let src = String(input);
+
+  // cercas de Markdown (```html ... ```) que a IA às vezes devolve
+  src = src.replace(/^\s*```[a-z]*\s*$/gim, () => { report.markdown_fences++; return ''; });
+
+  const out = [];
+  const stack = [];
+  let last = 0;
+  let m;
+  // texto: preserva entidades válidas (&nbsp; &amp;…) e escapa o resto
+  const text = (s) => { if (s) out.push(s.replace(/&(?!#?\w+;)/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')); };
+
+  TOKEN.lastIndex = 0;
+  while ((m = TOKEN.exec(src))) {
+    text(src.slice(last, m.index));
+    last = TOKEN.lastIndex;
+    const tok = m[0];
+
+    if (tok.startsWith('<!--')) { report.comments_removed++; continue; }
+    if (/^<!doctype/i.test(tok)) { bump(report.removed_tags, '!doctype'); continue; }
+
+    if (m[1]) { // fechamento
+      const tag = m[1].toLowerCase();
+      if (!ALLOWED_TAGS.has(tag)) { if (!DROP_WITH_CONTENT.has(tag)) bump(report.removed_tags, tag); continue; }
+      const at = stack.lastIndexOf(tag);
+      if (at < 0) { report.stray_closing_removed++; continue; }
+      while (stack.length > at + 1) { out.push(`</${stack.pop()}>`); report.closed_unbalanced++; }
+      out.push(`</${stack.pop()}>`);
+      continue;
+    }
+
+    const tag = m[2].toLowerCase();
+    const selfClosing = m[4] === '/';
+    if (DROP_WITH_CONTENT.has(tag)) {
+      bump(report.removed_tags, tag);
+      if (!selfClosing) {
+        const end = src.toLowerCase().indexOf(`</${tag}`, last);
+        const close = end < 0 ? src.length : src.indexOf('>', end) + 1 || src.length;
+        last = close;
+        TOKEN.lastIndex = close;
+      }
+      continue;
+    }
+    if (tag === 'img' || tag === 'picture' || tag === 'source') { report.images_removed++; continue; }
+    if (!ALLOWED_TAGS.has(tag)) { bump(report.removed_tags, tag); continue; }
+
+    const closes = IMPLICIT_CLOSE[tag] || (BLOCK_TAGS.has(tag) ? ['p'] : []);
+    while (stack.length && closes.includes(stack[stack.length - 1])) {
+      out.push(`</${stack.pop()}>`);
+      report.closed_unbalanced++;
+    }
+    out.push(`<${tag}${cleanAttrs(tag, m[3], report)}>`);
+    if (!VOID_TAGS.has(tag) && !selfClosing) stack.push(tag);
+  }
+  text(src.slice(last));
+  while (stack.length) { out.push(`</${stack.pop()}>`); report.closed_unbalanced++; }
+
+  report.changed = Boolean(
+    Object.keys(report.removed_tags).length || Object.keys(report.removed_attrs).length ||
+    report.unsafe_urls || report.images_removed || report.comments_removed || report.markdown_fences ||
+    report.closed_unbalanced || report.stray_closing_removed
+  );
+  return { html: out.join('').trim(), report };
+}
+
+// soma relatórios de vários fragmentos (seções sanitizadas separadamente)
+export function mergeSanitizeReports(target, r) {
+  for (const [k, v] of Object.entries(r)) {
+    if (k === 'changed') target.changed = target.changed || v;
+    else if (typeof v === 'number') target[k] = (target[k] || 0) + v;
+    else if (v && typeof v === 'object') {
+      target[k] = target[k] || {};
+      for (const [kk, n] of Object.entries(v)) target[k][kk] = (target[k][kk] || 0) + n;
+    }
+  }
+  return target;
+}
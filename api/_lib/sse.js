@@ -0,0 +1,41 @@
+// /api/_lib/sse.js
+// Server-Sent Events sobre a resposta Node (res.write). Usado pelo modo streaming de /api/roteiro.
+
+// a geração com web_search pode passar de 60s sem eventos: ping mantém proxies/conexão abertos
+const PING_MS = 15000;
+
+export function wantsEventStream(req, body = {}) {
+  const q = req.query?.stream ?? new URL(req.url || '/', 'http://x').searchParams.get('stream');
+  if (q === '1' || q === 'true') return true;
+  if (body.stream === true) return true;
+  return String(req.headers?.accept || '').includes('text/event-stream');
+}
+
+export function openEventStream(res, reqId) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  let closed = false;
+  let seq = 0;
+  const ping = setInterval(() => { if (!closed) res.write(': ping\n\n'); }, PING_MS);
+  res.on?.('close', () => { closed = true; clearInterval(ping); });
+
+  return {
+    get closed() { return closed; },
+    send(event, data) {
+      if (closed) return;
+      const payload = JSON.stringify({ ...data, reqId });
+      res.write(`id: ${++seq}\nevent: ${event}\ndata: ${payload}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      clearInterval(ping);
+      res.end();
+    }
+  };
+}
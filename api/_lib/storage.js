@@ -0,0 +1,125 @@
+// /api/_lib/storage.js
+// Armazenamento dos roteiros gerados, para reabrir/compartilhar por ID (newRoteiroId(), nunca o reqId dos logs):
+//   ROTEIRO_STORE        kv (padrão com KV_REST_API_URL; ver kv.js) | file (padrão só fora da Vercel) | memory | none
+//   ROTEIRO_STORE_DIR    pasta do adaptador file (padrão <tmp>/touristando-roteiros)
+//   ROTEIRO_STORE_TTL_D  validade de cada roteiro no kv, em dias (padrão 90)
+// Na Vercel cada instância tem o próprio /tmp: com file, o link de compartilhamento, o refinamento por roteiro_id e a
+// regeneração dão 404 quando outra instância atende. Sem KV configurado lá o padrão é none (com aviso no log).
+// Um adaptador é { name, save(id, doc), get(id) → doc | null }; outros backends (S3…) seguem a mesma forma.
+
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { env, log, logError } from './util.js';
+import { createKv, isServerless } from './kv.js';
+
+// o ID é o link de acesso ao roteiro (origem, datas, orçamento): 128 bits de randomBytes, não o reqId que aparece no
+// x-request-id e nos logs; o formato fixo também impede "../" no adaptador file
+export const ROTEIRO_ID_RE = /^rt-[a-z0-9]{4,16}-[a-f0-9]{32}$/;
+export const isRoteiroId = (id) => ROTEIRO_ID_RE.test(String(id || ''));
+export const newRoteiroId = () => `rt-${Date.now().toString(36)}-${randomBytes(16).toString('hex')}`;
+
+function createFileStore({ dir }) {
+  const file = (id) => path.join(dir, `${id}.json`);
+  return {
+    name: 'file',
+    async save(id, doc) {
+      await fs.mkdir(dir, { recursive: true });
+      // grava em arquivo temporário e renomeia: leitores nunca veem JSON pela metade
+      const tmp = `${file(id)}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(doc), 'utf8');
+      await fs.rename(tmp, file(id));
+    },
+    async get(id) {
+      try {
+        return JSON.parse(await fs.readFile(file(id), 'utf8'));
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    }
+  };
+}
+
+function createMemoryStore() {
+  const docs = new Map();
+  return {
+    name: 'memory',
+    async save(id, doc) { docs.set(id, JSON.stringify(doc)); },
+    async get(id) { return docs.has(id) ? JSON.parse(docs.get(id)) : null; }
+  };
+}
+
+function createKvStore(kv, { ttlDays }) {
+  return {
+    name: 'kv',
+    async save(id, doc) { await kv.command(['SET', kv.key('roteiro', id), JSON.stringify(doc), 'EX', Math.round(ttlDays * 86400)]); },
+    async get(id) {
+      const raw = await kv.command(['GET', kv.key('roteiro', id)]);
+      return raw ? JSON.parse(raw) : null;
+    }
+  };
+}
+
+const STORES = {
+  kv: () => {
+    const kv = createKv();
+    if (!kv) return { configError: 'ROTEIRO_STORE=kv exige KV_REST_API_URL e KV_REST_API_TOKEN.' };
+    return kv.configError ? kv : createKvStore(kv, { ttlDays: Number(env('ROTEIRO_STORE_TTL_D', '90')) || 90 });
+  },
+  file: () => createFileStore({ dir: env('ROTEIRO_STORE_DIR', path.join(os.tmpdir(), 'touristando-roteiros')) }),
+  memory: createMemoryStore,
+  none: () => null
+};
+
+let cached = null;
+/**
+ * Adaptador configurado (instância única por processo). null = persistência desligada.
+ * @returns {{ name, save, get } | null | { configError: string }}
+ */
+export function getStore() {
+  if (cached) return cached.store;
+  const explicit = env('ROTEIRO_STORE').toLowerCase();
+  const kind = explicit || (createKv() ? 'kv' : isServerless() ? 'none' : 'file');
+  if (!explicit && kind === 'none') {
+    logError('storage', 'sem KV_REST_API_URL na Vercel: roteiros não são guardados (links de compartilhamento, refinar por roteiro_id e regenerar ficam indisponíveis). Configure o KV ou ROTEIRO_STORE.');
+  } else if (kind === 'file' && isServerless()) {
+    logError('storage', 'ROTEIRO_STORE=file na Vercel: cada instância tem o próprio /tmp e os links de roteiro vão dar 404 em outra instância. Use ROTEIRO_STORE=kv.');
+  }
+  const factory = STORES[kind];
+  const store = factory
+    ? factory()
+    : { configError: `ROTEIRO_STORE desconhecido: ${kind} (use ${Object.keys(STORES).join(' | ')}).` };
+  log('storage', kind);
+  cached = { store };
+  return store;
+}
+
+// o que vai para o armazenamento: resultado visível, sem dados de contato (e-mail) nem relatórios internos
+export function toStoredRoteiro(id, payload) {
+  return {
+    id,
+    ...(payload.parent_id ? { parent_id: payload.parent_id } : {}),
+    created_at: new Date().toISOString(),
+    render_as: payload.render_as,
+    texto: payload.texto,
+    meta: payload.meta,
+    itinerary: payload.itinerary,
+    budget_check: payload.budget_check,
+    geo: payload.geo,
+    flights: payload.flights,
+    ics: payload.ics,
+    conversa: payload.conversa
+  };
+}
+
+// URL pública do app (PUBLIC_URL ou host da requisição) para o link de compartilhamento
+export function publicBaseUrl(req) {
+  const fixed = env('PUBLIC_URL');
+  if (fixed) return fixed.replace(/\/+$/, '');
+  const host = req.headers?.['x-forwarded-host'] || req.headers?.host;
+  if (!host) return '';
+  const proto = String(req.headers?.['x-forwarded-proto'] || (/^(localhost|127\.)/.test(host) ? 'http' : 'https')).split(',')[0];
+  return `${proto}://${host}`;
+}
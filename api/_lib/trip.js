@@ -0,0 +1,94 @@
+// /api/_lib/trip.js
+// Viagens com várias cidades: paradas com noites, dias de deslocamento e trechos de voo (open-jaw / multi-trecho).
+// Cada parada ocupa suas noites; o dia da troca de cidade é um dia de deslocamento (manhã na anterior, noite na próxima).
+
+import { addDaysISO } from './util.js';
+
+export const MAX_STOPS = 6;
+const MAX_NIGHTS = 60;
+
+const fold = (s = '') => String(s).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+
+/**
+ * Lê body.destinos: [{ destino: 'Lisboa', noites: 3 }, …] (também aceita "Lisboa:3").
+ * @returns {{ stops: {destino, noites}[] } | { error: string } | null} null = viagem de destino único
+ */
+export function parseStops(body = {}) {
+  if (!Array.isArray(body.destinos) || !body.destinos.length) return null;
+  const stops = body.destinos.map(s => {
+    if (typeof s === 'string') {
+      const [name, n] = s.split(':');
+      return { destino: name.trim(), noites: Number(n ?? 1) };
+    }
+    return { destino: String(s?.destino || s?.cidade || '').trim(), noites: Number(s?.noites ?? 1) };
+  });
+  if (stops.length > MAX_STOPS) return { error: `No máximo ${MAX_STOPS} destinos por viagem.` };
+  if (stops.some(s => !s.destino)) return { error: 'Cada item de "destinos" precisa do campo "destino".' };
+  if (stops.some(s => !Number.isInteger(s.noites) || s.noites < 1)) return { error: 'O campo "noites" de cada destino deve ser um inteiro ≥ 1.' };
+  if (stops.reduce((a, s) => a + s.noites, 0) > MAX_NIGHTS) return { error: `A viagem pode ter no máximo ${MAX_NIGHTS} noites.` };
+  return { stops };
+}
+
+// numera os dias de cada parada: [from_day, to_day]; to_day é o dia de saída (deslocamento ou volta)
+export function layoutStops(stops) {
+  let day = 1;
+  return stops.map(s => {
+    const from_day = day;
+    day += s.noites;
+    return { ...s, from_day, to_day: day };
+  });
+}
+
+export const tripDays = (layout) => (layout.length ? layout[layout.length - 1].to_day : 0);
+
+/**
+ * Cidade de cada dia: onde se dorme (no último dia, a última parada).
+ * @returns {{ stop: object, transfer: { from, to } | null }}
+ */
+export function dayStop(layout, day) {
+  const i = layout.findIndex(s => day >= s.from_day && day < s.to_day);
+  if (i < 0) return { stop: layout[layout.length - 1], transfer: null };
+  const transfer = i > 0 && day === layout[i].from_day ? { from: layout[i - 1].name, to: layout[i].name } : null;
+  return { stop: layout[i], transfer };
+}
+
+// parada pelo nome citado pela IA ("Lisboa", "Lisboa, Portugal"…); sem correspondência → null
+export function findStop(layout, name) {
+  const key = fold(String(name || '').split(',')[0]);
+  if (!key) return null;
+  return layout.find(s => fold(s.name) === key || fold(s.destino) === key)
+    || layout.find(s => fold(s.name).includes(key) || key.includes(fold(s.name)))
+    || null;
+}
+
+/**
+ * Trechos de voo open-jaw: origem → 1ª cidade e última cidade → origem (ex.: GRU→LIS, MAD→GRU).
+ * Os deslocamentos entre cidades ficam no roteiro (day.transfer), com preço próprio.
+ */
+export function flightLegs({ origem, layout, dataIda, dataVolta }) {
+  if (!origem || !dataIda || !layout.length) return [];
+  const last = layout[layout.length - 1];
+  return [
+    { kind: 'outbound', from: origem, to: layout[0], depart: dataIda },
+    { kind: 'return', from: last, to: origem, depart: dataVolta || addDaysISO(dataIda, last.to_day - 1) }
+  ];
+}
+
+// bloco de contexto do prompt para viagens com várias cidades
+export function stopsPromptBlock(layout, { base }) {
+  const lines = layout.map((s, i) => {
+    const conv = s.fx?.available && s.currency_code !== base
+      ? `1 ${base} = ${s.fx.base_to_quote.toFixed(4)} ${s.currency_code}`
+      : (s.currency_code === base ? 'sem conversão' : 'cotação indisponível (preencha só "base")');
+    const range = i === layout.length - 1 ? `dias ${s.from_day}–${s.to_day}` : `dias ${s.from_day}–${s.to_day - 1}`;
+    return `  ${i + 1}. ${s.label} — ${s.noites} noite(s), ${range}; moeda local ${s.currency_code} (${conv})`;
+  });
+  const transfers = layout.slice(1).map(s => `dia ${s.from_day}`).join(', ');
+  return `VIAGEM COM VÁRIAS CIDADES (nesta ordem):
+${lines.join('\n')}
+- Cada dia tem o campo "city" com a cidade onde o viajante dorme.
+- Dias de deslocamento (${transfers}): manhã leve na cidade anterior, viagem e fim de dia na próxima; inclua
+  "transfer": { "from": "...", "to": "...", "mode": "trem|ônibus|avião|carro", "duration": "3h", "price": { "base": 0, "local": 0 } }.
+- Em attractions/food/lodging/transport, informe "city" em cada item e cubra todas as cidades.
+- "local" de cada preço é SEMPRE na moeda da cidade do item/dia.`;
+}
@@ -0,0 +1,157 @@
+// /api/_lib/util.js
+// Helpers compartilhados entre as rotas de /api (o prefixo "_" evita que a Vercel exponha como rota).
+
+import { timingSafeEqual } from 'node:crypto';
+import { t } from './i18n.js';
+
+/* ----------------------- debug/log helpers ----------------------- */
+
+export function env(name, fallback = '') {
+  const raw = process.env[name];
+  if (typeof raw !== 'string') return fallback;
+  return raw.trim().replace(/^['"]|['"]$/g, '');
+}
+export const DEBUG = env('DEBUG_ROTEIRO') === '1' || (env('DEBUG') || '').toLowerCase().includes('roteiro');
+
+export const log = (...args) => { if (DEBUG) console.log('[roteiro]', ...args); };
+export const logError = (...args) => console.error('[roteiro]', ...args);
+export const safeTruncate = (s, n = 600) => (typeof s === 'string' && s.length > n ? s.slice(0, n) + '…' : s);
+export const maskEmail = (e='') => e.replace(/(^.).*(@.*$)/, (_, a, b) => `${a}***${b}`);
+
+export function newReqId() {
+  const rnd = Math.random().toString(16).slice(2, 10);
+  return `rt-${Date.now().toString(36)}-${rnd}`;
+}
+
+/* ----------------------- utils ----------------------- */
+
+export const escapeHtml = (s = '') =>
+  String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
+
+// escapa também aspas (valores de atributos)
+export const escapeAttr = (s = '') => escapeHtml(s).replace(/"/g, '&quot;');
+
+// comparação de segredos (tokens, CRON_SECRET) em tempo constante; vazio nunca confere
+export function safeEqual(a, b) {
+  const x = Buffer.from(String(a ?? '')), y = Buffer.from(String(b ?? ''));
+  return y.length > 0 && x.length === y.length && timingSafeEqual(x, y);
+}
+
+// nome do arquivo exportado ("roteiro_Lisboa_Portugal.pdf"); sem acentos, que alguns clientes de e-mail estragam no anexo
+export function exportFilename(meta = {}, ext = 'pdf') {
+  const name = String(meta.destino || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '');
+  return `${t(meta.idioma || 'pt-BR', 'export.filename')}_${name || 'destino'}.${ext}`;
+}
+
+export async function fetchWithTimeout(url, opts = {}, ms = 20000) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), ms);
+  try {
+    const res = await fetch(url, { ...opts, signal: ctrl.signal });
+    return res;
+  } finally { clearTimeout(t); }
+}
+
+export async function safeJson(res) {
+  const txt = await res.text();
+  try { return JSON.parse(txt); } catch { return { _raw: txt }; }
+}
+
+// corpo JSON da requisição: a Vercel já entrega req.body; fora dela lê o stream
+export async function readJsonBody(req) {
+  let body = req.body || {};
+  if (typeof body === 'string') { try { body = JSON.parse(body); } catch { body = {}; } }
+  if (!Object.keys(body).length && req.headers['content-type']?.includes('application/json')) {
+    try {
+      const chunks = []; for await (const ch of req) chunks.push(ch);
+      const raw = Buffer.concat(chunks).toString('utf8');
+      body = raw ? JSON.parse(raw) : {};
+    } catch { body = {}; }
+  }
+  return body;
+}
+
+// corpo de formulário HTML (application/x-www-form-urlencoded): a Vercel já entrega req.body; fora dela lê o stream
+export async function readFormBody(req) {
+  if (req.body && typeof req.body === 'object') return req.body;
+  let raw = typeof req.body === 'string' ? req.body : '';
+  if (!raw) {
+    try {
+      const chunks = []; for await (const ch of req) chunks.push(ch);
+      raw = Buffer.concat(chunks).toString('utf8');
+    } catch { raw = ''; }
+  }
+  return Object.fromEntries(new URLSearchParams(raw));
+}
+
+export function addDaysISO(iso, delta) {
+  const d = new Date(iso + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + delta);
+  return d.toISOString().slice(0,10);
+}
+
+/* ----------------------- formatação (pt-BR por padrão; locale = idioma do roteiro) ----------------------- */
+
+// "1.200,50", "1,200.50", "12,5", "1.200" → número. Separador decimal: o último quando há "." e ","; com um só tipo,
+// grupos de 3 dígitos são milhar. NaN quando não há número.
+export function parseDecimal(input) {
+  let s = String(input ?? '');
+  const lastDot = s.lastIndexOf('.');
+  const lastComma = s.lastIndexOf(',');
+  if (lastDot >= 0 && lastComma >= 0) {
+    const dec = lastDot > lastComma ? '.' : ',';
+    s = s.split(dec === '.' ? ',' : '.').join('').replace(dec, '.');
+  } else if (lastDot >= 0 || lastComma >= 0) {
+    const parts = s.split(lastDot >= 0 ? '.' : ',');
+    s = parts.length > 2 || parts[parts.length - 1].length === 3 ? parts.join('') : parts.join('.');
+  }
+  return parseFloat(s);
+}
+
+export function fmtDate(d = new Date(), locale = 'pt-BR') {
+  return new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeZone: 'UTC' }).format(d);
+}
+export function fmtMoneyBRL(v, locale = 'pt-BR') {
+  return new Intl.NumberFormat(locale, { style:'currency', currency:'BRL', maximumFractionDigits:0 }).format(v);
+}
+// valor arredondado na moeda base do viajante (BRL, EUR, USD…)
+export function fmtMoney(v, code = 'BRL', locale = 'pt-BR') {
+  if (code === 'BRL') return fmtMoneyBRL(v, locale);
+  try {
+    return new Intl.NumberFormat(locale, { style:'currency', currency: code, maximumFractionDigits:0 }).format(v);
+  } catch {
+    return `${CURRENCY_SYMBOLS[code] || code} ${fmtNumberBR(v, 0, locale)}`;
+  }
+}
+export function fmtNumberBR(v, decimals = 2, locale = 'pt-BR') {
+  return new Intl.NumberFormat(locale, { minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(v);
+}
+
+// símbolos de moeda (básico)
+export const CURRENCY_SYMBOLS = {
+  BRL:'R$', USD:'$', EUR:'€', GBP:'£', JPY:'¥', CNY:'¥', HKD:'$', TWD:'$', SGD:'$', CAD:'$', AUD:'$', NZD:'$',
+  MXN:'$', ARS:'$', CLP:'$', COP:'$', PEN:'S/', UYU:'$U', BOB:'Bs', PYG:'₲', ZAR:'R',
+  CHF:'CHF', DKK:'kr', NOK:'kr', SEK:'kr', PLN:'zł', CZK:'Kč', HUF:'Ft', RON:'lei',
+  TRY:'₺', ILS:'₪', AED:'د.إ', SAR:'﷼', QAR:'﷼', KWD:'KD', BHD:'BD', INR:'₹', THB:'฿', KRW:'₩', IDR:'Rp', MYR:'RM', PHP:'₱'
+};
+export const currencyLabel = (code = 'BRL', name = '', locale = 'pt-BR') => {
+  const sym = CURRENCY_SYMBOLS[code] || '';
+  return `${code}${name ? ` — ${name}` : ''}${sym ? ` — ${t(locale, 'currency.symbol')}: ${sym}` : ''}`;
+};
+
+export function fmtMoneyGeneric(v, code = 'USD', locale = 'pt-BR') {
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency: code }).format(v);
+  } catch {
+    const sym = CURRENCY_SYMBOLS[code] || code;
+    return `${sym} ${fmtNumberBR(v, 2, locale)}`;
+  }
+}
+export function pairBaseWithLocal(value, baseCode = 'BRL', quoteCode = '', baseToQuote = null, locale = 'pt-BR') {
+  if (!Number.isFinite(value)) return null;
+  if (!quoteCode || quoteCode.toUpperCase() === baseCode || !Number.isFinite(baseToQuote) || baseToQuote <= 0) {
+    return fmtMoney(value, baseCode, locale);
+  }
+  const local = value * baseToQuote;
+  return `${fmtMoney(value, baseCode, locale)} (~${fmtMoneyGeneric(local, quoteCode, locale)})`;
+}
@@ -0,0 +1,228 @@
+// /api/_lib/watch.js
+// Alertas de preço: o viajante acompanha uma rota + datas e recebe e-mail quando a tarifa mais barata cai.
+//   WATCH_STORE          kv (padrão com KV_REST_API_URL; ver kv.js) | file (padrão fora dela, só em desenvolvimento) | memory | none
+//   WATCH_STORE_DIR      pasta do adaptador file (padrão <tmp>/touristando-alertas)
+// O cron da Vercel roda em outra instância que a de /api/alertas: lá o file não enxerga os alertas gravados — com
+// WATCH_STORE=file na Vercel os alertas respondem configError.
+//   WATCH_QUEDA_PCT      queda (%) sobre o último preço avisado (ou o inicial) que dispara o alerta (padrão 10)
+//   WATCH_MAX_POR_EMAIL  alertas ativos por endereço (padrão 5)
+// Confirmação dupla: o alerta nasce inativo e só passa a ser checado depois que o dono do e-mail abre o link de
+// confirmação e confirma na página (POST) — ninguém inscreve um endereço alheio.
+// Um adaptador é { name, save(id, doc), get(id) → doc | null, list() → doc[] } (no kv, list() só traz os em aberto); a
+// checagem periódica fica em /api/cron/alertas e os modelos dos e-mails em mail-templates.js (confirmAlertEmail, alertEmail).
+
+import { promises as fs } from 'node:fs';
+import { randomBytes } from 'node:crypto';
+import os from 'node:os';
+import path from 'node:path';
+import { env, log, logError, maskEmail } from './util.js';
+import { createKv, isServerless } from './kv.js';
+import { DEFAULT_IDIOMA } from './i18n.js';
+
+export const DEFAULT_QUEDA_PCT = Number(env('WATCH_QUEDA_PCT', '10')) || 10;
+export const MAX_WATCHES_POR_EMAIL = Number(env('WATCH_MAX_POR_EMAIL', '5')) || 5;
+const MAX_HISTORY = 90; // checagens guardadas por alerta
+
+export const WATCH_ID_RE = /^pw-[a-z0-9]{4,16}-[a-f0-9]{8}$/;
+export const isWatchId = (id) => WATCH_ID_RE.test(String(id || ''));
+// cancelado ou expirado: nunca mais é checado
+export const isRetired = (w) => Boolean(w?.canceled_at || w?.expired_at);
+const RETIRED_TTL_S = 30 * 86400; // no kv, o alerta encerrado ainda responde ao link (página de cancelado/410) por 30 dias
+
+function createFileStore({ dir }) {
+  const file = (id) => path.join(dir, `${id}.json`);
+  return {
+    name: 'file',
+    async save(id, doc) {
+      await fs.mkdir(dir, { recursive: true });
+      const tmp = `${file(id)}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(doc), 'utf8');
+      await fs.rename(tmp, file(id));
+    },
+    async get(id) {
+      try {
+        return JSON.parse(await fs.readFile(file(id), 'utf8'));
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    async list() {
+      let names = [];
+      try {
+        names = await fs.readdir(dir);
+      } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw e;
+      }
+      const ids = names.filter(n => n.endsWith('.json')).map(n => n.slice(0, -5)).filter(isWatchId);
+      return (await Promise.all(ids.map(id => this.get(id)))).filter(Boolean);
+    }
+  };
+}
+
+function createMemoryStore() {
+  const docs = new Map();
+  return {
+    name: 'memory',
+    async save(id, doc) { docs.set(id, JSON.stringify(doc)); },
+    async get(id) { return docs.has(id) ? JSON.parse(docs.get(id)) : null; },
+    async list() { return [...docs.values()].map(j => JSON.parse(j)); }
+  };
+}
+
+// um JSON por alerta + conjunto com os IDs dos alertas em aberto (a checagem percorre todos); cancelado ou expirado
+// sai do conjunto e a chave vence sozinha
+function createKvStore(kv) {
+  const ids = kv.key('alertas');
+  return {
+    name: 'kv',
+    async save(id, doc) {
+      if (isRetired(doc)) {
+        await kv.command(['SET', kv.key('alerta', id), JSON.stringify(doc), 'EX', RETIRED_TTL_S]);
+        await kv.command(['SREM', ids, id]);
+        return;
+      }
+      await kv.command(['SET', kv.key('alerta', id), JSON.stringify(doc)]);
+      await kv.command(['SADD', ids, id]);
+    },
+    async get(id) {
+      const raw = await kv.command(['GET', kv.key('alerta', id)]);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async list() {
+      const all = (await kv.command(['SMEMBERS', ids]) || []).filter(isWatchId);
+      if (!all.length) return [];
+      const raws = await kv.command(['MGET', ...all.map(id => kv.key('alerta', id))]);
+      return raws.filter(Boolean).map(j => JSON.parse(j));
+    }
+  };
+}
+
+const STORES = {
+  kv: () => {
+    const kv = createKv();
+    if (!kv) return { configError: 'WATCH_STORE=kv exige KV_REST_API_URL e KV_REST_API_TOKEN.' };
+    return kv.configError ? kv : createKvStore(kv);
+  },
+  file: () => createFileStore({ dir: env('WATCH_STORE_DIR', path.join(os.tmpdir(), 'touristando-alertas')) }),
+  memory: createMemoryStore,
+  none: () => null
+};
+
+let cached = null;
+/**
+ * Adaptador configurado (instância única por processo). null = alertas desligados.
+ * @returns {{ name, save, get, list } | null | { configError: string }}
+ */
+export function getWatchStore() {
+  if (cached) return cached.store;
+  const kind = env('WATCH_STORE', createKv() ? 'kv' : 'file').toLowerCase();
+  const factory = STORES[kind];
+  let store;
+  if (!factory) store = { configError: `WATCH_STORE desconhecido: ${kind} (use ${Object.keys(STORES).join(' | ')}).` };
+  else if (kind === 'file' && isServerless()) {
+    store = { configError: 'WATCH_STORE=file não serve em produção serverless (o cron não vê o /tmp de outra instância): configure KV_REST_API_URL/KV_REST_API_TOKEN ou WATCH_STORE=none.' };
+  } else store = factory();
+  if (store?.configError) logError('watch store', store.configError);
+  log('watch store', kind);
+  cached = { store };
+  return store;
+}
+
+/* ----------------------- alerta ----------------------- */
+
+export function newWatch({ email, origem, destino, origin, destination, depart, ret, currency, precoAlvo, quedaPct, idioma }) {
+  const now = new Date().toISOString();
+  return {
+    id: `pw-${Date.now().toString(36)}-${randomBytes(4).toString('hex')}`,
+    token: randomBytes(16).toString('hex'), // só quem recebeu o e-mail consegue confirmar ou cancelar
+    active: false,
+    confirmed_at: null,
+    email,
+    origem,
+    destino,
+    origin,
+    destination,
+    depart,
+    return: ret || null,
+    currency,
+    idioma: idioma || DEFAULT_IDIOMA, // e-mails e páginas do alerta
+    preco_alvo: precoAlvo || null,
+    queda_pct: quedaPct || DEFAULT_QUEDA_PCT,
+    created_at: now,
+    last_checked_at: null,
+    last_price: null,
+    last_alert_price: null,
+    last_alert_at: null,
+    history: []
+  };
+}
+
+// o que a API devolve (sem e-mail completo nem token)
+export function publicWatch(w) {
+  const { token, email, ...rest } = w;
+  return { ...rest, email: maskEmail(email) };
+}
+
+/**
+ * Tarifa mais barata de um resultado de searchFlights (ida+volta, combinada ou só ida).
+ * @returns {{ price_number, price, airline, depart, return, deep_link, provider } | null}
+ */
+export function cheapestFare(flights) {
+  if (!flights || flights.error) return null;
+  const all = [...(flights.items || []), ...(flights.items_combined || [])];
+  const list = all.length ? all : flights.items_outbound || [];
+  let best = null;
+  for (const it of list) {
+    if (Number.isFinite(it.price_number) && it.price_number > 0 && (!best || it.price_number < best.price_number)) best = it;
+  }
+  if (!best) return null;
+  return {
+    price_number: best.price_number,
+    price: best.price,
+    airline: best.airline_name || best.airline || null,
+    depart: best.depart || null,
+    return: best.return || null,
+    deep_link: best.deep_link || best._combo?.outbound?.deep_link || null,
+    provider: best.provider || null
+  };
+}
+
+/**
+ * Registra uma checagem e decide se avisa: preço alvo atingido (e abaixo do último aviso)
+ * ou queda de queda_pct sobre a referência (último preço avisado, senão o primeiro registrado).
+ * O aviso só conta depois de enviado (markAlerted); até lá a mesma queda volta a disparar.
+ * @returns {{ watch: object, alert: null | { reason: 'alvo'|'queda', price, reference, drop_pct } }}
+ */
+export function recordCheck(watch, fare, at = new Date()) {
+  const w = { ...watch, history: [...(watch.history || [])], last_checked_at: at.toISOString() };
+  if (!fare) {
+    w.history.push({ at: w.last_checked_at, price: null });
+    w.history = w.history.slice(-MAX_HISTORY);
+    return { watch: w, alert: null };
+  }
+  const price = fare.price_number;
+  const reference = w.last_alert_price ?? w.history.find(h => Number.isFinite(h.price))?.price ?? null;
+  w.history.push({ at: w.last_checked_at, price, airline: fare.airline || null });
+  w.history = w.history.slice(-MAX_HISTORY);
+  w.last_price = price;
+
+  const dropPct = reference ? Math.round((1 - price / reference) * 1000) / 10 : 0;
+  let reason = null;
+  if (w.preco_alvo && price <= w.preco_alvo && (w.last_alert_price == null || price < w.last_alert_price)) reason = 'alvo';
+  else if (reference && dropPct >= w.queda_pct) reason = 'queda';
+  if (!reason) return { watch: w, alert: null };
+  return { watch: w, alert: { reason, price, reference, drop_pct: dropPct, fare } };
+}
+
+// aviso entregue: vira a referência das próximas quedas
+export const markAlerted = (watch, alert) => ({ ...watch, last_alert_price: alert.price, last_alert_at: watch.last_checked_at });
+
+// os links abrem uma página que pede a confirmação por POST (pré-carregamento de links não muda nada)
+export const confirmUrl = (base, w) => `${base}/api/alertas?confirmar=${w.id}&token=${w.token}`;
+export const unsubscribeUrl = (base, w) => `${base}/api/alertas?cancelar=${w.id}&token=${w.token}`;
+
+// pendente de confirmação: nem confirmado nem cancelado, e a viagem ainda não começou
+export const canConfirm = (w, today = new Date().toISOString().slice(0, 10)) =>
+  !w.confirmed_at && !w.canceled_at && !w.expired_at && w.depart >= today;
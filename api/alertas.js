@@ -0,0 +1,162 @@
+// /api/alertas.js
+// Alertas de queda de preço de passagem (confirmação dupla: o alerta só vale depois do clique no e-mail):
+//   POST /api/alertas { email, origem, destino, data_ida, data_volta?, moeda_base?, preco_alvo?, queda_pct?, idioma? }
+//        → cria o alerta pendente e manda o e-mail de confirmação
+//   GET  /api/alertas?id=<id>&token=<token>        → situação e histórico de preços
+//   GET  /api/alertas?confirmar=<id>&token=<token> → página com o botão que confirma (link do e-mail)
+//   GET  /api/alertas?cancelar=<id>&token=<token>  → página com o botão que cancela (link do e-mail)
+//   POST formulário { acao: confirmar|cancelar, id, token } → muda o alerta (o GET nunca muda: leitores de link e
+//        antivírus de e-mail abrem os links sozinhos); também aceita o cancelamento em um clique da RFC 8058
+
+import { env, log, logError, newReqId, readJsonBody, readFormBody, escapeHtml, escapeAttr, safeEqual } from './_lib/util.js';
+import { resolveIataTerm, preferCityCode } from './_lib/iata.js';
+import { searchFlights } from './_lib/flights.js';
+import { IDIOMAS, DEFAULT_IDIOMA, parseIdioma, t } from './_lib/i18n.js';
+import { consumeRequest, consumeEmailSend, sendRateLimited } from './_lib/ratelimit.js';
+import { publicBaseUrl } from './_lib/storage.js';
+import { getMailTransport, sendMail, EMAIL_RE } from './_lib/mail.js';
+import { confirmAlertEmail } from './_lib/mail-templates.js';
+import {
+  getWatchStore, isWatchId, newWatch, publicWatch, cheapestFare, recordCheck, confirmUrl, canConfirm, MAX_WATCHES_POR_EMAIL
+} from './_lib/watch.js';
+
+const ISO_DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// página simples; form = { acao, id, token, label } vira o botão que manda o POST
+const page = (idioma, title, msg, form = null) => `<!doctype html><html lang="${escapeAttr(idioma)}"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<meta name="robots" content="noindex"><title>${escapeHtml(title)}</title></head><body style="font-family:Arial,Helvetica,sans-serif;background:#f6f9fc;padding:40px">
+<div style="max-width:480px;margin:0 auto;background:#fff;border:1px solid #eaeaea;border-radius:12px;padding:24px">
+<h1 style="font-size:20px;margin:0 0 10px">${escapeHtml(title)}</h1><p style="color:#475467">${escapeHtml(msg)}</p>
+${form ? `<form method="post" action="/api/alertas"><input type="hidden" name="acao" value="${escapeAttr(form.acao)}"><input type="hidden" name="id" value="${escapeAttr(form.id)}"><input type="hidden" name="token" value="${escapeAttr(form.token)}">
+<button type="submit" style="background:#0d6efd;color:#fff;border:0;border-radius:8px;padding:10px 16px;font-size:15px;cursor:pointer">${escapeHtml(form.label)}</button></form>` : ''}
+<p><a href="/" style="color:#0d6efd">${escapeHtml(t(idioma, 'alert.page_back'))}</a></p></div></body></html>`;
+
+const routeOf = (w) => `${w.origem} → ${w.destino}`;
+
+// confirmar/cancelar: GET mostra a página com o botão; POST (formulário) muda o alerta
+async function handleLink(req, res, { store, reqId, acao, id, token, submit }) {
+  const w = isWatchId(id) ? await store.get(id) : null;
+  const idioma = w?.idioma || DEFAULT_IDIOMA;
+  const L = (key, arg) => t(idioma, key, arg);
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  if (!w || !safeEqual(token, w.token)) {
+    return res.status(404).send(page(idioma, L('alert.page_not_found'), L('alert.page_not_found_msg')));
+  }
+  const now = new Date().toISOString();
+  if (acao === 'confirmar') {
+    if (w.confirmed_at && !w.canceled_at) return res.status(200).send(page(idioma, L('alert.page_confirmed'), L('alert.page_confirmed_msg', routeOf(w))));
+    if (!canConfirm(w)) return res.status(410).send(page(idioma, L('alert.page_gone'), L('alert.page_gone_msg')));
+    if (!submit) {
+      return res.status(200).send(page(idioma, L('alert.confirm_button'), L('alert.page_confirm_msg', routeOf(w)), { acao, id: w.id, token: w.token, label: L('alert.confirm_button') }));
+    }
+    await store.save(w.id, { ...w, active: true, confirmed_at: now });
+    log(`[${reqId}] alerta confirmado`, w.id);
+    return res.status(200).send(page(idioma, L('alert.page_confirmed'), L('alert.page_confirmed_msg', routeOf(w))));
+  }
+  if (w.canceled_at) return res.status(200).send(page(idioma, L('alert.page_canceled'), L('alert.page_canceled_msg', routeOf(w))));
+  if (!submit) {
+    return res.status(200).send(page(idioma, L('alert.cancel'), L('alert.page_cancel_msg', routeOf(w)), { acao, id: w.id, token: w.token, label: L('alert.cancel') }));
+  }
+  await store.save(w.id, { ...w, active: false, canceled_at: now });
+  log(`[${reqId}] alerta cancelado`, w.id);
+  return res.status(200).send(page(idioma, L('alert.page_canceled'), L('alert.page_canceled_msg', routeOf(w))));
+}
+
+export default async function handler(req, res) {
+  const reqId = newReqId();
+  res.setHeader('x-request-id', reqId);
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method Not Allowed', reqId });
+  }
+
+  const store = getWatchStore();
+  if (!store) return res.status(404).json({ error: 'Os alertas de preço estão desativados.', reqId });
+  if (store.configError) return res.status(500).json({ error: store.configError, reqId });
+
+  try {
+    const q = req.query || {};
+    if (req.method === 'GET') {
+      const acao = q.confirmar ? 'confirmar' : q.cancelar ? 'cancelar' : null;
+      if (acao) return await handleLink(req, res, { store, reqId, acao, id: String(q[acao]), token: q.token, submit: false });
+      const w = isWatchId(q.id) ? await store.get(String(q.id)) : null;
+      if (!w || !safeEqual(q.token, w.token)) return res.status(404).json({ error: 'Alerta não encontrado.', reqId });
+      return res.status(200).json({ ok: true, alerta: publicWatch(w), reqId });
+    }
+
+    /* ---------- POST de formulário: confirmar/cancelar ---------- */
+    // RFC 8058: o provedor de e-mail manda "List-Unsubscribe=One-Click" por POST para a URL do cabeçalho List-Unsubscribe
+    if (q.cancelar) return await handleLink(req, res, { store, reqId, acao: 'cancelar', id: String(q.cancelar), token: q.token, submit: true });
+    if (/application\/x-www-form-urlencoded/i.test(String(req.headers?.['content-type'] || ''))) {
+      const form = await readFormBody(req);
+      if (form.acao !== 'confirmar' && form.acao !== 'cancelar') return res.status(400).json({ error: 'Ação inválida.', reqId });
+      return await handleLink(req, res, { store, reqId, acao: form.acao, id: String(form.id || ''), token: form.token, submit: true });
+    }
+
+    /* ---------- POST: criar alerta ---------- */
+    const body = await readJsonBody(req);
+    const email = String(body.email || body.emailDestino || '').trim();
+    const origem = String(body.origem || '').trim();
+    const destino = String(body.destino || '').trim();
+    const depart = String(body.data_ida || '').slice(0, 10);
+    const ret = String(body.data_volta || '').slice(0, 10) || null;
+    const currency = String(body.moeda_base || 'BRL').trim().toUpperCase();
+    const precoAlvo = body.preco_alvo != null && body.preco_alvo !== '' ? Number(body.preco_alvo) : null;
+    const quedaPct = body.queda_pct != null && body.queda_pct !== '' ? Number(body.queda_pct) : null;
+    const idioma = parseIdioma(body.idioma);
+
+    if (!EMAIL_RE.test(email)) return res.status(400).json({ error: 'Informe um "email" válido.', reqId });
+    if (!origem || !destino) return res.status(400).json({ error: 'Informe "origem" e "destino".', reqId });
+    if (!ISO_DAY_RE.test(depart) || depart < new Date().toISOString().slice(0, 10)) {
+      return res.status(400).json({ error: 'Informe "data_ida" (AAAA-MM-DD) a partir de hoje.', reqId });
+    }
+    if (ret && (!ISO_DAY_RE.test(ret) || ret < depart)) return res.status(400).json({ error: '"data_volta" deve ser AAAA-MM-DD e não pode ser antes da ida.', reqId });
+    if (!/^[A-Z]{3}$/.test(currency)) return res.status(400).json({ error: 'O campo "moeda_base" deve ser um código ISO 4217 (ex.: BRL, EUR, USD).', reqId });
+    if (precoAlvo != null && !(precoAlvo > 0)) return res.status(400).json({ error: '"preco_alvo" deve ser um número maior que zero.', reqId });
+    if (quedaPct != null && !(quedaPct >= 1 && quedaPct <= 90)) return res.status(400).json({ error: '"queda_pct" deve estar entre 1 e 90.', reqId });
+    if (!idioma) return res.status(400).json({ error: `O campo "idioma" deve ser um de: ${Object.keys(IDIOMAS).join(', ')}.`, reqId });
+
+    const limited = await consumeRequest(req, { email });
+    if (!limited.ok) return sendRateLimited(res, limited, reqId);
+
+    // sem e-mail não há confirmação — e sem confirmação o alerta não existe
+    const mailer = getMailTransport();
+    if (!mailer || mailer.configError) {
+      return res.status(503).json({ error: 'Os alertas de preço precisam do envio de e-mail configurado (MAIL_TRANSPORT).', reqId });
+    }
+
+    const active = (await store.list()).filter(w => w.active && w.email.toLowerCase() === email.toLowerCase());
+    if (active.length >= MAX_WATCHES_POR_EMAIL) {
+      return res.status(409).json({ error: `Limite de ${MAX_WATCHES_POR_EMAIL} alertas ativos por e-mail. Cancele um pelo link do e-mail para criar outro.`, reqId });
+    }
+
+    const [o, d] = await Promise.all([resolveIataTerm(origem), resolveIataTerm(destino)]);
+    if (!o || !d) return res.status(400).json({ error: `Não foi possível identificar o aeroporto de ${!o ? 'origem' : 'destino'}.`, reqId });
+    const origin = preferCityCode(o), destination = preferCityCode(d);
+
+    // primeira consulta: vira o preço de referência para as quedas
+    const flights = await searchFlights({ origin, destination, depart, ret, limit: 6, currency, idioma, reqId });
+    if (flights.error && !flights.items_outbound) return res.status(502).json({ error: flights.error, reqId });
+
+    const { watch } = recordCheck(newWatch({ email, origem, destino, origin, destination, depart, ret, currency, precoAlvo, quedaPct, idioma }), cheapestFare(flights));
+    const quota = await consumeEmailSend(email);
+    if (!quota.ok) {
+      res.setHeader('Retry-After', String(quota.retry_after));
+      return res.status(429).json({ error: 'Muitos e-mails para este endereço hoje. Tente de novo amanhã.', retry_after: quota.retry_after, reqId });
+    }
+    await store.save(watch.id, watch);
+    log(`[${reqId}] alerta criado (pendente)`, watch.id, { origin, destination, depart, ret, last_price: watch.last_price });
+
+    // o token só segue no e-mail: quem criou o alerta para um endereço alheio não consegue confirmá-lo
+    const mail = confirmAlertEmail({ watch, brand: env('BRAND_NAME', 'Touristando IA'), confirmUrl: confirmUrl(publicBaseUrl(req), watch) });
+    const status = await sendMail({ to: email, ...mail }, { reqId, transport: mailer });
+    if (!status.enviado) return res.status(502).json({ error: 'Não foi possível enviar o e-mail de confirmação. Tente de novo em instantes.', reqId });
+
+    return res.status(202).json({ ok: true, alerta: publicWatch(watch), confirmacao: 'enviada', reqId });
+  } catch (err) {
+    logError(`[${reqId}] alertas erro`, err?.stack || String(err));
+    return res.status(500).json({ error: 'Erro interno nos alertas de preço.', reqId });
+  }
+}
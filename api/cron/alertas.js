@@ -0,0 +1,91 @@
+// /api/cron/alertas.js
+// GET /api/cron/alertas — checagem agendada dos alertas de preço (Vercel Cron, ver vercel.json):
+// refaz a busca de cada alerta ativo, guarda o histórico e manda e-mail quando a tarifa cai.
+//   CRON_SECRET              obrigatório; exigido no cabeçalho "Authorization: Bearer <segredo>" (a Vercel envia sozinha)
+//   WATCH_MAX_POR_EXECUCAO   alertas checados por execução, os há mais tempo sem checar primeiro (padrão 25)
+
+import { env, log, logError, newReqId, safeEqual } from '../_lib/util.js';
+import { searchFlights } from '../_lib/flights.js';
+import { consumeEmailSend } from '../_lib/ratelimit.js';
+import { publicBaseUrl } from '../_lib/storage.js';
+import { getWatchStore, isRetired, cheapestFare, recordCheck, markAlerted, unsubscribeUrl } from '../_lib/watch.js';
+import { getMailTransport, sendMail } from '../_lib/mail.js';
+import { alertEmail } from '../_lib/mail-templates.js';
+
+export default async function handler(req, res) {
+  const reqId = newReqId();
+  res.setHeader('x-request-id', reqId);
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method Not Allowed', reqId });
+  }
+  // sem segredo ninguém roda a checagem (cada execução consulta os provedores de passagens e manda e-mails)
+  const secret = env('CRON_SECRET');
+  if (!secret) {
+    logError(`[${reqId}] cron alertas`, 'CRON_SECRET não configurado.');
+    return res.status(500).json({ error: 'CRON_SECRET não configurado.', reqId });
+  }
+  if (!safeEqual(req.headers?.authorization, `Bearer ${secret}`)) return res.status(401).json({ error: 'Unauthorized', reqId });
+
+  const store = getWatchStore();
+  if (!store) return res.status(200).json({ ok: true, skipped: 'alertas desativados', reqId });
+  if (store.configError) return res.status(500).json({ error: store.configError, reqId });
+
+  const mailer = getMailTransport();
+  const canMail = Boolean(mailer && !mailer.configError);
+  const BRAND_NAME = env('BRAND_NAME', 'Touristando IA');
+  const max = Number(env('WATCH_MAX_POR_EXECUCAO', '25')) || 25;
+  const today = new Date().toISOString().slice(0, 10);
+  const base = publicBaseUrl(req);
+  const summary = { checked: 0, alerts: 0, emails: 0, expired: 0, errors: 0 };
+
+  try {
+    const open = (await store.list()).filter(w => !isRetired(w));
+    // viagem já começou: não há mais o que acompanhar (nem o que confirmar) — sai do índice do kv
+    for (const w of open.filter(w => w.depart < today)) {
+      await store.save(w.id, { ...w, active: false, expired_at: new Date().toISOString() });
+      summary.expired++;
+    }
+    const due = open
+      .filter(w => w.active && w.depart >= today)
+      .sort((a, b) => String(a.last_checked_at || '').localeCompare(String(b.last_checked_at || '')))
+      .slice(0, max);
+
+    for (const w of due) {
+      try {
+        const flights = await searchFlights({
+          origin: w.origin, destination: w.destination, depart: w.depart, ret: w.return, limit: 6, currency: w.currency, idioma: w.idioma, reqId
+        });
+        let { watch, alert } = recordCheck(w, cheapestFare(flights));
+        summary.checked++;
+        if (alert) {
+          summary.alerts++;
+          let sent = false;
+          const quota = canMail ? await consumeEmailSend(watch.email) : { ok: false };
+          if (quota.ok) {
+            const cancelUrl = unsubscribeUrl(base, watch);
+            const mail = alertEmail({ watch, alert, brand: BRAND_NAME, cancelUrl });
+            const status = await sendMail({ to: watch.email, ...mail, headers: { 'List-Unsubscribe': `<${cancelUrl}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' } }, { reqId, transport: mailer });
+            sent = status.enviado;
+            if (sent) summary.emails++; else summary.errors++;
+            log(`[${reqId}] alerta ${watch.id}`, alert.reason, alert.price, { enviado: status.enviado, transport: status.transport, tentativas: status.tentativas });
+          } else {
+            log(`[${reqId}] alerta sem envio`, watch.id, { transport: mailer?.name || 'none', configError: mailer?.configError, quota });
+          }
+          // aviso que não saiu não conta: a mesma queda tenta de novo na próxima execução
+          if (sent) watch = markAlerted(watch, alert);
+        }
+        await store.save(watch.id, watch);
+      } catch (e) {
+        summary.errors++;
+        logError(`[${reqId}] alerta ${w.id} erro`, e?.response?.body || String(e));
+      }
+    }
+    log(`[${reqId}] cron alertas`, summary);
+    return res.status(200).json({ ok: true, ...summary, reqId });
+  } catch (err) {
+    logError(`[${reqId}] cron alertas erro`, err?.stack || String(err));
+    return res.status(500).json({ error: 'Falha na checagem dos alertas.', reqId });
+  }
+}
@@ -0,0 +1,30 @@
+// /api/iata.js
+// GET /api/iata?q=<termo>[&limit=8] → cidades/aeroportos da base local que combinam com o termo (autocomplete de origem/destino).
+// Só a base embutida: responde rápido a cada tecla e não gasta chamadas do Travelpayouts.
+
+import { newReqId, log } from './_lib/util.js';
+import { searchIata } from './_lib/iata.js';
+
+const MAX_Q = 80;
+
+export default async function handler(req, res) {
+  const reqId = newReqId();
+  res.setHeader('x-request-id', reqId);
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method Not Allowed', reqId });
+  }
+
+  const q = String(req.query?.q || '').trim();
+  if (q.length < 2 || q.length > MAX_Q) {
+    return res.status(400).json({ error: `Informe "q" com 2 a ${MAX_Q} caracteres.`, reqId });
+  }
+  const limit = Math.min(20, Math.max(1, Number(req.query?.limit) || 8));
+
+  const { best, results, ambiguous } = searchIata(q, { limit });
+  log(`[${reqId}] iata`, { q, best: best?.code || null, score: best?.score ?? null, ambiguous, hits: results.length });
+  // a base é estática: o mesmo termo dá sempre a mesma resposta
+  res.setHeader('Cache-Control', 'public, max-age=86400');
+  return res.status(200).json({ ok: true, q, best, ambiguous, results, reqId });
+}
@@ -0,0 +1,67 @@
+// /api/pdf.js
+// PDF do roteiro para impressão (texto selecionável, capa, "0. Resumo", um dia por página, links clicáveis).
+//   GET  /api/pdf?id=<roteiro_id>            → roteiro salvo (link direto para baixar)
+//   POST /api/pdf { roteiro_id }             → idem
+//   POST /api/pdf { texto, meta }            → roteiro ainda não salvo (o fragmento passa de novo pelo sanitizador)
+// ?inline=1 abre no visualizador do navegador em vez de baixar.
+
+import { env, log, logError, newReqId, readJsonBody } from './_lib/util.js';
+import { getStore, isRoteiroId, publicBaseUrl } from './_lib/storage.js';
+import { sanitizeHtml } from './_lib/sanitize.js';
+import { renderRoteiroPdf } from './_lib/pdf-roteiro.js';
+
+// fragmentos maiores que isso não são roteiros (evita PDF gigante gerado por qualquer corpo)
+const MAX_TEXTO = 400_000;
+
+export default async function handler(req, res) {
+  const reqId = newReqId();
+  res.setHeader('x-request-id', reqId);
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method Not Allowed', reqId });
+  }
+
+  try {
+    const body = req.method === 'POST' ? await readJsonBody(req) : {};
+    const id = String(req.query?.id || body.roteiro_id || '').trim();
+
+    let doc = null;
+    let shareUrl = null;
+    if (id) {
+      if (!isRoteiroId(id)) return res.status(400).json({ error: 'ID de roteiro inválido.', reqId });
+      const store = getStore();
+      if (!store) return res.status(404).json({ error: 'O armazenamento de roteiros está desativado; envie "texto" e "meta".', reqId });
+      if (store.configError) return res.status(500).json({ error: store.configError, reqId });
+      doc = await store.get(id);
+      if (!doc) return res.status(404).json({ error: 'Roteiro não encontrado (o link pode ter expirado).', reqId });
+      shareUrl = `${publicBaseUrl(req)}/?roteiro=${id}`;
+    } else if (typeof body.texto === 'string' && body.texto.trim()) {
+      if (body.texto.length > MAX_TEXTO) return res.status(413).json({ error: 'Roteiro grande demais para o PDF.', reqId });
+      doc = { texto: sanitizeHtml(body.texto).html, meta: body.meta && typeof body.meta === 'object' ? body.meta : {} };
+    } else {
+      return res.status(400).json({ error: 'Envie "roteiro_id" (ou ?id=) ou o "texto" do roteiro com a "meta".', reqId });
+    }
+
+    const t0 = Date.now();
+    const pdf = renderRoteiroPdf({
+      texto: doc.texto || '',
+      meta: doc.meta || {},
+      brand: env('BRAND_NAME', 'Touristando IA'),
+      shareUrl,
+      createdAt: doc.created_at ? new Date(doc.created_at) : new Date()
+    });
+    log(`[${reqId}] pdf`, { de: id || '(inline)', paginas: pdf.pages, bytes: pdf.buffer.length, ms: Date.now() - t0 });
+
+    const inline = String(req.query?.inline || '') === '1';
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${pdf.filename}"`);
+    res.setHeader('Content-Length', String(pdf.buffer.length));
+    // o conteúdo de um ID não muda depois de salvo
+    res.setHeader('Cache-Control', id ? 'public, max-age=300' : 'no-store');
+    return res.status(200).send(pdf.buffer);
+  } catch (e) {
+    logError(`[${reqId}] pdf erro`, String(e?.stack || e));
+    return res.status(500).json({ error: 'Falha ao gerar o PDF.', reqId });
+  }
+}
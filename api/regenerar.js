@@ -0,0 +1,146 @@
+// /api/regenerar.js
+// POST /api/regenerar — refaz só um dia ou uma seção de um roteiro já gerado, sem repetir classificação,
+// câmbio e passagens. Corpo: { roteiro_id | itinerary + meta (+ texto), alvo: "Dia 3" | "3. Onde comer & beber", instrucoes? }.
+// Usa a geração sem pesquisa na web (mais rápida); { pesquisar: true } mantém a ordem de LLM_FALLBACK.
+
+import { log, logError, safeTruncate, newReqId, readJsonBody } from './_lib/util.js';
+import {
+  ITINERARY_SCHEMA_URL, validateSchema, parseItineraryJson, normalizeItinerary, renderSectionHtml
+} from './_lib/itinerary.js';
+import { getLlmProvider, llmConfig, generationSystem } from './_lib/llm.js';
+import { sanitizeHtml } from './_lib/sanitize.js';
+import { reconcileBudget } from './_lib/budget.js';
+import { buildItineraryIcs } from './_lib/ics.js';
+import { geocodeItinerary, itineraryGeo } from './_lib/geocode.js';
+import { optimizeItineraryRoutes } from './_lib/route.js';
+import { getStore, isRoteiroId, newRoteiroId, toStoredRoteiro, publicBaseUrl } from './_lib/storage.js';
+import { consumeRequest, sendRateLimited } from './_lib/ratelimit.js';
+import {
+  parseTarget, targetLabel, contextFromSaved, partialPrompt, extractPart, spliceItinerary, spliceSectionHtml
+} from './_lib/regenerate.js';
+
+const MAX_INSTRUCOES = 500;
+
+export default async function handler(req, res) {
+  const reqId = newReqId();
+  res.setHeader('x-request-id', reqId);
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method Not Allowed', reqId });
+  }
+
+  try {
+    const body = await readJsonBody(req);
+    // mesma cota por IP de /api/roteiro (cada regeneração também chama a IA)
+    const limited = await consumeRequest(req);
+    if (!limited.ok) return sendRateLimited(res, limited, reqId);
+    const store = getStore();
+    const storeOk = store && !store.configError;
+
+    // roteiro de origem: salvo (roteiro_id) ou enviado inteiro pelo cliente
+    let doc = null;
+    if (body.roteiro_id) {
+      if (!isRoteiroId(body.roteiro_id)) return res.status(400).json({ error: 'roteiro_id inválido.', reqId });
+      if (!storeOk) return res.status(404).json({ error: 'O armazenamento de roteiros está desativado; envie "itinerary" e "meta".', reqId });
+      doc = await store.get(body.roteiro_id);
+      if (!doc) return res.status(404).json({ error: 'Roteiro não encontrado.', reqId });
+    } else if (body.itinerary && typeof body.itinerary === 'object') {
+      // o texto do cliente vira um novo roteiro compartilhável: sanitizado inteiro, não só a seção regenerada
+      doc = { itinerary: body.itinerary, meta: body.meta || {}, texto: typeof body.texto === 'string' ? sanitizeHtml(body.texto).html : '', flights: body.flights || null };
+    }
+    if (!doc?.itinerary?.days?.length || doc.itinerary.schema_version !== 2) {
+      return res.status(400).json({ error: 'Envie "roteiro_id" ou um "itinerary" (schema_version 2) gerado por /api/roteiro.', reqId });
+    }
+    // o roteiro enviado pelo cliente passa pelo schema e pela normalização antes de ser recortado (campo faltando não vira erro 500)
+    if (!body.roteiro_id) {
+      const schemaErrors = validateSchema(doc.itinerary);
+      if (schemaErrors.length) {
+        return res.status(400).json({ error: 'O "itinerary" enviado não segue o schema v2.', itinerary_errors: schemaErrors.slice(0, 20), reqId });
+      }
+      doc = { ...doc, itinerary: normalizeItinerary(doc.itinerary, contextFromSaved(doc).ctx) };
+    }
+
+    const { itinerary } = doc;
+    const meta = doc.meta || {};
+    const target = parseTarget(body.alvo ?? body.target, { days: itinerary.days.length });
+    if (target.error) return res.status(400).json({ error: target.error, reqId });
+    const instrucoes = String(body.instrucoes || '').trim().slice(0, MAX_INSTRUCOES);
+    log(`[${reqId}] regenerar`, { de: body.roteiro_id || '(inline)', alvo: targetLabel(target), instrucoes: !!instrucoes });
+
+    const cfg = llmConfig();
+    const fallback = body.pesquisar === true ? cfg.fallback : cfg.fallback.filter(s => s !== 'responses_search');
+    const llm = getLlmProvider({ fallback: fallback.length ? fallback : ['chat'] });
+    if (llm.configError) return res.status(500).json({ error: llm.configError, reqId });
+
+    const { ctx, genContext } = contextFromSaved(doc);
+    let gen;
+    try {
+      gen = await llm.generate({
+        prompt: partialPrompt({ target, itinerary, meta, instrucoes }),
+        system: generationSystem(itinerary.language),
+        reqId,
+        context: { ...genContext, variante: reqId }
+      });
+    } catch (e) {
+      logError(`[${reqId}] regenerar: falha na IA`, e?.status || '', safeTruncate(String(e?.message || e)));
+      return res.status(502).json({ error: 'Falha ao gerar com a IA. Tente de novo.', reqId });
+    }
+    const part = extractPart(parseItineraryJson(gen.text), target);
+    if (!part) {
+      logError(`[${reqId}] regenerar: resposta sem a parte pedida`, safeTruncate(gen.text, 300));
+      return res.status(502).json({ error: `A IA não devolveu ${targetLabel(target)} no formato esperado. Tente de novo.`, reqId });
+    }
+
+    const updated = normalizeItinerary(spliceItinerary(itinerary, target, part), ctx);
+    const geo = await geocodeItinerary(updated, { reqId });
+    if ((body.otimizar_rota ?? meta.otimizar_rota) !== false) optimizeItineraryRoutes(updated, { reqId });
+    const errors = validateSchema(updated);
+    if (errors.length) log(`[${reqId}] itinerary schema errors`, errors.slice(0, 10));
+
+    const section = { key: target.section, html: sanitizeHtml(renderSectionHtml(target.section, updated, { pessoas: ctx.pessoas })).html };
+    const spliced = doc.texto ? spliceSectionHtml(doc.texto, section.key, section.html) : { html: '', replaced: false };
+
+    const budgetCheck = reconcileBudget(updated, {
+      orcTotal: meta.orcamento, orcPerPerson: meta.orcamento_por_pessoa, pessoas: ctx.pessoas, flights: doc.flights
+    });
+
+    const payloadOut = {
+      ok: true,
+      target: { ...target, label: targetLabel(target, updated.language || meta.idioma) },
+      section,
+      texto: spliced.replaced ? spliced.html : undefined,
+      render_as: 'html',
+      meta,
+      itinerary: updated,
+      itinerary_schema: ITINERARY_SCHEMA_URL,
+      itinerary_errors: errors.length ? errors.slice(0, 20) : undefined,
+      budget_check: budgetCheck,
+      geo: itineraryGeo(updated, geo),
+      flights: doc.flights || undefined,
+      llm: { provider: llm.name, model: gen.model || llm.model, strategy: gen.strategy || null },
+      parent_id: body.roteiro_id || undefined,
+      reqId
+    };
+    const ics = buildItineraryIcs(updated, {
+      flights: doc.flights, origem: meta.origem, dataIda: meta.data_ida, dataVolta: meta.data_volta, reqId
+    });
+    if (ics) payloadOut.ics = ics;
+
+    // nova versão com ID próprio: o link antigo continua mostrando o roteiro anterior
+    if (storeOk && spliced.replaced) {
+      try {
+        const shareId = newRoteiroId();
+        await store.save(shareId, toStoredRoteiro(shareId, payloadOut));
+        payloadOut.share = { id: shareId, url: `${publicBaseUrl(req)}/?roteiro=${shareId}`, store: store.name };
+        log(`[${reqId}] roteiro salvo`, { store: store.name });
+      } catch (e) {
+        logError(`[${reqId}] storage save erro`, String(e));
+      }
+    }
+    return res.status(200).json(payloadOut);
+  } catch (err) {
+    logError(`[${reqId}] regenerar erro`, err?.stack || String(err));
+    return res.status(500).json({ error: 'Erro interno ao regenerar', reqId });
+  }
+}
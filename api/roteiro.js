@@ -1,80 +1,49 @@
 // /api/roteiro.js
 export const config = { runtime: 'nodejs' }; // Serverless Node.js (Vercel)
 
-import sgMail from '@sendgrid/mail';
-
-/* ----------------------- debug/log helpers ----------------------- */
-
-function env(name, fallback = '') {
-  const raw = process.env[name];
-  if (typeof raw !== 'string') return fallback;
-  return raw.trim().replace(/^['"]|['"]$/g, '');
-}
-const DEBUG = env('DEBUG_ROTEIRO') === '1' || (env('DEBUG') || '').toLowerCase().includes('roteiro');
-
-const log = (...args) => { if (DEBUG) console.log('[roteiro]', ...args); };
-const logError = (...args) => console.error('[roteiro]', ...args);
-const safeTruncate = (s, n = 600) => (typeof s === 'string' && s.length > n ? s.slice(0, n) + '…' : s);
-const maskEmail = (e='') => e.replace(/(^.).*(@.*$)/, (_, a, b) => `${a}***${b}`);
-
-function newReqId() {
-  const rnd = Math.random().toString(16).slice(2, 10);
-  return `rt-${Date.now().toString(36)}-${rnd}`;
-}
+import {
+  env, log, logError, safeTruncate, maskEmail, newReqId,
+  escapeHtml, readJsonBody, addDaysISO,
+  fmtMoney, fmtNumberBR, fmtDate, currencyLabel, pairBaseWithLocal, parseDecimal
+} from './_lib/util.js';
+import {
+  ITINERARY_SCHEMA_URL, ITINERARY_SECTIONS, TABLE_STYLES, validateSchema, parseItineraryJson,
+  normalizeItinerary, renderSectionHtml, itineraryFormatSpec
+} from './_lib/itinerary.js';
+import { getLlmProvider, generationSystem } from './_lib/llm.js';
+import { getFxRate, fxAgeLabel, fxDateLabel } from './_lib/fx.js';
+import { IDIOMAS, parseIdioma, t, regionLabel, promptLanguage } from './_lib/i18n.js';
+import { parseStops, layoutStops, flightLegs, stopsPromptBlock } from './_lib/trip.js';
+import { sanitizeHtml, emptySanitizeReport, mergeSanitizeReports } from './_lib/sanitize.js';
+import { buildItineraryIcs } from './_lib/ics.js';
+import { getStore, isRoteiroId, newRoteiroId, toStoredRoteiro, publicBaseUrl } from './_lib/storage.js';
+import { contextFromSaved, spliceSectionHtml } from './_lib/regenerate.js';
+import { MAX_MENSAGEM, normConversa, refinePrompt, mergeRefined, diffItineraries, diffSummaryText } from './_lib/refine.js';
+import { reconcileBudget, shouldRegenerateCheaper, cheaperPromptAddendum } from './_lib/budget.js';
+import { wantsEventStream, openEventStream } from './_lib/sse.js';
+import { resolveIataTerm, preferCityCode } from './_lib/iata.js';
+import { getMailTransport, sendMail, EMAIL_RE } from './_lib/mail.js';
+import { roteiroEmail } from './_lib/mail-templates.js';
+import { renderRoteiroPdf } from './_lib/pdf-roteiro.js';
+import { geocodeItinerary, itineraryGeo } from './_lib/geocode.js';
+import { optimizeItineraryRoutes } from './_lib/route.js';
+import { searchFlights, searchFlexDates, searchMultiLegFlights, parseFlightFilters, MAX_FLEX_DIAS } from './_lib/flights.js';
+import { consumeRequest, consumeEmailSend, sendRateLimited, clientIp } from './_lib/ratelimit.js';
+import { getCache, requestFingerprint, cacheBypass, ROTEIRO_CACHE_TTL_MS, FLIGHTS_CACHE_TTL_MS } from './_lib/cache.js';
 
 /* ----------------------- utils ----------------------- */
 
-const escapeHtml = (s = '') =>
-  String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
-
-async function fetchWithTimeout(url, opts = {}, ms = 20000) {
-  const ctrl = new AbortController();
-  const t = setTimeout(() => ctrl.abort(), ms);
-  try {
-    const res = await fetch(url, { ...opts, signal: ctrl.signal });
-    return res;
-  } finally { clearTimeout(t); }
-}
-
-async function safeJson(res) {
-  const txt = await res.text();
-  try { return JSON.parse(txt); } catch { return { _raw: txt }; }
-}
-
-function fmtDate(d = new Date()) {
-  return new Intl.DateTimeFormat('pt-BR', { dateStyle: 'medium', timeZone: 'UTC' }).format(d);
-}
-function fmtMoneyBRL(v) {
-  return new Intl.NumberFormat('pt-BR', { style:'currency', currency:'BRL', maximumFractionDigits:0 }).format(v);
-}
-function fmtNumberBR(v, decimals = 2) {
-  return new Intl.NumberFormat('pt-BR', { minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(v);
-}
-
-// símbolos de moeda (básico)
-const CURRENCY_SYMBOLS = {
-  BRL:'R$', USD:'$', EUR:'€', GBP:'£', JPY:'¥', CNY:'¥', HKD:'$', TWD:'$', SGD:'$', CAD:'$', AUD:'$', NZD:'$',
-  MXN:'$', ARS:'$', CLP:'$', COP:'$', PEN:'S/', UYU:'$U', BOB:'Bs', PYG:'₲', ZAR:'R',
-  CHF:'CHF', DKK:'kr', NOK:'kr', SEK:'kr', PLN:'zł', CZK:'Kč', HUF:'Ft', RON:'lei',
-  TRY:'₺', ILS:'₪', AED:'د.إ', SAR:'﷼', QAR:'﷼', KWD:'KD', BHD:'BD', INR:'₹', THB:'฿', KRW:'₩', IDR:'Rp', MYR:'RM', PHP:'₱'
-};
-const currencyLabel = (code = 'BRL', name = '') => {
-  const sym = CURRENCY_SYMBOLS[code] || '';
-  return `${code}${name ? ` — ${name}` : ''}${sym ? ` — símbolo: ${sym}` : ''}`;
-};
-
-// "R$ 5.500", "5,5 mil", "5500" -> Number
-function parseBudgetBR(input) {
+// "R$ 5.500", "5,5 mil", "€ 2.000,50", "US$ 3,000.50", "5500" -> Number (na moeda base)
+function parseBudget(input) {
   if (input === undefined || input === null) return null;
   if (typeof input === 'number') return Number.isFinite(input) ? input : null;
   let s = String(input).trim().toLowerCase();
   if (!s) return null;
   s = s.replace(/\s/g, '');
-  s = s.replace(/^r\$\s*/i, '');
-  const mil = /mil$/.test(s);
-  if (mil) s = s.replace(/mil$/, '');
-  s = s.replace(/\./g, '').replace(',', '.');
-  const v = parseFloat(s);
+  s = s.replace(/^(r\$|us\$|\$|€|£|[a-z]{3}(?=[\d.,]))/i, '').replace(/(€|£|[a-z]{3})$/i, m => (m === 'mil' ? m : ''));
+  const mil = /(mil|k)$/.test(s);
+  if (mil) s = s.replace(/(mil|k)$/, '');
+  const v = parseDecimal(s);
   if (!Number.isFinite(v)) return null;
   return mil ? v * 1000 : v;
 }
@@ -86,566 +55,136 @@ function almostEqual(a, b, tol = 0.02) {
   return Math.abs(a - b) / Math.max(Math.abs(a), Math.abs(b)) <= tol;
 }
 
-function regionLabelPT(t) {
-  const m = { city: 'Cidade', state: 'Estado', country: 'País', region: 'Região' };
-  return m[(t || '').toLowerCase()] || t || 'Região';
-}
-
-// extrai texto do retorno da Responses API
-function extractResponsesText(obj) {
-  try {
-    if (Array.isArray(obj?.output)) {
-      const pieces = [];
-      for (const item of obj.output) {
-        if (item?.type === 'message' && Array.isArray(item.content)) {
-          for (const c of item.content) {
-            if (c?.type === 'output_text' && typeof c.text === 'string') {
-              pieces.push(c.text);
-            }
-          }
-        } else if (item?.type === 'output_text' && typeof item.text === 'string') {
-          pieces.push(item.text);
-        }
-      }
-      return pieces.join('\n');
-    }
-  } catch { /* ignore */ }
-  return obj?.choices?.[0]?.message?.content || '';
-}
-
-/* ----------------------- IATA helpers (super robusto) ----------------------- */
-
-// Normalizador: remove acentos e pontuações leves
-function normalizeKey(s = '') {
-  return String(s)
-    .toLowerCase()
-    .normalize('NFD').replace(/[\u0300-\u036f]/g,'') // acentos
-    .replace(/[^\p{L}\p{N}\s]/gu, ' ')               // pontuação → espaço
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-
-// aeroportos → código de CIDADE (agrupador) quando existir
-const AIRPORT_TO_CITY = {
-  // ===== BRASIL =====
-  GRU:'SAO', CGH:'SAO', VCP:'SAO',
-  GIG:'RIO', SDU:'RIO',
-  CNF:'BHZ', PLU:'BHZ',
-  BSB:'BSB',
-  SSA:'SSA',
-  REC:'REC',
-  FOR:'FOR',
-  NAT:'NAT', JPA:'JPA', MCZ:'MCZ', AJU:'AJU',
-  BEL:'BEL', MAO:'MAO', MCP:'MCP', BVB:'BVB',
-  PMW:'PMW', CGB:'CGB', CGR:'CGR', GYN:'GYN',
-  POA:'POA', CWB:'CWB', FLN:'FLN', NVT:'NVT', IGU:'IGU',
-  IOS:'IOS', BPS:'BPS', PHB:'PHB', STM:'STM', FEN:'FEN', SLZ:'SLZ', THE:'THE', VIX:'VIX', CXJ:'CXJ',
-
-  // ===== EUA =====
-  JFK:'NYC', LGA:'NYC', EWR:'NYC',
-  MCO:'ORL', SFB:'ORL', ORL:'ORL',
-  FLL:'MIA', MIA:'MIA', PBI:'MIA',
-  IAD:'WAS', DCA:'WAS', BWI:'WAS',
-  ORD:'CHI', MDW:'CHI',
-  LAX:'LAX', BUR:'LAX', LGB:'LAX', SNA:'LAX', ONT:'LAX',
-  SFO:'SFO', OAK:'SFO', SJC:'SFO',
-  SEA:'SEA', PDX:'PDX', SAN:'SAN', LAS:'LAS',
-  ATL:'ATL', DFW:'DFW', DAL:'DFW', IAH:'HOU', HOU:'HOU',
-  BOS:'BOS', HNL:'HNL',
-
-  // ===== CANADÁ =====
-  YYZ:'YTO', YTZ:'YTO', YHM:'YTO',
-  YUL:'YMQ', YHU:'YMQ',
-  YVR:'YVR', YQB:'YQB', YYC:'YYC', YEG:'YEG',
-
-  // ===== MÉXICO / CARIBE =====
-  MEX:'MEX', NLU:'MEX', TLC:'MEX',
-  CUN:'CUN', SJD:'SJD', PVR:'PVR', GDL:'GDL',
-  PUJ:'PUJ', SDQ:'SDQ', POP:'POP', STI:'STI',
-  HAV:'HAV',
-
-  // ===== EUROPA =====
-  LHR:'LON', LGW:'LON', LCY:'LON', LTN:'LON', STN:'LON', SEN:'LON',
-  CDG:'PAR', ORY:'PAR', BVA:'PAR',
-  FCO:'ROM', CIA:'ROM',
-  MXP:'MIL', LIN:'MIL', BGY:'MIL',
-  MAD:'MAD', BCN:'BCN', VLC:'VLC', SVQ:'SVQ', AGP:'AGP',
-  PMI:'PMI', IBZ:'IBZ', TFS:'TCI', TFN:'TCI', LPA:'LPA',
-  LIS:'LIS', OPO:'OPO', FAO:'FAO', FNC:'FNC', PDL:'PDL', TER:'TER',
-  AMS:'AMS', BRU:'BRU', CRL:'BRU',
-  FRA:'FRA', MUC:'MUC', BER:'BER', TXL:'BER', SXF:'BER',
-  HAM:'HAM', DUS:'DUS', CGN:'CGN',
-  CPH:'CPH',
-  ARN:'STO', BMA:'STO', NYO:'STO', VST:'STO',
-  OSL:'OSL', HEL:'HEL',
-  PRG:'PRG', BUD:'BUD', WAW:'WAW', KRK:'KRK', VIE:'VIE',
-  ZRH:'ZRH', GVA:'GVA', BSL:'BSL',
-  ATH:'ATH', JTR:'JTR', JMK:'JMK',
-  DUB:'DUB', SNN:'SNN', ORK:'ORK',
-
-  // ===== ÁFRICA / ME =====
-  CMN:'CMN', RAK:'RAK', AGA:'AGA',
-  CAI:'CAI', HRG:'HRG', SSH:'SSH',
-  JNB:'JNB', CPT:'CPT', NBO:'NBO',
-  IST:'IST', SAW:'IST',
-  DXB:'DXB', DWC:'DXB', AUH:'AUH', DOH:'DOH', TLV:'TLV',
-
-  // ===== ÁSIA-PACÍFICO =====
-  HND:'TYO', NRT:'TYO',
-  KIX:'OSA', ITM:'OSA', UKB:'OSA',
-  ICN:'SEL', GMP:'SEL',
-  PEK:'BJS', PKX:'BJS',
-  PVG:'SHA', SHA:'SHA',
-  HKG:'HKG', MFM:'MFM', SZX:'SZX',
-  BKK:'BKK', DMK:'BKK',
-  HKT:'HKT', CNX:'CNX',
-  HAN:'HAN', SGN:'SGN',
-  KUL:'KUL', SIN:'SIN',
-  CGK:'JKT', HLP:'JKT', DPS:'DPS',
-  MNL:'MNL', CEB:'CEB',
-  DEL:'DEL', BOM:'BOM', BLR:'BLR', MAA:'MAA', HYD:'HYD', GOI:'GOI',
-  SYD:'SYD', MEL:'MEL', BNE:'BNE', PER:'PER', ADL:'ADL',
-  AKL:'AKL', WLG:'WLG', CHC:'CHC', ZQN:'ZQN'
-};
-
-// city -> airports (inverso)
-const CITY_TO_AIRPORTS = (() => {
-  const m = {};
-  for (const [ap, city] of Object.entries(AIRPORT_TO_CITY)) {
-    if (!m[city]) m[city] = [];
-    m[city].push(ap);
+/* ----------------------- refinamento (modo: "refinar") ----------------------- */
+
+// aplica uma mensagem do viajante ao roteiro atual; devolve a nova versão, o diff e o histórico da conversa
+async function refineRoteiro({ req, res, body, reqId, llm }) {
+  const mensagem = String(body.mensagem || '').trim();
+  if (!mensagem) return res.status(400).json({ error: 'Informe a "mensagem" com o ajuste desejado.', reqId });
+  if (mensagem.length > MAX_MENSAGEM) return res.status(400).json({ error: `A mensagem pode ter no máximo ${MAX_MENSAGEM} caracteres.`, reqId });
+
+  const store = getStore();
+  const storeOk = store && !store.configError;
+  let doc = null;
+  if (body.roteiro_id) {
+    if (!isRoteiroId(body.roteiro_id)) return res.status(400).json({ error: 'roteiro_id inválido.', reqId });
+    if (!storeOk) return res.status(404).json({ error: 'O armazenamento de roteiros está desativado; envie "itinerary" e "meta".', reqId });
+    doc = await store.get(body.roteiro_id);
+    if (!doc) return res.status(404).json({ error: 'Roteiro não encontrado.', reqId });
+  } else if (body.itinerary && typeof body.itinerary === 'object') {
+    doc = {
+      // o HTML enviado pelo cliente vai para o link compartilhado: passa pelo sanitizador inteiro, não só as seções novas
+      itinerary: body.itinerary, meta: body.meta || {}, texto: typeof body.texto === 'string' ? sanitizeHtml(body.texto).html : '',
+      flights: body.flights || null, conversa: body.conversa
+    };
   }
-  return m;
-})();
-function airportsFor(code) {
-  const up = String(code || '').toUpperCase();
-  return CITY_TO_AIRPORTS[up] || [];
-}
-function addDaysISO(iso, delta) {
-  const d = new Date(iso + 'T00:00:00Z');
-  d.setUTCDate(d.getUTCDate() + delta);
-  return d.toISOString().slice(0,10);
-}
-
-// aliases e destinos → código da cidade (ou aeroporto mais próximo)
-const IATA_HINTS = {
-  // (mesmo bloco do seu código anterior — mantive completo)
-  'sao paulo':'SAO','sampa':'SAO','sp':'SAO',
-  'rio de janeiro':'RIO','rio':'RIO',
-  'brasilia':'BSB',
-  'belo horizonte':'BHZ',
-  'salvador':'SSA','recife':'REC','fortaleza':'FOR','maceio':'MCZ','natal':'NAT','joao pessoa':'JPA','aracaju':'AJU',
-  'vitoria':'VIX','belem':'BEL','manaus':'MAO','boa vista':'BVB','macapa':'MCP',
-  'palmas':'PMW','cuiaba':'CGB','campo grande':'CGR','goiania':'GYN',
-  'porto alegre':'POA','curitiba':'CWB','florianopolis':'FLN','campinas':'VCP','viracopos':'VCP','caxias do sul':'CXJ',
-  'foz do iguacu':'IGU','foz do iguaçu':'IGU',
-  'maragogi':'MCZ','maragoji':'MCZ','maragogi al':'MCZ','maragogi brasil':'MCZ',
-  'porto de galinhas':'REC',
-  'morro de sao paulo':'SSA','morro de são paulo':'SSA','boipeba':'SSA',
-  'chapada diamantina':'SSA','lencois bahia':'SSA','lençóis bahia':'SSA',
-  'barreirinhas':'SLZ','lencois maranhenses':'SLZ','lençóis maranhenses':'SLZ',
-  'jalapao':'PMW',
-  'gramado':'POA','canela':'POA','serra gaucha':'POA','bento goncalves':'POA','bento gonçalves':'POA',
-  'arraial do cabo':'RIO','buzios':'RIO','armacao dos buzios':'RIO','armação dos búzios':'RIO','angra dos reis':'RIO','ilha grande':'RIO','paraty':'RIO',
-  'balneario camboriu':'NVT','balneário camboriú':'NVT','bombinhas':'NVT','penha':'NVT','beto carreiro':'NVT','beto carrero':'NVT','beto carreiro world':'NVT',
-  'garopaba':'FLN','praia do rosa':'FLN','imbituba':'FLN',
-  'ilha do mel':'CWB','ilhabela':'SAO','ubatuba':'SAO','maresias':'SAO',
-  'itacare':'IOS','itacaré':'IOS','marau':'IOS','peninsula de marau':'IOS','península de maraú':'IOS','barra grande bahia':'IOS',
-  'trancoso':'BPS','caraiva':'BPS','caraíva':'BPS','arraial d ajuda':'BPS','arraial d\'ajuda':'BPS','arraial dajuda':'BPS',
-  'praia do forte':'SSA','pipa':'NAT','jericoacoara':'FOR','jijoca':'FOR',
-  'alter do chao':'STM','alter do chão':'STM',
-  'chapada dos veadeiros':'BSB','alto paraiso de goias':'BSB','alto paraíso de goiás':'BSB',
-  'chapada dos guimaraes':'CGB','chapada dos guimarães':'CGB',
-  'pantanal':'CGR','bonito ms':'CGR','fernando de noronha':'FEN',
-  'barra grande piaui':'PHB','barra grande pi':'PHB',
-  'nova york':'NYC','new york':'NYC',
-  'orlando':'ORL','miami':'MIA','fort lauderdale':'MIA',
-  'boston':'BOS','chicago':'CHI','washington':'WAS','washington dc':'WAS','dc':'WAS',
-  'los angeles':'LAX','san francisco':'SFO','las vegas':'LAS',
-  'seattle':'SEA','san diego':'SAN','atlanta':'ATL','houston':'HOU','dallas':'DFW','honolulu':'HNL',
-  'cidade do mexico':'MEX','cdmx':'MEX','mexico city':'MEX',
-  'cancun':'CUN','riviera maya':'CUN','playa del carmen':'CUN','tulum':'CUN',
-  'los cabos':'SJD','puerto vallarta':'PVR','guadalajara':'GDL',
-  'toronto':'YTO','montreal':'YMQ','vancouver':'YVR','quebec':'YQB',
-  'lima':'LIM','cusco':'CUZ','arequipa':'AQP','machu picchu':'CUZ',
-  'bogota':'BOG','medellin':'MDE','cartagena':'CTG','san andres':'ADZ','san andrés':'ADZ',
-  'quito':'UIO','guayaquil':'GYE',
-  'la paz bolivia':'LPB','santa cruz bolivia':'VVI','uyuni':'UYU',
-  'buenos aires':'BUE','bariloche':'BRC','mendoza':'MDZ','ushuaia':'USH','el calafate':'FTE',
-  'santiago':'SCL','montevideo':'MVD','punta del este':'PDP',
-  'havana':'HAV','punta cana':'PUJ','republica dominicana':'PUJ',
-  'lisboa':'LIS','porto':'OPO','faro':'FAO','funchal':'FNC','madeira':'FNC',
-  'madrid':'MAD','barcelona':'BCN','valencia':'VLC','sevilla':'SVQ','sevilha':'SVQ','malaga':'AGP','mallorca':'PMI','palma de mallorca':'PMI','ibiza':'IBZ','tenerife':'TCI','gran canaria':'LPA',
-  'londres':'LON','manchester':'MAN','edimburgo':'EDI','dublin':'DUB',
-  'paris':'PAR','lyon':'LYS','nice':'NCE','cote d azur':'NCE','côte d azur':'NCE',
-  'amsterdam':'AMS','bruxelas':'BRU',
-  'berlim':'BER','frankfurt':'FRA','munique':'MUC','munich':'MUC','hamburgo':'HAM','dusseldorf':'DUS','düsseldorf':'DUS','colonia':'CGN','colônia':'CGN',
-  'zurique':'ZRH','genebra':'GVA','basel':'BSL',
-  'viena':'VIE','praga':'PRG','budapeste':'BUD','varsovia':'WAW','varsóvia':'WAW','krakow':'KRK','cracovia':'KRK',
-  'copenhague':'CPH','estocolmo':'STO','oslo':'OSL','helsinki':'HEL',
-  'roma':'ROM','veneza':'VCE','milao':'MIL','milão':'MIL','florenca':'FLR','florença':'FLR','napoles':'NAP','nápoles':'NAP',
-  'atenas':'ATH','santorini':'JTR','mykonos':'JMK',
-  'casablanca':'CMN','marrakesh':'RAK','marraquesh':'RAK','agadir':'AGA',
-  'cairo':'CAI','hurghada':'HRG','sharm el sheikh':'SSH',
-  'johanesburgo':'JNB','cidade do cabo':'CPT','cape town':'CPT','nairobi':'NBO',
-  'istambul':'IST','istanbul':'IST','dubai':'DXB','abu dhabi':'AUH','doha':'DOH','tel aviv':'TLV',
-  'toquio':'TYO','tokyo':'TYO',
-  'osaka':'OSA','kyoto':'OSA','nara':'OSA',
-  'seul':'SEL',
-  'pequim':'BJS','beijing':'BJS',
-  'xangai':'SHA','shanghai':'SHA',
-  'hong kong':'HKG','macau':'MFM','shenzhen':'SZX',
-  'bangkok':'BKK','phuket':'HKT','chiang mai':'CNX',
-  'hanoi':'HAN','ho chi minh':'SGN',
-  'kuala lumpur':'KUL','singapura':'SIN',
-  'bali':'DPS','denpasar':'DPS','jacarta':'JKT',
-  'manila':'MNL','cebu':'CEB',
-  'delhi':'DEL','mumbai':'BOM','bangalore':'BLR','chennai':'MAA','hyderabad':'HYD','goa':'GOI',
-  'sydney':'SYD','melbourne':'MEL','brisbane':'BNE','perth':'PER','adelaide':'ADL',
-  'auckland':'AKL','queenstown':'ZQN','wellington':'WLG','christchurch':'CHC',
-  'portugal':'LIS','espanha':'MAD','franca':'PAR','france':'PAR',
-  'italia':'ROM','italy':'ROM','alemanha':'BER','germany':'BER',
-  'reino unido':'LON','uk':'LON','united kingdom':'LON','irlanda':'DUB',
-  'holanda':'AMS','paises baixos':'AMS','netherlands':'AMS',
-  'suica':'ZRH','switzerland':'ZRH','austria':'VIE','hungria':'BUD','polonia':'WAW',
-  'dinamarca':'CPH','suecia':'STO','noruega':'OSL','grecia':'ATH','turquia':'IST',
-  'marrocos':'CMN','egito':'CAI','emirados arabes':'DXB','emirados':'DXB','uae':'DXB','qatar':'DOH','israel':'TLV',
-  'japao':'TYO','coreia do sul':'SEL','china':'BJS','singapura pais':'SIN','tailandia':'BKK','indonesia':'CGK',
-  'filipinas':'MNL','australia':'SYD','nova zelandia':'AKL',
-  'canada':'YTO','mexico pais':'MEX','estados unidos':'NYC','eua':'NYC','usa':'NYC',
-  'argentina':'BUE','chile':'SCL','uruguai':'MVD','peru':'LIM','colombia':'BOG','bolivia':'LPB','equador':'UIO',
-};
-
-// captura código IATA dentro do texto (ex.: "São Paulo, GRU")
-function looksLikeIata(s = '') {
-  const m = String(s).toUpperCase().match(/\b([A-Z]{3})\b/);
-  return m ? m[1] : null;
-}
-
-// prefere código de cidade/área metropolitana quando existir
-function preferCityCode(code='') {
-  const up = String(code || '').toUpperCase();
-  return AIRPORT_TO_CITY[up] || up;
-}
-
-// resolve termo -> código IATA (preferindo código de cidade)
-async function resolveIataTerm(term) {
-  if (!term) return null;
-
-  // 1) Se já veio um código embutido (ex.: "São Paulo, GRU"), colapsa para cidade se houver
-  const direct = looksLikeIata(term);
-  if (direct) return preferCityCode(direct);
-
-  // 2) Aliases locais (com normalização e variações simples)
-  const raw = String(term);
-  const byComma = raw.split(',')[0];
-  const candidates = [
-    raw, byComma,
-    normalizeKey(raw), normalizeKey(byComma),
-    normalizeKey(byComma).replace(/\b(brasil|brazil|portugal|espanha|italia|italy|franca|france)\b/g,'').trim()
-  ].filter(Boolean);
-
-  for (const c of candidates) {
-    const k = normalizeKey(c);
-    if (k && IATA_HINTS[k]) return IATA_HINTS[k];
+  if (!doc?.itinerary?.days?.length || doc.itinerary.schema_version !== 2) {
+    return res.status(400).json({ error: 'Envie "roteiro_id" ou um "itinerary" (schema_version 2) gerado por /api/roteiro.', reqId });
   }
-
-  // 3) Autocomplete (Travelpayouts) — colapsa para cidade quando houver
-  try {
-    const url = `https://autocomplete.travelpayouts.com/places2?term=${encodeURIComponent(byComma)}&locale=pt&types[]=city&types[]=airport`;
-    log('IATA autocomplete →', { term: byComma, url: url.replace(/term=[^&]+/, 'term=***') });
-    const r = await fetchWithTimeout(url, {}, 12000);
-    const data = await safeJson(r);
-    log('IATA autocomplete status', r.status, 'hits:', Array.isArray(data) ? data.length : 0);
-
-    if (Array.isArray(data) && data.length) {
-      const city = data.find(x => x.type === 'city' && x.code);
-      if (city?.code) return String(city.code).toUpperCase();
-
-      const ap = data.find(x => x.type === 'airport' && (x.city_code || x.code));
-      if (ap?.city_code) return String(ap.city_code).toUpperCase();
-
-      if (ap?.code) {
-        const code = String(ap.code).toUpperCase();
-        return preferCityCode(code);
-      }
+  // o roteiro enviado pelo cliente passa pelo schema e pela normalização antes do merge e do diff (campo faltando não vira erro 500)
+  if (!body.roteiro_id) {
+    const schemaErrors = validateSchema(doc.itinerary);
+    if (schemaErrors.length) {
+      return res.status(400).json({ error: 'O "itinerary" enviado não segue o schema v2.', itinerary_errors: schemaErrors.slice(0, 20), reqId });
     }
-  } catch (e) { log('IATA autocomplete erro', String(e)); }
-
-  // 4) Falhou
-  log('IATA fallback/unknown para', term);
-  return null;
-}
-
-function minToHM(m){
-  if (!Number.isFinite(m)) return null;
-  const h = Math.floor(m/60), mm = Math.round(m%60);
-  return `${h}h${mm? ` ${mm}m` : ''}`;
-}
-function joinDuration(d1, d2){
-  const a = Number.isFinite(d1) ? `ida ${minToHM(d1)}` : '';
-  const b = Number.isFinite(d2) ? `volta ${minToHM(d2)}` : '';
-  return [a,b].filter(Boolean).join(' / ') || null;
-}
-
-/* ----------------------- FX helpers (com fallbacks) ----------------------- */
-async function getFxBRLto(code, reqId) {
-  const target = (code || '').toUpperCase();
-  if (!target || target === 'BRL') {
-    return { rate: 1, inverse: 1, date: fmtDate(new Date()), provider: 'none' };
+    doc = { ...doc, itinerary: normalizeItinerary(doc.itinerary, contextFromSaved(doc).ctx) };
   }
 
-  // A) exchangerate.host
-  try {
-    console.time(`[${reqId}] fx_exchangerate_host`);
-    const r = await fetchWithTimeout(
-      `https://api.exchangerate.host/latest?base=BRL&symbols=${encodeURIComponent(target)}`,
-      {}, 15000
-    );
-    const j = await safeJson(r);
-    console.timeEnd(`[${reqId}] fx_exchangerate_host`);
-    const rate = j?.rates?.[target];
-    if (Number.isFinite(rate) && rate > 0) {
-      return { rate, inverse: 1 / rate, date: j?.date ? fmtDate(new Date(j.date+'T00:00:00Z')) : fmtDate(new Date()), provider: 'exchangerate.host' };
-    }
-  } catch (e) { log(`[${reqId}] fx host err`, String(e)); }
-
-  // B) frankfurter.app
-  try {
-    console.time(`[${reqId}] fx_frankfurter`);
-    const r2 = await fetchWithTimeout(
-      `https://api.frankfurter.app/latest?from=BRL&to=${encodeURIComponent(target)}`,
-      {}, 15000
-    );
-    const j2 = await safeJson(r2);
-    console.timeEnd(`[${reqId}] fx_frankfurter`);
-    const rate2 = j2?.rates?.[target];
-    if (Number.isFinite(rate2) && rate2 > 0) {
-      return { rate: rate2, inverse: 1 / rate2, date: j2?.date ? fmtDate(new Date(j2.date+'T00:00:00Z')) : fmtDate(new Date()), provider: 'frankfurter.app' };
-    }
-  } catch (e) { log(`[${reqId}] fx frankfurter err`, String(e)); }
-
-  // C) open.er-api.com
-  try {
-    console.time(`[${reqId}] fx_open_er_api`);
-    const r3 = await fetchWithTimeout(`https://open.er-api.com/v6/latest/BRL`, {}, 15000);
-    const j3 = await safeJson(r3);
-    console.timeEnd(`[${reqId}] fx_open_er_api`);
-    const rate3 = j3?.rates?.[target];
-    if (Number.isFinite(rate3) && rate3 > 0) {
-      return { rate: rate3, inverse: 1 / rate3, date: j3?.time_last_update_utc ? fmtDate(new Date(j3.time_last_update_utc)) : fmtDate(new Date()), provider: 'open.er-api.com' };
-    }
-  } catch (e) { log(`[${reqId}] fx open-er err`, String(e)); }
-
-  return { rate: 0, inverse: 0, date: fmtDate(new Date()), provider: 'unavailable' };
-}
-
-/* ----------------------- helpers de moeda extra ----------------------- */
+  const prev = doc.itinerary;
+  const meta = doc.meta || {};
+  const conversa = normConversa(doc.conversa);
+  log(`[${reqId}] refinar`, { de: body.roteiro_id || '(inline)', historico: conversa.length, mensagem: safeTruncate(mensagem, 120) });
 
-function fmtMoneyGeneric(v, code = 'USD') {
+  const { ctx, genContext } = contextFromSaved(doc);
+  let gen;
   try {
-    return new Intl.NumberFormat('pt-BR', { style: 'currency', currency: code }).format(v);
-  } catch {
-    const sym = CURRENCY_SYMBOLS[code] || code;
-    return `${sym} ${fmtNumberBR(v)}`;
-  }
-}
-function pairBRLWithLocal(brlValue, quoteCode, brlToQuote) {
-  if (!Number.isFinite(brlValue)) return null;
-  if (!quoteCode || quoteCode.toUpperCase() === 'BRL' || !Number.isFinite(brlToQuote) || brlToQuote <= 0) {
-    return fmtMoneyBRL(brlValue);
+    gen = await llm.generate({
+      prompt: refinePrompt({ itinerary: prev, meta, conversa, mensagem }),
+      system: generationSystem(prev.language),
+      reqId,
+      context: { ...genContext, variante: reqId }
+    });
+  } catch (e) {
+    logError(`[${reqId}] refinar: falha na IA`, e?.status || '', safeTruncate(String(e?.message || e)));
+    return res.status(502).json({ error: 'Falha ao ajustar o roteiro com a IA. Tente de novo.', reqId });
   }
-  const local = brlValue * brlToQuote;
-  return `${fmtMoneyBRL(brlValue)} (~${fmtMoneyGeneric(local, quoteCode)})`;
-}
-
-/* ----------------------- Flights (Travelpayouts/Aviasales) ----------------------- */
-
-function daysBetween(a, b) {
-  try {
-    const d1 = new Date(a + 'T00:00:00Z');
-    const d2 = new Date(b + 'T00:00:00Z');
-    return Math.round((d2 - d1) / 86400000);
-  } catch { return 0; }
-}
-
-async function searchFlightsAviasales({ origin, destination, depart, ret, limit = 6, reqId, _forceFallback = false }) {
-  const token = env('TRAVELPAYOUTS_TOKEN');
-  if (!token) {
-    log('TRAVELPAYOUTS_TOKEN ausente — pulando busca de passagens');
-    return { error: 'TRAVELPAYOUTS_TOKEN não configurado. Cadastre-se no Travelpayouts (gratuito) e defina a variável no projeto.' };
+  const merged = mergeRefined(parseItineraryJson(gen.text), prev);
+  if (!merged) {
+    logError(`[${reqId}] refinar: resposta sem roteiro`, safeTruncate(gen.text, 300));
+    return res.status(502).json({ error: 'A IA não devolveu o roteiro no formato esperado. Tente reformular o pedido.', reqId });
   }
 
-  const callApi = async ({ o, d, dep, retAt }) => {
-    const qs = new URLSearchParams({
-      origin: o,
-      destination: d,
-      departure_at: dep,
-      ...(retAt ? { return_at: retAt } : {}),
-      market: 'br',
-      currency: 'BRL',
-      sorting: 'price',
-      limit: String(limit),
-      unique: 'false',
-      one_way: retAt ? 'false' : 'true'
-    });
-    const url = `https://api.travelpayouts.com/aviasales/v3/prices_for_dates?${qs.toString()}`;
-    log(`[${reqId}] Flights request`, { origin: o, destination: d, depart: dep, return_at: retAt || null, url });
-
-    console.time(`[${reqId}] flights_api ${o}->${d} ${dep}${retAt ? ' + ' + retAt : ''}`);
-    const r = await fetchWithTimeout(url, { headers: { 'X-Access-Token': token } }, 20000);
-    const j = await safeJson(r);
-    console.timeEnd(`[${reqId}] flights_api ${o}->${d} ${dep}${retAt ? ' + ' + retAt : ''}`);
-
-    return { ok: r.ok, status: r.status, data: j, url };
+  const itinerary = normalizeItinerary(merged.raw, ctx);
+  const geo = await geocodeItinerary(itinerary, { reqId });
+  if ((body.otimizar_rota ?? meta.otimizar_rota) !== false) optimizeItineraryRoutes(itinerary, { reqId });
+  const errors = validateSchema(itinerary);
+  if (errors.length) log(`[${reqId}] itinerary schema errors`, errors.slice(0, 10));
+  const diff = diffItineraries(prev, itinerary, { pessoas: ctx.pessoas });
+
+  // seções re-renderizadas; o resumo (seção 0) continua o da geração original
+  const report = emptySanitizeReport();
+  const sections = ITINERARY_SECTIONS.map(({ key }) => {
+    const r = sanitizeHtml(renderSectionHtml(key, itinerary, { pessoas: ctx.pessoas }));
+    mergeSanitizeReports(report, r.report);
+    return { key, html: r.html };
+  });
+  let texto = doc.texto || `<div class="trip-plan" data-render="roteiro">\n${sections.map(sec => sec.html).join('\n')}\n</div>`;
+  if (doc.texto) for (const sec of sections) texto = spliceSectionHtml(texto, sec.key, sec.html).html;
+
+  const resposta = merged.resumo || diffSummaryText(diff, itinerary.language);
+  const now = new Date().toISOString();
+  const payloadOut = {
+    ok: true,
+    modo: 'refinar',
+    texto,
+    sections,
+    render_as: 'html',
+    meta: { ...meta, sanitizer: report },
+    itinerary,
+    itinerary_schema: ITINERARY_SCHEMA_URL,
+    itinerary_errors: errors.length ? errors.slice(0, 20) : undefined,
+    budget_check: reconcileBudget(itinerary, {
+      orcTotal: meta.orcamento, orcPerPerson: meta.orcamento_por_pessoa, pessoas: ctx.pessoas, flights: doc.flights
+    }),
+    geo: itineraryGeo(itinerary, geo),
+    flights: doc.flights || undefined,
+    diff,
+    resposta,
+    conversa: normConversa([...conversa, { role: 'user', content: mensagem, at: now }, { role: 'assistant', content: resposta, at: now }]),
+    llm: { provider: llm.name, model: gen.model || llm.model, strategy: gen.strategy || null },
+    versao_anterior: { id: body.roteiro_id || null, itinerary: body.roteiro_id ? undefined : prev },
+    parent_id: body.roteiro_id || undefined,
+    reqId
   };
+  const ics = buildItineraryIcs(itinerary, { flights: doc.flights, origem: meta.origem, dataIda: meta.data_ida, dataVolta: meta.data_volta, reqId });
+  if (ics) payloadOut.ics = ics;
 
-  const mapItems = (items, { o, d, dep, retAt }) => {
-    const arr = Array.isArray(items) ? items : [];
-    return arr.slice(0, limit).map(x => ({
-      from: x.origin || o,
-      to: x.destination || d,
-      depart: x.depart_date || x.departure_at || dep,
-      return: retAt ? (x.return_date || retAt) : null,
-      airline: x.airline || null,
-      stops: (typeof x.transfers === 'number') ? x.transfers : (x.stops ?? null),
-      duration: joinDuration(x.duration_to, x.duration_back),
-      price_number: Number.isFinite(+x.price) ? +x.price : null,
-      price: x.price ? `R$ ${Math.round(x.price).toLocaleString('pt-BR')}` : null,
-      currency: 'BRL',
-      deep_link: x.link || null
-    }));
-  };
-
-  const dedupe = (arr) => {
-    const seen = new Set();
-    const out = [];
-    for (const it of arr || []) {
-      const k = [it.origin || it.from, it.destination || it.to, it.depart_date || it.depart, Math.round(+it.price||0)].join('|');
-      if (!seen.has(k)) { seen.add(k); out.push(it); }
-    }
-    return out;
-  };
-
-  const tryOneWayVariants = async (oCity, dCity, date) => {
-    const oAps = airportsFor(oCity);
-    const dAps = airportsFor(dCity);
-    const attempts = [];
-
-    // 1) city -> city
-    attempts.push({ o: oCity, d: dCity, dep: date });
-
-    // 2) city -> each dest airport
-    dAps.forEach(d => attempts.push({ o: oCity, d, dep: date }));
-
-    // 3) each origin airport -> city
-    oAps.forEach(o => attempts.push({ o, d: dCity, dep: date }));
-
-    // 4) airport -> airport
-    for (const o of oAps) for (const d of dAps) attempts.push({ o, d, dep: date });
-
-    const collect = [];
-    for (const a of attempts.slice(0, 12)) { // limite de chamadas
-      const r = await callApi({ o: a.o, d: a.d, dep: a.dep, retAt: null });
-      if (r.ok && Array.isArray(r.data?.data) && r.data.data.length) {
-        collect.push(...r.data.data);
-        if (collect.length >= limit) break;
-      }
-    }
-
-    // flex de data se ainda vazio
-    if (!collect.length) {
-      for (const flex of [-1, +1]) {
-        const dep2 = addDaysISO(date, flex);
-        const r2 = await callApi({ o: oCity, d: dCity, dep: dep2, retAt: null });
-        if (r2.ok && Array.isArray(r2.data?.data) && r2.data.data.length) {
-          collect.push(...r2.data.data);
-          break;
-        }
-      }
-    }
-    return dedupe(collect);
-  };
-
-  const tooLong = (ret && depart) ? daysBetween(depart, ret) > 30 : false;
-
-  // One-way (fallback) se >30d, sem datas completas ou RT vazio/forçado
-  if (_forceFallback || !ret || !depart || tooLong) {
-    log(`[${reqId}] usando fallback one-way (ret=${ret}, depart=${depart}, tooLong=${tooLong}, force=${_forceFallback})`);
-
-    // IDA
-    const outVariants = await tryOneWayVariants(origin, destination, depart);
-    const items_outbound = mapItems(outVariants, { o: origin, d: destination, dep: depart, retAt: null });
-
-    // VOLTA
-    let items_return = [];
-    if (ret) {
-      const backVariants = await tryOneWayVariants(destination, origin, ret);
-      items_return = mapItems(backVariants, { o: destination, d: origin, dep: ret, retAt: null });
-    }
-
-    // Combina top 3 x 3 como sugestão de ida+volta
-    const combined = [];
-    for (const a of items_outbound.slice(0, 3)) {
-      for (const b of items_return.slice(0, 3)) {
-        const tot = (a.price_number || 0) + (b.price_number || 0);
-        combined.push({
-          from: a.from, to: a.to,
-          depart: a.depart, return: b.depart,
-          airline: a.airline || b.airline || null,
-          stops: (a.stops ?? 0) + (b.stops ?? 0),
-          duration: [a.duration, b.duration].filter(Boolean).join(' / '),
-          price_number: tot,
-          price: `R$ ${Math.round(tot).toLocaleString('pt-BR')}`,
-          currency: 'BRL',
-          deep_link: null,
-          _combo: { outbound: a, back: b }
-        });
-      }
-    }
-    combined.sort((x, y) => (x.price_number ?? 1e12) - (y.price_number ?? 1e12));
-
-    return {
-      provider: 'Travelpayouts',
-      note: 'Round-trip vazio ou >30d: usando rota expandida (city/airports) e flex de data ±1 para ida/volta.',
-      items_combined: combined.slice(0, limit),
-      items_outbound,
-      items_return
-    };
-  }
-
-  // Round-trip normal
-  const rt = await callApi({ o: origin, d: destination, dep: depart, retAt: ret });
-
-  if (!rt.ok) {
-    const msg = (rt.data?._raw || rt.data?.error || '').toString().toLowerCase();
-    if (msg.includes('exceeds supported maximum of 30')) {
-      log(`[${reqId}] round-trip 400 >30d detectado — fallback`);
-      return await searchFlightsAviasales({ origin, destination, depart, ret, limit, reqId, _forceFallback: true });
+  if (storeOk) {
+    try {
+      const shareId = newRoteiroId();
+      await store.save(shareId, toStoredRoteiro(shareId, payloadOut));
+      payloadOut.share = { id: shareId, url: `${publicBaseUrl(req)}/?roteiro=${shareId}`, store: store.name };
+      log(`[${reqId}] roteiro salvo`, { store: store.name });
+    } catch (e) {
+      logError(`[${reqId}] storage save erro`, String(e));
     }
-    logError(`[${reqId}] Flights error status`, rt.status, safeTruncate(rt.data?._raw || JSON.stringify(rt.data)));
-    return { error: rt.data?.message || rt.data?._raw || 'Erro na API Travelpayouts', _raw: rt.data, status: rt.status };
   }
-
-  const arr = Array.isArray(rt.data?.data) ? rt.data.data : [];
-  if (arr.length === 0) {
-    log(`[${reqId}] round-trip vazio — fallback one-way`);
-    return await searchFlightsAviasales({ origin, destination, depart, ret, limit, reqId, _forceFallback: true });
-  }
-
-  const items = mapItems(arr, { o: origin, d: destination, dep: depart, retAt: ret });
-  log(`[${reqId}] Flights RT OK`, { count: items.length });
-
-  return {
-    items,
-    provider: 'Travelpayouts',
-    note: 'Resultados a partir do cache do mercado BR.',
-    _raw: rt.data
-  };
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).json(payloadOut);
 }
 
 /* ----------------------- handler ----------------------- */
 
+// faixa de progresso (%) de cada etapa no modo streaming: [início, fim]
+const STAGE_PROGRESS = {
+  classify: [5, 15],
+  fx: [15, 25],
+  generate: [25, 80],
+  flights: [80, 88],
+  budget: [88, 93],
+  email: [93, 98]
+};
+
 export default async function handler(req, res) {
   const reqId = newReqId();
   res.setHeader('x-request-id', reqId);
@@ -655,31 +194,40 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method Not Allowed', reqId });
   }
 
-  // 🔑 OpenAI
-  const OPENAI_API_KEY = env('OPENAI_API_KEY');
-  const OPENAI_API_BASE = env('OPENAI_API_BASE', 'https://api.openai.com/v1');
-  if (!OPENAI_API_KEY) {
-    return res.status(500).json({ error: 'OPENAI_API_KEY não configurada no projeto (Vercel).', reqId });
+  // 🔑 LLM (OpenAI por padrão; LLM_PROVIDER=fixture roda offline)
+  const llm = getLlmProvider();
+  if (llm.configError) {
+    return res.status(500).json({ error: llm.configError, reqId });
   }
 
-  // ✉️ E-mail (opcional)
-  const SENDGRID_API_KEY = env('SENDGRID_API_KEY');
-  const MAIL_FROM = env('MAIL_FROM');
+  // ✉️ E-mail (opcional; transporte em _lib/mail.js)
+  const mailer = getMailTransport();
   const BRAND_NAME = env('BRAND_NAME', 'Touristando IA');
   const LOGO_URL = env('LOGO_URL');
-  if (SENDGRID_API_KEY) sgMail.setApiKey(SENDGRID_API_KEY);
+
+  // modo streaming (SSE): eventos de etapa + seções parciais; aberto após validar a entrada
+  let stream = null;
+  const stage = (name, status, extra = {}) => {
+    const [p0, p1] = STAGE_PROGRESS[name] || [0, 0];
+    stream?.send('stage', { stage: name, status, progress: status === 'start' ? p0 : p1, ...extra });
+  };
+  const fail = (status, payload) => {
+    if (!stream) return res.status(status).json(payload);
+    stream.send('error', { status, ...payload });
+    return stream.close();
+  };
 
   try {
     // Body
-    let body = req.body || {};
-    if (typeof body === 'string') { try { body = JSON.parse(body); } catch { body = {}; } }
-    if (!Object.keys(body).length && req.headers['content-type']?.includes('application/json')) {
-      try {
-        const chunks = []; for await (const ch of req) chunks.push(ch);
-        const raw = Buffer.concat(chunks).toString('utf8');
-        body = raw ? JSON.parse(raw) : {};
-      } catch { body = {}; }
+    const body = await readJsonBody(req);
+
+    // limites por IP/e-mail antes de qualquer chamada paga (IA, passagens)
+    const limited = await consumeRequest(req, { email: body.modo === 'refinar' ? null : body.emailDestino });
+    if (!limited.ok) {
+      log(`[${reqId}] rate limited`, limited.rule, clientIp(req), `retry_after=${limited.retry_after}s`);
+      return sendRateLimited(res, limited, reqId);
     }
+    if (body.modo === 'refinar') return await refineRoteiro({ req, res, body, reqId, llm });
 
     // log de entrada (parcial)
     const dbgIn = (() => {
@@ -690,25 +238,46 @@ export default async function handler(req, res) {
     log(`[${reqId}] Incoming payload`, dbgIn);
 
     const destinoEntrada =
+      (Array.isArray(body.destinos) && body.destinos.length
+        ? body.destinos.map(d => (typeof d === 'string' ? d.split(':')[0] : d?.destino || d?.cidade || '')).join(' → ').trim()
+        : '') ||
       body.destino?.toString().trim() ||
       body.pais?.toString().trim() ||
       body.estado?.toString().trim() ||
       body.cidade?.toString().trim();
 
+    // várias cidades: body.destinos = [{ destino, noites }, …] substitui "destino" e "dias"
+    const multi = parseStops(body);
+    if (multi?.error) return res.status(400).json({ error: multi.error, reqId });
+    const stopsIn = multi?.stops || null;
+
     // datas + origem (para passagens)
     const dataIda = (body.data_ida || '').toString().slice(0,10);
-    const dataVolta = (body.data_volta || '').toString().slice(0,10);
+    const dias = stopsIn ? stopsIn.reduce((acc, s) => acc + s.noites, 0) + 1 : Number(body.dias ?? 5);
+    const dataVolta = (body.data_volta || (stopsIn && /^\d{4}-\d{2}-\d{2}$/.test(dataIda) ? addDaysISO(dataIda, dias - 1) : ''))
+      .toString().slice(0,10);
     const origemEntrada = (body.origem || '').toString().trim() || null;
+    // datas flexíveis: true = ±3 dias; número = ±N (até MAX_FLEX_DIAS); só para ida e volta com um destino
+    const flexDias = body.datas_flexiveis === true ? 3 : Math.round(Number(body.datas_flexiveis) || 0);
+    // filtros de passagem (escalas, duração, companhias, horários): valem antes do corte em "limit"
+    const flightFilters = parseFlightFilters(body.filtros_voo);
+    const voosFiltros = flightFilters?.filters || null;
 
-    const dias = Number(body.dias ?? 5);
     const pessoas = Math.max(1, Number(body.pessoas ?? 1));
     const perfil = (body.perfil || 'normal').toString();
     const estilo = (body.estilo || 'casual').toString();
     const emailDestino = (body.emailDestino || '').toString().trim() || null;
+    // moeda em que o viajante pensa o orçamento (orçamentos, preços, passagens); BRL por padrão
+    const moedaBase = (body.moeda_base || 'BRL').toString().trim().toUpperCase();
+    // idioma dos textos da IA, dos rótulos do servidor e da formatação de números/datas (pt-BR por padrão)
+    const idioma = parseIdioma(body.idioma);
+    const L = (key, arg) => t(idioma, key, arg);
+    // ordem das atrações de cada dia pelo menor deslocamento (false mantém a ordem proposta pela IA)
+    const otimizarRota = body.otimizar_rota !== false;
 
     // orçamentos (robusto)
-    let orcamento = parseBudgetBR(body.orcamento);
-    let orcamentoPorPessoa = parseBudgetBR(body.orcamento_por_pessoa);
+    let orcamento = parseBudget(body.orcamento);
+    let orcamentoPorPessoa = parseBudget(body.orcamento_por_pessoa);
 
     let orcTotal = null;
     let orcPerPerson = null;
@@ -732,193 +301,137 @@ export default async function handler(req, res) {
 
     if (!destinoEntrada) return res.status(400).json({ error: 'Informe o destino (país/estado/cidade) no campo "destino" (ou "pais").', reqId });
     if (!Number.isFinite(dias) || dias <= 0) return res.status(400).json({ error: 'O campo "dias" deve ser um número > 0.', reqId });
+    if (!/^[A-Z]{3}$/.test(moedaBase)) return res.status(400).json({ error: 'O campo "moeda_base" deve ser um código ISO 4217 (ex.: BRL, EUR, USD).', reqId });
+    if (!idioma) return res.status(400).json({ error: `O campo "idioma" deve ser um de: ${Object.keys(IDIOMAS).join(', ')}.`, reqId });
+    if (flexDias < 0 || flexDias > MAX_FLEX_DIAS) return res.status(400).json({ error: `O campo "datas_flexiveis" deve ser true ou um número de 0 a ${MAX_FLEX_DIAS} (dias para mais/menos).`, reqId });
+    if (flightFilters?.error) return res.status(400).json({ error: flightFilters.error, reqId });
+    if (emailDestino && !EMAIL_RE.test(emailDestino)) return res.status(400).json({ error: 'O campo "emailDestino" deve ser um e-mail válido.', reqId });
+
+    /* ---------- 0) Cache de pedidos idênticos ---------- */
+    // reaproveita classificação + texto da IA; câmbio e passagens seguem seus próprios TTLs (mais curtos)
+    const cache = getCache();
+    const bypass = cacheBypass(req, body);
+    const destinoKey = stopsIn ? stopsIn.map(st => [st.destino, st.noites]) : destinoEntrada;
+    const fingerprint = requestFingerprint({
+      destino: destinoKey, dias, pessoas, perfil, estilo, orcTotal, orcPerPerson, moedaBase, idioma,
+      dataIda, dataVolta, economizar: body.regenerar_se_acima !== false
+    });
+    const cachedGen = cache && !bypass
+      ? await cache.get(`roteiro:${fingerprint}`).catch(e => { logError(`[${reqId}] cache get erro`, String(e)); return null; })
+      : null;
+    log(`[${reqId}] cache`, { fingerprint, hit: !!cachedGen, bypass });
+    res.setHeader('x-cache', bypass ? 'BYPASS' : cachedGen ? 'HIT' : 'MISS');
+
+    if (wantsEventStream(req, body)) stream = openEventStream(res, reqId);
 
     /* ---------- 1) Normalizar destino + moeda ---------- */
-    const classifyMsg = [
-      { role: 'system', content:
-`Você extrai metadados geográficos e de moeda. Responda SOMENTE com JSON válido.
-Campos:
-- normalized_name (string)
-- region_type ("country"|"state"|"city"|"region")
-- country_name (string)
-- country_code (string)
-- currency_code (string)
-- currency_name (string)` },
-      { role: 'user', content: `Destino: ${destinoEntrada}` }
-    ];
-
-    console.time(`[${reqId}] openai_classify`);
-    const classifyResp = await fetchWithTimeout(`${OPENAI_API_BASE}/chat/completions`, {
-      method: 'POST',
-      headers: { 'Authorization': `Bearer ${OPENAI_API_KEY}`, 'Content-Type': 'application/json' },
-      body: JSON.stringify({ model: 'gpt-4o-mini', temperature: 0.0, response_format: { type: 'json_object' }, messages: classifyMsg })
-    }, 25000);
-    console.timeEnd(`[${reqId}] openai_classify`);
-
-    if (!classifyResp.ok) {
-      const errTxt = await classifyResp.text();
-      logError(`[${reqId}] classify error`, classifyResp.status, safeTruncate(errTxt));
-      return res.status(classifyResp.status).json({ error: 'Falha ao classificar destino', raw: safeTruncate(errTxt), reqId });
-    }
-    const clsData = await safeJson(classifyResp);
-    const meta = (() => {
-      try {
-        const m = clsData?.choices?.[0]?.message?.content
-          ? JSON.parse(clsData.choices[0].message.content) : clsData;
-        return {
-          normalized_name: m.normalized_name || destinoEntrada,
-          region_type: m.region_type || 'region',
-          country_name: m.country_name || '',
-          country_code: m.country_code || '',
-          currency_code: (m.currency_code || 'USD').toUpperCase(),
-          currency_name: m.currency_name || ''
-        };
-      } catch {
-        return {
-          normalized_name: destinoEntrada, region_type: 'region', country_name: '', country_code: '',
-          currency_code: 'USD', currency_name: 'Dólar'
-        };
+    const toMeta = (m, fallbackName) => ({
+      normalized_name: m?.normalized_name || fallbackName,
+      region_type: m?.region_type || 'region',
+      country_name: m?.country_name || '',
+      country_code: m?.country_code || '',
+      currency_code: (m?.currency_code || 'USD').toUpperCase(),
+      currency_name: m?.currency_name || ''
+    });
+    const metas = [];
+    stage('classify', 'start');
+    if (cachedGen) metas.push(...cachedGen.value.metas);
+    else for (const destino of stopsIn ? stopsIn.map(st => st.destino) : [destinoEntrada]) {
+      const cls = await llm.classify({ destino, reqId, idioma });
+      if (!cls.ok) {
+        logError(`[${reqId}] classify error`, destino, cls.status, safeTruncate(cls.raw));
+        stage('classify', 'error');
+        return fail(cls.status || 502, { error: `Falha ao classificar destino: ${destino}`, raw: safeTruncate(cls.raw), reqId });
       }
-    })();
-    log(`[${reqId}] meta`, meta);
+      metas.push(toMeta(cls.data, destino));
+    }
+    // destino principal (1ª cidade em viagens com várias cidades)
+    const meta = metas[0];
+    log(`[${reqId}] meta`, metas);
+    stage('classify', 'done', { destino: metas.map(m => m.normalized_name).join(' → '), currency_code: meta.currency_code, cached: !!cachedGen });
 
     /* ---------- 2) Câmbio ---------- */
-    const fxFetch = await getFxBRLto(meta.currency_code, reqId);
-    let fx = {
-      base: 'BRL',
-      quote: meta.currency_code || 'USD',
-      brl_to_quote: fxFetch.rate || 0,
-      quote_to_brl: fxFetch.inverse || 0,
-      date: fxFetch.date,
-      provider: fxFetch.provider
+    // sem cotação conhecida: base_to_quote/quote_to_base ficam null e os valores locais são omitidos
+    const fxByCode = new Map();
+    const fxFor = async (code) => {
+      if (!fxByCode.has(code)) {
+        const r = await getFxRate(moedaBase, code || 'USD', reqId);
+        fxByCode.set(code, {
+          base: moedaBase,
+          quote: r.quote,
+          base_to_quote: r.rate,
+          quote_to_base: r.inverse,
+          date: r.date,
+          date_iso: r.date_iso,
+          provider: r.provider,
+          available: r.available,
+          stale: r.stale,
+          age_seconds: r.age_seconds,
+          fetched_at: r.fetched_at
+        });
+      }
+      return fxByCode.get(code);
     };
-    log(`[${reqId}] fx`, fx);
+    stage('fx', 'start');
+    const fx = await fxFor(meta.currency_code);
+    const layout = stopsIn ? layoutStops(stopsIn) : null;
+    if (layout) {
+      for (const [i, st] of layout.entries()) {
+        const m = metas[i];
+        Object.assign(st, {
+          name: m.normalized_name,
+          label: m.country_name && m.country_name !== m.normalized_name ? `${m.normalized_name}, ${m.country_name}` : m.normalized_name,
+          country_name: m.country_name,
+          country_code: m.country_code,
+          currency_code: m.currency_code,
+          currency_name: m.currency_name,
+          fx: await fxFor(m.currency_code)
+        });
+      }
+    }
+    log(`[${reqId}] fx`, [...fxByCode.values()]);
+    stage('fx', fx.available ? 'done' : 'error', { provider: fx.provider, base: fx.base, base_to_local: fx.base_to_quote, stale: fx.stale, age_seconds: fx.age_seconds });
 
     const faixa = (() => {
       const partes = [];
       partes.push(`Grupo: ${pessoas} pessoa(s).`);
-      if (orcTotal && orcTotal > 0) partes.push(`Orçamento total: ${fmtMoneyBRL(orcTotal)}.`);
-      if (orcPerPerson && orcPerPerson > 0) partes.push(`≈ ${fmtMoneyBRL(orcPerPerson)} por pessoa.`);
+      if (orcTotal && orcTotal > 0) partes.push(`Orçamento total: ${fmtMoney(orcTotal, moedaBase)}.`);
+      if (orcPerPerson && orcPerPerson > 0) partes.push(`≈ ${fmtMoney(orcPerPerson, moedaBase)} por pessoa.`);
       if (!partes.length) partes.push('Sem orçamento declarado; use faixas típicas do destino.');
       return partes.join(' ');
     })();
 
     /* ---------- 3) Prompt principal ---------- */
-    const destinoLabel =
-      (meta.normalized_name && meta.country_name && meta.country_name !== meta.normalized_name)
+    const destinoLabel = layout
+      ? layout.map(st => st.name).join(' → ')
+      : (meta.normalized_name && meta.country_name && meta.country_name !== meta.normalized_name)
         ? `${meta.normalized_name}, ${meta.country_name}`
         : (meta.normalized_name || destinoEntrada);
 
+    const fxAge = fxAgeLabel(fx, idioma);
     const convHeader =
-      (fx.quote !== 'BRL' && fx.brl_to_quote)
-        ? `1 BRL = ${fx.brl_to_quote.toFixed(4)} ${fx.quote}  (1 ${fx.quote} ≈ R$ ${fmtNumberBR(fx.quote_to_brl)}) — ${fx.date}`
-        : `1 BRL = 1 BRL (sem conversão)`;
-
-    const tableStyle = `style="width:100%;border-collapse:collapse;margin:8px 0;font-size:.98rem"`;
-    const thStyle = `style="text-align:left;padding:8px 10px;border:1px solid #2a3358;background:#0e1429;color:#fff"`;
+      fx.quote === fx.base
+        ? `1 ${fx.base} = 1 ${fx.base} (${L('fx.no_conversion')})`
+        : fx.available
+          ? `1 ${fx.base} = ${fx.base_to_quote.toFixed(4)} ${fx.quote}  (1 ${fx.quote} ≈ ${fmtNumberBR(fx.quote_to_base, 2, idioma)} ${fx.base}) — ${fxDateLabel(fx, idioma)}${fxAge ? ` (${fxAge})` : ''}`
+          : L('fx.unavailable', { base: fx.base, quote: fx.quote });
+    const conversionRules = layout
+      ? `- Sempre preencha "base" (${fx.base}) e, quando houver cotação, "local" na moeda da cidade (cotações na lista de cidades).`
+      : fx.available
+      ? `- Sempre preencha "base" (${fx.base}) e "local" (${meta.currency_code}) nos preços.
+- Conversões: ${fx.base}→${meta.currency_code} = valor_base * ${fx.base_to_quote}; ${meta.currency_code}→${fx.base} = valor_local * ${fx.quote_to_base}.
+- Se a moeda local for ${fx.base}, "local" = "base".`
+      : `- Sem cotação disponível: preencha SOMENTE "base" (e "base_max") em ${fx.base} nos preços; NÃO preencha "local"/"local_max".`;
 
     const mainPrompt =
 `Você é um planner de viagens sênior.
-Responda APENAS com HTML válido (fragmento), em PT-BR, sem Markdown, sem <script> e sem <style>.
-Use BUSCA NA WEB quando necessário para trazer lugares reais e atualizados.
-Inclua uma seção final <section><h2>Fontes consultadas</h2><ul>...</ul></section> com links (máx. 12, domínios confiáveis).
-
-<section>
-  <h2>1. Visão Geral</h2>
-  <p>Explique cidade-base e 1–2 alternativas, época/clima, segurança e deslocamento.</p>
-</section>
-
-<section>
-  <h2>2. Atrações Imperdíveis</h2>
-  <ul>
-    <!-- 10–18 itens **somente atrações** (NÃO listar restaurantes/bares): nome, bairro/zona, breve descrição, tempo médio, melhor horário;
-         faixa de preço (BRL + ${meta.currency_code}). <small>Fonte: <a href="...">domínio</a></small>. -->
-  </ul>
-</section>
-
-<section>
-  <h2>3. Onde comer & beber</h2>
-  <ul>
-    <!-- 8–14 lugares com estilo/cozinha, bairro/zona, ticket médio por pessoa (BRL + ${meta.currency_code}) e <small>Fonte...</small>. -->
-  </ul>
-</section>
-
-<section>
-  <h2>4. Hospedagem Recomendada</h2>
-  <ul>
-    <!-- 6–10 hotéis/pousadas OU bairros com exemplos; categoria (econômico/médio/superior), diária média (BRL + ${meta.currency_code}); <small>Fonte...</small>. -->
-  </ul>
-</section>
-
-<section>
-  <h2>5. Transporte Local</h2>
-  <ul>
-    <!-- metrô/ônibus/app/táxi/passe/trem; preços por trecho/diária; trajetos aeroporto↔centro; <small>Fonte...</small>. -->
-  </ul>
-</section>
-
-<section>
-  <h2>6. Roteiro Dia a Dia</h2>
-  <!-- Para D1..D${dias}, gere a estrutura:
-       <h3>Dia X</h3>
-
-       <h4>Atrações do dia (refeições NÃO contam)</h4>
-       <ul class="day-plan">
-         // Liste **no mínimo 5** e preferencialmente **6–7** itens com data-type="attraction".
-         // Cada item deve trazer:
-         // • faixa de horário (ex.: 08:30–10:00, 10:15–12:00, 14:00–16:00... cobrindo ~12h úteis no total);
-         // • nome do lugar/experiência + bairro/zona;
-         // • dica prática/por que vale a pena;
-         // • preço por pessoa quando pago, no formato "R$ 120 (~${meta.currency_code} 21,60)" (se grátis, escrever "Grátis");
-         // • <small>Fonte: <a href="...">domínio</a></small>.
-       </ul>
-
-       <h4>Pausas para refeições (não contam como atração)</h4>
-       <ul class="meals">
-         // Liste 2–3 refeições com data-type="meal": Almoço, Jantar (e opcional Café/Lanche).
-         // Cada item deve trazer horário, nome do restaurante/bar, bairro, estilo/cozinha e **ticket médio por pessoa** (BRL + ${meta.currency_code}).
-       </ul>
-
-       <h5>Resumo de custos do dia</h5>
-       <table ${tableStyle}>
-         <thead>
-           <tr><th ${thStyle}>Categoria</th><th ${thStyle}>Por pessoa (R$ / ${meta.currency_code})</th><th ${thStyle}>Grupo ${pessoas} (R$ / ${meta.currency_code})</th></tr>
-         </thead>
-         <tbody></tbody>
-       </table>
-  -->
-</section>
-
-<section>
-  <h2>7. Orçamento Resumido</h2>
-  <h3>Tabela 1 — Custos por dia (faixas)</h3>
-  <table ${tableStyle}>
-    <thead>
-      <tr>
-        <th ${thStyle}>Item</th>
-        <th ${thStyle}>Subtotal/Dia</th>
-      </tr>
-    </thead>
-    <tbody></tbody>
-  </table>
+Use BUSCA NA WEB quando necessário para trazer lugares reais e atualizados. Textos em ${promptLanguage(idioma)}.
 
-  <h3>Tabela 2 — Quadro-resumo do grupo</h3>
-  <table ${tableStyle}>
-    <thead><tr><th ${thStyle}>Métrica</th><th ${thStyle}>Valor</th></tr></thead>
-    <tbody></tbody>
-  </table>
-</section>
-
-<section>
-  <h2>Fontes consultadas</h2>
-  <ul><!-- até 12 links --></ul>
-</section>
+${itineraryFormatSpec({ dias, currency_code: meta.currency_code, base_code: moedaBase })}
 
 Regras IMPORTANTES:
-- **Refeições não contam** para o mínimo de atividades. O mínimo (≥5) é apenas de <li data-type="attraction"> por dia.
-- Sempre mostre valores em BRL e ${meta.currency_code}. Formato: "R$ 120 (~${meta.currency_code} 21,60)".
-- Conversões: BRL→${meta.currency_code} = valor_BR * ${fx.brl_to_quote || 0}; ${meta.currency_code}→BRL = valor_LOC * ${fx.quote_to_brl || 0}.
-- Se a moeda local for BRL, use apenas R$.
+- **Refeições não contam** para o mínimo de atividades. O mínimo (≥5) é apenas de "attractions" por dia.
+${conversionRules}
 
 Contexto:
 - Destino: ${destinoLabel}
@@ -928,140 +441,130 @@ Contexto:
 - Estilo: ${estilo}
 - Brief: ${faixa}
 - Conversão de referência: ${convHeader}
-- País: ${meta.country_name || '(não identificado)'}
-`;
+- País: ${layout ? [...new Set(layout.map(st => st.country_name).filter(Boolean))].join(', ') : (meta.country_name || '(não identificado)')}
+${layout ? `\n${stopsPromptBlock(layout, { base: moedaBase })}\n` : ''}`;
 
-    /* ---------- 4) Geração com Responses API + web_search ---------- */
-    async function generateHtmlWithSearch(inputText) {
-      try {
-        console.time(`[${reqId}] openai_responses_search`);
-        const resp = await fetchWithTimeout(`${OPENAI_API_BASE}/responses`, {
-          method: 'POST',
-          headers: { 'Authorization': `Bearer ${OPENAI_API_KEY}`, 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            model: 'gpt-4o-mini',
-            input: inputText,
-            tools: [{ type: 'web_search' }],
-            tool_choice: 'auto'
-          })
-        }, 90000);
-        console.timeEnd(`[${reqId}] openai_responses_search`);
-
-        if (resp.ok) {
-          const dataOk = await safeJson(resp);
-          const html = extractResponsesText(dataOk).trim();
-          log(`[${reqId}] responses+search ok html_len=${html.length}`);
-          return { html, usedSearch: true, raw: dataOk };
-        } else {
-          const errTxt = await resp.text();
-          logError(`[${reqId}] responses+search error`, resp.status, safeTruncate(errTxt));
-        }
-      } catch (e) {
-        logError(`[${reqId}] responses+search exception`, String(e));
-      }
-
-      // Sem web_search
-      try {
-        console.time(`[${reqId}] openai_responses_plain`);
-        const respNoSearch = await fetchWithTimeout(`${OPENAI_API_BASE}/responses`, {
-          method: 'POST',
-          headers: { 'Authorization': `Bearer ${OPENAI_API_KEY}`, 'Content-Type': 'application/json' },
-          body: JSON.stringify({ model: 'gpt-4o-mini', input: inputText })
-        }, 90000);
-        console.timeEnd(`[${reqId}] openai_responses_plain`);
-
-        if (respNoSearch.ok) {
-          const dataNo = await safeJson(respNoSearch);
-          const html = extractResponsesText(dataNo).trim();
-          log(`[${reqId}] responses(no-search) ok html_len=${html.length}`);
-          return { html, usedSearch: false, raw: dataNo };
-        } else {
-          const errTxt = await respNoSearch.text();
-          logError(`[${reqId}] responses(no-search) error`, respNoSearch.status, safeTruncate(errTxt));
-        }
-      } catch (e) {
-        logError(`[${reqId}] responses(no-search) exception`, String(e));
-      }
+    /* ---------- 3.1) Seção 0: Resumo (determinística) ---------- */
+    const { table: tableStyleInline, th: thStyleInline, td: tdStyleInline } = TABLE_STYLES;
 
-      // Chat fallback
-      console.time(`[${reqId}] openai_chat_fallback`);
-      const cc = await fetchWithTimeout(`${OPENAI_API_BASE}/chat/completions`, {
-        method: 'POST',
-        headers: { 'Authorization': `Bearer ${OPENAI_API_KEY}`, 'Content-Type': 'application/json' },
-        body: JSON.stringify({ model: 'gpt-4o-mini', temperature: 0.7, messages: [
-          { role:'system', content:'Você é um travel planner sênior. Responda APENAS com HTML válido (fragmento), em PT-BR, sem Markdown.' },
-          { role:'user', content: inputText }
-        ]})
-      }, 90000);
-      console.timeEnd(`[${reqId}] openai_chat_fallback`);
-
-      const ccData = await safeJson(cc);
-      if (!cc.ok) {
-        logError(`[${reqId}] chat fallback error`, cc.status, safeTruncate(ccData?._raw || JSON.stringify(ccData)));
-        throw new Error(ccData?.error?.message || ccData?._raw || 'Falha na OpenAI');
-      }
-      const html = (ccData?.choices?.[0]?.message?.content || '').trim();
-      log(`[${reqId}] chat fallback ok html_len=${html.length}`);
-      return { html, usedSearch: false, raw: ccData };
-    }
+    const buildSection0 = (usedSearch, budgetCheck = null) => {
+      const resumoRows = [];
+      resumoRows.push(`<tr><th ${thStyleInline}>${escapeHtml(L('col.field'))}</th><th ${thStyleInline}>${escapeHtml(L('col.value'))}</th></tr>`);
+      const pushRow = (k,v) => resumoRows.push(`<tr><td ${tdStyleInline}>${escapeHtml(k)}</td><td ${tdStyleInline}>${escapeHtml(v)}</td></tr>`);
 
-    const gen = await generateHtmlWithSearch(mainPrompt);
+      const destinoLabelOut =
+        (meta.normalized_name && meta.country_name && meta.country_name !== meta.normalized_name)
+          ? `${meta.normalized_name}` : (meta.normalized_name || destinoEntrada);
 
-    // Se a IA devolveu <div class="trip-plan">, evita aninhar
-    const innerMatch = gen.html.match(/<div[^>]*class=["'][^"']*trip-plan[^"']*["'][^>]*>([\s\S]*?)<\/div>/i);
-    const aiInner = innerMatch ? innerMatch[1] : gen.html;
-
-    /* ---------- 5) Seção 0: Resumo (determinística) ---------- */
-    const tableStyleInline = 'style="width:100%;border-collapse:collapse;margin:8px 0;font-size:.98rem"';
-    const thStyleInline = 'style="text-align:left;padding:8px 10px;border:1px solid #2a3358;background:#0e1429;color:#fff"';
-    const tdStyleInline = 'style="padding:8px 10px;border:1px solid #2a3358;color:#fff"';
-
-    const resumoRows = [];
-    resumoRows.push(`<tr><th ${thStyleInline}>Campo</th><th ${thStyleInline}>Valor</th></tr>`);
-    const pushRow = (k,v) => resumoRows.push(`<tr><td ${tdStyleInline}>${escapeHtml(k)}</td><td ${tdStyleInline}>${escapeHtml(v)}</td></tr>`);
+      if (layout) {
+        pushRow(L('sum.route'), layout.map(st => `${st.name} (${L('nights', st.noites)})`).join(' → '));
+        const countries = [...new Set(layout.map(st => st.country_name).filter(Boolean))];
+        if (countries.length) pushRow(L(countries.length > 1 ? 'sum.countries' : 'sum.country'), countries.join(', '));
+      } else {
+        pushRow(L('sum.destination'), destinoLabelOut);
+        if (meta.country_name) pushRow(L('sum.country'), meta.country_name);
+        pushRow(L('sum.region_type'), regionLabel(meta.region_type, idioma));
+      }
+      pushRow(L('sum.days'), String(dias));
+      pushRow(L('sum.people'), String(pessoas));
+      pushRow(L('sum.profile'), perfil.charAt(0).toUpperCase()+perfil.slice(1));
+      pushRow(L('sum.style'), estilo.charAt(0).toUpperCase()+estilo.slice(1));
+      if (orcTotal && orcTotal>0) pushRow(L('sum.budget_total'), pairBaseWithLocal(orcTotal, moedaBase, meta.currency_code, fx.base_to_quote, idioma));
+      if (orcPerPerson && orcPerPerson>0) pushRow(L('sum.budget_pp'), pairBaseWithLocal(orcPerPerson, moedaBase, meta.currency_code, fx.base_to_quote, idioma));
+      if (moedaBase !== 'BRL') pushRow(L('sum.base_currency'), currencyLabel(moedaBase, '', idioma));
+      const others = layout ? [...new Map(layout.filter(st => st.currency_code !== meta.currency_code).map(st => [st.currency_code, st])).values()] : [];
+      pushRow(L(others.length ? 'sum.local_currencies' : 'sum.local_currency'), [meta, ...others].map(m => currencyLabel(m.currency_code, m.currency_name, idioma)).join(' · '));
+      pushRow(L('sum.rate'), `(${reqId}) ${convHeader} [${fx.provider}]`);
+      for (const st of others) {
+        pushRow(L('sum.rate_code', st.currency_code), st.fx.available ? `1 ${moedaBase} = ${st.fx.base_to_quote.toFixed(4)} ${st.currency_code} [${st.fx.provider}]` : L('fx.unavailable_short', { base: moedaBase, quote: st.currency_code }));
+      }
+      if (usedSearch) pushRow(L('sum.web_search'), L('sum.web_search_on'));
+      if (budgetCheck && budgetCheck.status !== 'unknown') pushRow(L('sum.budget_check'), budgetCheck.label);
 
-    const destinoLabelOut =
-      (meta.normalized_name && meta.country_name && meta.country_name !== meta.normalized_name)
-        ? `${meta.normalized_name}` : (meta.normalized_name || destinoEntrada);
-
-    pushRow('Destino', destinoLabelOut);
-    if (meta.country_name) pushRow('País', meta.country_name);
-    pushRow('Tipo de região', regionLabelPT(meta.region_type));
-    pushRow('Dias', String(dias));
-    pushRow('Pessoas', String(pessoas));
-    pushRow('Perfil', perfil.charAt(0).toUpperCase()+perfil.slice(1));
-    pushRow('Estilo', estilo.charAt(0).toUpperCase()+estilo.slice(1));
-    if (orcTotal && orcTotal>0) pushRow('Orçamento total', pairBRLWithLocal(orcTotal, meta.currency_code, fx.brl_to_quote));
-    if (orcPerPerson && orcPerPerson>0) pushRow('Orçamento por pessoa', pairBRLWithLocal(orcPerPerson, meta.currency_code, fx.brl_to_quote));
-    pushRow('Moeda local', currencyLabel(meta.currency_code, meta.currency_name));
-    pushRow('Taxa utilizada', `(${reqId}) ${convHeader} [${fx.provider}]`);
-    if (gen.usedSearch) pushRow('Pesquisa na web', 'Ativada (Responses API)');
-
-    const section0 = `
-<section>
-  <h2>0. Resumo do Planejamento</h2>
+      return `
+<section data-section="summary">
+  <h2>${escapeHtml(L('section.summary'))}</h2>
   <table ${tableStyleInline}>
     <thead>${resumoRows.shift()}</thead>
     <tbody>${resumoRows.join('')}</tbody>
   </table>
 </section>`.trim();
+    };
 
-    // Fragmento final
-    const finalHtmlFragment = `
-<div class="trip-plan" data-render="roteiro">
-  ${section0}
-  ${aiInner}
-</div>`.trim();
+    stream?.send('section', { key: 'summary', html: sanitizeHtml(buildSection0(false)).html });
 
-    const destinoLabelFull =
+    /* ---------- 4) Geração (provedor de LLM com fallback configurável) ---------- */
+    // usado só pelo provedor fixture (o prompt já carrega o mesmo contexto em texto)
+    const genContext = {
+      destino: destinoLabel, dias, pessoas, perfil, estilo, currency_code: meta.currency_code, moeda_base: moedaBase,
+      stops: layout ? layout.map(st => ({ name: st.name, noites: st.noites, from_day: st.from_day, to_day: st.to_day })) : undefined
+    };
+    stage('generate', 'start');
+    const system = generationSystem(idioma);
+    let gen = cachedGen ? cachedGen.value.gen : await llm.generate({ prompt: mainPrompt, system, reqId, context: genContext });
+    stage('generate', 'done', { used_search: gen.usedSearch, cached: !!cachedGen });
+
+    /* ---------- 4.1) Roteiro estruturado → coordenadas → HTML (sanitizado) ---------- */
+    const buildPlan = async (text) => {
+      // sanitização server-side: tudo que vai para a resposta/e-mail passa pela allowlist
+      const report = emptySanitizeReport();
+      const clean = (html) => {
+        const r = sanitizeHtml(html);
+        mergeSanitizeReports(report, r.report);
+        return r.html;
+      };
+      const parsed = parseItineraryJson(text);
+      if (!parsed) {
+        // modelo ignorou o formato JSON: mantém o fragmento como veio (legado)
+        logError(`[${reqId}] itinerary JSON inválido — usando texto bruto`, safeTruncate(text, 300));
+        const innerMatch = text.match(/<div[^>]*class=["'][^"']*trip-plan[^"']*["'][^>]*>([\s\S]*?)<\/div>/i);
+        const html = clean(innerMatch ? innerMatch[1] : text);
+        return { itinerary: null, errors: ['$: resposta da IA não é JSON válido'], sections: [{ key: 'raw', html }], report };
+      }
+      const itinerary = normalizeItinerary(parsed, {
+        destination: destinoLabel,
+        currency_code: meta.currency_code,
+        fx,
+        dataIda,
+        pessoas,
+        idioma,
+        stops: layout
+      });
+      const geo = await geocodeItinerary(itinerary, { reqId });
+      if (otimizarRota) optimizeItineraryRoutes(itinerary, { reqId });
+      const errors = validateSchema(itinerary);
+      if (errors.length) log(`[${reqId}] itinerary schema errors`, errors.slice(0, 10));
+      const sections = ITINERARY_SECTIONS.map(({ key }) => ({ key, html: clean(renderSectionHtml(key, itinerary, { pessoas })) }));
+      return { itinerary, errors, sections, report, geo };
+    };
+    // o front substitui as seções pelo data-section: reenviar após a regeneração troca o conteúdo
+    const streamPlan = (p) => p.sections.forEach(sec => stream?.send('section', sec));
+
+    let plan = await buildPlan(gen.text);
+    streamPlan(plan);
+
+    const destinoLabelFull = layout ? layout.map(st => st.label).join(' → ') :
       (meta.normalized_name && meta.country_name && meta.country_name !== meta.normalized_name)
         ? `${meta.normalized_name}, ${meta.country_name}`
         : (meta.normalized_name || destinoEntrada);
 
     /* ---------- 5.1) Passagens aéreas ---------- */
-    let flights = null;
+    const flightsKey = `flights:${requestFingerprint({ origem: origemEntrada, destino: destinoKey, dataIda, dataVolta, moedaBase, flexDias, voosFiltros, idioma })}`;
+    const flightsHit = cache && !bypass && dataIda && origemEntrada ? await cache.get(flightsKey).catch(() => null) : null;
+    let flights = flightsHit ? flightsHit.value : null;
+    stage('flights', 'start');
     try {
-      if (dataIda && dataVolta && origemEntrada) {
+      if (flightsHit) {
+        log(`[${reqId}] flights do cache`, { stored_at: new Date(flightsHit.stored_at).toISOString() });
+      } else if (layout && dataIda && origemEntrada) {
+        flights = await searchMultiLegFlights({
+          legs: flightLegs({ origem: origemEntrada, layout, dataIda, dataVolta }),
+          currency: moedaBase,
+          filters: voosFiltros,
+          idioma,
+          reqId
+        });
+      } else if (dataIda && dataVolta && origemEntrada) {
         const originRaw = await resolveIataTerm(origemEntrada);
         const originIata = originRaw ? preferCityCode(originRaw) : null;
 
@@ -1080,17 +583,25 @@ Contexto:
         log(`[${reqId}] IATA resolved`, { origemEntrada, originIata, destinoEntrada, destIata });
 
         if (originIata && destIata) {
-          const f = await searchFlightsAviasales({
+          const f = await searchFlights({
             origin: originIata,
             destination: destIata,
             depart: dataIda,
             ret: dataVolta,
             limit: 6,
+            currency: moedaBase,
+            filters: voosFiltros,
+            idioma,
             reqId
           });
           flights = f;
+          if (flexDias && !f.error) {
+            flights.flex = await searchFlexDates({
+              origin: originIata, destination: destIata, depart: dataIda, ret: dataVolta, window: flexDias, currency: moedaBase, filters: voosFiltros, idioma, reqId
+            });
+          }
         } else {
-          flights = { error: 'Não foi possível resolver IATA de origem ou destino.' };
+          flights = { error: L('flights.no_iata') };
         }
       } else {
         log(`[${reqId}] flights skipped — faltam origem/data_ida/data_volta`);
@@ -1098,9 +609,66 @@ Contexto:
       }
     } catch (e) {
       logError(`[${reqId}] flights exception`, String(e));
-      flights = { error: 'Falha ao buscar passagens', detail: String(e) };
+      flights = { error: L('flights.failed'), detail: String(e) };
+    }
+    stage('flights', !flights ? 'skip' : (flights.error ? 'error' : 'done'), { cached: !!flightsHit });
+    // só guarda buscas que deram certo; erro de provedor tenta de novo no próximo pedido
+    if (cache && !flightsHit && flights && !flights.error) {
+      await cache.set(flightsKey, flights, FLIGHTS_CACHE_TTL_MS).catch(e => logError(`[${reqId}] cache set erro`, String(e)));
     }
 
+    /* ---------- 5.2) Conferência do orçamento (+ regeneração mais econômica) ---------- */
+    let budgetCheck = plan.itinerary ? reconcileBudget(plan.itinerary, { orcTotal, orcPerPerson, pessoas, flights }) : null;
+    // no acerto de cache o texto guardado já é a versão final (com ou sem a regeneração mais econômica)
+    if (cachedGen?.value.regeneration && budgetCheck) budgetCheck.regeneration = cachedGen.value.regeneration;
+    if (!cachedGen && budgetCheck && shouldRegenerateCheaper(budgetCheck) && body.regenerar_se_acima !== false) {
+      stage('budget', 'start', { label: budgetCheck.label });
+      const previous = { status: budgetCheck.status, label: budgetCheck.label, per_person: budgetCheck.estimated.per_person.mid };
+      let regeneration = { attempted: true, improved: false, previous };
+      try {
+        const gen2 = await llm.generate({
+          prompt: mainPrompt + cheaperPromptAddendum(budgetCheck),
+          system,
+          reqId,
+          context: { ...genContext, economizar: true }
+        });
+        const plan2 = await buildPlan(gen2.text);
+        const check2 = plan2.itinerary ? reconcileBudget(plan2.itinerary, { orcTotal, orcPerPerson, pessoas, flights }) : null;
+        // só troca de versão se a nova ficou de fato mais barata
+        if (check2 && check2.status !== 'unknown' && check2.estimated.per_person.mid < previous.per_person) {
+          gen = gen2;
+          plan = plan2;
+          budgetCheck = check2;
+          regeneration = { ...regeneration, improved: true };
+          streamPlan(plan);
+        }
+      } catch (e) {
+        logError(`[${reqId}] budget regeneration error`, String(e));
+        regeneration = { ...regeneration, error: String(e.message || e) };
+      }
+      budgetCheck.regeneration = regeneration;
+      log(`[${reqId}] budget check`, budgetCheck.status, budgetCheck.label, regeneration);
+      stage('budget', regeneration.error ? 'error' : 'done', { label: budgetCheck.label, improved: regeneration.improved });
+    }
+
+    // texto fora do formato JSON não vai para o cache (o próximo pedido tenta de novo)
+    if (cache && !cachedGen && plan.itinerary) {
+      const entry = { metas, gen: { text: gen.text, usedSearch: gen.usedSearch, model: gen.model, strategy: gen.strategy }, regeneration: budgetCheck?.regeneration };
+      await cache.set(`roteiro:${fingerprint}`, entry, ROTEIRO_CACHE_TTL_MS).catch(e => logError(`[${reqId}] cache set erro`, String(e)));
+    }
+
+    const section0 = sanitizeHtml(buildSection0(gen.usedSearch, budgetCheck));
+    const sanitizeReport = mergeSanitizeReports(plan.report, section0.report);
+    if (sanitizeReport.changed) log(`[${reqId}] sanitizer`, sanitizeReport);
+    stream?.send('section', { key: 'summary', html: section0.html });
+
+    // Fragmento final
+    const finalHtmlFragment = `
+<div class="trip-plan" data-render="roteiro">
+  ${section0.html}
+  ${plan.sections.map(sec => sec.html).join('\n')}
+</div>`.trim();
+
     const payloadOut = {
       ok: true,
       texto: finalHtmlFragment,
@@ -1110,6 +678,17 @@ Contexto:
         country: meta.country_name || null,
         currency_code: meta.currency_code,
         currency_name: meta.currency_name || null,
+        moeda_base: moedaBase,
+        idioma,
+        stops: layout ? layout.map(st => ({
+          destino: st.name,
+          country: st.country_name || null,
+          noites: st.noites,
+          from_day: st.from_day,
+          to_day: st.to_day,
+          currency_code: st.currency_code,
+          fx: { base_to_local: st.fx.base_to_quote, available: st.fx.available, stale: st.fx.stale }
+        })) : undefined,
         pessoas,
         dias,
         estilo,
@@ -1119,90 +698,127 @@ Contexto:
         data_ida: dataIda || null,
         data_volta: dataVolta || null,
         origem: origemEntrada || null,
+        otimizar_rota: otimizarRota,
+        sanitizer: sanitizeReport,
+        llm: { provider: llm.name, model: gen.model || llm.model, strategy: gen.strategy || null },
         fx: {
-          brl_to_local: fx.brl_to_quote,
-          local_to_brl: fx.quote_to_brl,
+          base: fx.base,
+          base_to_local: fx.base_to_quote,
+          local_to_base: fx.quote_to_base,
           date: fx.date,
-          provider: fx.provider
+          provider: fx.provider,
+          available: fx.available,
+          stale: fx.stale,
+          age_seconds: fx.age_seconds,
+          fetched_at: fx.fetched_at
         }
       },
+      itinerary: plan.itinerary,
+      itinerary_schema: ITINERARY_SCHEMA_URL,
+      itinerary_errors: plan.errors.length ? plan.errors.slice(0, 20) : undefined,
+      budget_check: budgetCheck || undefined,
+      geo: itineraryGeo(plan.itinerary, plan.geo),
       flights: flights || undefined,
       passagens: flights || undefined, // alias
       render_as: 'html',
+      cache: {
+        hit: !!cachedGen,
+        bypass,
+        fingerprint,
+        age_seconds: cachedGen ? Math.round((Date.now() - cachedGen.stored_at) / 1000) : 0,
+        expires_at: cachedGen ? new Date(cachedGen.expires_at).toISOString() : null,
+        flights_hit: !!flightsHit
+      },
       reqId
     };
 
+    // agenda (.ics): atrações/refeições com horário + voos; só quando a viagem tem data de ida
+    const ics = buildItineraryIcs(plan.itinerary, { flights, origem: origemEntrada, dataIda, dataVolta, reqId, prodName: BRAND_NAME });
+    if (ics) payloadOut.ics = ics;
+
+    // salva para reabrir/compartilhar por link (?roteiro=<id aleatório>); falha aqui não derruba a resposta
+    const store = getStore();
+    if (store?.configError) {
+      logError(`[${reqId}] storage`, store.configError);
+    } else if (store) {
+      try {
+        const shareId = newRoteiroId();
+        await store.save(shareId, toStoredRoteiro(shareId, payloadOut));
+        payloadOut.share = { id: shareId, url: `${publicBaseUrl(req)}/?roteiro=${shareId}`, store: store.name };
+        log(`[${reqId}] roteiro salvo`, { store: store.name });
+      } catch (e) {
+        logError(`[${reqId}] storage save erro`, String(e));
+      }
+    }
+
     /* ---------- 6) E-mail (opcional) ---------- */
-    const emailResumoTabela = (() => {
-      const row = (k, v) => `
-        <tr>
-          <td style="padding:8px 10px;border:1px solid #eceff4;background:#f8fafc;color:#111;font-weight:600;width:40%">${escapeHtml(k)}</td>
-          <td style="padding:8px 10px;border:1px solid #eceff4;color:#111">${escapeHtml(v)}</td>
-        </tr>`;
+    const emailResumo = (() => {
+      const day = (iso) => (/^\d{4}-\d{2}-\d{2}$/.test(iso) ? fmtDate(new Date(iso + 'T00:00:00Z'), idioma) : iso);
       const rows = [];
-      rows.push(row('Destino', destinoLabelFull));
-      rows.push(row('Dias', String(dias)));
-      rows.push(row('Pessoas', String(pessoas)));
-      rows.push(row('Perfil', perfil));
-      rows.push(row('Estilo', estilo));
-      rows.push(row('Moeda local', currencyLabel(meta.currency_code, meta.currency_name)));
-      rows.push(row('Taxa usada', convHeader + ` [${fx.provider}]`));
-      if (dataIda) rows.push(row('Ida', dataIda));
-      if (dataVolta) rows.push(row('Volta', dataVolta));
-      if (origemEntrada) rows.push(row('Origem', origemEntrada));
-      if (orcTotal && orcTotal > 0) rows.push(row('Orçamento total', pairBRLWithLocal(orcTotal, meta.currency_code, fx.brl_to_quote)));
-      if (orcPerPerson && orcPerPerson > 0) rows.push(row('Orçamento por pessoa', pairBRLWithLocal(orcPerPerson, meta.currency_code, fx.brl_to_quote)));
-      if (gen.usedSearch) rows.push(row('Pesquisa na web', 'Ativada (Responses API)'));
-      return `
-        <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="border-collapse:collapse;border:1px solid #eaeaea;border-radius:8px;overflow:hidden">
-          ${rows.join('')}
-        </table>`;
+      rows.push([L(layout ? 'sum.route' : 'sum.destination'), layout
+        ? layout.map(st => `${st.label} (${L('nights', st.noites)})`).join(' → ')
+        : destinoLabelFull]);
+      rows.push([L('sum.days'), String(dias)]);
+      rows.push([L('sum.people'), String(pessoas)]);
+      rows.push([L('sum.profile'), perfil]);
+      rows.push([L('sum.style'), estilo]);
+      if (moedaBase !== 'BRL') rows.push([L('sum.base_currency'), currencyLabel(moedaBase, '', idioma)]);
+      rows.push([L('sum.local_currency'), currencyLabel(meta.currency_code, meta.currency_name, idioma)]);
+      rows.push([L('sum.rate_short'), convHeader + ` [${fx.provider}]`]);
+      if (dataIda) rows.push([L('sum.depart'), day(dataIda)]);
+      if (dataVolta) rows.push([L('sum.return'), day(dataVolta)]);
+      if (origemEntrada) rows.push([L('sum.origin'), origemEntrada]);
+      if (orcTotal && orcTotal > 0) rows.push([L('sum.budget_total'), pairBaseWithLocal(orcTotal, moedaBase, meta.currency_code, fx.base_to_quote, idioma)]);
+      if (orcPerPerson && orcPerPerson > 0) rows.push([L('sum.budget_pp'), pairBaseWithLocal(orcPerPerson, moedaBase, meta.currency_code, fx.base_to_quote, idioma)]);
+      if (gen.usedSearch) rows.push([L('sum.web_search'), L('sum.web_search_on')]);
+      return rows;
     })();
 
-    const SEND_EMAIL = Boolean(SENDGRID_API_KEY && MAIL_FROM && emailDestino);
-    if (SEND_EMAIL) {
-      const assunto = `Roteiro • ${destinoLabelFull} • ${BRAND_NAME}`;
-      const html = `
-<div style="font-family:Arial,Helvetica,sans-serif;padding:24px;background:#f6f9fc">
-  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="max-width:760px;margin:0 auto;background:#fff;border:1px solid #eaeaea;border-radius:12px;overflow:hidden">
-    <tr>
-      <td style="background:#0d6efd;color:#fff;padding:16px 20px">
-        ${LOGO_URL ? `<img src="${LOGO_URL}" alt="${BRAND_NAME}" height="28" style="vertical-align:middle;border-radius:6px;background:#fff;padding:3px;margin-right:8px">` : ''}
-        <strong style="font-size:16px;vertical-align:middle">${BRAND_NAME}</strong>
-      </td>
-    </tr>
-    <tr><td style="padding:18px 20px">
-      <h2 style="margin:0 0 10px 0;font-size:18px;color:#111">Resumo do planejamento</h2>
-      ${emailResumoTabela}
-      <div style="height:14px"></div>
-      <h2 style="margin:0 0 6px 0;font-size:18px;color:#111">Roteiro: ${escapeHtml(destinoLabelFull)}</h2>
-      <div>
-        ${finalHtmlFragment}
-      </div>
-      <p style="color:#667085;font-size:12px;margin-top:14px">Gerado automaticamente por ${BRAND_NAME}. Valores são estimativas e podem variar conforme data e disponibilidade.</p>
-    </td></tr>
-  </table>
-</div>`.trim();
-
+    const SEND_EMAIL = Boolean(mailer && !mailer.configError && emailDestino);
+    // cota diária por destinatário: passar dela não derruba o roteiro, só pula o envio
+    const sendQuota = SEND_EMAIL ? await consumeEmailSend(emailDestino) : { ok: true };
+    if (!sendQuota.ok) {
+      log(`[${reqId}] email skip — cota diária`, maskEmail(emailDestino), sendQuota);
+      payloadOut.email = {
+        enviado: false,
+        erro: `Limite de ${sendQuota.limit} e-mail(s) por dia para este endereço atingido.`,
+        retry_after: sendQuota.retry_after
+      };
+      stage('email', 'skip', { reason: 'rate_limit' });
+    } else if (SEND_EMAIL) {
+      stage('email', 'start');
+      // PDF para imprimir; se a renderização falhar o e-mail segue sem ele
+      let pdf = null;
       try {
-        console.time(`[${reqId}] sendgrid`);
-        await sgMail.send({ to: emailDestino, from: MAIL_FROM, subject: assunto, text: 'Veja seu roteiro em HTML.', html });
-        console.timeEnd(`[${reqId}] sendgrid`);
-        log(`[${reqId}] email enviado para`, maskEmail(emailDestino));
-        payloadOut.email = { enviado: true, para: emailDestino };
+        pdf = renderRoteiroPdf({ texto: finalHtmlFragment, meta: payloadOut.meta, brand: BRAND_NAME, shareUrl: payloadOut.share?.url });
       } catch (e) {
-        logError(`[${reqId}] email erro`, e?.response?.body || String(e));
-        payloadOut.email = { enviado: false, erro: e?.response?.body || String(e) };
+        logError(`[${reqId}] pdf erro`, String(e));
       }
+      const mail = roteiroEmail({
+        L, idioma, brand: BRAND_NAME, logoUrl: LOGO_URL, destino: destinoLabelFull, rows: emailResumo,
+        fragment: finalHtmlFragment, shareUrl: payloadOut.share?.url, hasIcs: !!ics, hasPdf: !!pdf
+      });
+      const attachments = [];
+      if (pdf) attachments.push({ filename: pdf.filename, content: pdf.buffer, type: 'application/pdf' });
+      if (ics) attachments.push({ filename: ics.filename, content: ics.content, type: 'text/calendar; charset=utf-8; method=PUBLISH' });
+      payloadOut.email = await sendMail({ to: emailDestino, ...mail, attachments }, { reqId, transport: mailer });
+      payloadOut.email.anexos = attachments.map(a => a.filename);
+      stage('email', payloadOut.email.enviado ? 'done' : 'error', { transport: payloadOut.email.transport, tentativas: payloadOut.email.tentativas });
     } else {
-      log(`[${reqId}] email skip`, { hasKey: !!SENDGRID_API_KEY, hasFrom: !!MAIL_FROM, hasDest: !!emailDestino });
+      log(`[${reqId}] email skip`, { transport: mailer?.name || 'none', configError: mailer?.configError, hasDest: !!emailDestino });
+      stage('email', 'skip');
     }
 
+    if (stream) {
+      log(`[${reqId}] stream result`);
+      stream.send('result', payloadOut);
+      return stream.close();
+    }
     res.setHeader('Cache-Control', 'no-store');
     log(`[${reqId}] responding 200 ok`);
     return res.status(200).json(payloadOut);
   } catch (err) {
     logError('Erro /api/roteiro:', err);
-    return res.status(500).json({ error: 'Falha interna.', reqId });
+    return fail(500, { error: 'Falha interna.', reqId });
   }
 }
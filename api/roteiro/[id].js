@@ -0,0 +1,41 @@
+// /api/roteiro/[id].js
+// GET /api/roteiro/<id> → roteiro salvo (texto, meta, voos…) para a visualização somente leitura (?roteiro=<id>).
+// GET /api/roteiro/<id>?formato=md → o mesmo roteiro em Markdown (GFM), para baixar como .md.
+
+import { newReqId, log, logError, exportFilename } from '../_lib/util.js';
+import { getStore, isRoteiroId } from '../_lib/storage.js';
+import { htmlToMarkdown } from '../_lib/markdown.js';
+
+export default async function handler(req, res) {
+  const reqId = newReqId();
+  res.setHeader('x-request-id', reqId);
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method Not Allowed', reqId });
+  }
+
+  const id = String(req.query?.id || '').trim();
+  if (!isRoteiroId(id)) return res.status(400).json({ error: 'ID de roteiro inválido.', reqId });
+
+  const store = getStore();
+  if (!store) return res.status(404).json({ error: 'O armazenamento de roteiros está desativado.', reqId });
+  if (store.configError) return res.status(500).json({ error: store.configError, reqId });
+
+  try {
+    const doc = await store.get(id);
+    log(`[${reqId}] roteiro ${id}`, doc ? 'ok' : 'não encontrado');
+    if (!doc) return res.status(404).json({ error: 'Roteiro não encontrado (o link pode ter expirado).', reqId });
+    // o conteúdo de um ID não muda depois de salvo
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    if (String(req.query?.formato || '').toLowerCase() === 'md') {
+      res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(doc.meta, 'md')}"`);
+      return res.status(200).send(htmlToMarkdown(doc.texto || '', { title: doc.meta?.destino }));
+    }
+    return res.status(200).json({ ok: true, read_only: true, ...doc, reqId });
+  } catch (e) {
+    logError(`[${reqId}] roteiro ${id} erro`, String(e));
+    return res.status(500).json({ error: 'Falha ao carregar o roteiro.', reqId });
+  }
+}
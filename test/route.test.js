@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { geocodeItinerary } from '../api/_lib/geocode.js';
+import { optimizeItineraryRoutes } from '../api/_lib/route.js';
+
+const slot = (start, end, name, neighborhood = '') => ({ type: 'attraction', start, end, name, neighborhood });
+const meal = (meal, start, end, name, neighborhood = '') => ({ type: 'meal', meal, start, end, name, neighborhood });
+
+function lisboa(attractions, meals = []) {
+  return {
+    schema_version: 2, destination: 'Lisboa', language: 'pt-BR',
+    attractions: [], food: [], transport: [], lodging: [{ name: 'Hotel Baixa', neighborhood: 'Baixa' }],
+    days: [{ day: 1, attractions, meals, costs: [] }]
+  };
+}
+
+test('dia com lugares conhecidos em ordem ruim é reordenado e ganha travel', async () => {
+  const it = lisboa([
+    slot('09:00', '10:30', 'Torre de Belém', 'Belém'),
+    slot('10:45', '12:00', 'Castelo de São Jorge', 'Alfama'),
+    slot('14:00', '15:30', 'Mosteiro dos Jerónimos', 'Belém'),
+    slot('15:45', '17:00', 'Sé de Lisboa', 'Alfama')
+  ], [meal('almoco', '12:30', '13:30', 'Time Out Market', 'Cais do Sodré')]);
+  await geocodeItinerary(it);
+  const stats = optimizeItineraryRoutes(it);
+  const day = it.days[0];
+  assert.equal(stats.optimized, 1);
+  assert.equal(day.route.optimized, true);
+  assert.ok(day.route.saved_min > 0);
+  assert.ok([...day.attractions, ...day.meals].every(s => s.travel && s.travel.minutes > 0));
+});
+
+test('dia com posição só de cidade fica na ordem da IA, sem travel nem route', async () => {
+  const attractions = [
+    slot('09:00', '10:30', 'Lugar Inventado Um'),
+    slot('10:45', '12:00', 'Lugar Inventado Dois'),
+    slot('14:00', '15:30', 'Lugar Inventado Três'),
+    slot('15:45', '17:00', 'Lugar Inventado Quatro'),
+    slot('17:15', '18:30', 'Lugar Inventado Cinco')
+  ];
+  const it = lisboa(attractions.map(s => ({ ...s })));
+  await geocodeItinerary(it);
+  assert.ok(it.days[0].attractions.every(s => s.geo?.precision === 'city'));
+
+  const stats = optimizeItineraryRoutes(it);
+  const day = it.days[0];
+  assert.equal(stats.optimized, 0);
+  assert.equal(stats.saved_min, 0);
+  assert.equal(day.route, undefined);
+  assert.deepEqual(day.attractions.map(s => [s.name, s.start, s.end]), attractions.map(s => [s.name, s.start, s.end]));
+  assert.ok(day.attractions.every(s => !('travel' in s)));
+});
+
+test('uma parada imprecisa basta para o dia ficar como veio', async () => {
+  const it = lisboa([
+    slot('09:00', '10:30', 'Torre de Belém', 'Belém'),
+    slot('10:45', '12:00', 'Castelo de São Jorge', 'Alfama'),
+    slot('14:00', '15:30', 'Mosteiro dos Jerónimos', 'Belém'),
+    slot('15:45', '17:00', 'Lugar Inventado')
+  ]);
+  await geocodeItinerary(it);
+  optimizeItineraryRoutes(it);
+  assert.equal(it.days[0].route, undefined);
+  assert.deepEqual(it.days[0].attractions.map(s => s.start), ['09:00', '10:45', '14:00', '15:45']);
+  assert.ok(it.days[0].attractions.every(s => !s.travel));
+});
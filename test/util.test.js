@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDecimal } from '../api/_lib/util.js';
+
+test('valores no formato en (vírgula de milhar) não viram decimais', () => {
+  assert.equal(parseDecimal('1,200.50'), 1200.5);
+  assert.equal(parseDecimal('12,345,678'), 12345678);
+  assert.equal(parseDecimal('1,200'), 1200);
+});
+
+test('valores no formato pt-BR/es seguem com vírgula decimal', () => {
+  assert.equal(parseDecimal('1.200,50'), 1200.5);
+  assert.equal(parseDecimal('12,5'), 12.5);
+  assert.equal(parseDecimal('1.200'), 1200);
+  assert.equal(parseDecimal('1.5'), 1.5);
+  assert.equal(parseDecimal('80'), 80);
+});